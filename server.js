@@ -2,6 +2,9 @@ import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import connectDB from './src/config/db.js';
+import { closeExpiredSessions } from './src/services/attendanceStatusService.js';
+import { serveSignedFile } from './src/services/localStorageDriver.js';
+import { assertAuthConfig } from './src/services/tokenService.js';
 
 // Import student routes
 import studentAuthRoutes from './src/student-app/routes/authRoutes.js';
@@ -10,6 +13,7 @@ import studentClassRoutes from './src/student-app/routes/classRoutes.js';
 import studentAttendanceRoutes from './src/student-app/routes/attendanceRoutes.js';
 import studentQRRoutes from './src/student-app/routes/qrRoutes.js';
 import studentScheduleRoutes from './src/student-app/routes/scheduleRoutes.js';
+import studentLeaveRoutes from './src/student-app/routes/leaveRoutes.js';
 
 // Import teacher routes
 import teacherAuthRoutes from './src/teacher-website/routes/authRoutes.js';
@@ -19,6 +23,10 @@ import teacherScheduleRoutes from './src/teacher-website/routes/scheduleRoutes.j
 import teacherTimeSlotRoutes from './src/teacher-website/routes/timeSlotRoutes.js';
 import teacherRoomRoutes from './src/teacher-website/routes/roomRoutes.js';
 import teacherAttendanceRoutes from './src/teacher-website/routes/attendanceRoute.js';
+import teacherFaceChangeRoutes from './src/teacher-website/routes/faceChangeRoutes.js';
+import teacherStudentRoutes from './src/teacher-website/routes/studentRoutes.js';
+import teacherCorrectionRequestRoutes from './src/teacher-website/routes/correctionRequestRoutes.js';
+import teacherLeaveRoutes from './src/teacher-website/routes/leaveRoutes.js';
 
 // Import admin routes
 import adminRoutes from './src/teacher-website/routes/adminRoutes.js';
@@ -26,6 +34,14 @@ import adminRoutes from './src/teacher-website/routes/adminRoutes.js';
 // Load environment variables
 dotenv.config();
 
+// Refuse to start without a usable JWT secret
+try {
+  assertAuthConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Connect to Database
 connectDB();
 
@@ -33,7 +49,11 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes so device signatures can be checked over the exact body
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 // API Home Route
@@ -41,6 +61,9 @@ app.get('/', (req, res) => {
   res.send('Attendance API is up and running...🚀');
 });
 
+// Signed file downloads (local storage driver)
+app.get('/api/files/*key', serveSignedFile);
+
 // Student App Routes
 app.use('/api/student/auth', studentAuthRoutes);
 app.use('/api/student/users', studentUserRoutes);
@@ -48,6 +71,7 @@ app.use('/api/student/classes', studentClassRoutes);
 app.use('/api/student/attendance', studentAttendanceRoutes);
 app.use('/api/student/qr', studentQRRoutes);
 app.use('/api/student/schedules', studentScheduleRoutes);
+app.use('/api/student/leave', studentLeaveRoutes);
 
 // Teacher Website Routes
 app.use('/api/teacher/auth', teacherAuthRoutes);
@@ -57,6 +81,10 @@ app.use('/api/teacher/schedules', teacherScheduleRoutes);
 app.use('/api/teacher/timeslots', teacherTimeSlotRoutes);
 app.use('/api/teacher/rooms', teacherRoomRoutes);
 app.use('/api/teacher/attendance', teacherAttendanceRoutes);
+app.use('/api/teacher/face-change-requests', teacherFaceChangeRoutes);
+app.use('/api/teacher/students', teacherStudentRoutes);
+app.use('/api/teacher/correction-requests', teacherCorrectionRequestRoutes);
+app.use('/api/teacher/leave-applications', teacherLeaveRoutes);
 
 // Admin Routes
 app.use('/api/admin', adminRoutes);
@@ -65,4 +93,12 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Close QR sessions that expired without being terminated and mark absentees
+const SESSION_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+setInterval(() => {
+  closeExpiredSessions().catch((error) => {
+    console.error('Error closing expired QR sessions:', error);
+  });
+}, SESSION_SWEEP_INTERVAL_MS).unref();
\ No newline at end of file
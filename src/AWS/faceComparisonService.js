@@ -1,34 +1,12 @@
-import {
-  RekognitionClient,
-  CompareFacesCommand,
-  DetectFacesCommand
-} from '@aws-sdk/client-rekognition';
-import { BUCKET_NAME } from './s3Service.js';
+import crypto from 'crypto';
+import { getFaceProvider } from '../services/faceProvider.js';
 
 // Configuration
 const CONFIG = {
-  REGION: process.env.AWS_REGION || 'ap-south-1',
   SIMILARITY_THRESHOLD: 80,
-  MIN_CONFIDENCE: 70
-};
-
-// Lazy Singleton Client
-let rekClient = null;
-const getClient = () => {
-  if (!rekClient) {
-    if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
-      throw new Error('Missing AWS Credentials.');
-    }
-
-    rekClient = new RekognitionClient({
-      region: CONFIG.REGION,
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-      }
-    });
-  }
-  return rekClient;
+  MIN_CONFIDENCE: 70,
+  // Frames of one capture must show the same face at least this similar
+  CROSS_FRAME_THRESHOLD: 90
 };
 
 /**
@@ -37,14 +15,9 @@ const getClient = () => {
  */
 export const detectFaceWithAttributes = async (imageBytes) => {
   try {
-    const command = new DetectFacesCommand({
-      Image: { Bytes: imageBytes },
-      Attributes: ['ALL'] // Required for Pose, Smile, EyesOpen
-    });
-
-    const { FaceDetails } = await getClient().send(command);
+    const faces = await getFaceProvider().detectFaces(imageBytes);
 
-    if (!FaceDetails?.length) {
+    if (!faces.length) {
       return {
         success: false,
         reason: 'NO_FACE',
@@ -52,7 +25,7 @@ export const detectFaceWithAttributes = async (imageBytes) => {
       };
     }
 
-    if (FaceDetails.length > 1) {
+    if (faces.length > 1) {
       return {
         success: false,
         reason: 'MULTIPLE_FACES',
@@ -60,8 +33,8 @@ export const detectFaceWithAttributes = async (imageBytes) => {
       };
     }
 
-    const face = FaceDetails[0];
-    if (face.Confidence < CONFIG.MIN_CONFIDENCE) {
+    const face = faces[0];
+    if (face.confidence < CONFIG.MIN_CONFIDENCE) {
       return {
         success: false,
         reason: 'LOW_CONFIDENCE',
@@ -70,7 +43,7 @@ export const detectFaceWithAttributes = async (imageBytes) => {
     }
 
     // Quality Check (Fail fast)
-    if ((face.Quality?.Brightness || 0) < 15) {
+    if (face.brightness < 15) {
       return {
         success: false,
         reason: 'TOO_DARK',
@@ -78,7 +51,7 @@ export const detectFaceWithAttributes = async (imageBytes) => {
       };
     }
 
-    if ((face.Quality?.Sharpness || 0) < 15) {
+    if (face.sharpness < 15) {
       return {
         success: false,
         reason: 'BLURRY',
@@ -88,12 +61,13 @@ export const detectFaceWithAttributes = async (imageBytes) => {
 
     return {
       success: true,
+      confidence: face.confidence,
       livenessIndicators: {
-        eyesOpen: face.EyesOpen?.Value === true && face.EyesOpen?.Confidence > 50,
-        smile: face.Smile?.Value === true && face.Smile?.Confidence > 40,
+        eyesOpen: face.eyesOpen.value && face.eyesOpen.confidence > 50,
+        smile: face.smile.value && face.smile.confidence > 40,
         pose: {
-          pitch: face.Pose?.Pitch || 0,  // Up/Down
-          yaw: face.Pose?.Yaw || 0       // Left/Right
+          pitch: face.pose.pitch,  // Up/Down
+          yaw: face.pose.yaw       // Left/Right
         },
       }
     };
@@ -103,12 +77,85 @@ export const detectFaceWithAttributes = async (imageBytes) => {
   }
 };
 
+// Stricter limits for profile photos: every later verification is compared against them
+const ENROLLMENT_QUALITY = {
+  MIN_CONFIDENCE: 90,
+  MIN_BRIGHTNESS: 30,
+  MIN_SHARPNESS: 30,
+  MAX_YAW: 20,
+  MAX_PITCH: 20,
+  // Face width as a fraction of the image width
+  MIN_FACE_WIDTH: 0.15,
+  // Confidence above which sunglasses / an occluded face are treated as present
+  MIN_ACCESSORY_CONFIDENCE: 80
+};
+
+/**
+ * Quality gate for enrollment (profile) photos.
+ * Requires exactly one clear, well-lit, sharp, frontal face that is not
+ * behind sunglasses or a mask, and reports the measured values so the client
+ * can guide a retake.
+ */
+export const checkEnrollmentImageQuality = async (imageBytes) => {
+  const reject = (reason, message, quality) => ({ success: false, reason, message, quality });
+
+  let faces;
+  try {
+    faces = await getFaceProvider().detectFaces(imageBytes);
+  } catch (error) {
+    if (['InvalidImageFormatException', 'ImageTooLargeException', 'InvalidParameterException'].includes(error.name)) {
+      return reject('INVALID_IMAGE', 'The image could not be read. Please upload a JPEG or PNG photo.');
+    }
+    throw error;
+  }
+
+  if (!faces.length) {
+    return reject('NO_FACE', 'No face detected. Please upload a clear photo of your face.');
+  }
+  if (faces.length > 1) {
+    return reject('MULTIPLE_FACES', 'More than one face detected. Only you should be in the photo.');
+  }
+
+  const face = faces[0];
+  const quality = {
+    confidence: face.confidence,
+    brightness: face.brightness,
+    sharpness: face.sharpness,
+    pose: face.pose,
+    faceWidth: face.boundingBox?.Width
+  };
+
+  if (face.confidence < ENROLLMENT_QUALITY.MIN_CONFIDENCE) {
+    return reject('LOW_CONFIDENCE', 'Face not clear enough. Please retake the photo.', quality);
+  }
+  if (face.brightness < ENROLLMENT_QUALITY.MIN_BRIGHTNESS) {
+    return reject('TOO_DARK', 'Photo too dark. Please use better lighting.', quality);
+  }
+  if (face.sharpness < ENROLLMENT_QUALITY.MIN_SHARPNESS) {
+    return reject('BLURRY', 'Photo too blurry. Please hold the camera steady.', quality);
+  }
+  if (Math.abs(face.pose.yaw) > ENROLLMENT_QUALITY.MAX_YAW || Math.abs(face.pose.pitch) > ENROLLMENT_QUALITY.MAX_PITCH) {
+    return reject('FACE_NOT_FRONTAL', 'Please look straight at the camera.', quality);
+  }
+  if (quality.faceWidth !== undefined && quality.faceWidth < ENROLLMENT_QUALITY.MIN_FACE_WIDTH) {
+    return reject('FACE_TOO_SMALL', 'Face too small. Please move closer to the camera.', quality);
+  }
+  if (face.sunglasses?.value && face.sunglasses.confidence >= ENROLLMENT_QUALITY.MIN_ACCESSORY_CONFIDENCE) {
+    return reject('SUNGLASSES', 'Please remove sunglasses.', quality);
+  }
+  if (face.occluded?.value && face.occluded.confidence >= ENROLLMENT_QUALITY.MIN_ACCESSORY_CONFIDENCE) {
+    return reject('FACE_OCCLUDED', 'Face partly covered. Please remove masks or anything covering your face.', quality);
+  }
+
+  return { success: true, quality };
+};
+
 /**
  * Validates specific liveness actions (Smile, Turn Head, etc.)
  */
 export const validateLivenessChallenge = async (imageBytes, challengeType) => {
   const result = await detectFaceWithAttributes(imageBytes);
-  if (!result.success) return result;
+  if (!result.success) return { ...result, challengeType };
 
   const { eyesOpen, smile, pose } = result.livenessIndicators;
   let passed = false;
@@ -152,7 +199,7 @@ export const validateLivenessChallenge = async (imageBytes, challengeType) => {
   passed = criteria.check;
   msg = passed ? criteria.pass : criteria.fail;
 
-  return { success: passed, message: msg };
+  return { success: passed, challengeType, confidence: result.confidence, message: msg };
 };
 
 /**
@@ -161,18 +208,16 @@ export const validateLivenessChallenge = async (imageBytes, challengeType) => {
  */
 export const compareFaceWithProfile = async (storedS3Key, imageBytes) => {
   try {
-    const command = new CompareFacesCommand({
-      SourceImage: { S3Object: { Bucket: BUCKET_NAME, Name: storedS3Key } },
-      TargetImage: { Bytes: imageBytes },
-      SimilarityThreshold: CONFIG.SIMILARITY_THRESHOLD,
+    const { matched, similarity } = await getFaceProvider().compareFaces({
+      sourceKey: storedS3Key,
+      targetBytes: imageBytes,
+      threshold: CONFIG.SIMILARITY_THRESHOLD,
     });
 
-    const { FaceMatches } = await getClient().send(command);
-
-    if (FaceMatches?.length > 0) {
+    if (matched) {
       return {
         success: true,
-        similarity: FaceMatches[0].Similarity,
+        similarity,
         message: 'Face matched.'
       };
     }
@@ -189,32 +234,90 @@ export const compareFaceWithProfile = async (storedS3Key, imageBytes) => {
 };
 
 /**
- * Orchestrator: Validates challenges first, then compares identity.
+ * Checks that the frames of one capture are distinct images of the same face,
+ * so a set of photos of different people (or one photo repeated) is rejected.
+ */
+export const verifyFramesShowSameFace = async (challengeImages) => {
+  const digests = challengeImages.map(({ imageBytes }) =>
+    crypto.createHash('sha256').update(imageBytes).digest('hex')
+  );
+  if (new Set(digests).size !== digests.length) {
+    return {
+      success: false,
+      reason: 'DUPLICATE_FRAMES',
+      message: 'The same image was submitted for more than one challenge.'
+    };
+  }
+
+  const [first, ...rest] = challengeImages;
+  for (const frame of rest) {
+    const { matched } = await getFaceProvider().compareFaces({
+      sourceBytes: first.imageBytes,
+      targetBytes: frame.imageBytes,
+      threshold: CONFIG.CROSS_FRAME_THRESHOLD
+    });
+    if (!matched) {
+      return {
+        success: false,
+        reason: 'FRAMES_FACE_MISMATCH',
+        message: `The face in the ${frame.challengeType} image differs from the first image.`
+      };
+    }
+  }
+
+  return { success: true };
+};
+
+/**
+ * Orchestrator: Validates challenges first, checks all frames show the same
+ * face, then compares identity.
+ * The liveness score is the lowest face-detection confidence across the
+ * challenge frames, and the result names the Rekognition path that ran
+ * ('challenge_compare': DetectFaces per challenge, then CompareFaces).
  */
 export const verifyLivenessWithChallenges = async (challengeImages, storedS3Key) => {
+  const challengeTypes = challengeImages.map(({ challengeType }) => challengeType);
+  const challengeResults = [];
+
   // 1. Validate all Liveness Challenges
   for (const { imageBytes, challengeType } of challengeImages) {
     const check = await validateLivenessChallenge(imageBytes, challengeType);
+    challengeResults.push({
+      challengeType,
+      passed: check.success,
+      confidence: check.confidence,
+      message: check.message
+    });
     if (!check.success) {
       return {
         success: false,
         reason: 'LIVENESS_FAILED',
-        message: `Challenge failed: ${check.message}`
+        message: `Challenge failed: ${check.message}`,
+        challengeResults
       };
     }
   }
 
-  // 2. Verify Identity (Compare with Profile)
+  const livenessScore = Math.min(...challengeResults.map(r => r.confidence));
+
+  // 2. Every frame must be a different image of the same face
+  const crossFrame = await verifyFramesShowSameFace(challengeImages);
+  if (!crossFrame.success) return { ...crossFrame, challengeResults };
+
+  // 3. Verify Identity (Compare with Profile)
   // We use the last image as it's the most recent capture
   const lastImage = challengeImages[challengeImages.length - 1];
   const matchResult = await compareFaceWithProfile(storedS3Key, lastImage.imageBytes);
 
-  if (!matchResult.success) return matchResult;
+  if (!matchResult.success) return { ...matchResult, challengeResults };
 
   return {
     success: true,
     similarity: matchResult.similarity,
-    livenessScore: 100,
+    livenessScore: parseFloat(livenessScore.toFixed(2)),
+    similarityThreshold: CONFIG.SIMILARITY_THRESHOLD,
+    challengeTypes,
+    method: 'challenge_compare',
     message: 'Identity and Liveness Verified'
   };
 };
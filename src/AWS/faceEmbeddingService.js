@@ -1,53 +1,73 @@
-import { RekognitionClient, IndexFacesCommand } from '@aws-sdk/client-rekognition';
-import crypto from 'crypto';
-
-const rekognitionClient = new RekognitionClient({
-    region: process.env.AWS_REGION || 'us-east-1',
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    }
+import { User } from '../models/userModel.js';
+import { getFaceProvider } from '../services/faceProvider.js';
+
+/**
+ * Reads the face matching settings from the environment.
+ * @returns {object} The active configuration.
+ */
+const getConfig = () => ({
+    // With Rekognition, the collection must be created in the AWS console first.
+    COLLECTION_ID: process.env.FACE_COLLECTION_ID || 'student-faces-collection',
+    // Minimum similarity (0-100) for identify-by-face to report a match
+    MATCH_THRESHOLD: Number(process.env.FACE_MATCH_THRESHOLD) || 90
 });
 
 /**
- * Create face embedding by indexing the face in an AWS Rekognition collection.
- * This detects a face, extracts its features, and stores it in the specified
- * collection, returning a unique FaceId.
+ * Cosine similarity between two embedding vectors.
+ *
+ * @param {Array<number>} a - First embedding.
+ * @param {Array<number>} b - Second embedding.
+ * @returns {number} Similarity in [-1, 1], or 0 if the vectors are unusable.
+ */
+const cosineSimilarity = (a, b) => {
+    if (!a?.length || a.length !== b?.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Create face embedding by indexing the face in the face provider's collection
+ * (an AWS Rekognition collection unless FACE_PROVIDER says otherwise).
+ * This detects a face, extracts its features, and stores it in the
+ * collection, returning a unique FaceId. Providers with a local model also
+ * return the embedding vector.
  *
  * @param {Buffer} imageBuffer - The image buffer containing the face.
- * @returns {Promise<Object>} An object containing the FaceId and other metadata.
+ * @param {object} [options]
+ * @param {string} [options.externalImageId] - ID stored with the face (the user ID).
+ * @returns {Promise<Object>} The FaceId, collectionId, embedding (or null) and face metadata.
  * @throws {Error} If no face is detected or the API call fails.
  * @throws {Error} If the specified Rekognition collection is not found.
  */
-const createFaceEmbedding = async (imageBuffer) => {
+const createFaceEmbedding = async (imageBuffer, { externalImageId } = {}) => {
+    const { COLLECTION_ID } = getConfig();
+    const provider = getFaceProvider();
+
     try {
-        const command = new IndexFacesCommand({
-            // The CollectionId must be created in your AWS Rekognition console first.
-            CollectionId: 'student-faces-collection',
-            Image: {
-                Bytes: imageBuffer
-            },
-            DetectionAttributes: ['ALL'], // Get all details (landmarks, pose, quality)
-            MaxFaces: 1, // We only want to index the single best face
-            QualityFilter: 'AUTO' // Let Rekognition filter out low-quality images
+        const faceRecord = await provider.indexFace(imageBuffer, {
+            collectionId: COLLECTION_ID,
+            externalImageId
         });
 
-        const response = await rekognitionClient.send(command);
-
-        if (response.FaceRecords && response.FaceRecords.length > 0) {
-            const faceRecord = response.FaceRecords[0];
-            // Return the detailed record of the indexed face
-            return {
-                faceId: faceRecord.Face.FaceId,  // The unique ID for this face in the collection
-                boundingBox: faceRecord.Face.BoundingBox,
-                confidence: faceRecord.Face.Confidence,
-                landmarks: faceRecord.FaceDetail.Landmarks,
-                pose: faceRecord.FaceDetail.Pose,
-                quality: faceRecord.FaceDetail.Quality
-            };
-        } else {
+        if (!faceRecord) {
             throw new Error('No face detected in the image');
         }
+
+        const embedding = provider.extractEmbedding
+            ? await provider.extractEmbedding(imageBuffer)
+            : null;
+
+        // The faceId is the unique ID for this face in the collection
+        return { ...faceRecord, collectionId: COLLECTION_ID, embedding };
     } catch (error) {
         console.error('Error creating face embedding:', error);
         if (error.name === 'ResourceNotFoundException') {
@@ -59,35 +79,108 @@ const createFaceEmbedding = async (imageBuffer) => {
 };
 
 /**
- * Create a simple, hash-based face embedding array (fallback method).
- * NOTE: This is NOT a real biometric embedding and should not be used for
- * actual face comparison. It serves as a placeholder.
+ * Enrolls a user's face: indexes it under their user ID, stores the result on
+ * `user.faceEnrollment`, and removes the face it replaces from the collection.
  *
- * @param {Buffer} imageBuffer - The image buffer.
- * @returns {Promise<Array<number>>} A simple embedding array (normalized hash).
- * @throws {Error} If hashing fails.
+ * @param {object} user - The User document (saved by this function).
+ * @param {Buffer} imageBuffer - The profile photo.
+ * @returns {Promise<Object>} The saved faceEnrollment.
  */
-const createSimpleFaceEmbedding = async (imageBuffer) => {
-    try {
-        // For now, create a simple hash-based embedding as fallback
-        // In production, you'd want to use a proper face recognition library
-        const hash = crypto.createHash('sha256').update(imageBuffer).digest('hex');
-
-        // Convert hash to array of numbers (simple embedding)
-        const embedding = [];
-        for (let i = 0; i < hash.length; i += 2) {
-            const hexPair = hash.substr(i, 2);
-            embedding.push(parseInt(hexPair, 16) / 255); // Normalize to 0-1
+const enrollFace = async (user, imageBuffer) => {
+    const previous = user.faceEnrollment?.faceId
+        ? { faceId: user.faceEnrollment.faceId, collectionId: user.faceEnrollment.collectionId }
+        : null;
+    const record = await createFaceEmbedding(imageBuffer, { externalImageId: user._id.toString() });
+
+    user.faceEnrollment = {
+        faceId: record.faceId,
+        collectionId: record.collectionId,
+        embedding: record.embedding || [],
+        provider: getFaceProvider().name,
+        enrolledAt: new Date()
+    };
+    await user.save();
+
+    if (previous && previous.faceId !== record.faceId) {
+        try {
+            await getFaceProvider().deleteFaces(previous.collectionId, [previous.faceId]);
+        } catch (error) {
+            console.warn(`Could not remove replaced face ${previous.faceId}: ${error.message}`);
         }
+    }
+
+    console.log(`🧬 [Face] Enrolled face ${record.faceId} for user ${user._id}`);
+    return user.faceEnrollment;
+};
+
+/**
+ * Removes a user's enrolled face from the collection (e.g., when the user is
+ * deleted). Failures are logged rather than thrown.
+ *
+ * @param {object} user - User document or lean object with faceEnrollment.
+ */
+const removeFaceEnrollment = async (user) => {
+    const { faceId, collectionId } = user.faceEnrollment || {};
+    if (!faceId) return;
 
-        return embedding.slice(0, 128); // Return first 128 values as embedding
+    try {
+        await getFaceProvider().deleteFaces(collectionId, [faceId]);
     } catch (error) {
-        console.error('Error creating simple face embedding:', error);
-        throw new Error(`Failed to create face embedding: ${error.message}`);
+        console.warn(`Could not remove face ${faceId}: ${error.message}`);
     }
 };
 
+/**
+ * Identifies which enrolled user appears in an image.
+ * Providers that produce embeddings are matched by cosine similarity against
+ * the stored per-user embeddings; otherwise the collection is searched
+ * (Rekognition SearchFacesByImage) and matches are mapped back to users.
+ *
+ * @param {Buffer} imageBuffer - The captured image.
+ * @param {object} [options]
+ * @param {Array<string>} [options.candidateUserIds] - Limit matches to these users (e.g., a class roster).
+ * @param {number} [options.threshold] - Minimum similarity (0-100).
+ * @returns {Promise<Array<Object>>} [{ userId, similarity }], best match first.
+ */
+const identifyFace = async (imageBuffer, { candidateUserIds, threshold = getConfig().MATCH_THRESHOLD } = {}) => {
+    const provider = getFaceProvider();
+    const candidates = candidateUserIds ? new Set(candidateUserIds.map(id => id.toString())) : null;
+
+    if (provider.extractEmbedding) {
+        const embedding = await provider.extractEmbedding(imageBuffer);
+        if (!embedding) return [];
+
+        const query = { 'faceEnrollment.embedding.0': { $exists: true } };
+        if (candidates) query._id = { $in: [...candidates] };
+        const users = await User.find(query).select('+faceEnrollment.embedding').lean();
+
+        return users
+            .map(user => ({
+                userId: user._id.toString(),
+                similarity: parseFloat((cosineSimilarity(embedding, user.faceEnrollment.embedding) * 100).toFixed(2))
+            }))
+            .filter(match => match.similarity >= threshold)
+            .sort((a, b) => b.similarity - a.similarity);
+    }
+
+    const matches = await provider.searchFacesByImage(imageBuffer, {
+        collectionId: getConfig().COLLECTION_ID,
+        threshold,
+        maxFaces: 20
+    });
+
+    // Keep each user's best match (results are already ordered by similarity)
+    const seen = new Set();
+    return matches
+        .filter(match => match.externalImageId && (!candidates || candidates.has(match.externalImageId)))
+        .filter(match => !seen.has(match.externalImageId) && seen.add(match.externalImageId))
+        .map(match => ({ userId: match.externalImageId, similarity: match.similarity }));
+};
+
 export {
+    cosineSimilarity,
     createFaceEmbedding,
-    createSimpleFaceEmbedding
-};
\ No newline at end of file
+    enrollFace,
+    identifyFace,
+    removeFaceEnrollment
+};
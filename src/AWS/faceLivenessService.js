@@ -1,33 +1,4 @@
-import { 
-  RekognitionClient, 
-  CreateFaceLivenessSessionCommand, 
-  GetFaceLivenessSessionResultsCommand,
-  CompareFacesCommand
-} from '@aws-sdk/client-rekognition';
-import { BUCKET_NAME } from './s3Service.js';
-
-// 1. Lazy Initialization Helper
-let rekognitionClient = null;
-
-const getRekognitionClient = () => {
-  if (!rekognitionClient) {
-    // Debug Check
-    if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
-      console.error('❌ [AWS Error] Credentials missing in .env file');
-      throw new Error('AWS credentials not found. Please check your .env file.');
-    }
-
-    rekognitionClient = new RekognitionClient({
-      region: process.env.AWS_REGION || 'us-east-1',
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-      }
-    });
-    console.log('✅ [AWS] Rekognition client initialized');
-  }
-  return rekognitionClient;
-};
+import { getFaceProvider } from '../services/faceProvider.js';
 
 const SIMILARITY_THRESHOLD = 95; // Strict match
 const LIVENESS_CONFIDENCE_THRESHOLD = 85; 
@@ -39,27 +10,10 @@ const LIVENESS_CONFIDENCE_THRESHOLD = 85;
  */
 export const createLivenessSession = async (userId = null) => {
   try {
-    const client = getRekognitionClient();
-
-    const commandParams = {};
+    const sessionId = await getFaceProvider().createLivenessSession({ userId });
 
-    if (userId) {
-      commandParams.ClientRequestToken = `${userId}-${Date.now()}`;
-    }
-
-    commandParams.Settings = {
-      OutputConfig: {
-        S3Bucket: BUCKET_NAME,
-        S3KeyPrefix: `liveness-sessions/${userId || 'anonymous'}/`,
-      },
-      AuditImagesLimit: 4,
-    };
-    
-    const command = new CreateFaceLivenessSessionCommand(commandParams);
-    const response = await client.send(command);
-
-    console.log(`✅ [Liveness] Session created: ${response.SessionId}`);
-    return response.SessionId;
+    console.log(`✅ [Liveness] Session created: ${sessionId}`);
+    return sessionId;
   } catch (error) {
     console.error('❌ [AWS Liveness] Error creating session:', error);
     throw error;
@@ -73,18 +27,16 @@ export const createLivenessSession = async (userId = null) => {
  */
 export const getLivenessSessionResults = async (sessionId) => {
   try {
-    const client = getRekognitionClient();
-    const command = new GetFaceLivenessSessionResultsCommand({ SessionId: sessionId });
-    const response = await client.send(command);
+    const response = await getFaceProvider().getLivenessSessionResults(sessionId);
 
-    console.log(`📊 [Liveness] Session ${sessionId} - Status: ${response.Status}, Confidence: ${response.Confidence}`);
+    console.log(`📊 [Liveness] Session ${sessionId} - Status: ${response.status}, Confidence: ${response.confidence}`);
 
     return {
-      status: response.Status,
-      confidence: response.Confidence,
-      isLive: response.Status === 'SUCCEEDED' && response.Confidence >= LIVENESS_CONFIDENCE_THRESHOLD,
-      referenceImage: response.ReferenceImage,
-      auditImages: response.AuditImages,
+      status: response.status,
+      confidence: response.confidence,
+      isLive: response.status === 'SUCCEEDED' && response.confidence >= LIVENESS_CONFIDENCE_THRESHOLD,
+      referenceImage: response.referenceImageBytes ? { Bytes: response.referenceImageBytes } : undefined,
+      auditImages: response.auditImages,
     };
   } catch (error) {
     console.error('❌ [Liveness] Error getting session results:', error);
@@ -100,17 +52,16 @@ export const getLivenessSessionResults = async (sessionId) => {
  */
 export const verifyLivenessAndCompare = async (sessionId, storedFaceS3Key) => {
   try {
-    const client = getRekognitionClient();
+    const provider = getFaceProvider();
 
     // 1. Get Liveness Results
-    const getCommand = new GetFaceLivenessSessionResultsCommand({ SessionId: sessionId });
-    const sessionResults = await client.send(getCommand);
+    const sessionResults = await provider.getLivenessSessionResults(sessionId);
 
-    console.log(`📊 [Liveness] Session Status: ${sessionResults.Status}, Confidence: ${sessionResults.Confidence}`);
+    console.log(`📊 [Liveness] Session Status: ${sessionResults.status}, Confidence: ${sessionResults.confidence}`);
 
     // 2. Check Liveness Status
-    if (sessionResults.Status !== 'SUCCEEDED') {
-      console.log(`❌ [Liveness] Session failed or expired. Status: ${sessionResults.Status}`);
+    if (sessionResults.status !== 'SUCCEEDED') {
+      console.log(`❌ [Liveness] Session failed or expired. Status: ${sessionResults.status}`);
       return { 
         success: false, 
         reason: 'LIVENESS_NOT_COMPLETED',
@@ -119,18 +70,18 @@ export const verifyLivenessAndCompare = async (sessionId, storedFaceS3Key) => {
     }
 
     // 3. Check Liveness Confidence
-    if (sessionResults.Confidence < LIVENESS_CONFIDENCE_THRESHOLD) {
-      console.log(`❌ [Liveness] Confidence too low: ${sessionResults.Confidence}`);
+    if (sessionResults.confidence < LIVENESS_CONFIDENCE_THRESHOLD) {
+      console.log(`❌ [Liveness] Confidence too low: ${sessionResults.confidence}`);
       return { 
         success: false, 
         reason: 'LOW_CONFIDENCE',
-        confidence: sessionResults.Confidence,
+        confidence: sessionResults.confidence,
         message: 'Liveness check failed. Please ensure you are in good lighting.' 
       };
     }
 
     // 4. Validate Reference Image exists
-    if (!sessionResults.ReferenceImage || !sessionResults.ReferenceImage.Bytes) {
+    if (!sessionResults.referenceImageBytes) {
       console.log('❌ [Liveness] No reference image captured');
       return { 
         success: false, 
@@ -140,30 +91,23 @@ export const verifyLivenessAndCompare = async (sessionId, storedFaceS3Key) => {
     }
 
     // 5. Compare the Reference Image (from live scan) with Stored S3 Image
-    const compareCommand = new CompareFacesCommand({
-      SourceImage: {
-        S3Object: {
-          Bucket: BUCKET_NAME,
-          Name: storedFaceS3Key,
-        },
-      },
-      TargetImage: {
-        Bytes: sessionResults.ReferenceImage.Bytes,
-      },
-      SimilarityThreshold: SIMILARITY_THRESHOLD,
+    const compareResponse = await provider.compareFaces({
+      sourceKey: storedFaceS3Key,
+      targetBytes: sessionResults.referenceImageBytes,
+      threshold: SIMILARITY_THRESHOLD,
     });
 
-    const compareResponse = await client.send(compareCommand);
-
     // 6. Evaluate Face Match Results
-    if (compareResponse.FaceMatches && compareResponse.FaceMatches.length > 0) {
-      const bestMatch = compareResponse.FaceMatches[0];
-      console.log(`✅ [FaceMatch] Similarity: ${bestMatch.Similarity.toFixed(2)}%`);
+    if (compareResponse.matched) {
+      console.log(`✅ [FaceMatch] Similarity: ${compareResponse.similarity.toFixed(2)}%`);
       
       return { 
         success: true, 
-        livenessConfidence: sessionResults.Confidence,
-        similarity: bestMatch.Similarity,
+        livenessConfidence: sessionResults.confidence,
+        livenessScore: sessionResults.confidence,
+        similarity: compareResponse.similarity,
+        similarityThreshold: SIMILARITY_THRESHOLD,
+        method: 'face_liveness',
         message: 'Face verification successful.'
       };
     } else {
@@ -171,7 +115,7 @@ export const verifyLivenessAndCompare = async (sessionId, storedFaceS3Key) => {
       return { 
         success: false, 
         reason: 'FACE_NOT_MATCHED',
-        livenessConfidence: sessionResults.Confidence,
+        livenessConfidence: sessionResults.confidence,
         message: 'Face does not match the registered student profile.' 
       };
     }
@@ -207,15 +151,13 @@ export const verifyLivenessAndCompare = async (sessionId, storedFaceS3Key) => {
  */
 export const checkSessionStatus = async (sessionId) => {
   try {
-    const client = getRekognitionClient();
-    const command = new GetFaceLivenessSessionResultsCommand({ SessionId: sessionId });
-    const response = await client.send(command);
+    const response = await getFaceProvider().getLivenessSessionResults(sessionId);
 
     return {
       sessionId,
-      status: response.Status,
-      isCompleted: response.Status === 'SUCCEEDED' || response.Status === 'FAILED',
-      isExpired: response.Status === 'EXPIRED',
+      status: response.status,
+      isCompleted: response.status === 'SUCCEEDED' || response.status === 'FAILED',
+      isExpired: response.status === 'EXPIRED',
     };
   } catch (error) {
     console.error('❌ [Liveness] Error checking session status:', error);
@@ -0,0 +1,170 @@
+/**
+ * @file rekognitionProvider.js
+ * @description AWS Rekognition implementation of the face provider interface
+ * (see services/faceProvider.js). Results are normalized to the provider
+ * shapes; AWS errors are rethrown unchanged so callers can still branch on
+ * `error.name` (e.g., 'InvalidParameterException').
+ */
+
+import {
+  RekognitionClient,
+  CompareFacesCommand,
+  DetectFacesCommand,
+  IndexFacesCommand,
+  SearchFacesByImageCommand,
+  DeleteFacesCommand,
+  CreateFaceLivenessSessionCommand,
+  GetFaceLivenessSessionResultsCommand
+} from '@aws-sdk/client-rekognition';
+import { getStorage } from '../services/storageService.js';
+
+// Lazy Singleton Client shared by every face operation
+let rekClient = null;
+const getClient = () => {
+  if (!rekClient) {
+    if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
+      throw new Error('Missing AWS Credentials.');
+    }
+
+    rekClient = new RekognitionClient({
+      region: process.env.AWS_REGION || 'ap-south-1',
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+      }
+    });
+    console.log('✅ [AWS] Rekognition client initialized');
+  }
+  return rekClient;
+};
+
+/**
+ * Converts a Rekognition FaceDetail into the provider face shape.
+ * @param {object} face - FaceDetail returned by DetectFaces / IndexFaces.
+ * @returns {object} Normalized face.
+ */
+const toFace = (face) => ({
+  confidence: face.Confidence,
+  brightness: face.Quality?.Brightness || 0,
+  sharpness: face.Quality?.Sharpness || 0,
+  eyesOpen: { value: face.EyesOpen?.Value === true, confidence: face.EyesOpen?.Confidence || 0 },
+  smile: { value: face.Smile?.Value === true, confidence: face.Smile?.Confidence || 0 },
+  pose: { pitch: face.Pose?.Pitch || 0, yaw: face.Pose?.Yaw || 0, roll: face.Pose?.Roll || 0 },
+  sunglasses: { value: face.Sunglasses?.Value === true, confidence: face.Sunglasses?.Confidence || 0 },
+  occluded: { value: face.FaceOccluded?.Value === true, confidence: face.FaceOccluded?.Confidence || 0 },
+  boundingBox: face.BoundingBox
+});
+
+export const rekognitionProvider = {
+  name: 'rekognition',
+
+  async detectFaces(imageBytes) {
+    const { FaceDetails } = await getClient().send(new DetectFacesCommand({
+      Image: { Bytes: imageBytes },
+      Attributes: ['ALL'] // Required for Pose, Smile, EyesOpen
+    }));
+    return (FaceDetails || []).map(toFace);
+  },
+
+  async compareFaces({ sourceKey, sourceBytes, targetBytes, threshold }) {
+    // Reference the stored image directly when it lives in AWS S3, otherwise send its bytes
+    const s3Object = sourceBytes ? null : getStorage().toS3Object(sourceKey);
+    let SourceImage;
+    if (s3Object) {
+      SourceImage = { S3Object: s3Object };
+    } else {
+      const bytes = sourceBytes || await getStorage().get(sourceKey);
+      if (!bytes) {
+        throw Object.assign(new Error(`Stored image ${sourceKey} not found.`), { name: 'InvalidS3ObjectException' });
+      }
+      SourceImage = { Bytes: bytes };
+    }
+
+    const { FaceMatches } = await getClient().send(new CompareFacesCommand({
+      SourceImage,
+      TargetImage: { Bytes: targetBytes },
+      SimilarityThreshold: threshold
+    }));
+
+    if (FaceMatches?.length > 0) {
+      return { matched: true, similarity: FaceMatches[0].Similarity };
+    }
+    return { matched: false, similarity: null };
+  },
+
+  async indexFace(imageBytes, { collectionId, externalImageId } = {}) {
+    const response = await getClient().send(new IndexFacesCommand({
+      CollectionId: collectionId,
+      Image: { Bytes: imageBytes },
+      ExternalImageId: externalImageId,
+      DetectionAttributes: ['ALL'], // Get all details (landmarks, pose, quality)
+      MaxFaces: 1, // We only want to index the single best face
+      QualityFilter: 'AUTO' // Let Rekognition filter out low-quality images
+    }));
+
+    if (!response.FaceRecords?.length) return null;
+
+    const faceRecord = response.FaceRecords[0];
+    return {
+      faceId: faceRecord.Face.FaceId,
+      confidence: faceRecord.Face.Confidence,
+      boundingBox: faceRecord.Face.BoundingBox,
+      landmarks: faceRecord.FaceDetail.Landmarks,
+      pose: faceRecord.FaceDetail.Pose,
+      quality: faceRecord.FaceDetail.Quality
+    };
+  },
+
+  async searchFacesByImage(imageBytes, { collectionId, threshold, maxFaces = 10 } = {}) {
+    try {
+      const { FaceMatches } = await getClient().send(new SearchFacesByImageCommand({
+        CollectionId: collectionId,
+        Image: { Bytes: imageBytes },
+        FaceMatchThreshold: threshold,
+        MaxFaces: maxFaces
+      }));
+      return (FaceMatches || []).map(match => ({
+        faceId: match.Face.FaceId,
+        externalImageId: match.Face.ExternalImageId,
+        similarity: match.Similarity
+      }));
+    } catch (error) {
+      // Rekognition rejects images without a face instead of returning no matches
+      if (error.name === 'InvalidParameterException') return [];
+      throw error;
+    }
+  },
+
+  async deleteFaces(collectionId, faceIds) {
+    if (!faceIds.length) return;
+    await getClient().send(new DeleteFacesCommand({ CollectionId: collectionId, FaceIds: faceIds }));
+  },
+
+  async createLivenessSession({ userId } = {}) {
+    const commandParams = { Settings: { AuditImagesLimit: 4 } };
+
+    // Audit images can only be written to AWS S3
+    const output = getStorage().toS3Object(`liveness-sessions/${userId || 'anonymous'}/`);
+    if (output) {
+      commandParams.Settings.OutputConfig = { S3Bucket: output.Bucket, S3KeyPrefix: output.Name };
+    }
+    if (userId) {
+      commandParams.ClientRequestToken = `${userId}-${Date.now()}`;
+    }
+
+    const response = await getClient().send(new CreateFaceLivenessSessionCommand(commandParams));
+    return response.SessionId;
+  },
+
+  async getLivenessSessionResults(sessionId) {
+    const response = await getClient().send(
+      new GetFaceLivenessSessionResultsCommand({ SessionId: sessionId })
+    );
+    return {
+      status: response.Status,
+      confidence: response.Confidence,
+      referenceImageBytes: response.ReferenceImage?.Bytes,
+      auditImages: response.AuditImages
+    };
+  }
+};
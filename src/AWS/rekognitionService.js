@@ -1,10 +1,4 @@
-import { RekognitionClient, CompareFacesCommand } from '@aws-sdk/client-rekognition';
-
-const rekognitionClient = new RekognitionClient({
-  region: process.env.AWS_REGION,
-});
-
-const S3_BUCKET_NAME = 'qr-attendance-student-faces-18102025';
+import { getFaceProvider } from '../services/faceProvider.js';
 
 const SIMILARITY_THRESHOLD = 98; // Faces must be at least 98% similar to be a match
 
@@ -18,27 +12,17 @@ const SIMILARITY_THRESHOLD = 98; // Faces must be at least 98% similar to be a m
  */
 export const compareFaces = async (sourceImageS3Key, targetImageBytes) => {
   try {
-    const command = new CompareFacesCommand({
-      SourceImage: {
-        S3Object: {
-          Bucket: S3_BUCKET_NAME,
-          Name: sourceImageS3Key,
-        },
-      },
-      TargetImage: {
-        Bytes: targetImageBytes,
-      },
-      SimilarityThreshold: SIMILARITY_THRESHOLD,
+    const response = await getFaceProvider().compareFaces({
+      sourceKey: sourceImageS3Key,
+      targetBytes: targetImageBytes,
+      threshold: SIMILARITY_THRESHOLD,
     });
 
-    const response = await rekognitionClient.send(command);
-
-    // Check if any face matches were returned and if the top match meets the threshold
-    if (response.FaceMatches && response.FaceMatches.length > 0) {
-      const bestMatch = response.FaceMatches[0];
-      console.log(`Face match successful. Similarity: ${bestMatch.Similarity?.toFixed(2)}%`);
-      // Double-check the similarity, although the API should only return matches >= threshold
-      return bestMatch.Similarity >= SIMILARITY_THRESHOLD;
+    // Check if a face match was returned and if it meets the threshold
+    if (response.matched) {
+      console.log(`Face match successful. Similarity: ${response.similarity?.toFixed(2)}%`);
+      // Double-check the similarity, although the provider should only return matches >= threshold
+      return response.similarity >= SIMILARITY_THRESHOLD;
     }
 
     console.log('Face match failed: No matching faces found above the similarity threshold.');
@@ -0,0 +1,111 @@
+/**
+ * @file s3StorageDriver.js
+ * @description S3 implementation of the object storage interface (see
+ * services/storageService.js). Works against AWS S3 or any S3-compatible
+ * store such as MinIO when S3_ENDPOINT is set.
+ */
+
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * Reads the S3 settings from the environment.
+ * @returns {object} The active S3 configuration.
+ */
+const getConfig = () => ({
+  BUCKET_NAME: process.env.S3_BUCKET_NAME || 'qr-attendance-student-faces-18102025',
+  REGION: process.env.AWS_REGION || 'ap-south-1',
+  // Custom endpoint for S3-compatible stores (e.g., http://localhost:9000 for MinIO)
+  ENDPOINT: process.env.S3_ENDPOINT || undefined,
+  // MinIO and most self-hosted stores need path-style URLs
+  FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(process.env.S3_ENDPOINT),
+});
+
+// Lazy Singleton Client
+let s3Client = null;
+const getS3Client = () => {
+  if (!s3Client) {
+    if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
+      throw new Error('Missing AWS Credentials in environment variables.');
+    }
+
+    const config = getConfig();
+    s3Client = new S3Client({
+      region: config.REGION,
+      endpoint: config.ENDPOINT,
+      forcePathStyle: config.FORCE_PATH_STYLE,
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+      }
+    });
+  }
+  return s3Client;
+};
+
+export const s3StorageDriver = {
+  name: 's3',
+
+  async put(key, body, { contentType = 'application/octet-stream', metadata } = {}) {
+    try {
+      await getS3Client().send(new PutObjectCommand({
+        Bucket: getConfig().BUCKET_NAME,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ACL: 'private',
+        Metadata: metadata
+      }));
+      return key;
+    } catch (error) {
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+  },
+
+  async get(key) {
+    try {
+      const response = await getS3Client().send(new GetObjectCommand({
+        Bucket: getConfig().BUCKET_NAME,
+        Key: key
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw new Error(`Download failed: ${error.message}`);
+    }
+  },
+
+  async delete(key) {
+    try {
+      await getS3Client().send(new DeleteObjectCommand({
+        Bucket: getConfig().BUCKET_NAME,
+        Key: key
+      }));
+    } catch (error) {
+      throw new Error(`Delete failed: ${error.message}`);
+    }
+  },
+
+  async getSignedUrl(key, { expiresIn = 300 } = {}) {
+    const command = new GetObjectCommand({ Bucket: getConfig().BUCKET_NAME, Key: key });
+    return getSignedUrl(getS3Client(), command, { expiresIn });
+  },
+
+  /**
+   * Rekognition can only read objects from AWS S3 itself, so a reference is
+   * returned only when no custom endpoint is configured.
+   * @param {string} key - Object key.
+   * @returns {object|null} { Bucket, Name } for Rekognition, or null.
+   */
+  toS3Object(key) {
+    const config = getConfig();
+    return config.ENDPOINT ? null : { Bucket: config.BUCKET_NAME, Name: key };
+  }
+};
@@ -1,11 +1,21 @@
-import jwt from 'jsonwebtoken';
 import { User } from '../models/userModel.js'; // Assuming User model is imported correctly
+import { verifyAccessToken } from '../services/tokenService.js';
+import { getUserGrants, hasPermission } from '../services/permissionService.js';
+import { canAccessClass } from '../services/classAccessService.js';
+
+const CLASS_ACCESS_ERROR_STATUS = {
+  INVALID_CLASS_ID: 400,
+  CLASS_NOT_FOUND: 404,
+  CLASS_ACCESS_DENIED: 403,
+};
 
 /**
- * Middleware to protect routes by verifying a JWT.
+ * Middleware to protect routes by verifying a JWT access token.
  * It checks for a 'Bearer' token in the 'Authorization' header.
  * If valid, it decodes the token, finds the corresponding user,
  * and attaches the user object (minus password) to `req.user`.
+ * Tokens issued before the user's last logout-all or password change
+ * (an older `tv` claim) are rejected.
  *
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
@@ -20,7 +30,7 @@ export const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
 
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+      const decoded = verifyAccessToken(token);
 
       // Get user from the token payload (decoded.id)
       // Attach user to the request object for subsequent middleware/controllers
@@ -31,6 +41,10 @@ export const protect = async (req, res, next) => {
         return res.status(401).json({ message: 'User not found' });
       }
 
+      if ((decoded.tv || 0) !== (req.user.tokenVersion || 0)) {
+        return res.status(401).json({ message: 'Session revoked, please log in again' });
+      }
+
       next(); // Proceed to the next middleware or route handler
     } catch (error) {
       console.error(error);
@@ -75,4 +89,56 @@ export const teacher = (req, res, next) => {
   } else {
     res.status(401).json({ message: 'Not authorized as a teacher' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Middleware factory requiring a permission (see services/permissionService.js).
+ * This middleware *must* be used *after* the `protect` middleware,
+ * as it relies on `req.user` being populated. The user's grants are cached
+ * on `req.permissionGrants` for later checks in the same request.
+ *
+ * With `options.classId`, the grant must cover that class (resolved by
+ * services/classAccessService.js) and the loaded class is attached as
+ * `req.classData`.
+ *
+ * @param {string} permission - The permission required, e.g., 'attendance:edit'.
+ * @param {object} [options]
+ * @param {function} [options.classId] - Reads the target class ID from the request.
+ * @param {boolean} [options.global] - Require a global grant (for institution-wide endpoints).
+ * @returns {function} Express middleware.
+ */
+export const authorize = (permission, options = {}) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Not authorized, no token' });
+  }
+
+  try {
+    req.permissionGrants = req.permissionGrants || await getUserGrants(req.user);
+
+    if (options.classId) {
+      const classId = options.classId(req);
+      if (!classId) {
+        return res.status(400).json({ success: false, message: 'Class ID is required' });
+      }
+
+      const access = await canAccessClass(req.user, classId, permission, req.permissionGrants);
+      if (!access.success) {
+        return res.status(CLASS_ACCESS_ERROR_STATUS[access.reason] || 403).json({
+          success: false,
+          reason: access.reason,
+          message: access.message
+        });
+      }
+      req.classData = access.classData;
+      return next();
+    }
+
+    if (!(await hasPermission(req.user, permission, { global: options.global }, req.permissionGrants))) {
+      return res.status(403).json({ message: `Not authorized: requires ${permission}` });
+    }
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({ message: 'Permission check failed' });
+  }
+};
@@ -0,0 +1,35 @@
+import { isDeviceBindingEnforced, verifyDeviceSignature } from '../services/deviceBindingService.js';
+
+/**
+ * Middleware requiring the request to be signed by one of the student's bound
+ * devices (see services/deviceBindingService.js). On success the device is
+ * attached as `req.device`. Skipped when DEVICE_BINDING=off.
+ * This middleware *must* be used *after* the `protect` middleware,
+ * as it relies on `req.user` being populated.
+ *
+ * @param {object} req - Express request object (must contain req.user).
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+export const requireBoundDevice = async (req, res, next) => {
+  if (!isDeviceBindingEnforced()) {
+    return next();
+  }
+
+  try {
+    const result = await verifyDeviceSignature(req);
+    if (!result.success) {
+      return res.status(403).json({
+        success: false,
+        reason: result.reason,
+        message: result.message
+      });
+    }
+
+    req.device = result.device;
+    next();
+  } catch (error) {
+    console.error('Device verification error:', error);
+    res.status(500).json({ success: false, message: 'Device verification failed' });
+  }
+};
@@ -38,6 +38,26 @@ const upload = multer({
   }
 });
 
+/**
+ * @const {object} attachmentUpload
+ * @description Multer instance for supporting documents: images or PDFs,
+ * up to 10MB each and three per request.
+ */
+const attachmentUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image or PDF files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 3
+  }
+});
+
 /**
  * @const {function} uploadFaceImage
  * @description A specific multer middleware instance configured to accept
@@ -48,6 +68,24 @@ const uploadFaceImage = upload.fields([
   { name: 'faceImage', maxCount: 1 }
 ]);
 
+/**
+ * @const {function} uploadEvidence
+ * @description Accepts an optional single image from a field named
+ * 'evidence', attached to attendance correction requests.
+ */
+const uploadEvidence = upload.fields([
+  { name: 'evidence', maxCount: 1 }
+]);
+
+/**
+ * @const {function} uploadLeaveAttachments
+ * @description Accepts up to three files from a field named 'attachments'
+ * (e.g., a medical certificate) on leave applications.
+ */
+const uploadLeaveAttachments = attachmentUpload.fields([
+  { name: 'attachments', maxCount: 3 }
+]);
+
 /**
  * Custom error handling middleware for multer.
  * This catches errors thrown by multer (like file size limits)
@@ -69,7 +107,7 @@ const handleMulterError = (error, req, res, next) => {
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
-        message: 'Too many files. Only one file allowed.',
+        message: 'Too many files.',
         error: 'TOO_MANY_FILES'
       });
     }
@@ -81,8 +119,8 @@ const handleMulterError = (error, req, res, next) => {
     }
   }
 
-  // Handle our custom file filter error
-  if (error.message === 'Only image files are allowed') {
+  // Handle our custom file filter errors
+  if (error.message === 'Only image files are allowed' || error.message === 'Only image or PDF files are allowed') {
     return res.status(400).json({
       message: error.message,
       error: 'INVALID_FILE_TYPE'
@@ -95,5 +133,7 @@ const handleMulterError = (error, req, res, next) => {
 
 export {
   uploadFaceImage,
+  uploadEvidence,
+  uploadLeaveAttachments,
   handleMulterError
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * @file attendanceAnomalyModel.js
+ * @description Defines the Mongoose schema for an AttendanceAnomaly. The
+ * anomaly engine raises one when an attendance submission matches a
+ * proxy-attendance pattern (shared device, impossible travel, clustered
+ * submissions, borderline verification). Teachers see the anomalies of their
+ * sessions; admins see all of them and resolve them.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @schema attendanceAnomalySchema
+ * @description Schema definition for the AttendanceAnomaly model.
+ */
+const attendanceAnomalySchema = new mongoose.Schema({
+  /**
+   * Reference to the Attendance record that triggered the rule.
+   */
+  attendanceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Attendance', required: true },
+  /**
+   * Reference to the User (student) who submitted it.
+   */
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  /**
+   * Reference to the Class of the attendance record.
+   */
+  classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true },
+  /**
+   * Reference to the QRCodeSession the record was submitted for.
+   */
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'QRCodeSession', required: false },
+  /**
+   * The rule that matched (e.g., "SHARED_DEVICE", "IMPOSSIBLE_TRAVEL").
+   */
+  rule: { type: String, required: true },
+  /**
+   * How strongly the pattern suggests proxy attendance.
+   */
+  severity: { type: String, enum: ['low', 'medium', 'high'], required: true },
+  /**
+   * Other attendance records involved in the pattern.
+   */
+  relatedAttendanceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Attendance' }],
+  /**
+   * Other students involved in the pattern.
+   */
+  relatedStudentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  /**
+   * Rule-specific measurements (e.g., distance, speed, seconds apart).
+   */
+  details: { type: mongoose.Schema.Types.Mixed },
+  /**
+   * Review state: 'open' until an admin confirms or dismisses it.
+   */
+  status: { type: String, enum: ['open', 'confirmed', 'dismissed'], default: 'open' },
+  /**
+   * Reference to the User (admin) who resolved the anomaly.
+   */
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  /**
+   * Timestamp of the resolution.
+   */
+  reviewedAt: { type: Date, default: null },
+  /**
+   * Optional note from the reviewer.
+   */
+  reviewNote: { type: String, default: null },
+}, { timestamps: true });
+
+/**
+ * @index
+ * @description One anomaly per record and rule, so re-running the engine
+ * does not duplicate flags. The other indexes serve the teacher (per session)
+ * and admin (global) listings.
+ */
+attendanceAnomalySchema.index({ attendanceId: 1, rule: 1 }, { unique: true });
+attendanceAnomalySchema.index({ sessionId: 1, status: 1 });
+attendanceAnomalySchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * @model AttendanceAnomaly
+ * @description Mongoose model compiled from the attendanceAnomalySchema.
+ */
+export const AttendanceAnomaly = mongoose.model('AttendanceAnomaly', attendanceAnomalySchema);
@@ -0,0 +1,84 @@
+/**
+ * @file attendanceCorrectionRequestModel.js
+ * @description Defines the Mongoose schema for an AttendanceCorrectionRequest.
+ * A student who attended a session but could not mark attendance (e.g.,
+ * failed face verification) files one against the QR session or
+ * ScheduleInstance; a teacher of the class approves it, which creates a
+ * manual Attendance record linked back to the request, or rejects it.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @schema attendanceCorrectionRequestSchema
+ * @description Schema definition for the AttendanceCorrectionRequest model.
+ */
+const attendanceCorrectionRequestSchema = new mongoose.Schema({
+  /**
+   * Reference to the User (student) asking for the correction.
+   */
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  /**
+   * Reference to the Class the session belongs to.
+   */
+  classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true },
+  /**
+   * Reference to the QRCodeSession the student missed marking, if known.
+   */
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'QRCodeSession', default: null },
+  /**
+   * Reference to the ScheduleInstance (or Schedule) of the session, if known.
+   */
+  scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduleInstance', default: null },
+  /**
+   * When the session took place.
+   */
+  sessionDate: { type: Date, required: true },
+  /**
+   * The student's explanation (e.g., "Face verification failed three times").
+   */
+  reason: { type: String, required: true, trim: true, maxlength: 1000 },
+  /**
+   * Storage key of an optional supporting image (e.g., a screenshot of the error).
+   */
+  evidenceKey: { type: String, default: null },
+  /**
+   * Review state of the request.
+   */
+  status: { type: String, enum: ['pending', 'approved', 'rejected', 'cancelled'], default: 'pending' },
+  /**
+   * Reference to the User (teacher or admin) who approved or rejected it.
+   */
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  /**
+   * Timestamp of the review decision.
+   */
+  reviewedAt: { type: Date, default: null },
+  /**
+   * Optional note from the reviewer (e.g., why it was rejected).
+   */
+  reviewNote: { type: String, default: null },
+  /**
+   * Reference to the Attendance record created or updated on approval.
+   */
+  attendanceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Attendance', default: null },
+}, { timestamps: true });
+
+/**
+ * @index
+ * @description Speeds up a student's request history and the duplicate
+ * check for a session.
+ */
+attendanceCorrectionRequestSchema.index({ studentId: 1, status: 1, createdAt: -1 });
+
+/**
+ * @index
+ * @description Speeds up the teacher inbox, which lists requests by class.
+ */
+attendanceCorrectionRequestSchema.index({ classId: 1, status: 1, createdAt: -1 });
+
+/**
+ * @model AttendanceCorrectionRequest
+ * @description Mongoose model compiled from the attendanceCorrectionRequestSchema.
+ */
+export const AttendanceCorrectionRequest = mongoose.model('AttendanceCorrectionRequest', attendanceCorrectionRequestSchema);
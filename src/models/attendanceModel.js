@@ -18,9 +18,50 @@ const attendanceSchema = new mongoose.Schema({
    */
   scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Schedule', required: false },
   /**
-   * The latitude and longitude captured from the student's device.
+   * The latitude and longitude captured from the student's device,
+   * plus the reported GPS accuracy radius in meters.
    */
-  studentCoordinates: { latitude: Number, longitude: Number },
+  studentCoordinates: { latitude: Number, longitude: Number, accuracy: Number },
+  /**
+   * Identifier of the device that submitted the record (sent by the app),
+   * used to spot one device marking attendance for several students.
+   */
+  deviceId: { type: String, index: true },
+  /**
+   * Outcome of the server-side geofence check for this submission.
+   * `reason` explains a failed or unverified check (e.g., "OUTSIDE_GEOFENCE").
+   */
+  geofence: {
+    status: { type: String, enum: ['inside', 'failed', 'unverified', 'skipped'] },
+    reason: { type: String },
+    distanceMeters: { type: Number },
+    radiusMeters: { type: Number },
+    accuracyMeters: { type: Number },
+    source: { type: String, enum: ['teacher', 'schedule', 'room'] },
+  },
+  /**
+   * Attendance outcome for the session. 'late' is derived from the scheduled
+   * start time, 'absent' is written when the session closes, and 'excused'
+   * is tied to approved leave.
+   */
+  status: {
+    type: String,
+    enum: ['present', 'late', 'excused', 'absent'],
+    default: 'present',
+    index: true
+  },
+  /**
+   * Minutes after the scheduled start the student was verified (late only).
+   */
+  lateByMinutes: { type: Number, default: 0 },
+  /**
+   * Reference to the approved leave that excuses this session, if any.
+   */
+  leaveId: { type: mongoose.Schema.Types.ObjectId, ref: 'LeaveApplication', required: false },
+  /**
+   * Reference to the approved correction request that created this record, if any.
+   */
+  correctionRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'AttendanceCorrectionRequest', required: false },
   /**
    * The exact timestamp the attendance was successfully recorded.
    */
@@ -30,15 +71,35 @@ const attendanceSchema = new mongoose.Schema({
    */
   livenessPassed: { type: Boolean, required: true },
   /**
-   * Stores the face embedding vector (if used). Kept optional.
+   * Liveness confidence (0-100) reported by the verification path.
    */
-  faceEmbedding: { type: [Number], required: false, default: [] },
+  livenessConfidence: { type: Number },
+  /**
+   * Similarity (0-100) between the captured face and the profile photo.
+   */
+  faceSimilarity: { type: Number },
+  /**
+   * The similarity threshold in force when the match was accepted, so stored
+   * scores can be compared across threshold changes.
+   */
+  similarityThreshold: { type: Number },
+  /**
+   * Liveness challenges the student completed (e.g., ["neutral", "smile"]).
+   */
+  challengeTypes: { type: [String], default: undefined },
+  /**
+   * The verification path that ran. 'challenge_compare' is DetectFaces per
+   * challenge followed by CompareFaces; 'face_liveness' is an AWS Face
+   * Liveness session followed by CompareFaces.
+   */
+  verificationMethod: { type: String, enum: ['challenge_compare', 'face_liveness', 'manual'] },
   /**
    * Flag for data synchronization (e.g., to an external system).
    */
   synced: { type: Boolean, default: false },
   /**
-   * Version number for managing sync conflicts.
+   * Version number for managing sync conflicts. Bumped by every teacher or
+   * admin change; edits and voids are recorded as AttendanceRevisions.
    */
   syncVersion: { type: Number, default: 1 },
   /**
@@ -50,8 +111,25 @@ const attendanceSchema = new mongoose.Schema({
    * Notes field, primarily for manual entries, to add context or reason.
    */
   notes: { type: String, default: '' },
+  /**
+   * Timestamp and author of the void, if a teacher or admin voided the
+   * record (the reason is in its AttendanceRevision). Voided records are kept
+   * so the session cannot be marked again, but never count as attended.
+   */
+  voidedAt: { type: Date, default: null },
+  voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
 }, { timestamps: true });
 
+/**
+ * @index
+ * @description One record per student per QR session, so a roll call or
+ * correction racing a face-verified submission cannot create a second one.
+ */
+attendanceSchema.index(
+  { studentId: 1, sessionId: 1 },
+  { unique: true, partialFilterExpression: { sessionId: { $type: 'objectId' } } }
+);
+
 /**
  * @model Attendance
  * @description Mongoose model compiled from the attendanceSchema.
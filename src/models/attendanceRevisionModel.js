@@ -0,0 +1,92 @@
+/**
+ * @file attendanceRevisionModel.js
+ * @description Defines the Mongoose schema for an AttendanceRevision. Every
+ * change to a recorded Attendance (a teacher or admin edit or void, an
+ * offline sync, roll call, leave excusal, manual entry or correction) writes
+ * one revision holding the record as it was, the fields changed and the reason.
+ * Revisions are immutable, so students and auditors can always see how a
+ * record came to be.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @const {Array<string>} REVISION_ACTIONS
+ * @description What caused a revision.
+ */
+export const REVISION_ACTIONS = ['edit', 'void', 'sync', 'roll_call', 'leave', 'manual', 'correction'];
+
+/**
+ * @schema attendanceRevisionSchema
+ * @description Schema definition for the AttendanceRevision model.
+ */
+const attendanceRevisionSchema = new mongoose.Schema({
+  /**
+   * Reference to the Attendance record.
+   */
+  attendanceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Attendance', required: true },
+  /**
+   * Reference to the User (student) the record belongs to.
+   */
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  /**
+   * Reference to the Class the record is for.
+   */
+  classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true },
+  /**
+   * The record's syncVersion after this revision.
+   */
+  version: { type: Number, required: true },
+  /**
+   * What happened: 'edit' and 'void' are teacher or admin changes; the others
+   * name the workflow that changed the record.
+   */
+  action: { type: String, enum: REVISION_ACTIONS, required: true },
+  /**
+   * Changed fields as { field: { from, to } }.
+   */
+  changes: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  /**
+   * The whole record as it was before this revision.
+   */
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  /**
+   * Why the record was changed (required).
+   */
+  reason: { type: String, required: true, trim: true, maxlength: 1000 },
+  /**
+   * Reference to the User who made the change (the student, for an offline sync).
+   */
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+/**
+ * @index
+ * @description Speeds up a record's history, in version order.
+ */
+attendanceRevisionSchema.index({ attendanceId: 1, version: 1 });
+
+/**
+ * @index
+ * @description Speeds up a student's revision history.
+ */
+attendanceRevisionSchema.index({ studentId: 1, createdAt: -1 });
+
+// Revisions are write-once
+const rejectChange = function (next) {
+  next(new Error('Attendance revisions cannot be changed or deleted'));
+};
+attendanceRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+attendanceRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+/**
+ * @model AttendanceRevision
+ * @description Mongoose model compiled from the attendanceRevisionSchema.
+ */
+export const AttendanceRevision = mongoose.model('AttendanceRevision', attendanceRevisionSchema);
@@ -13,20 +13,52 @@ import mongoose from 'mongoose';
  */
 const auditLogSchema = new mongoose.Schema({
   /**
-   * Reference to the User who performed the action.
+   * Reference to the User who performed the action. Null when the actor is
+   * unknown (e.g., a failed login for an email that has no account).
    */
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   /**
    * A string describing the action (e.g., "USER_LOGIN", "ATTENDANCE_MANUAL_ENTRY").
    */
   action: { type: String, required: true },
+  /**
+   * The kind of document acted on (e.g., "Attendance", "User", "QRCodeSession").
+   */
+  targetType: { type: String, default: null },
+  /**
+   * The ID of the document acted on.
+   */
+  targetId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  /**
+   * Field-level diff of the target: { field: { from, to } }. Creations have
+   * only `to` values and deletions only `from` values.
+   */
+  changes: { type: mongoose.Schema.Types.Mixed, default: undefined },
   /**
    * A flexible field to store details about the event (e.g., IP address,
    * affected document IDs, before/after state).
    */
   details: { type: mongoose.Schema.Types.Mixed },
+  /**
+   * IP address the request came from.
+   */
+  ip: { type: String, default: null },
+  /**
+   * User-Agent header of the request.
+   */
+  userAgent: { type: String, default: null },
 }, { timestamps: true }); // 'createdAt' timestamp shows when the action occurred
 
+/**
+ * @index
+ * @description Supports the admin query API: by actor, by action, by target
+ * and by date.
+ */
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
 /**
  * @model AuditLog
  * @description Mongoose model compiled from the auditLogSchema.
@@ -36,6 +36,11 @@ const classSchema = new mongoose.Schema({
    * The student division (e.g., "A", "B").
    */
   division: { type: String, required: true },
+  /**
+   * The department offering this class (e.g., "Computer Engineering").
+   * Department-scoped roles such as HOD apply to its classes.
+   */
+  department: { type: String, trim: true, index: true },
   /**
    * Reference to the primary User (teacher) assigned to this class.
    * Not required, allowing for unassigned classes.
@@ -49,8 +54,29 @@ const classSchema = new mongoose.Schema({
    * Reference to the User (Admin) who created this class.
    */
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  /**
+   * How students prove liveness when marking attendance:
+   * 'challenge' (in-app challenges, works offline), 'face_liveness'
+   * (hosted AWS Face Liveness, online only) or 'either'.
+   */
+  livenessPolicy: { type: String, enum: ['challenge', 'face_liveness', 'either'], default: 'challenge' },
 }, { timestamps: true });
 
+/**
+ * @method allowsVerification
+ * @description Checks whether the class's liveness policy accepts a
+ * verification method.
+ * @param {string} method - 'challenge_compare' or 'face_liveness'.
+ * @returns {boolean} True if attendance verified this way is accepted.
+ */
+classSchema.methods.allowsVerification = function (method) {
+  const policy = this.livenessPolicy || 'challenge';
+  if (policy === 'either') return true;
+  if (method === 'challenge_compare') return policy === 'challenge';
+  if (method === 'face_liveness') return policy === 'face_liveness';
+  return false;
+};
+
 /**
  * @model Class
  * @description Mongoose model compiled from the classSchema.
@@ -0,0 +1,63 @@
+/**
+ * @file duplicateFaceFlagModel.js
+ * @description Defines the Mongoose schema for a DuplicateFaceFlag. A flag is
+ * raised when a face registered for one student matches another student's
+ * enrolled face, which usually means one person holds two accounts (proxy
+ * attendance). Flags wait in an admin review queue.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @schema duplicateFaceFlagSchema
+ * @description Schema definition for the DuplicateFaceFlag model.
+ */
+const duplicateFaceFlagSchema = new mongoose.Schema({
+  /**
+   * Reference to the User (student) whose face was being registered.
+   */
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  /**
+   * Reference to the existing User (student) the face matched.
+   */
+  matchedStudentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  /**
+   * Match similarity (0-100) reported by the face provider.
+   */
+  similarity: { type: Number, required: true },
+  /**
+   * Where the face was registered.
+   */
+  source: { type: String, enum: ['register', 'admin_create', 'admin_update', 'face_change'], required: true },
+  /**
+   * Review state: 'open' until an admin confirms the duplicate or dismisses
+   * it as a false match.
+   */
+  status: { type: String, enum: ['open', 'confirmed', 'dismissed'], default: 'open' },
+  /**
+   * Reference to the User (admin) who resolved the flag.
+   */
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  /**
+   * Timestamp of the resolution.
+   */
+  reviewedAt: { type: Date, default: null },
+  /**
+   * Optional note from the reviewer.
+   */
+  reviewNote: { type: String, default: null },
+}, { timestamps: true });
+
+/**
+ * @index
+ * @description Keeps the review queue query fast and lets repeat matches of
+ * the same pair update the open flag instead of adding another.
+ */
+duplicateFaceFlagSchema.index({ status: 1, createdAt: -1 });
+duplicateFaceFlagSchema.index({ studentId: 1, matchedStudentId: 1, status: 1 });
+
+/**
+ * @model DuplicateFaceFlag
+ * @description Mongoose model compiled from the duplicateFaceFlagSchema.
+ */
+export const DuplicateFaceFlag = mongoose.model('DuplicateFaceFlag', duplicateFaceFlagSchema);
@@ -0,0 +1,57 @@
+/**
+ * @file faceChangeRequestModel.js
+ * @description Defines the Mongoose schema for a FaceChangeRequest. When a
+ * student uploads a new face photo it is stored here as pending; their
+ * current photo stays in use until an admin or class teacher approves the
+ * change after comparing both images.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @schema faceChangeRequestSchema
+ * @description Schema definition for the FaceChangeRequest model.
+ */
+const faceChangeRequestSchema = new mongoose.Schema({
+  /**
+   * Reference to the User (student) whose face photo would change.
+   */
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  /**
+   * Storage key of the uploaded photo awaiting review.
+   */
+  newImageKey: { type: String, required: true },
+  /**
+   * Storage key of the photo in use when the request was made.
+   */
+  previousImageKey: { type: String, default: null },
+  /**
+   * Review state of the request.
+   */
+  status: { type: String, enum: ['pending', 'approved', 'rejected', 'cancelled'], default: 'pending' },
+  /**
+   * Reference to the User (admin or teacher) who approved or rejected it.
+   */
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  /**
+   * Timestamp of the review decision.
+   */
+  reviewedAt: { type: Date, default: null },
+  /**
+   * Optional note from the reviewer (e.g., why it was rejected).
+   */
+  reviewNote: { type: String, default: null },
+}, { timestamps: true });
+
+/**
+ * @index
+ * @description Speeds up finding a student's pending request and counting
+ * their recent requests for rate limiting.
+ */
+faceChangeRequestSchema.index({ studentId: 1, status: 1, createdAt: -1 });
+
+/**
+ * @model FaceChangeRequest
+ * @description Mongoose model compiled from the faceChangeRequestSchema.
+ */
+export const FaceChangeRequest = mongoose.model('FaceChangeRequest', faceChangeRequestSchema);
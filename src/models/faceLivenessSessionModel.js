@@ -0,0 +1,52 @@
+/**
+ * @file faceLivenessSessionModel.js
+ * @description Defines the Mongoose schema for a FaceLivenessSession. This
+ * model ties a hosted Face Liveness session to the student who started it and
+ * the QR session they scanned, so its result can be used for exactly one
+ * attendance record.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @schema faceLivenessSessionSchema
+ * @description Schema definition for the FaceLivenessSession model.
+ */
+const faceLivenessSessionSchema = new mongoose.Schema({
+  /**
+   * Reference to the User (student) who started the session.
+   */
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  /**
+   * Reference to the Class attendance is being marked for.
+   */
+  classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true },
+  /**
+   * Reference to the QRCodeSession the student scanned.
+   */
+  qrSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'QRCodeSession', required: true },
+  /**
+   * Session ID returned by the face provider (AWS Face Liveness).
+   */
+  providerSessionId: { type: String, required: true, unique: true },
+  /**
+   * Timestamp after which the session can no longer be submitted.
+   */
+  expiresAt: { type: Date, required: true },
+  /**
+   * Timestamp of when the session was used for attendance (null while unused).
+   */
+  usedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+/**
+ * @index
+ * @description TTL index removing sessions a day after they expire.
+ */
+faceLivenessSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+/**
+ * @model FaceLivenessSession
+ * @description Mongoose model compiled from the faceLivenessSessionSchema.
+ */
+export const FaceLivenessSession = mongoose.model('FaceLivenessSession', faceLivenessSessionSchema);
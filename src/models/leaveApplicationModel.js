@@ -0,0 +1,95 @@
+/**
+ * @file leaveApplicationModel.js
+ * @description Defines the Mongoose schema for a LeaveApplication. A student
+ * applies for leave over a date range from the student app; once a class
+ * teacher or admin approves it, every session of the student's classes in
+ * that range is recorded as 'excused' rather than 'absent'.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @const {Array<string>} LEAVE_TYPES
+ * @description Kinds of leave a student may apply for.
+ */
+export const LEAVE_TYPES = ['medical', 'duty', 'personal'];
+
+/**
+ * @schema leaveApplicationSchema
+ * @description Schema definition for the LeaveApplication model.
+ */
+const leaveApplicationSchema = new mongoose.Schema({
+  /**
+   * Reference to the User (student) applying for leave.
+   */
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  /**
+   * Kind of leave: 'medical', 'duty' (official duty or an event) or 'personal'.
+   */
+  leaveType: { type: String, enum: LEAVE_TYPES, required: true },
+  /**
+   * First day of leave (stored as the start of that day).
+   */
+  startDate: { type: Date, required: true },
+  /**
+   * Last day of leave (stored as the end of that day).
+   */
+  endDate: { type: Date, required: true },
+  /**
+   * The student's explanation.
+   */
+  reason: { type: String, required: true, trim: true, maxlength: 1000 },
+  /**
+   * Supporting documents (e.g., a medical certificate or event letter).
+   */
+  attachments: [{
+    key: { type: String, required: true },
+    filename: { type: String },
+    contentType: { type: String },
+  }],
+  /**
+   * Review state of the application.
+   */
+  status: { type: String, enum: ['pending', 'approved', 'rejected', 'cancelled'], default: 'pending' },
+  /**
+   * Reference to the User (teacher or admin) who approved or rejected it.
+   */
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  /**
+   * Timestamp of the review decision.
+   */
+  reviewedAt: { type: Date, default: null },
+  /**
+   * Optional note from the reviewer (e.g., why it was rejected).
+   */
+  reviewNote: { type: String, default: null },
+  /**
+   * Number of existing absences turned into excused records on approval.
+   */
+  excusedCount: { type: Number, default: 0 },
+  /**
+   * Classes the approval excuses: those of the student's classes the reviewer
+   * may edit attendance for. Unset when a reviewer with a global grant
+   * approved it, which covers all of the student's classes.
+   */
+  classIds: { type: [mongoose.Schema.Types.ObjectId], ref: 'Class', default: undefined },
+}, { timestamps: true });
+
+/**
+ * @index
+ * @description Speeds up a student's history, the overlap check and finding
+ * the approved leave that covers a session.
+ */
+leaveApplicationSchema.index({ studentId: 1, status: 1, startDate: 1, endDate: 1 });
+
+/**
+ * @index
+ * @description Speeds up the reviewer inbox.
+ */
+leaveApplicationSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * @model LeaveApplication
+ * @description Mongoose model compiled from the leaveApplicationSchema.
+ */
+export const LeaveApplication = mongoose.model('LeaveApplication', leaveApplicationSchema);
@@ -0,0 +1,53 @@
+/**
+ * @file livenessChallengeModel.js
+ * @description Defines the Mongoose schema for a LivenessChallengeSession.
+ * This model remembers the randomized challenges issued to a student so the
+ * verify endpoint can bind each captured frame to the challenge it was
+ * issued for, and allows each session to be used only once.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @schema livenessChallengeSessionSchema
+ * @description Schema definition for the LivenessChallengeSession model.
+ */
+const livenessChallengeSessionSchema = new mongoose.Schema({
+  /**
+   * Reference to the User (student) the challenges were issued to.
+   */
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  /**
+   * Unguessable identifier the client sends back with its frames.
+   */
+  nonce: { type: String, required: true, unique: true },
+  /**
+   * Challenge types in the order the frames must be captured.
+   */
+  challenges: { type: [String], required: true },
+  /**
+   * 'online' sessions are short-lived; 'offline' sessions are fetched ahead of
+   * time and verified against the capture time when the record syncs.
+   */
+  mode: { type: String, enum: ['online', 'offline'], default: 'online' },
+  /**
+   * Timestamp after which the challenges can no longer be answered.
+   */
+  expiresAt: { type: Date, required: true },
+  /**
+   * Timestamp of when the session was consumed (null while unused).
+   */
+  usedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+/**
+ * @index
+ * @description TTL index removing sessions a day after they expire.
+ */
+livenessChallengeSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+/**
+ * @model LivenessChallengeSession
+ * @description Mongoose model compiled from the livenessChallengeSessionSchema.
+ */
+export const LivenessChallengeSession = mongoose.model('LivenessChallengeSession', livenessChallengeSessionSchema);
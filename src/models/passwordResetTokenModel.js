@@ -0,0 +1,47 @@
+/**
+ * @file passwordResetTokenModel.js
+ * @description Defines the Mongoose schema for a PasswordResetToken. Only a
+ * SHA-256 hash of the emailed token is stored, so a database leak does not
+ * expose usable reset links. Tokens expire and can be used once.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @schema passwordResetTokenSchema
+ * @description Schema definition for the PasswordResetToken model.
+ */
+const passwordResetTokenSchema = new mongoose.Schema({
+  /**
+   * Reference to the User whose password the token resets.
+   */
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  /**
+   * SHA-256 hash (hex) of the token sent by email.
+   */
+  tokenHash: { type: String, required: true, unique: true },
+  /**
+   * Timestamp after which the token can no longer be used.
+   */
+  expiresAt: { type: Date, required: true },
+  /**
+   * Timestamp of when the token was used or superseded (null while usable).
+   */
+  usedAt: { type: Date, default: null },
+  /**
+   * IP address the reset was requested from.
+   */
+  requestedIp: { type: String },
+}, { timestamps: true });
+
+/**
+ * @index
+ * @description TTL index removing tokens a day after they expire.
+ */
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+/**
+ * @model PasswordResetToken
+ * @description Mongoose model compiled from the passwordResetTokenSchema.
+ */
+export const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
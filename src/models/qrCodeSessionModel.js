@@ -36,6 +36,15 @@ const qrCodeSessionSchema = new mongoose.Schema({
    * Timestamp of when the 'currentToken' was generated.
    */
   tokenGeneratedAt: { type: Date, default: Date.now },
+  /**
+   * Recently rotated-out tokens, kept so a student who scanned just before a
+   * refresh can still submit within the grace window. Newest first.
+   */
+  previousTokens: [{
+    _id: false,
+    token: { type: String, required: true },
+    rotatedAt: { type: Date, required: true },
+  }],
   /**
    * Timestamp of when the entire session should expire and be considered closed.
    */
@@ -56,10 +65,31 @@ const qrCodeSessionSchema = new mongoose.Schema({
     sessionId: String, // Main session ID
     token: String,     // The current rotating token
   },
+  /**
+   * The Ed25519-signed compact payload encoded in the QR code
+   * (see services/qrSigningService.js). Re-signed on every token rotation.
+   */
+  signedPayload: { type: String },
+  /**
+   * Geofence settings for this session. 'auto' uses the teacher's live
+   * position, then the schedule location, then the room location.
+   */
+  geofence: {
+    source: { type: String, enum: ['auto', 'teacher', 'schedule', 'room', 'none'], default: 'auto' },
+    radiusMeters: { type: Number, min: 1 },
+  },
   /**
    * Flag indicating if the session is currently active (accepting attendance).
    */
   isActive: { type: Boolean, default: true },
+  /**
+   * Timestamp of when the teacher terminated the session, if before expiry.
+   */
+  sessionEndedAt: { type: Date },
+  /**
+   * Set once absent records have been created for this closed session.
+   */
+  absencesMarkedAt: { type: Date, default: null },
   /**
    * Timestamp of when the session document was created.
    */
@@ -71,11 +101,13 @@ const qrCodeSessionSchema = new mongoose.Schema({
 /**
  * @index {sessionExpiresAt: 1}
  * @description TTL (Time-To-Live) index. This will automatically delete
- * documents from the collection after a buffer period (60s) *only if*
- * the session is marked as `isActive: false`.
+ * documents from the collection after a buffer period (7 days) *only if*
+ * the session is marked as `isActive: false`. The buffer must outlast the
+ * offline sync window, since offline records are re-validated against the session.
+ * Existing deployments need the old 60s index dropped for this to take effect.
  */
 qrCodeSessionSchema.index({ sessionExpiresAt: 1 }, {
-  expireAfterSeconds: 60, // Give 1 minute buffer
+  expireAfterSeconds: 7 * 24 * 60 * 60, // Keep closed sessions for offline sync
   partialFilterExpression: { isActive: false } // Only apply to inactive sessions
 });
 
@@ -89,6 +121,95 @@ qrCodeSessionSchema.index({ teacherId: 1, isActive: 1 });
  * @description Index to potentially query recent token generations.
  */
 qrCodeSessionSchema.index({ tokenGeneratedAt: 1 });
+/**
+ * @index {currentToken: 1}, {previousTokens.token: 1}
+ * @description Indexes for resolving a scanned token back to its session.
+ */
+qrCodeSessionSchema.index({ currentToken: 1 });
+qrCodeSessionSchema.index({ 'previousTokens.token': 1 });
+
+// --- Statics ---
+
+/**
+ * @const {number} MAX_PREVIOUS_TOKENS
+ * @description How many rotated-out tokens are retained per session.
+ */
+const MAX_PREVIOUS_TOKENS = 5;
+
+/**
+ * @static getTokenGraceMs
+ * @description How long a rotated-out token is still accepted, from the
+ * QR_TOKEN_GRACE_SECONDS environment variable (default 30s). This covers the
+ * time between scanning and finishing the face challenges.
+ * @returns {number} The grace window in milliseconds.
+ */
+qrCodeSessionSchema.statics.getTokenGraceMs = function() {
+  return (Number(process.env.QR_TOKEN_GRACE_SECONDS) || 30) * 1000;
+};
+
+/**
+ * @static getTokenRotationMs
+ * @description How often the teacher's screen rotates the token, from the
+ * QR_TOKEN_ROTATION_SECONDS environment variable (default 60s). Bounds the
+ * life of a token that has dropped out of 'previousTokens'.
+ * @returns {number} The rotation interval in milliseconds.
+ */
+qrCodeSessionSchema.statics.getTokenRotationMs = function() {
+  return (Number(process.env.QR_TOKEN_ROTATION_SECONDS) || 60) * 1000;
+};
+
+// --- Methods ---
+
+/**
+ * @method rotateToken
+ * @description Replaces the current token, moving the old one into
+ * 'previousTokens' so it stays valid for the grace window.
+ * @param {string} newToken - The freshly generated token.
+ */
+qrCodeSessionSchema.methods.rotateToken = function(newToken) {
+  const now = new Date();
+  if (this.currentToken) {
+    this.previousTokens.unshift({ token: this.currentToken, rotatedAt: now });
+    this.previousTokens.splice(MAX_PREVIOUS_TOKENS);
+  }
+  this.currentToken = newToken;
+  this.tokenGeneratedAt = now;
+  if (this.qrPayload) this.qrPayload.token = newToken;
+};
+
+/**
+ * @method matchToken
+ * @description Classifies a scanned token against this session.
+ * @param {string} token - The token read from the QR code.
+ * @param {number} [graceMs] - How long a rotated-out token remains acceptable.
+ * Defaults to the configured grace window.
+ * @returns {string} 'current', 'grace', 'stale' (rotated out too long ago) or 'unknown'.
+ */
+qrCodeSessionSchema.methods.matchToken = function(token, graceMs = this.constructor.getTokenGraceMs()) {
+  if (!token) return 'unknown';
+  if (token === this.currentToken) return 'current';
+  const previous = this.previousTokens.find(entry => entry.token === token);
+  if (!previous) return 'unknown';
+  return Date.now() - previous.rotatedAt.getTime() <= graceMs ? 'grace' : 'stale';
+};
+
+/**
+ * @method tokenValidUntil
+ * @description When a token stopped being accepted, for checking offline
+ * captures after the fact: the current token lasts until the session ends, a
+ * rotated-out one until its grace window closes, and one no longer in
+ * 'previousTokens' one rotation interval plus the grace window after issue.
+ * @param {string} token - The token read from the QR code.
+ * @param {Date} issuedAt - When the signed payload carrying the token was issued.
+ * @returns {Date} The last moment the token was acceptable.
+ */
+qrCodeSessionSchema.methods.tokenValidUntil = function(token, issuedAt) {
+  const graceMs = this.constructor.getTokenGraceMs();
+  if (token === this.currentToken) return this.sessionEndedAt || this.sessionExpiresAt;
+  const previous = this.previousTokens.find(entry => entry.token === token);
+  if (previous) return new Date(previous.rotatedAt.getTime() + graceMs);
+  return new Date(issuedAt.getTime() + this.constructor.getTokenRotationMs() + graceMs);
+};
 
 /**
  * @model QRCodeSession
@@ -0,0 +1,58 @@
+/**
+ * @file refreshTokenModel.js
+ * @description Defines the Mongoose schema for a RefreshToken. Refresh tokens
+ * are stored server-side (as SHA-256 hashes) so they can be rotated on every
+ * use and revoked on logout. Tokens descending from one login share a
+ * `familyId`; reuse of an already-rotated token revokes the whole family.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @schema refreshTokenSchema
+ * @description Schema definition for the RefreshToken model.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  /**
+   * Reference to the User the token belongs to.
+   */
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  /**
+   * SHA-256 hash (hex) of the token given to the client.
+   */
+  tokenHash: { type: String, required: true, unique: true },
+  /**
+   * Identifier shared by every token rotated from the same login.
+   */
+  familyId: { type: String, required: true, index: true },
+  /**
+   * Timestamp after which the token can no longer be used.
+   */
+  expiresAt: { type: Date, required: true },
+  /**
+   * Timestamp of rotation, logout or revocation (null while usable).
+   */
+  revokedAt: { type: Date, default: null },
+  /**
+   * Why the token stopped being usable ('rotated', 'logout', 'logout_all',
+   * 'password_change', 'reuse_detected').
+   */
+  revokedReason: { type: String, default: null },
+  /**
+   * Client details recorded at login, for listing sessions.
+   */
+  userAgent: { type: String },
+  ip: { type: String },
+}, { timestamps: true });
+
+/**
+ * @index
+ * @description TTL index removing tokens a day after they expire.
+ */
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+/**
+ * @model RefreshToken
+ * @description Mongoose model compiled from the refreshTokenSchema.
+ */
+export const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
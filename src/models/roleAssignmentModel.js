@@ -0,0 +1,69 @@
+/**
+ * @file roleAssignmentModel.js
+ * @description Defines the Mongoose schema for a RoleAssignment. An
+ * assignment grants a staff user an additional role (e.g., HOD, lab
+ * assistant) on top of their account role, scoped to the whole institution,
+ * a department or a single class.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @schema roleAssignmentSchema
+ * @description Schema definition for the RoleAssignment model.
+ */
+const roleAssignmentSchema = new mongoose.Schema({
+  /**
+   * Reference to the User holding the role.
+   */
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  /**
+   * The assigned role. Its permissions are defined in permissionService.
+   */
+  role: {
+    type: String,
+    enum: ['hod', 'department_coordinator', 'lab_assistant', 'auditor'],
+    required: true
+  },
+  /**
+   * Where the role applies: 'global' (everywhere), 'department' or 'class'.
+   */
+  scope: { type: String, enum: ['global', 'department', 'class'], required: true },
+  /**
+   * The department the role applies to (scope 'department'). Matched
+   * against Class.department.
+   */
+  department: {
+    type: String,
+    trim: true,
+    required: function() { return this.scope === 'department'; }
+  },
+  /**
+   * The class the role applies to (scope 'class').
+   */
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: function() { return this.scope === 'class'; }
+  },
+  /**
+   * Reference to the admin who made the assignment.
+   */
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  /**
+   * Optional note (e.g., "HOD for the 2026-27 academic year").
+   */
+  note: { type: String, default: null },
+}, { timestamps: true });
+
+/**
+ * @index
+ * @description Prevents assigning the same role twice for the same scope.
+ */
+roleAssignmentSchema.index({ userId: 1, role: 1, scope: 1, department: 1, classId: 1 }, { unique: true });
+
+/**
+ * @model RoleAssignment
+ * @description Mongoose model compiled from the roleAssignmentSchema.
+ */
+export const RoleAssignment = mongoose.model('RoleAssignment', roleAssignmentSchema);
@@ -24,6 +24,17 @@ const roomSchema = new mongoose.Schema({
     required: true,
     default: 'classroom'
   },
+  /**
+   * GeoJSON location of the room, used as a geofence centre for attendance.
+   */
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], default: [0, 0] },
+  },
+  /**
+   * Allowed distance (meters) from the room location when marking attendance.
+   */
+  geofenceRadiusMeters: { type: Number, min: 1 },
   /**
    * Whether the room is currently active/usable.
    */
@@ -0,0 +1,84 @@
+/**
+ * @file studentDeviceModel.js
+ * @description Defines the Mongoose schema for a StudentDevice. A device is
+ * bound to a student when they log in from it; attendance submissions must
+ * then be signed with the device's private key, whose public half is stored
+ * here.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @schema studentDeviceSchema
+ * @description Schema definition for the StudentDevice model.
+ */
+const studentDeviceSchema = new mongoose.Schema({
+  /**
+   * Reference to the User (student) the device is bound to.
+   */
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  /**
+   * Stable identifier generated by the app on first launch.
+   */
+  deviceId: { type: String, required: true },
+  /**
+   * PEM-encoded public key (Ed25519 or ECDSA P-256) generated on the device.
+   */
+  publicKey: { type: String, required: true },
+  /**
+   * Optional description sent by the app (e.g., "android", "Pixel 7").
+   */
+  platform: { type: String },
+  /**
+   * Which of the student's device slots (0 to MAX_DEVICES_PER_STUDENT - 1)
+   * the device holds while active. The unique index on it enforces the cap
+   * even when two logins bind at the same moment.
+   */
+  slot: { type: Number },
+  /**
+   * 'active' devices may submit attendance; 'revoked' ones were reset.
+   */
+  status: { type: String, enum: ['active', 'revoked'], default: 'active' },
+  /**
+   * Timestamp of the last login or signed request from this device.
+   */
+  lastSeenAt: { type: Date, default: Date.now },
+  /**
+   * Timestamp and author of the reset that revoked the device.
+   */
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+/**
+ * @index
+ * @description Looks up a student's active devices and prevents binding the
+ * same device twice while it is active.
+ */
+studentDeviceSchema.index(
+  { studentId: 1, deviceId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+/**
+ * @index
+ * @description A device (by ID and by key) can be active for one student
+ * only, so one phone cannot mark attendance for several accounts.
+ */
+studentDeviceSchema.index({ deviceId: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+studentDeviceSchema.index({ publicKey: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+/**
+ * @index
+ * @description Enforces the per-student device cap atomically.
+ */
+studentDeviceSchema.index(
+  { studentId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', slot: { $exists: true } } }
+);
+
+/**
+ * @model StudentDevice
+ * @description Mongoose model compiled from the studentDeviceSchema.
+ */
+export const StudentDevice = mongoose.model('StudentDevice', studentDeviceSchema);
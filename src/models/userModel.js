@@ -24,6 +24,23 @@ const userSchema = new mongoose.Schema({
     required: function() { return this.role === 'student'; }
   },
   faceImageS3Key: { type: String, default: null },
+  /**
+   * The user's enrolled face: its ID in the face collection (externalImageId
+   * is the user ID) and, for providers with a local model, the embedding
+   * vector matched by cosine similarity.
+   */
+  faceEnrollment: {
+    faceId: { type: String },
+    collectionId: { type: String },
+    embedding: { type: [Number], default: undefined, select: false },
+    provider: { type: String },
+    enrolledAt: { type: Date },
+  },
+  /**
+   * Incremented to invalidate every access token issued so far (logout from
+   * all devices, password change). Access tokens carry it as the `tv` claim.
+   */
+  tokenVersion: { type: Number, default: 0 },
 }, {
   timestamps: true,
   strict: true      
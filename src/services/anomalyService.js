@@ -0,0 +1,296 @@
+/**
+ * @file anomalyService.js
+ * @description Anti-proxy anomaly engine. Each rule looks at one Attendance
+ * record in the context of other records (same device, same student, same
+ * session) and raises an AttendanceAnomaly when it matches a suspicious
+ * pattern. Rules and their limits are configured through the environment.
+ */
+
+import mongoose from 'mongoose';
+import { Attendance } from '../models/attendanceModel.js';
+import { AttendanceAnomaly } from '../models/attendanceAnomalyModel.js';
+import { haversineDistance } from './geofenceService.js';
+import { recordAudit } from './auditService.js';
+
+/**
+ * Reads the anomaly settings from the environment.
+ * @returns {object} The active configuration.
+ */
+const getConfig = () => ({
+  // Comma-separated rule names to run (default: all rules)
+  ENABLED_RULES: process.env.ANOMALY_RULES
+    ? process.env.ANOMALY_RULES.split(',').map(rule => rule.trim().toUpperCase()).filter(Boolean)
+    : Object.keys(RULES),
+  // SHARED_DEVICE: look back this far for other students on the same device
+  SHARED_DEVICE_WINDOW_HOURS: Number(process.env.ANOMALY_SHARED_DEVICE_WINDOW_HOURS) || 12,
+  // IMPOSSIBLE_TRAVEL: fastest plausible movement between two submissions
+  MAX_TRAVEL_SPEED_KMH: Number(process.env.ANOMALY_MAX_TRAVEL_SPEED_KMH) || 60,
+  TRAVEL_LOOKBACK_HOURS: Number(process.env.ANOMALY_TRAVEL_LOOKBACK_HOURS) || 6,
+  // Shorter distances are treated as GPS noise
+  TRAVEL_MIN_DISTANCE_METERS: Number(process.env.ANOMALY_TRAVEL_MIN_DISTANCE_METERS) || 500,
+  // CLUSTERED_SUBMISSIONS: other students within this many seconds and meters
+  CLUSTER_SECONDS: Number(process.env.ANOMALY_CLUSTER_SECONDS) || 15,
+  CLUSTER_DISTANCE_METERS: Number(process.env.ANOMALY_CLUSTER_DISTANCE_METERS) || 2,
+  // BORDERLINE_VERIFICATION: similarity this close to its threshold, or liveness below this
+  SIMILARITY_MARGIN: Number(process.env.ANOMALY_SIMILARITY_MARGIN) || 3,
+  MIN_LIVENESS_CONFIDENCE: Number(process.env.ANOMALY_MIN_LIVENESS_CONFIDENCE) || 90,
+});
+
+const hasCoordinates = (record) =>
+  Number.isFinite(record.studentCoordinates?.latitude) && Number.isFinite(record.studentCoordinates?.longitude);
+
+/**
+ * Rule registry. Each rule receives the record and configuration and returns
+ * null, or { severity, relatedAttendanceIds, relatedStudentIds, details }.
+ */
+const RULES = {
+  /**
+   * One device marked attendance for more than one student.
+   */
+  SHARED_DEVICE: async (record, config) => {
+    if (!record.deviceId) return null;
+
+    const windowMs = config.SHARED_DEVICE_WINDOW_HOURS * 60 * 60 * 1000;
+    const others = await Attendance.find({
+      deviceId: record.deviceId,
+      studentId: { $ne: record.studentId },
+      voidedAt: null,
+      timestamp: {
+        $gte: new Date(record.timestamp.getTime() - windowMs),
+        $lte: new Date(record.timestamp.getTime() + windowMs)
+      }
+    }).select('studentId').lean();
+    if (others.length === 0) return null;
+
+    const studentIds = [...new Set(others.map(other => other.studentId.toString()))];
+    return {
+      severity: 'high',
+      relatedAttendanceIds: others.map(other => other._id),
+      relatedStudentIds: studentIds,
+      details: { deviceId: record.deviceId, otherStudents: studentIds.length, windowHours: config.SHARED_DEVICE_WINDOW_HOURS }
+    };
+  },
+
+  /**
+   * The student's previous submission was too far away to have travelled
+   * from in the time between them.
+   */
+  IMPOSSIBLE_TRAVEL: async (record, config) => {
+    if (!hasCoordinates(record)) return null;
+
+    const previous = await Attendance.findOne({
+      _id: { $ne: record._id },
+      studentId: record.studentId,
+      manualEntry: { $ne: true },
+      voidedAt: null,
+      'studentCoordinates.latitude': { $ne: null },
+      timestamp: {
+        $lte: record.timestamp,
+        $gte: new Date(record.timestamp.getTime() - config.TRAVEL_LOOKBACK_HOURS * 60 * 60 * 1000)
+      }
+    }).sort({ timestamp: -1 }).lean();
+    if (!previous || !hasCoordinates(previous)) return null;
+
+    const distanceMeters = haversineDistance(previous.studentCoordinates, record.studentCoordinates);
+    if (distanceMeters < config.TRAVEL_MIN_DISTANCE_METERS) return null;
+
+    // Clamp to one second so simultaneous submissions from two places still register
+    const elapsedHours = Math.max(record.timestamp - previous.timestamp, 1000) / (60 * 60 * 1000);
+    const speedKmh = distanceMeters / 1000 / elapsedHours;
+    if (speedKmh <= config.MAX_TRAVEL_SPEED_KMH) return null;
+
+    return {
+      severity: 'high',
+      relatedAttendanceIds: [previous._id],
+      relatedStudentIds: [],
+      details: {
+        distanceMeters: Math.round(distanceMeters),
+        elapsedMinutes: parseFloat((elapsedHours * 60).toFixed(1)),
+        speedKmh: Math.round(speedKmh),
+        maxSpeedKmh: config.MAX_TRAVEL_SPEED_KMH
+      }
+    };
+  },
+
+  /**
+   * Other students submitted for the same session seconds apart from
+   * (nearly) identical coordinates.
+   */
+  CLUSTERED_SUBMISSIONS: async (record, config) => {
+    if (!record.sessionId || !hasCoordinates(record)) return null;
+
+    const windowMs = config.CLUSTER_SECONDS * 1000;
+    const nearby = await Attendance.find({
+      sessionId: record.sessionId,
+      studentId: { $ne: record.studentId },
+      manualEntry: { $ne: true },
+      voidedAt: null,
+      timestamp: {
+        $gte: new Date(record.timestamp.getTime() - windowMs),
+        $lte: new Date(record.timestamp.getTime() + windowMs)
+      }
+    }).select('studentId studentCoordinates timestamp').lean();
+
+    const clustered = nearby.filter(other => hasCoordinates(other) &&
+      haversineDistance(other.studentCoordinates, record.studentCoordinates) <= config.CLUSTER_DISTANCE_METERS);
+    if (clustered.length === 0) return null;
+
+    return {
+      severity: clustered.length >= 2 ? 'high' : 'medium',
+      relatedAttendanceIds: clustered.map(other => other._id),
+      relatedStudentIds: clustered.map(other => other.studentId),
+      details: {
+        clusterSize: clustered.length + 1,
+        withinSeconds: config.CLUSTER_SECONDS,
+        withinMeters: config.CLUSTER_DISTANCE_METERS
+      }
+    };
+  },
+
+  /**
+   * Face verification passed, but only just.
+   */
+  BORDERLINE_VERIFICATION: async (record, config) => {
+    const reasons = [];
+    if (Number.isFinite(record.faceSimilarity) && Number.isFinite(record.similarityThreshold) &&
+        record.faceSimilarity - record.similarityThreshold < config.SIMILARITY_MARGIN) {
+      reasons.push('LOW_SIMILARITY');
+    }
+    if (Number.isFinite(record.livenessConfidence) && record.livenessConfidence < config.MIN_LIVENESS_CONFIDENCE) {
+      reasons.push('LOW_LIVENESS');
+    }
+    if (reasons.length === 0) return null;
+
+    return {
+      severity: 'low',
+      relatedAttendanceIds: [],
+      relatedStudentIds: [],
+      details: {
+        reasons,
+        faceSimilarity: record.faceSimilarity,
+        similarityThreshold: record.similarityThreshold,
+        livenessConfidence: record.livenessConfidence
+      }
+    };
+  },
+};
+
+/**
+ * Names of every rule the engine knows.
+ */
+export const ANOMALY_RULES = Object.keys(RULES);
+
+/**
+ * Runs the enabled rules over one attendance record and stores what they
+ * find. Re-running refreshes open anomalies without reopening reviewed ones.
+ *
+ * @param {object} attendance - Attendance document or lean object.
+ * @returns {Promise<Array<object>>} The anomalies raised for the record.
+ */
+export const evaluateAttendanceAnomalies = async (attendance) => {
+  if (attendance.manualEntry || attendance.status === 'absent' || attendance.voidedAt) return [];
+
+  const config = getConfig();
+  const record = { ...(attendance.toObject ? attendance.toObject() : attendance), timestamp: new Date(attendance.timestamp) };
+  const anomalies = [];
+
+  for (const rule of config.ENABLED_RULES) {
+    if (!RULES[rule]) continue;
+
+    const finding = await RULES[rule](record, config);
+    if (!finding) continue;
+
+    anomalies.push(await AttendanceAnomaly.findOneAndUpdate(
+      { attendanceId: record._id, rule },
+      {
+        $set: finding,
+        $setOnInsert: {
+          studentId: record.studentId,
+          classId: record.classId,
+          sessionId: record.sessionId,
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ));
+  }
+
+  if (anomalies.length > 0) {
+    console.warn(`🚩 [Anomaly] Attendance ${record._id}: ${anomalies.map(a => a.rule).join(', ')}`);
+  }
+  return anomalies;
+};
+
+/**
+ * Checks a freshly saved record without delaying the response. Errors are
+ * logged, never thrown.
+ *
+ * @param {object} attendance - The saved Attendance document.
+ */
+export const scheduleAnomalyCheck = (attendance) => {
+  setImmediate(() => {
+    evaluateAttendanceAnomalies(attendance).catch(error =>
+      console.error(`Anomaly check failed for attendance ${attendance._id}:`, error)
+    );
+  });
+};
+
+/**
+ * Re-runs the engine over existing records, e.g., after changing a rule.
+ *
+ * @param {object} filter - Attendance query (e.g., a session or date range).
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum records to scan (default 1000).
+ * @returns {Promise<object>} { scanned, flagged }
+ */
+export const scanAttendanceAnomalies = async (filter, { limit = 1000 } = {}) => {
+  const records = await Attendance.find({ ...filter, manualEntry: { $ne: true }, voidedAt: null })
+    .sort({ timestamp: 1 })
+    .limit(limit)
+    .lean();
+
+  let flagged = 0;
+  for (const record of records) {
+    flagged += (await evaluateAttendanceAnomalies(record)).length;
+  }
+  return { scanned: records.length, flagged };
+};
+
+/**
+ * Resolves an open anomaly and records the decision in the AuditLog.
+ *
+ * @param {string} anomalyId - The AttendanceAnomaly ID.
+ * @param {object} reviewer - The reviewing User (req.user).
+ * @param {object} decision
+ * @param {string} decision.resolution - 'confirmed' or 'dismissed'.
+ * @param {string} [decision.note] - Reviewer's note.
+ * @returns {Promise<object>} { success: true, anomaly } or { success: false, reason, message }.
+ */
+export const resolveAnomaly = async (anomalyId, reviewer, { resolution, note }) => {
+  if (!['confirmed', 'dismissed'].includes(resolution)) {
+    return { success: false, reason: 'INVALID_RESOLUTION', message: "Resolution must be 'confirmed' or 'dismissed'." };
+  }
+  if (!mongoose.Types.ObjectId.isValid(anomalyId)) {
+    return { success: false, reason: 'NOT_FOUND', message: 'Anomaly not found.' };
+  }
+
+  const anomaly = await AttendanceAnomaly.findOneAndUpdate(
+    { _id: anomalyId, status: 'open' },
+    { status: resolution, reviewedBy: reviewer._id, reviewedAt: new Date(), reviewNote: note || null },
+    { new: true }
+  );
+  if (!anomaly) {
+    const exists = await AttendanceAnomaly.exists({ _id: anomalyId });
+    return exists
+      ? { success: false, reason: 'ALREADY_RESOLVED', message: 'This anomaly was already resolved.' }
+      : { success: false, reason: 'NOT_FOUND', message: 'Anomaly not found.' };
+  }
+
+  await recordAudit(resolution === 'confirmed' ? 'ANOMALY_CONFIRMED' : 'ANOMALY_DISMISSED', {
+    actorId: reviewer._id,
+    targetType: 'AttendanceAnomaly',
+    targetId: anomaly._id,
+    details: { anomalyId: anomaly._id, attendanceId: anomaly.attendanceId, rule: anomaly.rule, note: anomaly.reviewNote },
+  });
+
+  return { success: true, anomaly };
+};
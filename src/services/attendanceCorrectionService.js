@@ -0,0 +1,303 @@
+/**
+ * @file attendanceCorrectionService.js
+ * @description Attendance correction workflow. A student who attended a
+ * session but could not mark attendance files an AttendanceCorrectionRequest
+ * against the QR session or ScheduleInstance. A teacher of the class (or
+ * anyone holding 'attendance:edit' over it) approves it, which creates a
+ * manual Attendance record linked to the request, or rejects it.
+ */
+
+import mongoose from 'mongoose';
+import { AttendanceCorrectionRequest } from '../models/attendanceCorrectionRequestModel.js';
+import { Attendance } from '../models/attendanceModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { QRCodeSession } from '../models/qrCodeSessionModel.js';
+import { ScheduleInstance } from '../models/recurringScheduleModel.js';
+import { ATTENDED_STATUSES, manualStatusUpdate, resolveScheduledStart } from './attendanceStatusService.js';
+import { applyAttendanceChange } from './attendanceRevisionService.js';
+import { canAccessClass } from './classAccessService.js';
+import { recordAudit } from './auditService.js';
+
+/**
+ * Reads the correction settings from the environment.
+ * @returns {object} The active configuration.
+ */
+const getConfig = () => ({
+  // How many days after a session a correction may still be requested
+  WINDOW_DAYS: Number(process.env.ATTENDANCE_CORRECTION_WINDOW_DAYS) || 7,
+});
+
+/**
+ * Resolves the session a correction is filed against.
+ * @param {object} target - { sessionId } (the QR session's sessionId) or { scheduleId } (a ScheduleInstance).
+ * @returns {Promise<object|null>} { classId, sessionId, scheduleId, sessionDate }, or null if not found.
+ */
+const resolveSession = async ({ sessionId, scheduleId }) => {
+  if (sessionId) {
+    const session = await QRCodeSession.findOne({ sessionId }).select('classId scheduleId createdAt').lean();
+    if (!session) return null;
+    return {
+      classId: session.classId,
+      sessionId: session._id,
+      scheduleId: session.scheduleId || null,
+      sessionDate: session.createdAt,
+    };
+  }
+
+  if (scheduleId && mongoose.Types.ObjectId.isValid(scheduleId)) {
+    const instance = await ScheduleInstance.findById(scheduleId).select('classId scheduledDate startTime attendanceSessionId').lean();
+    if (!instance) return null;
+    return {
+      classId: instance.classId,
+      sessionId: instance.attendanceSessionId || null,
+      scheduleId: instance._id,
+      sessionDate: await resolveScheduledStart(instance._id, instance.scheduledDate) || instance.scheduledDate,
+    };
+  }
+
+  return null;
+};
+
+const RECORD_VOIDED = {
+  success: false,
+  reason: 'RECORD_VOIDED',
+  message: 'The attendance record for this session was voided by a teacher; see its history.',
+};
+
+/**
+ * Finds the student's attendance record for a session, if any.
+ * @param {string} studentId - The student's user ID.
+ * @param {object} session - { sessionId, scheduleId } as stored on the request.
+ * @returns {Promise<object|null>} The Attendance document.
+ */
+const findSessionAttendance = (studentId, { sessionId, scheduleId }) => {
+  if (sessionId) return Attendance.findOne({ studentId, sessionId });
+  return Attendance.findOne({ studentId, scheduleId });
+};
+
+/**
+ * Files a correction request for a session the student attended but could
+ * not mark.
+ *
+ * @param {object} student - The student's User document.
+ * @param {object} input
+ * @param {string} [input.sessionId] - The QR session's sessionId.
+ * @param {string} [input.scheduleId] - The ScheduleInstance ID (when there was no QR session).
+ * @param {string} input.reason - The student's explanation.
+ * @param {string} [input.evidenceKey] - Storage key of a supporting image.
+ * @returns {Promise<object>} { success: true, request } or { success: false, reason, message }.
+ */
+export const fileCorrectionRequest = async (student, { sessionId, scheduleId, reason, evidenceKey }) => {
+  const { WINDOW_DAYS } = getConfig();
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return { success: false, reason: 'REASON_REQUIRED', message: 'Please explain why your attendance should be corrected.' };
+  }
+  if (!sessionId && !scheduleId) {
+    return { success: false, reason: 'SESSION_REQUIRED', message: 'A session ID or schedule ID is required.' };
+  }
+
+  const session = await resolveSession({ sessionId, scheduleId });
+  if (!session) {
+    return { success: false, reason: 'SESSION_NOT_FOUND', message: 'Session not found.' };
+  }
+  if (!(await ClassEnrollment.exists({ studentId: student._id, classId: session.classId }))) {
+    return { success: false, reason: 'NOT_ENROLLED', message: 'You are not enrolled in this class.' };
+  }
+
+  const sessionTime = new Date(session.sessionDate).getTime();
+  if (sessionTime > Date.now()) {
+    return { success: false, reason: 'SESSION_NOT_STARTED', message: 'This session has not taken place yet.' };
+  }
+  if (Date.now() - sessionTime > WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    return {
+      success: false,
+      reason: 'CORRECTION_WINDOW_CLOSED',
+      message: `Corrections must be requested within ${WINDOW_DAYS} days of the session.`,
+    };
+  }
+
+  const existing = await findSessionAttendance(student._id, session);
+  if (existing?.voidedAt) return RECORD_VOIDED;
+  if (existing && ATTENDED_STATUSES.includes(existing.status)) {
+    return { success: false, reason: 'ALREADY_ATTENDED', message: 'Your attendance is already recorded for this session.' };
+  }
+
+  const pending = await AttendanceCorrectionRequest.exists({
+    studentId: student._id,
+    status: 'pending',
+    ...(session.sessionId ? { sessionId: session.sessionId } : { scheduleId: session.scheduleId }),
+  });
+  if (pending) {
+    return { success: false, reason: 'CORRECTION_PENDING', message: 'You already have a correction awaiting review for this session.' };
+  }
+
+  const request = await AttendanceCorrectionRequest.create({
+    studentId: student._id,
+    ...session,
+    reason: reason.trim(),
+    evidenceKey: evidenceKey || null,
+  });
+
+  await recordAudit('ATTENDANCE_CORRECTION_REQUESTED', {
+    actorId: student._id,
+    targetType: 'AttendanceCorrectionRequest',
+    targetId: request._id,
+    after: request,
+  });
+
+  return { success: true, request };
+};
+
+/**
+ * Withdraws a student's own pending request.
+ *
+ * @param {string} requestId - The AttendanceCorrectionRequest ID.
+ * @param {object} student - The student's User document.
+ * @returns {Promise<object>} { success: true, request } or { success: false, reason, message }.
+ */
+export const cancelCorrectionRequest = async (requestId, student) => {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    return { success: false, reason: 'NOT_FOUND', message: 'Correction request not found.' };
+  }
+
+  const request = await AttendanceCorrectionRequest.findOneAndUpdate(
+    { _id: requestId, studentId: student._id, status: 'pending' },
+    { status: 'cancelled' },
+    { new: true }
+  );
+  if (!request) {
+    const exists = await AttendanceCorrectionRequest.exists({ _id: requestId, studentId: student._id });
+    return exists
+      ? { success: false, reason: 'ALREADY_REVIEWED', message: 'Only pending requests can be cancelled.' }
+      : { success: false, reason: 'NOT_FOUND', message: 'Correction request not found.' };
+  }
+
+  await recordAudit('ATTENDANCE_CORRECTION_CANCELLED', {
+    actorId: student._id,
+    targetType: 'AttendanceCorrectionRequest',
+    targetId: request._id,
+  });
+
+  return { success: true, request };
+};
+
+/**
+ * Approves or rejects a pending request. Approval records the student as
+ * present: an absence written when the session closed is overridden,
+ * otherwise a manual Attendance record is created. The decision and the
+ * attendance change are applied in one transaction, so two reviewers cannot
+ * both act and a record that became attended in the meantime is left alone.
+ *
+ * @param {string} requestId - The AttendanceCorrectionRequest ID.
+ * @param {object} reviewer - The reviewing User (req.user).
+ * @param {object} decision
+ * @param {boolean} decision.approve - True to approve, false to reject.
+ * @param {string} [decision.note] - Reviewer's note.
+ * @param {object} [req] - Express request, for the audit trail.
+ * @returns {Promise<object>} { success: true, request, attendance } or { success: false, reason, message }.
+ */
+export const reviewCorrectionRequest = async (requestId, reviewer, { approve, note }, req = null) => {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    return { success: false, reason: 'NOT_FOUND', message: 'Correction request not found.' };
+  }
+
+  const request = await AttendanceCorrectionRequest.findById(requestId);
+  if (!request) {
+    return { success: false, reason: 'NOT_FOUND', message: 'Correction request not found.' };
+  }
+
+  const access = await canAccessClass(reviewer, request.classId, 'attendance:edit', req?.permissionGrants);
+  if (!access.success) {
+    return { success: false, reason: 'FORBIDDEN', message: 'You cannot review corrections for this class.' };
+  }
+
+  const alreadyAttended = { success: false, reason: 'ALREADY_ATTENDED', message: 'Attendance is already recorded for this session.' };
+  const existing = await findSessionAttendance(request.studentId, request);
+  if (approve && existing?.voidedAt) return RECORD_VOIDED;
+  if (approve && existing && ATTENDED_STATUSES.includes(existing.status)) return alreadyAttended;
+
+  const before = existing ? existing.toObject() : null;
+  let decided = null;
+  let attendance = null;
+  let attendanceChanged = false;
+  try {
+    await mongoose.connection.transaction(async (transaction) => {
+      attendanceChanged = false;
+      decided = await AttendanceCorrectionRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        {
+          status: approve ? 'approved' : 'rejected',
+          reviewedBy: reviewer._id,
+          reviewedAt: new Date(),
+          reviewNote: note || null,
+        },
+        { new: true, session: transaction }
+      );
+      if (!decided || !approve) return;
+
+      const update = manualStatusUpdate('present', { notes: `Correction approved: ${decided.reason}` });
+      update.$set.correctionRequestId = decided._id;
+
+      if (existing) {
+        // Only override the record if it is unchanged since it was read and
+        // still does not count as attended (e.g., after an edit or roll call)
+        const revised = await applyAttendanceChange(existing, update, {
+          action: 'correction',
+          reason: update.$set.notes,
+          editedBy: reviewer._id,
+          filter: { status: { $nin: ATTENDED_STATUSES }, voidedAt: null },
+          transaction,
+        });
+        if (!revised) {
+          attendanceChanged = true;
+          throw new Error('Attendance changed during review');
+        }
+        attendance = revised.record;
+      } else {
+        [attendance] = await Attendance.create([{
+          studentId: decided.studentId,
+          classId: decided.classId,
+          sessionId: decided.sessionId,
+          scheduleId: decided.scheduleId,
+          timestamp: decided.sessionDate,
+          ...update.$set,
+        }], { session: transaction });
+      }
+
+      decided.attendanceId = attendance._id;
+      await decided.save({ session: transaction });
+    });
+  } catch (error) {
+    // The claim is rolled back with the attendance write, so the request stays pending.
+    // A duplicate key is a record created for the same QR session in the meantime
+    if (attendanceChanged || error.code === 11000) return alreadyAttended;
+    throw error;
+  }
+  if (!decided) {
+    return { success: false, reason: 'ALREADY_REVIEWED', message: `This request was already ${request.status}.` };
+  }
+
+  if (attendance) {
+    await recordAudit('ATTENDANCE_MANUAL_ENTRY', {
+      actorId: reviewer._id,
+      targetType: 'Attendance',
+      targetId: attendance._id,
+      before,
+      after: attendance,
+      details: { correctionRequestId: decided._id },
+      req,
+    });
+  }
+
+  await recordAudit(approve ? 'ATTENDANCE_CORRECTION_APPROVED' : 'ATTENDANCE_CORRECTION_REJECTED', {
+    actorId: reviewer._id,
+    targetType: 'AttendanceCorrectionRequest',
+    targetId: decided._id,
+    details: { studentId: decided.studentId, attendanceId: decided.attendanceId, note: decided.reviewNote },
+    req,
+  });
+
+  console.log(`📝 [Correction] Request ${decided._id} ${decided.status} by ${reviewer._id}`);
+  return { success: true, request: decided, attendance };
+};
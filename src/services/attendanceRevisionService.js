@@ -0,0 +1,278 @@
+/**
+ * @file attendanceRevisionService.js
+ * @description Teacher and admin edits to recorded attendance. A record's
+ * status can be changed, or the record voided (kept, but no longer counted,
+ * so the session counts as missed), always with a reason. Each change bumps
+ * the record's syncVersion and writes an immutable AttendanceRevision in the
+ * same transaction (which needs a replica set, as on Atlas), so the history
+ * can be shown to the student and to auditors. Voids are final. Other
+ * workflows that change a recorded session use applyAttendanceChange, so
+ * their changes are versioned and recorded the same way.
+ *
+ * Passing the syncVersion the client last saw guards against overwriting a
+ * change made in the meantime (e.g., by a co-teacher or a roll call).
+ */
+
+import mongoose from 'mongoose';
+import { Attendance } from '../models/attendanceModel.js';
+import { AttendanceRevision } from '../models/attendanceRevisionModel.js';
+import { ScheduleInstance } from '../models/recurringScheduleModel.js';
+import { ATTENDANCE_STATUSES, ATTENDED_FILTER, manualStatusUpdate } from './attendanceStatusService.js';
+import { canAccessClass } from './classAccessService.js';
+import { recordAudit } from './auditService.js';
+
+const NOT_FOUND = { success: false, reason: 'NOT_FOUND', message: 'Attendance record not found.' };
+const VERSION_CONFLICT = {
+  success: false,
+  reason: 'VERSION_CONFLICT',
+  message: 'This record was changed by someone else. Reload it and try again.',
+};
+
+/**
+ * Matches a record still at the given syncVersion. Records written before
+ * syncVersion existed have no stored value and count as version 1.
+ * @param {number} version - The version read.
+ * @returns {object} Query condition on syncVersion.
+ */
+const atVersion = (version) => (version === 1 ? { $in: [1, null] } : version);
+
+/**
+ * Loads a record for a change and checks the actor may edit its class and
+ * that the client saw its current version.
+ * @returns {Promise<object>} { success: true, record } or { success: false, reason, message }.
+ */
+const loadForChange = async (actor, attendanceId, { reason, version }, req) => {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return { success: false, reason: 'REASON_REQUIRED', message: 'A reason for the change is required.' };
+  }
+  if (!mongoose.Types.ObjectId.isValid(attendanceId)) return NOT_FOUND;
+
+  const record = await Attendance.findById(attendanceId);
+  if (!record) return NOT_FOUND;
+
+  const access = await canAccessClass(actor, record.classId, 'attendance:edit', req?.permissionGrants);
+  if (!access.success) return access;
+
+  if (record.voidedAt) {
+    return { success: false, reason: 'ALREADY_VOIDED', message: 'This record was voided and can no longer be changed.' };
+  }
+
+  if (version !== undefined && version !== null && Number(version) !== record.syncVersion) {
+    return VERSION_CONFLICT;
+  }
+  return { success: true, record };
+};
+
+/**
+ * Recounts attendance on the ScheduleInstance a record belongs to, if that
+ * session's attendance has been counted.
+ * @param {object} record - The Attendance record (before the change).
+ * @param {object} transaction - The MongoDB session.
+ */
+const refreshScheduleCount = async (record, transaction) => {
+  if (!record.scheduleId) return;
+  const instance = await ScheduleInstance.findOne({ _id: record.scheduleId, attendanceMarked: true })
+    .select('attendanceSessionId')
+    .session(transaction)
+    .lean();
+  if (!instance) return;
+
+  const attendedCount = await Attendance.countDocuments({
+    classId: record.classId,
+    $or: [
+      { scheduleId: instance._id },
+      ...(instance.attendanceSessionId ? [{ sessionId: instance.attendanceSessionId }] : []),
+    ],
+    ...ATTENDED_FILTER,
+  }).session(transaction);
+  await ScheduleInstance.updateOne({ _id: instance._id }, { attendanceCount: attendedCount }, { session: transaction });
+};
+
+/**
+ * Lists the fields an update changes on a record.
+ * @param {object} before - The record as a plain object.
+ * @param {object} update - MongoDB update ({ $set } and optional `$unset`).
+ * @returns {object} Changed fields as { field: { from, to } }.
+ */
+const diffFields = (before, { $set = {}, $unset = {} }) => {
+  const changes = {};
+  for (const [field, to] of Object.entries($set)) {
+    const from = before[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  for (const field of Object.keys($unset)) {
+    if (before[field] != null) changes[field] = { from: before[field], to: null };
+  }
+  return changes;
+};
+
+/**
+ * Applies a change to an existing record and writes its AttendanceRevision.
+ * Every workflow that changes a recorded session (teacher edits and voids,
+ * offline sync, roll call, leave, manual entry, correction review) goes
+ * through here, so each change bumps syncVersion and shows in the history.
+ *
+ * @param {object} record - The Attendance document as read.
+ * @param {object} update - MongoDB update ({ $set } and optional `$unset`).
+ * @param {object} options
+ * @param {string} options.action - The revision action (see AttendanceRevision).
+ * @param {string} options.reason - Why the record changed.
+ * @param {string} options.editedBy - The User who made the change.
+ * @param {object} [options.filter] - Conditions the record must still meet, on top of its version.
+ * @param {object} [options.transaction] - MongoDB session to write in; a new transaction is used otherwise.
+ * @returns {Promise<object|null>} { record, revision }, or null if the record changed since it was read.
+ */
+export const applyAttendanceChange = async (record, update, { action, reason, editedBy, filter = {}, transaction = null }) => {
+  const before = record.toObject();
+  const changes = diffFields(before, update);
+
+  const apply = async (session) => {
+    const updated = await Attendance.findOneAndUpdate(
+      { _id: record._id, syncVersion: atVersion(record.syncVersion), ...filter },
+      { ...update, $inc: { syncVersion: 1 } },
+      { new: true, session }
+    );
+    if (!updated) return null;
+
+    const [revision] = await AttendanceRevision.create([{
+      attendanceId: record._id,
+      studentId: record.studentId,
+      classId: record.classId,
+      version: updated.syncVersion,
+      action,
+      changes,
+      snapshot: before,
+      reason,
+      editedBy,
+    }], { session });
+
+    if ('status' in changes || 'voidedAt' in changes) await refreshScheduleCount(before, session);
+    return { record: updated, revision };
+  };
+
+  if (transaction) return apply(transaction);
+  let result = null;
+  await mongoose.connection.transaction(async (session) => {
+    result = await apply(session);
+  });
+  return result;
+};
+
+/**
+ * Changes a record's status (and optionally its notes).
+ *
+ * @param {object} actor - The acting User (req.user).
+ * @param {string} attendanceId - The Attendance ID.
+ * @param {object} input
+ * @param {string} input.status - One of ATTENDANCE_STATUSES.
+ * @param {string} [input.notes] - Replacement notes.
+ * @param {string} input.reason - Why the record is changed.
+ * @param {number} [input.version] - The syncVersion the client last saw.
+ * @param {object} [req] - Express request, for permission grants and the audit trail.
+ * @returns {Promise<object>} { success: true, record, revision } or { success: false, reason, message }.
+ */
+export const editAttendance = async (actor, attendanceId, { status, notes, reason, version }, req = null) => {
+  if (!ATTENDANCE_STATUSES.includes(status)) {
+    return { success: false, reason: 'INVALID_STATUS', message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}.` };
+  }
+
+  const loaded = await loadForChange(actor, attendanceId, { reason, version }, req);
+  if (!loaded.success) return loaded;
+  const { record } = loaded;
+
+  const newNotes = typeof notes === 'string' ? notes : undefined;
+  if ((record.status || 'present') === status && (newNotes === undefined || newNotes === record.notes)) {
+    return { success: false, reason: 'NO_CHANGE', message: 'The record already has these values.' };
+  }
+
+  const before = record.toObject();
+  const result = await applyAttendanceChange(record, manualStatusUpdate(status, { notes: newNotes }), {
+    action: 'edit',
+    reason: reason.trim(),
+    editedBy: actor._id,
+    filter: { voidedAt: null },
+  });
+  if (!result) return VERSION_CONFLICT;
+  const { record: updated, revision } = result;
+
+  await recordAudit('ATTENDANCE_EDITED', {
+    actorId: actor._id,
+    targetType: 'Attendance',
+    targetId: record._id,
+    before,
+    after: updated,
+    details: { studentId: record.studentId, classId: record.classId, version: updated.syncVersion, reason: revision.reason },
+    req,
+  });
+
+  console.log(`✏️ [Attendance] Record ${record._id} edited to v${updated.syncVersion} by ${actor._id}`);
+  return { success: true, record: updated, revision };
+};
+
+/**
+ * Voids a record: it is kept, marked voided, and no longer counts.
+ *
+ * @param {object} actor - The acting User (req.user).
+ * @param {string} attendanceId - The Attendance ID.
+ * @param {object} input
+ * @param {string} input.reason - Why the record is voided.
+ * @param {number} [input.version] - The syncVersion the client last saw.
+ * @param {object} [req] - Express request, for permission grants and the audit trail.
+ * @returns {Promise<object>} { success: true, record, revision } or { success: false, reason, message }.
+ */
+export const voidAttendance = async (actor, attendanceId, { reason, version }, req = null) => {
+  const loaded = await loadForChange(actor, attendanceId, { reason, version }, req);
+  if (!loaded.success) return loaded;
+  const { record } = loaded;
+
+  const before = record.toObject();
+  const result = await applyAttendanceChange(record, { $set: { voidedAt: new Date(), voidedBy: actor._id } }, {
+    action: 'void',
+    reason: reason.trim(),
+    editedBy: actor._id,
+    filter: { voidedAt: null },
+  });
+  if (!result) return VERSION_CONFLICT;
+  const { record: voided, revision } = result;
+
+  await recordAudit('ATTENDANCE_VOIDED', {
+    actorId: actor._id,
+    targetType: 'Attendance',
+    targetId: record._id,
+    before,
+    after: voided,
+    details: { studentId: record.studentId, classId: record.classId, version: voided.syncVersion, reason: revision.reason },
+    req,
+  });
+
+  console.log(`🗑️ [Attendance] Record ${record._id} voided by ${actor._id}`);
+  return { success: true, record: voided, revision };
+};
+
+/**
+ * Returns a record's revision history, oldest first, along with the record
+ * itself.
+ *
+ * @param {object} actor - The acting User (req.user).
+ * @param {string} attendanceId - The Attendance ID.
+ * @param {object} [req] - Express request, for permission grants.
+ * @returns {Promise<object>} { success: true, record, revisions } or { success: false, reason, message }.
+ */
+export const getRevisionHistory = async (actor, attendanceId, req = null) => {
+  if (!mongoose.Types.ObjectId.isValid(attendanceId)) return NOT_FOUND;
+
+  const [record, revisions] = await Promise.all([
+    Attendance.findById(attendanceId).lean(),
+    AttendanceRevision.find({ attendanceId })
+      .populate('editedBy', 'fullName role')
+      .sort({ version: 1, createdAt: 1 })
+      .lean(),
+  ]);
+  const classId = record?.classId || revisions[0]?.classId;
+  if (!classId) return NOT_FOUND;
+
+  const access = await canAccessClass(actor, classId, 'attendance:view', req?.permissionGrants);
+  if (!access.success) return access;
+
+  return { success: true, record, revisions };
+};
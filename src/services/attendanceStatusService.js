@@ -0,0 +1,308 @@
+/**
+ * @file attendanceStatusService.js
+ * @description Shared rules for the Attendance `status` field: deciding
+ * present vs late from the scheduled start time, materializing absent (or,
+ * for students on approved leave, excused) records when a QR session closes,
+ * and the summary arithmetic used by student, teacher and admin views.
+ */
+
+import { Attendance } from '../models/attendanceModel.js';
+import { QRCodeSession } from '../models/qrCodeSessionModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { Schedule } from '../models/scheduleModel.js';
+import { ScheduleInstance } from '../models/recurringScheduleModel.js';
+import { LeaveApplication } from '../models/leaveApplicationModel.js';
+
+/**
+ * @const {Array<string>} ATTENDANCE_STATUSES
+ * @description Every value the Attendance `status` field can take.
+ */
+export const ATTENDANCE_STATUSES = ['present', 'late', 'excused', 'absent'];
+
+/**
+ * @const {Array<string>} ATTENDED_STATUSES
+ * @description Statuses that count as having attended a session.
+ */
+export const ATTENDED_STATUSES = ['present', 'late'];
+
+/**
+ * @const {object} ATTENDED_FILTER
+ * @description Query fragment matching attended records. Written as a
+ * negation so records saved before `status` existed (all presences) match.
+ * Voided records never count.
+ */
+export const ATTENDED_FILTER = { status: { $nin: ['excused', 'absent'] }, voidedAt: null };
+
+/**
+ * @const {object} SYSTEM_ABSENCE_FILTER
+ * @description Query fragment matching absences written by
+ * materializeAbsences that nobody has changed since, which a verified late
+ * submission (e.g., an offline sync) may replace.
+ */
+export const SYSTEM_ABSENCE_FILTER = { status: 'absent', manualEntry: { $ne: true }, syncVersion: { $in: [1, null] }, voidedAt: null };
+
+/**
+ * Builds the update that sets a record's status by hand (roll call,
+ * correction review, teacher edit) so the other fields follow the status:
+ * the record becomes a manual entry that counts as verified only when
+ * attended, `lateByMinutes` stays only on late records and the leave link
+ * only on excused ones.
+ *
+ * @param {string} status - One of ATTENDANCE_STATUSES.
+ * @param {object} [options]
+ * @param {string} [options.notes] - Replacement notes.
+ * @param {string} [options.leaveId] - The approved leave excusing the session.
+ * @returns {object} A MongoDB update ({ $set } plus `$unset` of the leave link).
+ */
+export const manualStatusUpdate = (status, { notes, leaveId } = {}) => {
+  const $set = {
+    status,
+    verificationMethod: 'manual',
+    manualEntry: true,
+    livenessPassed: ATTENDED_STATUSES.includes(status),
+  };
+  if (status !== 'late') $set.lateByMinutes = 0;
+  if (notes !== undefined) $set.notes = notes;
+  if (leaveId) $set.leaveId = leaveId;
+  return status === 'excused' ? { $set } : { $set, $unset: { leaveId: 1 } };
+};
+
+// Closed sessions older than this are left alone by the sweep
+const SWEEP_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Minutes after the scheduled start before an arrival counts as late,
+ * from LATE_THRESHOLD_MINUTES (default 10).
+ * @returns {number} The threshold in minutes.
+ */
+const getLateThresholdMinutes = () => {
+  const value = Number(process.env.LATE_THRESHOLD_MINUTES);
+  return Number.isFinite(value) && value >= 0 ? value : 10;
+};
+
+/**
+ * Combines a date with an "HH:MM" time in server local time.
+ * @param {Date} date - The day.
+ * @param {string} time - Time in "HH:MM" format.
+ * @returns {Date|null} The combined date, or null if the time is malformed.
+ */
+const atTime = (date, time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+  const result = new Date(date);
+  result.setHours(Number(match[1]), Number(match[2]), 0, 0);
+  return result;
+};
+
+/**
+ * Resolves the scheduled start of the session an attendance belongs to.
+ * `scheduleId` may reference a ScheduleInstance (which has its own date) or a
+ * weekly Schedule (whose start time is applied to the attendance day).
+ *
+ * @param {string} scheduleId - ScheduleInstance or Schedule ID.
+ * @param {Date} referenceDate - The attendance timestamp.
+ * @returns {Promise<Date|null>} The scheduled start, or null if unknown.
+ */
+export const resolveScheduledStart = async (scheduleId, referenceDate) => {
+  if (!scheduleId) return null;
+
+  const instance = await ScheduleInstance.findById(scheduleId).select('scheduledDate startTime').lean();
+  if (instance) return atTime(instance.scheduledDate, instance.startTime);
+
+  const schedule = await Schedule.findById(scheduleId).select('startTime').lean();
+  if (schedule) return atTime(referenceDate, schedule.startTime);
+
+  return null;
+};
+
+/**
+ * Decides whether an arrival is 'present' or 'late'.
+ * Without a linked schedule there is no start time, so the arrival is 'present'.
+ *
+ * @param {string} scheduleId - ScheduleInstance or Schedule ID (may be null).
+ * @param {Date} [timestamp] - When the student was verified (defaults to now).
+ * @returns {Promise<object>} { status, lateByMinutes }
+ */
+export const determineArrivalStatus = async (scheduleId, timestamp = new Date()) => {
+  const start = await resolveScheduledStart(scheduleId, timestamp);
+  if (!start) return { status: 'present', lateByMinutes: 0 };
+
+  const minutesAfterStart = Math.floor((new Date(timestamp) - start) / 60000);
+  if (minutesAfterStart > getLateThresholdMinutes()) {
+    return { status: 'late', lateByMinutes: minutesAfterStart };
+  }
+  return { status: 'present', lateByMinutes: 0 };
+};
+
+/**
+ * Loads the approved leave of some students that overlaps a period.
+ * @param {Array} studentIds - Student user IDs.
+ * @param {Date} from - Start of the period.
+ * @param {Date} to - End of the period.
+ * @returns {Promise<Array<object>>} LeaveApplications (studentId, startDate, endDate).
+ */
+export const findApprovedLeave = async (studentIds, from, to) =>
+  LeaveApplication.find({
+    studentId: { $in: studentIds },
+    status: 'approved',
+    startDate: { $lte: to },
+    endDate: { $gte: from },
+  }).select('studentId startDate endDate classIds').lean();
+
+/**
+ * Picks the leave that covers a student in a class at a moment.
+ * @param {Array<object>} leaves - From findApprovedLeave.
+ * @param {string} studentId - The student's user ID.
+ * @param {Date} date - The moment (e.g., a session's start).
+ * @param {string} classId - The session's class.
+ * @returns {object|null} The covering LeaveApplication, or null.
+ */
+export const findCoveringLeave = (leaves, studentId, date, classId) =>
+  leaves.find(leave =>
+    leave.studentId.toString() === studentId.toString() &&
+    leave.startDate <= date && leave.endDate >= date &&
+    (!leave.classIds || leave.classIds.some(id => id.toString() === classId.toString()))
+  ) || null;
+
+/**
+ * Creates explicit 'absent' records for every enrolled student without an
+ * attendance record for a closed session ('excused' for students on
+ * approved leave), and stamps the linked
+ * ScheduleInstance with the final count. Safe to call more than once: the
+ * session is claimed atomically so only the first call does the work.
+ *
+ * @param {object} qrSession - The QRCodeSession document that has closed.
+ * @returns {Promise<number>} Number of absent records created.
+ */
+export const materializeAbsences = async (qrSession) => {
+  const claimed = await QRCodeSession.findOneAndUpdate(
+    { _id: qrSession._id, absencesMarkedAt: null },
+    { absencesMarkedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return 0;
+
+  const closedAt = claimed.sessionEndedAt && claimed.sessionEndedAt < claimed.sessionExpiresAt
+    ? claimed.sessionEndedAt
+    : claimed.sessionExpiresAt;
+
+  const [enrollments, recordedStudentIds] = await Promise.all([
+    ClassEnrollment.find({ classId: claimed.classId }).select('studentId').lean(),
+    Attendance.distinct('studentId', { sessionId: claimed._id }),
+  ]);
+
+  const recorded = new Set(recordedStudentIds.map(id => id.toString()));
+  const absentees = enrollments
+    .map(enrollment => enrollment.studentId)
+    .filter(studentId => studentId && !recorded.has(studentId.toString()));
+
+  let records = [];
+  if (absentees.length > 0) {
+    const leaves = await findApprovedLeave(absentees, claimed.createdAt, closedAt);
+    records = absentees.map(studentId => {
+      const leave = findCoveringLeave(leaves, studentId, claimed.createdAt, claimed.classId);
+      return {
+        studentId,
+        classId: claimed.classId,
+        sessionId: claimed._id,
+        scheduleId: claimed.scheduleId,
+        status: leave ? 'excused' : 'absent',
+        leaveId: leave?._id,
+        livenessPassed: false,
+        timestamp: closedAt,
+        notes: leave ? 'Excused by approved leave' : 'Marked absent when the session closed',
+      };
+    });
+    try {
+      await Attendance.insertMany(records, { ordered: false });
+    } catch (error) {
+      // A submission that arrived as the session closed already has its
+      // record; everyone else's absence is still inserted
+      const writeErrors = [].concat(error.writeErrors ?? error);
+      if (!writeErrors.every(writeError => writeError.code === 11000)) throw error;
+      const duplicates = new Set(writeErrors.map(writeError => writeError.index));
+      records = records.filter((record, index) => !duplicates.has(index));
+    }
+  }
+  const excusedCount = records.filter(record => record.status === 'excused').length;
+
+  if (claimed.scheduleId) {
+    const attendedCount = await Attendance.countDocuments({
+      sessionId: claimed._id,
+      ...ATTENDED_FILTER,
+    });
+    await ScheduleInstance.updateOne(
+      { _id: claimed.scheduleId },
+      { attendanceSessionId: claimed._id, attendanceMarked: true, attendanceCount: attendedCount }
+    );
+  }
+
+  console.log(`📝 [Attendance] Session ${claimed.sessionId} closed: ${records.length - excusedCount} marked absent, ${excusedCount} excused`);
+  return records.length - excusedCount;
+};
+
+/**
+ * Closes sessions that ran past their expiry without being terminated and
+ * materializes their absences. Intended to run periodically.
+ * @returns {Promise<number>} Number of sessions closed.
+ */
+export const closeExpiredSessions = async () => {
+  const now = new Date();
+  const expired = await QRCodeSession.find({
+    sessionExpiresAt: { $lte: now, $gte: new Date(now.getTime() - SWEEP_LOOKBACK_MS) },
+    absencesMarkedAt: null,
+  }).limit(100);
+
+  for (const session of expired) {
+    if (session.isActive) {
+      session.isActive = false;
+      session.sessionEndedAt = session.sessionExpiresAt;
+      await session.save();
+    }
+    await materializeAbsences(session);
+  }
+  return expired.length;
+};
+
+/**
+ * Turns per-status counts into the summary shape shared across the API.
+ * Excused sessions are taken out of the denominator; held sessions without
+ * any record for the student count as missed.
+ *
+ * @param {object} counts - Counts keyed by status (missing keys mean 0).
+ * @param {number} totalHeldSessions - Sessions held for the class(es).
+ * @returns {object} Summary with totals and percentage.
+ */
+export const summarizeStatusCounts = (counts, totalHeldSessions) => {
+  const present = counts.present || 0;
+  const late = counts.late || 0;
+  const excused = counts.excused || 0;
+  const attended = present + late;
+  const countable = Math.max(totalHeldSessions - excused, 0);
+  const percentage = countable === 0 ? 100 : (attended / countable) * 100;
+
+  return {
+    totalHeldSessions,
+    totalAttendedSessions: attended,
+    totalPresentSessions: present,
+    totalLateSessions: late,
+    totalExcusedSessions: excused,
+    totalMissedSessions: Math.max(countable - attended, 0),
+    percentage: parseFloat(Math.min(percentage, 100).toFixed(2)),
+  };
+};
+
+/**
+ * Counts a query's attendance records grouped by status, leaving out voided
+ * records.
+ * @param {object} match - Attendance filter (ObjectIds must already be cast).
+ * @returns {Promise<object>} Counts keyed by status.
+ */
+export const countByStatus = async (match) => {
+  const rows = await Attendance.aggregate([
+    { $match: { ...match, voidedAt: null } },
+    // Records saved before `status` existed were all presences
+    { $group: { _id: { $ifNull: ['$status', 'present'] }, count: { $sum: 1 } } },
+  ]);
+  return rows.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {});
+};
@@ -0,0 +1,120 @@
+/**
+ * @file auditService.js
+ * @description Writes and queries the audit trail. Every audited action goes
+ * through recordAudit, which records the actor, the target document, a
+ * field-level before/after diff and the client's IP address.
+ *
+ * Recording never throws: a failed audit write is logged and the action it
+ * describes still completes.
+ */
+
+import mongoose from 'mongoose';
+import { AuditLog } from '../models/auditLogModel.js';
+
+// Never copied into the audit trail
+const REDACTED_FIELDS = ['password', 'faceEnrollment', 'tokenHash', 'publicKey', '__v'];
+
+/**
+ * Converts a document (Mongoose or plain) into a plain object without
+ * redacted fields.
+ * @param {object|null} doc - The document.
+ * @returns {object} A plain object ({} for null).
+ */
+const toPlain = (doc) => {
+  if (!doc) return {};
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+  for (const field of REDACTED_FIELDS) delete plain[field];
+  return plain;
+};
+
+/**
+ * Computes a field-level diff between two versions of a document.
+ * @param {object|null} before - The document before the action (null for creations).
+ * @param {object|null} after - The document after the action (null for deletions).
+ * @returns {object|undefined} { field: { from, to } }, or undefined if nothing changed.
+ */
+const diffDocuments = (before, after) => {
+  if (!before && !after) return undefined;
+
+  const from = toPlain(before);
+  const to = toPlain(after);
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (field === 'createdAt' || field === 'updatedAt') continue;
+    if (JSON.stringify(from[field]) === JSON.stringify(to[field])) continue;
+
+    changes[field] = {};
+    if (before) changes[field].from = from[field] ?? null;
+    if (after) changes[field].to = to[field] ?? null;
+  }
+  return Object.keys(changes).length > 0 ? changes : undefined;
+};
+
+/**
+ * Records an audited action.
+ *
+ * @param {string} action - e.g., 'ATTENDANCE_MANUAL_ENTRY'.
+ * @param {object} entry
+ * @param {string} [entry.actorId] - The acting user's ID (null if unknown).
+ * @param {string} [entry.targetType] - e.g., 'Attendance'.
+ * @param {string} [entry.targetId] - The target document's ID.
+ * @param {object} [entry.before] - The target before the action.
+ * @param {object} [entry.after] - The target after the action.
+ * @param {object} [entry.details] - Anything else worth keeping.
+ * @param {object} [entry.req] - Express request, for IP address and User-Agent.
+ * @param {string} [entry.ip] - IP address when no request is at hand.
+ * @returns {Promise<object|null>} The AuditLog entry, or null if it could not be written.
+ */
+export const recordAudit = async (action, { actorId = null, targetType = null, targetId = null, before = null, after = null, details, req, ip = null } = {}) => {
+  try {
+    return await AuditLog.create({
+      userId: actorId,
+      action,
+      targetType,
+      targetId,
+      changes: diffDocuments(before, after),
+      details,
+      ip: req?.ip || ip,
+      userAgent: req?.get?.('User-Agent') || null,
+    });
+  } catch (error) {
+    console.error(`Could not record audit entry ${action}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Builds an AuditLog query from request query parameters.
+ *
+ * @param {object} params - { actor, action, targetType, targetId, startDate, endDate }.
+ *   `action` may be a comma-separated list.
+ * @returns {object} { success: true, query } or { success: false, message }.
+ */
+export const buildAuditQuery = ({ actor, action, targetType, targetId, startDate, endDate }) => {
+  const query = {};
+
+  if (actor) {
+    if (!mongoose.Types.ObjectId.isValid(actor)) return { success: false, message: 'Invalid actor ID' };
+    query.userId = actor;
+  }
+  if (action) {
+    const actions = String(action).split(',').map(name => name.trim().toUpperCase()).filter(Boolean);
+    query.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+  if (targetType) query.targetType = targetType;
+  if (targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) return { success: false, message: 'Invalid target ID' };
+    query.targetId = targetId;
+  }
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+    if (Object.values(query.createdAt).some(date => isNaN(date))) {
+      return { success: false, message: 'Invalid date range' };
+    }
+  }
+
+  return { success: true, query };
+};
@@ -0,0 +1,107 @@
+/**
+ * @file classAccessService.js
+ * @description Decides which classes a user may act on. A class is covered
+ * by a permission grant (see permissionService) when the grant is global,
+ * names the class, names the class's department, or, for teachers, when the
+ * user teaches the class: as its primary teacher (Class.teacherId) or
+ * through a ClassTeacher assignment.
+ */
+
+import mongoose from 'mongoose';
+import { Class } from '../models/classModel.js';
+import { ClassTeacher } from '../models/classTeacherModel.js';
+import { getUserGrants, grantsWithPermission } from './permissionService.js';
+
+/**
+ * Lists the IDs of the classes a user teaches, as primary teacher or
+ * through a ClassTeacher assignment.
+ * @param {string} userId - The teacher's user ID.
+ * @returns {Promise<Array>} Class IDs.
+ */
+export const getTaughtClassIds = async (userId) => {
+  const [primary, assigned] = await Promise.all([
+    Class.find({ teacherId: userId }).distinct('_id'),
+    ClassTeacher.find({ teacherId: userId }).distinct('classId'),
+  ]);
+
+  const unique = new Map([...primary, ...assigned].map(id => [id.toString(), id]));
+  return [...unique.values()];
+};
+
+/**
+ * Checks whether a user teaches a class.
+ * @param {string} userId - The user's ID.
+ * @param {object} classData - The Class (needs _id and teacherId).
+ * @returns {Promise<boolean>} True for the primary teacher and assigned co-teachers.
+ */
+const teachesClass = async (userId, classData) =>
+  classData.teacherId?.toString() === userId.toString() ||
+  Boolean(await ClassTeacher.exists({ classId: classData._id, teacherId: userId }));
+
+/**
+ * Checks whether a user may act on a class and loads it.
+ *
+ * @param {object} user - The acting User (req.user).
+ * @param {string} classId - The class ID.
+ * @param {string} permission - The permission needed, e.g., 'attendance:take'.
+ * @param {Array<object>} [grants] - Grants already loaded for the user.
+ * @returns {Promise<object>} { success: true, classData } or { success: false, reason, message }.
+ */
+export const canAccessClass = async (user, classId, permission, grants = null) => {
+  if (!mongoose.Types.ObjectId.isValid(classId)) {
+    return { success: false, reason: 'INVALID_CLASS_ID', message: 'Invalid class ID' };
+  }
+
+  const classData = await Class.findById(classId);
+  if (!classData) {
+    return { success: false, reason: 'CLASS_NOT_FOUND', message: 'Class not found' };
+  }
+
+  const held = grantsWithPermission(grants || await getUserGrants(user), permission);
+  for (const grant of held) {
+    let covered = false;
+    switch (grant.scope) {
+      case 'global':
+        covered = true;
+        break;
+      case 'department':
+        covered = Boolean(classData.department) && grant.department === classData.department;
+        break;
+      case 'class':
+        covered = grant.classId?.toString() === classData._id.toString();
+        break;
+      case 'own_classes':
+        covered = await teachesClass(user._id, classData);
+        break;
+    }
+    if (covered) return { success: true, classData };
+  }
+
+  return { success: false, reason: 'CLASS_ACCESS_DENIED', message: 'You do not have access to this class' };
+};
+
+/**
+ * Lists the classes a user may act on with a permission.
+ *
+ * @param {object} user - The acting User (req.user).
+ * @param {string} permission - The permission needed, e.g., 'reports:view'.
+ * @param {Array<object>} [grants] - Grants already loaded for the user.
+ * @returns {Promise<Array|null>} Class IDs, or null for no restriction (global grants).
+ */
+export const getAccessibleClassIds = async (user, permission, grants = null) => {
+  const held = grantsWithPermission(grants || await getUserGrants(user), permission);
+  if (held.some(grant => grant.scope === 'global')) return null;
+
+  const departments = held.filter(grant => grant.scope === 'department').map(grant => grant.department);
+  const classIds = held.filter(grant => grant.scope === 'class').map(grant => grant.classId);
+
+  if (held.some(grant => grant.scope === 'own_classes')) {
+    classIds.push(...await getTaughtClassIds(user._id));
+  }
+  if (departments.length > 0) {
+    classIds.push(...await Class.find({ department: { $in: departments } }).distinct('_id'));
+  }
+
+  const unique = new Map(classIds.map(id => [id.toString(), id]));
+  return [...unique.values()];
+};
@@ -0,0 +1,232 @@
+/**
+ * @file deviceBindingService.js
+ * @description Binds student accounts to the devices they log in from and
+ * verifies that attendance submissions are signed by a bound device.
+ *
+ * The app generates a key pair (Ed25519 or ECDSA P-256) on first launch and
+ * sends the PEM public key with its deviceId at login. Each attendance
+ * request then carries:
+ *
+ *   X-Device-Id:        the bound deviceId
+ *   X-Device-Timestamp: milliseconds since the epoch when the request was signed
+ *   X-Device-Signature: base64 signature over
+ *                       "<timestamp>\n<METHOD>\n<path>\n<sha256 hex of the raw body>"
+ *
+ * Sharing a password therefore no longer lets a friend mark attendance: their
+ * phone is not bound, the account's device cap stops them binding it, and a
+ * phone already bound to one student cannot be bound to another.
+ */
+
+import crypto from 'crypto';
+import { StudentDevice } from '../models/studentDeviceModel.js';
+import { recordAudit } from './auditService.js';
+
+/**
+ * Reads the device binding settings from the environment.
+ * @returns {object} The active configuration.
+ */
+const getConfig = () => ({
+  // Devices a student may have bound at once
+  MAX_DEVICES: Number(process.env.MAX_DEVICES_PER_STUDENT) || 1,
+  // Set DEVICE_BINDING=off to accept unsigned submissions (e.g., during app rollout)
+  ENFORCED: process.env.DEVICE_BINDING !== 'off',
+  // How old a signature may be
+  SIGNATURE_MAX_AGE_MS: (Number(process.env.DEVICE_SIGNATURE_MAX_AGE_SECONDS) || 300) * 1000,
+});
+
+const DEVICE_IN_USE = {
+  success: false,
+  reason: 'DEVICE_IN_USE',
+  message: 'This device is registered to another student. Ask your teacher or administrator to reset it.',
+};
+
+/**
+ * Parses a PEM public key, accepting only Ed25519 and ECDSA P-256 keys.
+ * @param {string} pem - The PEM-encoded public key.
+ * @returns {crypto.KeyObject|null} The key, or null if unusable.
+ */
+const parsePublicKey = (pem) => {
+  try {
+    const key = crypto.createPublicKey(pem);
+    if (key.asymmetricKeyType === 'ed25519') return key;
+    if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1') return key;
+  } catch (error) {
+    // Not a valid public key
+  }
+  return null;
+};
+
+/**
+ * Builds the string a device signs for a request.
+ * @param {object} req - Express request object (with `rawBody`).
+ * @param {string} timestamp - The X-Device-Timestamp header.
+ * @returns {string} The signing payload.
+ */
+const buildSigningPayload = (req, timestamp) => {
+  const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+  return [timestamp, req.method.toUpperCase(), req.originalUrl.split('?')[0], bodyHash].join('\n');
+};
+
+/**
+ * Whether attendance submissions must be signed by a bound device.
+ * @returns {boolean} True unless DEVICE_BINDING=off.
+ */
+export const isDeviceBindingEnforced = () => getConfig().ENFORCED;
+
+/**
+ * Binds a device to a student, or refreshes a device that is already bound.
+ * A device (by ID or key) active for another student is refused.
+ *
+ * @param {string} studentId - The student's user ID.
+ * @param {object} device - { deviceId, publicKey, platform } sent at login.
+ * @returns {Promise<object>} { success: true, device } or { success: false, reason, message }.
+ */
+export const bindDevice = async (studentId, { deviceId, publicKey, platform }) => {
+  if (!deviceId || !publicKey) {
+    return { success: false, reason: 'DEVICE_INFO_REQUIRED', message: 'Device ID and public key are required.' };
+  }
+  if (!parsePublicKey(publicKey)) {
+    return { success: false, reason: 'INVALID_DEVICE_KEY', message: 'Device key must be an Ed25519 or P-256 public key in PEM format.' };
+  }
+
+  const existing = await StudentDevice.findOne({ studentId, deviceId, status: 'active' });
+  if (existing) {
+    // A new key for a bound device means a reinstall or another phone reusing the ID
+    if (existing.publicKey.trim() !== publicKey.trim()) {
+      return {
+        success: false,
+        reason: 'DEVICE_KEY_MISMATCH',
+        message: 'This device is registered with a different key. Ask your teacher or administrator to reset your device.',
+      };
+    }
+    existing.lastSeenAt = new Date();
+    if (platform) existing.platform = platform;
+    await existing.save();
+    return { success: true, device: existing };
+  }
+
+  const boundElsewhere = await StudentDevice.exists({
+    studentId: { $ne: studentId },
+    status: 'active',
+    $or: [{ deviceId }, { publicKey: publicKey.trim() }],
+  });
+  if (boundElsewhere) return DEVICE_IN_USE;
+
+  const { MAX_DEVICES } = getConfig();
+  const limitReached = {
+    success: false,
+    reason: 'DEVICE_LIMIT_REACHED',
+    message: `Your account is already bound to ${MAX_DEVICES} device(s). Ask your teacher or administrator to reset your device.`,
+  };
+  // Devices bound before slots existed still count towards the cap
+  const bound = await StudentDevice.countDocuments({ studentId, status: 'active' });
+  if (bound >= MAX_DEVICES) return limitReached;
+
+  // Claim the first free slot; the unique indexes settle concurrent logins
+  let device = null;
+  for (let slot = 0; slot < MAX_DEVICES && !device; slot++) {
+    try {
+      device = await StudentDevice.create({ studentId, deviceId, publicKey: publicKey.trim(), platform, slot });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (error.keyPattern?.slot) continue;
+      // The same student bound this device in a concurrent login
+      if (error.keyPattern?.studentId) return bindDevice(studentId, { deviceId, publicKey, platform });
+      return DEVICE_IN_USE;
+    }
+  }
+  if (!device) return limitReached;
+
+  await recordAudit('DEVICE_BOUND', {
+    actorId: studentId,
+    targetType: 'StudentDevice',
+    targetId: device._id,
+    details: { deviceId, platform },
+  });
+
+  console.log(`📱 [Device] Bound device ${deviceId} to student ${studentId}`);
+  return { success: true, device };
+};
+
+/**
+ * Verifies that a request was signed by one of the student's bound devices.
+ *
+ * @param {object} req - Express request object (with `rawBody` and `req.user`).
+ * @returns {Promise<object>} { success: true, device } or { success: false, reason, message }.
+ */
+export const verifyDeviceSignature = async (req) => {
+  const deviceId = req.get('X-Device-Id');
+  const timestamp = req.get('X-Device-Timestamp');
+  const signature = req.get('X-Device-Signature');
+
+  if (!deviceId || !timestamp || !signature) {
+    return {
+      success: false,
+      reason: 'DEVICE_SIGNATURE_REQUIRED',
+      message: 'Attendance must be submitted from your registered device. Please update the app and log in again.',
+    };
+  }
+
+  const signedAt = Number(timestamp);
+  if (!Number.isFinite(signedAt) || Math.abs(Date.now() - signedAt) > getConfig().SIGNATURE_MAX_AGE_MS) {
+    return { success: false, reason: 'DEVICE_SIGNATURE_EXPIRED', message: 'Request signature expired. Check your phone clock and try again.' };
+  }
+
+  const device = await StudentDevice.findOne({ studentId: req.user._id, deviceId, status: 'active' });
+  if (!device) {
+    return {
+      success: false,
+      reason: 'DEVICE_NOT_BOUND',
+      message: 'This device is not registered to your account. Log in again on your registered device.',
+    };
+  }
+
+  const key = parsePublicKey(device.publicKey);
+  let valid = false;
+  try {
+    valid = crypto.verify(
+      key.asymmetricKeyType === 'ed25519' ? null : 'sha256',
+      Buffer.from(buildSigningPayload(req, timestamp)),
+      key,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    valid = false;
+  }
+  if (!valid) {
+    return { success: false, reason: 'INVALID_DEVICE_SIGNATURE', message: 'Device signature is invalid.' };
+  }
+
+  device.lastSeenAt = new Date();
+  await device.save();
+  return { success: true, device };
+};
+
+/**
+ * Revokes every active device of a student so they can bind a new one.
+ *
+ * @param {string} studentId - The student's user ID.
+ * @param {object} actor - The User performing the reset (req.user).
+ * @param {object} [options]
+ * @param {string} [options.reason] - Why the device was reset.
+ * @returns {Promise<number>} Number of devices revoked.
+ */
+export const resetStudentDevices = async (studentId, actor, { reason } = {}) => {
+  const devices = await StudentDevice.find({ studentId, status: 'active' }).select('deviceId').lean();
+  if (devices.length === 0) return 0;
+
+  await StudentDevice.updateMany(
+    { studentId, status: 'active' },
+    { status: 'revoked', revokedAt: new Date(), revokedBy: actor._id }
+  );
+
+  await recordAudit('DEVICE_RESET', {
+    actorId: actor._id,
+    targetType: 'User',
+    targetId: studentId,
+    details: { studentId, deviceIds: devices.map(device => device.deviceId), reason: reason || null },
+  });
+
+  console.log(`📱 [Device] Reset ${devices.length} device(s) for student ${studentId} by ${actor._id}`);
+  return devices.length;
+};
@@ -0,0 +1,120 @@
+/**
+ * @file duplicateFaceService.js
+ * @description Detects a face being registered for a student when it already
+ * belongs to another student. Matching uses the same index as
+ * identify-by-face (the provider's collection, or stored embeddings).
+ * Depending on FACE_DUPLICATE_ACTION, suspected duplicates either block the
+ * registration or are recorded as DuplicateFaceFlags for admin review.
+ */
+
+import { DuplicateFaceFlag } from '../models/duplicateFaceFlagModel.js';
+import { User } from '../models/userModel.js';
+import { identifyFace } from '../AWS/faceEmbeddingService.js';
+import { recordAudit } from './auditService.js';
+
+/**
+ * Reads the duplicate detection settings from the environment.
+ * @returns {object} The active configuration.
+ */
+const getConfig = () => ({
+  // Minimum similarity (0-100) for two students' faces to count as the same person
+  THRESHOLD: Number(process.env.FACE_DUPLICATE_THRESHOLD) || 95,
+  // 'flag' (default) registers the face and queues it for review; 'block' refuses it
+  ACTION: process.env.FACE_DUPLICATE_ACTION === 'block' ? 'block' : 'flag',
+});
+
+/**
+ * Searches enrolled students for the face in an image.
+ * Provider failures are logged and treated as "no match" so an outage does
+ * not stop registrations.
+ *
+ * @param {Buffer} imageBuffer - The face image being registered.
+ * @param {object} [options]
+ * @param {string} [options.excludeUserId] - The student's own ID, when updating.
+ * @returns {Promise<object>} { matches: [{ userId, similarity }], blocked }
+ */
+export const checkForDuplicateFaces = async (imageBuffer, { excludeUserId } = {}) => {
+  const { THRESHOLD, ACTION } = getConfig();
+
+  let matches;
+  try {
+    matches = await identifyFace(imageBuffer, { threshold: THRESHOLD });
+  } catch (error) {
+    console.error('Duplicate face check failed:', error);
+    return { matches: [], blocked: false };
+  }
+
+  const otherIds = matches
+    .map(match => match.userId)
+    .filter(userId => !excludeUserId || userId !== excludeUserId.toString());
+  const studentIds = new Set(
+    (await User.find({ _id: { $in: otherIds }, role: 'student' }).distinct('_id')).map(id => id.toString())
+  );
+  const duplicates = matches.filter(match => studentIds.has(match.userId));
+
+  if (duplicates.length > 0) {
+    console.warn(`👯 [Face] Face matches ${duplicates.length} existing student(s): ${duplicates.map(d => `${d.userId} (${d.similarity}%)`).join(', ')}`);
+  }
+
+  return { matches: duplicates, blocked: ACTION === 'block' && duplicates.length > 0 };
+};
+
+/**
+ * Records suspected duplicates for admin review. A pair that already has an
+ * open flag is updated rather than flagged twice.
+ *
+ * @param {string} studentId - The student whose face was registered.
+ * @param {Array<object>} matches - Matches from checkForDuplicateFaces.
+ * @param {string} source - 'register', 'admin_create', 'admin_update' or 'face_change'.
+ * @returns {Promise<Array<object>>} The open flags.
+ */
+export const flagDuplicateFaces = async (studentId, matches, source) => Promise.all(
+  matches.map(match => DuplicateFaceFlag.findOneAndUpdate(
+    { studentId, matchedStudentId: match.userId, status: 'open' },
+    { similarity: match.similarity, source },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ))
+);
+
+/**
+ * Resolves an open flag and records the decision in the AuditLog.
+ *
+ * @param {string} flagId - The DuplicateFaceFlag ID.
+ * @param {object} reviewer - The reviewing User (req.user).
+ * @param {object} decision
+ * @param {string} decision.resolution - 'confirmed' or 'dismissed'.
+ * @param {string} [decision.note] - Reviewer's note.
+ * @returns {Promise<object>} { success: true, flag } or { success: false, reason, message }.
+ */
+export const resolveDuplicateFlag = async (flagId, reviewer, { resolution, note }) => {
+  if (!['confirmed', 'dismissed'].includes(resolution)) {
+    return { success: false, reason: 'INVALID_RESOLUTION', message: "Resolution must be 'confirmed' or 'dismissed'." };
+  }
+
+  const flag = await DuplicateFaceFlag.findOneAndUpdate(
+    { _id: flagId, status: 'open' },
+    { status: resolution, reviewedBy: reviewer._id, reviewedAt: new Date(), reviewNote: note || null },
+    { new: true }
+  );
+  if (!flag) {
+    const exists = await DuplicateFaceFlag.exists({ _id: flagId });
+    return exists
+      ? { success: false, reason: 'ALREADY_RESOLVED', message: 'This flag was already resolved.' }
+      : { success: false, reason: 'NOT_FOUND', message: 'Duplicate face flag not found.' };
+  }
+
+  await recordAudit(resolution === 'confirmed' ? 'DUPLICATE_FACE_CONFIRMED' : 'DUPLICATE_FACE_DISMISSED', {
+    actorId: reviewer._id,
+    targetType: 'DuplicateFaceFlag',
+    targetId: flag._id,
+    details: {
+      flagId: flag._id,
+      studentId: flag.studentId,
+      matchedStudentId: flag.matchedStudentId,
+      similarity: flag.similarity,
+      note: flag.reviewNote,
+    },
+  });
+
+  return { success: true, flag };
+};
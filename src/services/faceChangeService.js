@@ -0,0 +1,154 @@
+/**
+ * @file faceChangeService.js
+ * @description Face re-enrollment workflow. A student's new face photo is
+ * held in a pending FaceChangeRequest and only replaces the active photo when
+ * an admin, or the teacher of a class the student is enrolled in, approves
+ * it. Every decision is written to the AuditLog.
+ */
+
+import { FaceChangeRequest } from '../models/faceChangeRequestModel.js';
+import { User } from '../models/userModel.js';
+import { deleteFaceImage, getFaceImage } from './storageService.js';
+import { enrollFace } from '../AWS/faceEmbeddingService.js';
+import { canAccessStudent } from './studentAccessService.js';
+import { recordAudit } from './auditService.js';
+
+/**
+ * Reads the rate-limit settings from the environment.
+ * @returns {object} The active configuration.
+ */
+const getConfig = () => ({
+  // Face change requests a student may make per window
+  MAX_REQUESTS: Number(process.env.FACE_CHANGE_MAX_REQUESTS) || 3,
+  WINDOW_DAYS: Number(process.env.FACE_CHANGE_WINDOW_DAYS) || 30,
+});
+
+/**
+ * Records a face change request for review.
+ *
+ * @param {object} student - The student's User document.
+ * @param {string} newImageKey - Storage key of the uploaded photo.
+ * @returns {Promise<object>} { success: true, request } or { success: false, reason, message }.
+ */
+export const requestFaceChange = async (student, newImageKey) => {
+  const { MAX_REQUESTS, WINDOW_DAYS } = getConfig();
+
+  const pending = await FaceChangeRequest.exists({ studentId: student._id, status: 'pending' });
+  if (pending) {
+    return {
+      success: false,
+      reason: 'FACE_CHANGE_PENDING',
+      message: 'You already have a face photo change awaiting approval.',
+    };
+  }
+
+  const since = new Date(Date.now() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const recent = await FaceChangeRequest.countDocuments({
+    studentId: student._id,
+    createdAt: { $gte: since },
+  });
+  if (recent >= MAX_REQUESTS) {
+    return {
+      success: false,
+      reason: 'FACE_CHANGE_RATE_LIMITED',
+      message: `You can request at most ${MAX_REQUESTS} face photo changes every ${WINDOW_DAYS} days.`,
+    };
+  }
+
+  const request = await FaceChangeRequest.create({
+    studentId: student._id,
+    newImageKey,
+    previousImageKey: student.faceImageS3Key || null,
+  });
+
+  await recordAudit('FACE_CHANGE_REQUESTED', {
+    actorId: student._id,
+    targetType: 'FaceChangeRequest',
+    targetId: request._id,
+    details: { requestId: request._id },
+  });
+
+  return { success: true, request };
+};
+
+/**
+ * Approves or rejects a pending request. Approval makes the new photo active,
+ * re-enrolls the face and deletes the old photo; rejection deletes the new
+ * photo. The decision is claimed atomically so two reviewers cannot both act.
+ *
+ * @param {string} requestId - The FaceChangeRequest ID.
+ * @param {object} reviewer - The reviewing User (req.user).
+ * @param {object} decision
+ * @param {boolean} decision.approve - True to approve, false to reject.
+ * @param {string} [decision.note] - Reviewer's note.
+ * @returns {Promise<object>} { success: true, request } or { success: false, reason, message }.
+ */
+export const reviewFaceChange = async (requestId, reviewer, { approve, note }) => {
+  const request = await FaceChangeRequest.findById(requestId);
+  if (!request) {
+    return { success: false, reason: 'NOT_FOUND', message: 'Face change request not found.' };
+  }
+  if (!(await canAccessStudent(reviewer, request.studentId, 'face:review'))) {
+    return { success: false, reason: 'FORBIDDEN', message: 'You cannot review face changes for this student.' };
+  }
+
+  const decided = await FaceChangeRequest.findOneAndUpdate(
+    { _id: request._id, status: 'pending' },
+    {
+      status: approve ? 'approved' : 'rejected',
+      reviewedBy: reviewer._id,
+      reviewedAt: new Date(),
+      reviewNote: note || null,
+    },
+    { new: true }
+  );
+  if (!decided) {
+    return { success: false, reason: 'ALREADY_REVIEWED', message: `This request was already ${request.status}.` };
+  }
+
+  if (approve) {
+    const student = await User.findById(decided.studentId);
+    const replacedKey = student.faceImageS3Key;
+    student.faceImageS3Key = decided.newImageKey;
+    await student.save();
+
+    await recordAudit('FACE_IMAGE_CHANGED', {
+      actorId: reviewer._id,
+      targetType: 'User',
+      targetId: student._id,
+      before: { faceImageS3Key: replacedKey || null },
+      after: { faceImageS3Key: student.faceImageS3Key },
+      details: { source: 'face_change_request', requestId: decided._id },
+    });
+
+    // Re-enroll the face so identify-by-face uses the new photo
+    try {
+      const imageBuffer = await getFaceImage(decided.newImageKey);
+      if (imageBuffer) await enrollFace(student, imageBuffer);
+    } catch (enrollError) {
+      console.error('Error enrolling approved face image:', enrollError);
+    }
+
+    if (replacedKey && replacedKey !== decided.newImageKey) {
+      await deleteFaceImage(replacedKey);
+    }
+  } else {
+    await deleteFaceImage(decided.newImageKey);
+  }
+
+  await recordAudit(approve ? 'FACE_CHANGE_APPROVED' : 'FACE_CHANGE_REJECTED', {
+    actorId: reviewer._id,
+    targetType: 'FaceChangeRequest',
+    targetId: decided._id,
+    details: {
+      requestId: decided._id,
+      studentId: decided.studentId,
+      previousImageKey: decided.previousImageKey,
+      newImageKey: decided.newImageKey,
+      note: decided.reviewNote,
+    },
+  });
+
+  console.log(`🪪 [FaceChange] Request ${decided._id} ${decided.status} by ${reviewer._id}`);
+  return { success: true, request: decided };
+};
@@ -0,0 +1,55 @@
+/**
+ * @file faceProvider.js
+ * @description Selects the face-verification backend from FACE_PROVIDER
+ * ('rekognition' by default, or 'mock' for offline development and tests).
+ * Every provider implements the same interface:
+ *
+ *   detectFaces(imageBytes)
+ *     -> [{ confidence, brightness, sharpness, eyesOpen: { value, confidence },
+ *           smile: { value, confidence }, pose: { pitch, yaw, roll },
+ *           sunglasses: { value, confidence }, occluded: { value, confidence }, boundingBox }]
+ *   compareFaces({ sourceKey | sourceBytes, targetBytes, threshold })
+ *     -> { matched, similarity }   (similarity is null when nothing matched;
+ *        sourceKey is a storage key, read through services/storageService.js)
+ *   indexFace(imageBytes, { collectionId, externalImageId })
+ *     -> { faceId, confidence, boundingBox, landmarks, pose, quality } or null
+ *   searchFacesByImage(imageBytes, { collectionId, threshold, maxFaces })
+ *     -> [{ faceId, externalImageId, similarity }]   (best match first)
+ *   deleteFaces(collectionId, faceIds)
+ *   extractEmbedding(imageBytes) -> number[] or null   (optional; providers
+ *     with a local model implement it and are matched by cosine similarity)
+ *   createLivenessSession({ userId }) -> sessionId
+ *   getLivenessSessionResults(sessionId)
+ *     -> { status, confidence, referenceImageBytes, auditImages }
+ *
+ * Failures are thrown as errors named like their Rekognition counterparts
+ * (e.g., 'InvalidParameterException') so callers handle every provider alike.
+ */
+
+import { rekognitionProvider } from '../AWS/rekognitionProvider.js';
+import { mockFaceProvider } from './mockFaceProvider.js';
+
+const PROVIDERS = {
+  rekognition: rekognitionProvider,
+  mock: mockFaceProvider,
+};
+
+/**
+ * Returns the configured face provider.
+ * @returns {object} The active provider.
+ * @throws {Error} If FACE_PROVIDER names an unknown provider, or the mock is
+ * selected in production.
+ */
+export const getFaceProvider = () => {
+  const name = (process.env.FACE_PROVIDER || 'rekognition').toLowerCase();
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown FACE_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  if (provider === mockFaceProvider && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock face provider cannot be used in production.');
+  }
+
+  return provider;
+};
@@ -0,0 +1,236 @@
+/**
+ * @file geofenceService.js
+ * @description Resolves the geofence for a QR attendance session and checks
+ * a student's reported position against it. The fence centre can come from
+ * the teacher's live position, the schedule location, or the room location.
+ */
+
+import { Room } from '../models/roomModel.js';
+import { Schedule } from '../models/scheduleModel.js';
+import { ScheduleInstance } from '../models/recurringScheduleModel.js';
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Reads geofence settings from the environment.
+ * @returns {object} The active geofence configuration.
+ */
+const getConfig = () => ({
+  // 'block' rejects submissions outside the fence, 'flag' accepts but records it, 'off' skips the check
+  ENFORCEMENT: process.env.GEOFENCE_ENFORCEMENT || 'block',
+  DEFAULT_RADIUS_METERS: Number(process.env.GEOFENCE_DEFAULT_RADIUS_METERS) || 100,
+  // Fixes reported with a worse accuracy than this are not trusted at all
+  MAX_ACCURACY_METERS: Number(process.env.GEOFENCE_MAX_ACCURACY_METERS) || 150,
+  // Upper bound on how much of the reported accuracy is added to the radius
+  MAX_ACCURACY_TOLERANCE_METERS: Number(process.env.GEOFENCE_MAX_ACCURACY_TOLERANCE_METERS) || 50,
+  // Range a teacher may pick for a session's radius
+  MIN_RADIUS_METERS: Number(process.env.GEOFENCE_MIN_RADIUS_METERS) || 10,
+  MAX_RADIUS_METERS: Number(process.env.GEOFENCE_MAX_RADIUS_METERS) || 1000,
+});
+
+/**
+ * @const {Array<string>} GEOFENCE_SOURCES
+ * @description Where a session's fence centre may come from. 'auto' tries
+ * the teacher, schedule and room in turn; 'none' turns the fence off.
+ */
+export const GEOFENCE_SOURCES = ['auto', 'teacher', 'schedule', 'room', 'none'];
+
+/**
+ * Checks that a { latitude, longitude } pair is usable.
+ * [0, 0] is the schema default for unset locations, so it is treated as missing.
+ * @param {object} point - Object with latitude and longitude.
+ * @returns {boolean} True if the point holds real coordinates.
+ */
+const isValidPoint = (point) => {
+  if (!point) return false;
+  const lat = Number(point.latitude);
+  const lng = Number(point.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return false;
+  return !(lat === 0 && lng === 0);
+};
+
+/**
+ * Converts a GeoJSON Point ([longitude, latitude]) to { latitude, longitude }.
+ * @param {object} location - GeoJSON location sub-document.
+ * @returns {object|null} The converted point, or null if unset.
+ */
+const fromGeoJSON = (location) => {
+  const coordinates = location?.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
+  const point = { latitude: coordinates[1], longitude: coordinates[0] };
+  return isValidPoint(point) ? point : null;
+};
+
+/**
+ * Great-circle distance between two points using the haversine formula.
+ * @param {object} a - { latitude, longitude }
+ * @param {object} b - { latitude, longitude }
+ * @returns {number} Distance in meters.
+ */
+export const haversineDistance = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Validates the geofence settings a teacher picks when starting a session.
+ * @param {object} settings - { source, radius } from the request (both optional).
+ * @returns {object} { success: true, geofence: { source, radiusMeters } } or { success: false, message }.
+ */
+export const parseGeofenceSettings = ({ source, radius }) => {
+  if (source !== undefined && source !== null && !GEOFENCE_SOURCES.includes(source)) {
+    return { success: false, message: `Geofence source must be one of: ${GEOFENCE_SOURCES.join(', ')}` };
+  }
+
+  let radiusMeters;
+  if (radius !== undefined && radius !== null && radius !== '') {
+    const { MIN_RADIUS_METERS, MAX_RADIUS_METERS } = getConfig();
+    radiusMeters = Number(radius);
+    if (!Number.isFinite(radiusMeters) || radiusMeters < MIN_RADIUS_METERS || radiusMeters > MAX_RADIUS_METERS) {
+      return { success: false, message: `Geofence radius must be between ${MIN_RADIUS_METERS} and ${MAX_RADIUS_METERS} meters` };
+    }
+  }
+
+  return { success: true, geofence: { source: source || 'auto', radiusMeters } };
+};
+
+/**
+ * Finds the schedule entry behind a QR session. `scheduleId` may point to
+ * either a ScheduleInstance or a Schedule, so both are tried.
+ * @param {string} scheduleId - The session's scheduleId.
+ * @returns {Promise<object|null>} The lean schedule document, or null.
+ */
+const findSessionSchedule = async (scheduleId) => {
+  if (!scheduleId) return null;
+  const instance = await ScheduleInstance.findById(scheduleId).select('location roomNumber').lean();
+  if (instance) return instance;
+  return Schedule.findById(scheduleId).select('location roomNumber').lean();
+};
+
+/**
+ * Resolves the fence centre and radius for a QR session.
+ * With source 'auto' the teacher's live position wins, then the schedule
+ * location, then the room location.
+ *
+ * @param {object} qrSession - The QRCodeSession document.
+ * @returns {Promise<object|null>} { center, radiusMeters, source } or null if no fence applies.
+ */
+export const resolveGeofence = async (qrSession) => {
+  const config = getConfig();
+  const source = qrSession.geofence?.source || 'auto';
+  if (source === 'none') return null;
+
+  const schedule = await findSessionSchedule(qrSession.scheduleId);
+  const room = schedule?.roomNumber
+    ? await Room.findOne({ roomNumber: schedule.roomNumber }).select('location geofenceRadiusMeters').lean()
+    : null;
+
+  const candidates = {
+    teacher: isValidPoint(qrSession.qrPayload?.coordinates) ? qrSession.qrPayload.coordinates : null,
+    schedule: fromGeoJSON(schedule?.location),
+    room: fromGeoJSON(room?.location),
+  };
+
+  const order = source === 'auto' ? ['teacher', 'schedule', 'room'] : [source];
+  const resolvedSource = order.find((key) => candidates[key]);
+  if (!resolvedSource) return null;
+
+  return {
+    center: {
+      latitude: Number(candidates[resolvedSource].latitude),
+      longitude: Number(candidates[resolvedSource].longitude),
+    },
+    radiusMeters: qrSession.geofence?.radiusMeters || room?.geofenceRadiusMeters || config.DEFAULT_RADIUS_METERS,
+    source: resolvedSource,
+  };
+};
+
+/**
+ * Checks a student's coordinates against the session geofence.
+ * The reported GPS accuracy (meters) widens the fence up to a cap, and
+ * fixes that are too inaccurate are rejected outright.
+ *
+ * @param {object} qrSession - The QRCodeSession document.
+ * @param {object} studentCoordinates - { latitude, longitude, accuracy? }
+ * @returns {Promise<object>} Result with `passed`, `enforced` and the fields stored on Attendance.geofence.
+ */
+export const checkGeofence = async (qrSession, studentCoordinates) => {
+  const config = getConfig();
+
+  if (config.ENFORCEMENT === 'off') {
+    return { passed: true, enforced: false, status: 'skipped' };
+  }
+
+  const enforced = config.ENFORCEMENT === 'block';
+  const accuracyMeters = Number.isFinite(Number(studentCoordinates?.accuracy))
+    ? Number(studentCoordinates.accuracy)
+    : undefined;
+
+  if (!isValidPoint(studentCoordinates)) {
+    return {
+      passed: false,
+      enforced,
+      status: 'failed',
+      reason: 'INVALID_COORDINATES',
+      message: 'Your location could not be read. Please enable location services.',
+    };
+  }
+
+  const fence = await resolveGeofence(qrSession);
+  if (!fence) {
+    // Nothing to compare against; accept but mark the record as unverified
+    return { passed: true, enforced, status: 'unverified', reason: 'NO_GEOFENCE_CONFIGURED', accuracyMeters };
+  }
+
+  const base = {
+    enforced,
+    source: fence.source,
+    radiusMeters: fence.radiusMeters,
+    accuracyMeters,
+  };
+
+  if (accuracyMeters !== undefined && accuracyMeters > config.MAX_ACCURACY_METERS) {
+    return {
+      ...base,
+      passed: false,
+      status: 'failed',
+      reason: 'LOW_GPS_ACCURACY',
+      message: `Location accuracy is too low (±${Math.round(accuracyMeters)}m). Move near a window or enable high-accuracy GPS.`,
+    };
+  }
+
+  const distanceMeters = Math.round(haversineDistance(fence.center, studentCoordinates));
+  const tolerance = Math.min(accuracyMeters || 0, config.MAX_ACCURACY_TOLERANCE_METERS);
+
+  if (distanceMeters > fence.radiusMeters + tolerance) {
+    return {
+      ...base,
+      distanceMeters,
+      passed: false,
+      status: 'failed',
+      reason: 'OUTSIDE_GEOFENCE',
+      message: `You appear to be ${distanceMeters}m from the classroom (allowed ${fence.radiusMeters}m).`,
+    };
+  }
+
+  return { ...base, distanceMeters, passed: true, status: 'inside' };
+};
+
+/**
+ * Picks the fields of a geofence result that are persisted on Attendance.
+ * @param {object} result - The object returned by checkGeofence.
+ * @returns {object} The Attendance.geofence sub-document.
+ */
+export const toGeofenceRecord = ({ status, reason, distanceMeters, radiusMeters, accuracyMeters, source }) => ({
+  status,
+  reason,
+  distanceMeters,
+  radiusMeters,
+  accuracyMeters,
+  source,
+});
@@ -0,0 +1,258 @@
+/**
+ * @file leaveService.js
+ * @description Leave workflow. A student applies for leave over a date range;
+ * an admin, or a teacher of one of the student's classes, approves or rejects
+ * it. Approval turns the student's absences in the range into 'excused'
+ * records; sessions that close later are excused by materializeAbsences (see
+ * attendanceStatusService), so summaries and reports leave them out of the
+ * attendance percentage. An approval only excuses the classes the reviewer
+ * may edit attendance for (all of them for admins).
+ */
+
+import mongoose from 'mongoose';
+import { LeaveApplication, LEAVE_TYPES } from '../models/leaveApplicationModel.js';
+import { Attendance } from '../models/attendanceModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { ScheduleInstance } from '../models/recurringScheduleModel.js';
+import { applyAttendanceChange } from './attendanceRevisionService.js';
+import { canAccessStudent } from './studentAccessService.js';
+import { getAccessibleClassIds } from './classAccessService.js';
+import { recordAudit } from './auditService.js';
+
+/**
+ * Reads the leave settings from the environment.
+ * @returns {object} The active configuration.
+ */
+const getConfig = () => ({
+  // Longest leave a student may apply for in one application
+  MAX_DAYS: Number(process.env.LEAVE_MAX_DAYS) || 30,
+  // How many days in the past a leave may start (for leave applied for after the fact)
+  BACKDATE_DAYS: Number(process.env.LEAVE_BACKDATE_DAYS) || 14,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a date and moves it to the start or end of that day (server local time).
+ * @param {string|Date} value - The date.
+ * @param {boolean} endOfDay - True for 23:59:59.999.
+ * @returns {Date|null} The date, or null if invalid.
+ */
+const toDayBoundary = (value, endOfDay) => {
+  const date = new Date(value);
+  if (!value || isNaN(date)) return null;
+  if (endOfDay) date.setHours(23, 59, 59, 999);
+  else date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Records a leave application for review.
+ *
+ * @param {object} student - The student's User document.
+ * @param {object} input
+ * @param {string} input.leaveType - One of LEAVE_TYPES.
+ * @param {string} input.startDate - First day of leave.
+ * @param {string} input.endDate - Last day of leave.
+ * @param {string} input.reason - The student's explanation.
+ * @param {Array<object>} [input.attachments] - Stored files as { key, filename, contentType }.
+ * @returns {Promise<object>} { success: true, leave } or { success: false, reason, message }.
+ */
+export const submitLeaveApplication = async (student, { leaveType, startDate, endDate, reason, attachments = [] }) => {
+  const { MAX_DAYS, BACKDATE_DAYS } = getConfig();
+
+  if (!LEAVE_TYPES.includes(leaveType)) {
+    return { success: false, reason: 'INVALID_LEAVE_TYPE', message: `Leave type must be one of: ${LEAVE_TYPES.join(', ')}.` };
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return { success: false, reason: 'REASON_REQUIRED', message: 'Please give a reason for your leave.' };
+  }
+
+  const start = toDayBoundary(startDate, false);
+  const end = toDayBoundary(endDate || startDate, true);
+  if (!start || !end || end < start) {
+    return { success: false, reason: 'INVALID_DATES', message: 'Please give a valid start and end date.' };
+  }
+  if (Math.ceil((end - start) / DAY_MS) > MAX_DAYS) {
+    return { success: false, reason: 'LEAVE_TOO_LONG', message: `A leave application can cover at most ${MAX_DAYS} days.` };
+  }
+  if (start < toDayBoundary(Date.now() - BACKDATE_DAYS * DAY_MS, false)) {
+    return { success: false, reason: 'LEAVE_TOO_OLD', message: `Leave can start at most ${BACKDATE_DAYS} days in the past.` };
+  }
+
+  const overlapping = await LeaveApplication.exists({
+    studentId: student._id,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: end },
+    endDate: { $gte: start },
+  });
+  if (overlapping) {
+    return { success: false, reason: 'LEAVE_OVERLAPS', message: 'You already have leave pending or approved for some of these days.' };
+  }
+
+  const leave = await LeaveApplication.create({
+    studentId: student._id,
+    leaveType,
+    startDate: start,
+    endDate: end,
+    reason: reason.trim(),
+    attachments,
+  });
+
+  await recordAudit('LEAVE_APPLIED', {
+    actorId: student._id,
+    targetType: 'LeaveApplication',
+    targetId: leave._id,
+    after: leave,
+  });
+
+  return { success: true, leave };
+};
+
+/**
+ * Withdraws a student's own pending application.
+ *
+ * @param {string} leaveId - The LeaveApplication ID.
+ * @param {object} student - The student's User document.
+ * @returns {Promise<object>} { success: true, leave } or { success: false, reason, message }.
+ */
+export const cancelLeaveApplication = async (leaveId, student) => {
+  if (!mongoose.Types.ObjectId.isValid(leaveId)) {
+    return { success: false, reason: 'NOT_FOUND', message: 'Leave application not found.' };
+  }
+
+  const leave = await LeaveApplication.findOneAndUpdate(
+    { _id: leaveId, studentId: student._id, status: 'pending' },
+    { status: 'cancelled' },
+    { new: true }
+  );
+  if (!leave) {
+    const exists = await LeaveApplication.exists({ _id: leaveId, studentId: student._id });
+    return exists
+      ? { success: false, reason: 'ALREADY_REVIEWED', message: 'Only pending applications can be cancelled.' }
+      : { success: false, reason: 'NOT_FOUND', message: 'Leave application not found.' };
+  }
+
+  await recordAudit('LEAVE_CANCELLED', {
+    actorId: student._id,
+    targetType: 'LeaveApplication',
+    targetId: leave._id,
+  });
+
+  return { success: true, leave };
+};
+
+/**
+ * Turns a student's absences within an approved leave into excused records,
+ * in the classes the leave covers. Each record gets an AttendanceRevision.
+ * @param {object} leave - The approved LeaveApplication.
+ * @param {object} reviewer - The approving User.
+ * @returns {Promise<number>} Number of records excused.
+ */
+const excuseAbsences = async (leave, reviewer) => {
+  const classIds = leave.classIds || await ClassEnrollment.find({ studentId: leave.studentId }).distinct('classId');
+  if (classIds.length === 0) return 0;
+
+  // Sessions of the student's classes scheduled within the leave
+  const instanceIds = await ScheduleInstance.find({
+    classId: { $in: classIds },
+    scheduledDate: { $gte: leave.startDate, $lte: leave.endDate },
+  }).distinct('_id');
+
+  const absences = await Attendance.find({
+    studentId: leave.studentId,
+    classId: { $in: classIds },
+    status: 'absent',
+    voidedAt: null,
+    $or: [
+      { timestamp: { $gte: leave.startDate, $lte: leave.endDate } },
+      { scheduleId: { $in: instanceIds } },
+    ],
+  });
+
+  let excused = 0;
+  for (const record of absences) {
+    // A record changed since it was read is left as it now is
+    const result = await applyAttendanceChange(
+      record,
+      { $set: { status: 'excused', leaveId: leave._id, notes: 'Excused by approved leave' } },
+      { action: 'leave', reason: 'Excused by approved leave', editedBy: reviewer._id, filter: { status: 'absent', voidedAt: null } }
+    );
+    if (result) excused++;
+  }
+  return excused;
+};
+
+/**
+ * Approves or rejects a pending application. Approval excuses the student's
+ * absences in the leave period. The decision is claimed atomically so two
+ * reviewers cannot both act.
+ *
+ * @param {string} leaveId - The LeaveApplication ID.
+ * @param {object} reviewer - The reviewing User (req.user).
+ * @param {object} decision
+ * @param {boolean} decision.approve - True to approve, false to reject.
+ * @param {string} [decision.note] - Reviewer's note.
+ * @param {object} [req] - Express request, for the audit trail.
+ * @returns {Promise<object>} { success: true, leave } or { success: false, reason, message }.
+ */
+export const reviewLeaveApplication = async (leaveId, reviewer, { approve, note }, req = null) => {
+  if (!mongoose.Types.ObjectId.isValid(leaveId)) {
+    return { success: false, reason: 'NOT_FOUND', message: 'Leave application not found.' };
+  }
+
+  const leave = await LeaveApplication.findById(leaveId);
+  if (!leave) {
+    return { success: false, reason: 'NOT_FOUND', message: 'Leave application not found.' };
+  }
+  if (!(await canAccessStudent(reviewer, leave.studentId, 'attendance:edit'))) {
+    return { success: false, reason: 'FORBIDDEN', message: 'You cannot review leave for this student.' };
+  }
+
+  // The approval covers the student's classes the reviewer may edit attendance for
+  let classIds;
+  if (approve) {
+    const accessible = await getAccessibleClassIds(reviewer, 'attendance:edit', req?.permissionGrants);
+    if (accessible) {
+      classIds = await ClassEnrollment.find({ studentId: leave.studentId, classId: { $in: accessible } }).distinct('classId');
+    }
+  }
+
+  const decided = await LeaveApplication.findOneAndUpdate(
+    { _id: leave._id, status: 'pending' },
+    {
+      status: approve ? 'approved' : 'rejected',
+      reviewedBy: reviewer._id,
+      reviewedAt: new Date(),
+      reviewNote: note || null,
+      classIds,
+    },
+    { new: true }
+  );
+  if (!decided) {
+    return { success: false, reason: 'ALREADY_REVIEWED', message: `This application was already ${leave.status}.` };
+  }
+
+  if (approve) {
+    decided.excusedCount = await excuseAbsences(decided, reviewer);
+    await decided.save();
+  }
+
+  await recordAudit(approve ? 'LEAVE_APPROVED' : 'LEAVE_REJECTED', {
+    actorId: reviewer._id,
+    targetType: 'LeaveApplication',
+    targetId: decided._id,
+    details: {
+      studentId: decided.studentId,
+      startDate: decided.startDate,
+      endDate: decided.endDate,
+      excusedCount: decided.excusedCount,
+      classIds: decided.classIds,
+      note: decided.reviewNote,
+    },
+    req,
+  });
+
+  console.log(`🏖️ [Leave] Application ${decided._id} ${decided.status} by ${reviewer._id} (${decided.excusedCount} excused)`);
+  return { success: true, leave: decided };
+};
@@ -0,0 +1,193 @@
+/**
+ * @file livenessChallengeService.js
+ * @description Issues randomized liveness challenge sessions, consumes them
+ * exactly once, and binds captured frames to the challenges in the order
+ * they were issued. The challenge type of each frame always comes from the
+ * server-side session, never from the client.
+ */
+
+import crypto from 'crypto';
+import { LivenessChallengeSession } from '../models/livenessChallengeModel.js';
+
+/**
+ * @const {Array<object>} CHALLENGE_CATALOG
+ * @description Every challenge the app knows how to prompt for.
+ */
+export const CHALLENGE_CATALOG = [
+  { type: 'neutral', instruction: 'Look straight at the camera', icon: 'face-man' },
+  { type: 'smile', instruction: 'Smile at the camera', icon: 'emoticon-happy' },
+  { type: 'turn_left', instruction: 'Turn your head slightly left', icon: 'arrow-left' },
+  { type: 'turn_right', instruction: 'Turn your head slightly right', icon: 'arrow-right' },
+  { type: 'eyes_open', instruction: 'Open your eyes wide', icon: 'eye' },
+];
+
+// Allowed difference between the client's capture clock and the server's
+const CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Reads the challenge settings from the environment.
+ * @returns {object} The active configuration.
+ */
+const getConfig = () => ({
+  ONLINE_TTL_SECONDS: Number(process.env.LIVENESS_CHALLENGE_TTL_SECONDS) || 120,
+  OFFLINE_TTL_HOURS: Number(process.env.OFFLINE_CHALLENGE_TTL_HOURS) || 72,
+  // Unused offline sessions a student may hold at once
+  MAX_OFFLINE_SESSIONS: Number(process.env.MAX_OFFLINE_CHALLENGE_SESSIONS) || 5,
+  // Challenges per session, including the leading 'neutral'
+  CHALLENGE_COUNT: 3,
+});
+
+/**
+ * Picks the challenges for a session: 'neutral' first, then distinct random
+ * challenges drawn with a CSPRNG.
+ * @param {number} count - Total number of challenges.
+ * @returns {Array<string>} Ordered challenge types.
+ */
+const pickChallenges = (count) => {
+  const pool = CHALLENGE_CATALOG.slice(1).map(challenge => challenge.type);
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return ['neutral', ...pool.slice(0, count - 1)];
+};
+
+/**
+ * Issues a new challenge session for a student.
+ *
+ * @param {string} studentId - The student's user ID.
+ * @param {object} [options]
+ * @param {string} [options.mode] - 'online' (default) or 'offline'.
+ * @returns {Promise<object>} { success: true, session, challenges } or { success: false, reason, message }.
+ */
+export const issueChallengeSession = async (studentId, { mode = 'online' } = {}) => {
+  const config = getConfig();
+
+  if (mode === 'offline') {
+    const outstanding = await LivenessChallengeSession.countDocuments({
+      studentId,
+      mode: 'offline',
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    if (outstanding >= config.MAX_OFFLINE_SESSIONS) {
+      return {
+        success: false,
+        reason: 'TOO_MANY_OFFLINE_CHALLENGES',
+        message: `You already hold ${outstanding} unused offline challenge sets. Sync your offline attendance first.`,
+      };
+    }
+  }
+
+  const ttlMs = mode === 'offline'
+    ? config.OFFLINE_TTL_HOURS * 60 * 60 * 1000
+    : config.ONLINE_TTL_SECONDS * 1000;
+
+  const session = await LivenessChallengeSession.create({
+    studentId,
+    nonce: crypto.randomBytes(16).toString('hex'),
+    challenges: pickChallenges(config.CHALLENGE_COUNT),
+    mode,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return {
+    success: true,
+    session,
+    challenges: session.challenges.map(type => CHALLENGE_CATALOG.find(c => c.type === type)),
+  };
+};
+
+/**
+ * Atomically marks a challenge session as used. Fails if the session does not
+ * belong to the student, was already used, or was not valid at `at`.
+ *
+ * @param {string} studentId - The student's user ID.
+ * @param {string} nonce - The challengeSessionId sent by the client.
+ * @param {object} [options]
+ * @param {string} [options.mode] - Expected session mode ('online' by default).
+ * @param {Date} [options.at] - When the frames were captured (defaults to now).
+ * @returns {Promise<object>} { success: true, session } or { success: false, reason, message }.
+ */
+export const consumeChallengeSession = async (studentId, nonce, { mode = 'online', at = new Date() } = {}) => {
+  if (!nonce || typeof nonce !== 'string') {
+    return {
+      success: false,
+      reason: 'CHALLENGE_SESSION_REQUIRED',
+      message: 'Please request liveness challenges before capturing your face.',
+    };
+  }
+
+  const captureTime = new Date(at);
+  const session = await LivenessChallengeSession.findOneAndUpdate(
+    {
+      nonce,
+      studentId,
+      mode,
+      usedAt: null,
+      createdAt: { $lte: new Date(captureTime.getTime() + CLOCK_SKEW_MS) },
+      expiresAt: { $gte: captureTime },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (session) return { success: true, session };
+
+  const existing = await LivenessChallengeSession.findOne({ nonce, studentId, mode }).lean();
+  if (!existing) {
+    return { success: false, reason: 'CHALLENGE_SESSION_INVALID', message: 'Liveness challenge session not found.' };
+  }
+  if (existing.usedAt) {
+    return { success: false, reason: 'CHALLENGE_SESSION_USED', message: 'These liveness challenges were already used. Please try again.' };
+  }
+  return { success: false, reason: 'CHALLENGE_SESSION_EXPIRED', message: 'Liveness challenges expired. Please try again.' };
+};
+
+/**
+ * Returns a consumed session to unused, for when verification could not run
+ * (e.g., a provider or network error) and the capture should stay retryable.
+ * Only undoes the consumption that returned `session`.
+ *
+ * @param {object} session - The session returned by consumeChallengeSession.
+ * @returns {Promise<void>}
+ */
+export const releaseChallengeSession = async (session) => {
+  await LivenessChallengeSession.updateOne(
+    { _id: session._id, usedAt: session.usedAt },
+    { usedAt: null }
+  );
+};
+
+/**
+ * Assigns the session's challenge types to the captured frames, in order.
+ * Labels sent by the client are only checked, never trusted.
+ *
+ * @param {object} session - The consumed LivenessChallengeSession.
+ * @param {Array<object>} challengeImages - Frames as sent by the client ({ challengeType?, image }).
+ * @returns {object} { success: true, frames } or { success: false, reason, message }.
+ */
+export const bindChallengeFrames = (session, challengeImages) => {
+  if (!Array.isArray(challengeImages) || challengeImages.length !== session.challenges.length) {
+    return {
+      success: false,
+      reason: 'CHALLENGE_FRAME_COUNT_MISMATCH',
+      message: `Expected ${session.challenges.length} face images, one per challenge.`,
+    };
+  }
+
+  const mislabeled = challengeImages.some(
+    (frame, index) => frame.challengeType && frame.challengeType !== session.challenges[index]
+  );
+  if (mislabeled) {
+    return {
+      success: false,
+      reason: 'CHALLENGE_ORDER_MISMATCH',
+      message: 'Face images do not follow the issued challenges.',
+    };
+  }
+
+  return {
+    success: true,
+    frames: challengeImages.map((frame, index) => ({ ...frame, challengeType: session.challenges[index] })),
+  };
+};
@@ -0,0 +1,134 @@
+/**
+ * @file localStorageDriver.js
+ * @description Local filesystem implementation of the object storage
+ * interface (see storageService.js), for self-hosted deployments and CI.
+ * Objects live under STORAGE_LOCAL_DIR (default ./storage). Signed URLs point
+ * at GET /api/files/<key> and carry an HMAC signature and expiry, checked by
+ * `serveSignedFile`.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.json': 'application/json',
+};
+
+/**
+ * Reads the local storage settings from the environment.
+ * @returns {object} The active configuration.
+ */
+const getConfig = () => ({
+  ROOT_DIR: path.resolve(process.env.STORAGE_LOCAL_DIR || 'storage'),
+  // Prefix for signed URLs, e.g. https://api.example.com (defaults to a relative URL)
+  PUBLIC_BASE_URL: (process.env.STORAGE_PUBLIC_BASE_URL || '').replace(/\/$/, ''),
+  SIGNING_SECRET: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+});
+
+/**
+ * Maps an object key to a path inside the storage root.
+ * @param {string} key - Object key (e.g., "face-images/123-user.jpg").
+ * @returns {string} Absolute file path.
+ * @throws {Error} If the key would escape the storage root.
+ */
+const resolvePath = (key) => {
+  const { ROOT_DIR } = getConfig();
+  const filePath = path.resolve(ROOT_DIR, key);
+  if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+/**
+ * Computes the signature for a key and expiry time.
+ * @param {string} key - Object key.
+ * @param {number} expires - Expiry in epoch seconds.
+ * @returns {string} Hex HMAC-SHA256 signature.
+ */
+const sign = (key, expires) => {
+  const { SIGNING_SECRET } = getConfig();
+  if (!SIGNING_SECRET) {
+    throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) is required to sign file URLs.');
+  }
+  return crypto.createHmac('sha256', SIGNING_SECRET).update(`${key}:${expires}`).digest('hex');
+};
+
+export const localStorageDriver = {
+  name: 'local',
+
+  async put(key, body) {
+    const filePath = resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    return key;
+  },
+
+  async get(key) {
+    try {
+      return await fs.readFile(resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async delete(key) {
+    try {
+      await fs.unlink(resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  },
+
+  async getSignedUrl(key, { expiresIn = 300 } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${getConfig().PUBLIC_BASE_URL}/api/files/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+  },
+
+  // Local files cannot be referenced by Rekognition; callers send the bytes instead
+  toS3Object() {
+    return null;
+  }
+};
+
+/**
+ * @desc    Serve a locally stored file through a signed URL
+ * @route   GET /api/files/*key?expires=&signature=
+ * @access  Public (signature required)
+ */
+export const serveSignedFile = async (req, res) => {
+  try {
+    const key = [].concat(req.params.key).join('/');
+    const expires = Number(req.query.expires);
+    const signature = String(req.query.signature || '');
+
+    if (!Number.isFinite(expires) || expires < Math.floor(Date.now() / 1000)) {
+      return res.status(403).json({ success: false, message: 'Link has expired' });
+    }
+
+    const expected = Buffer.from(sign(key, expires));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return res.status(403).json({ success: false, message: 'Invalid signature' });
+    }
+
+    const body = await localStorageDriver.get(key);
+    if (!body) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    res.set('Content-Type', CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(body);
+  } catch (error) {
+    console.error('Error serving file:', error);
+    res.status(500).json({ success: false, message: 'Error serving file' });
+  }
+};
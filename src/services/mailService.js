@@ -0,0 +1,99 @@
+/**
+ * @file mailService.js
+ * @description Selects the mail transport from MAIL_TRANSPORT and sends
+ * messages through it. Transports:
+ *
+ *   console - prints the message to the server log (development default)
+ *   file    - writes each message as JSON to MAIL_OUTBOX_DIR (default ./storage/outbox)
+ *   smtp    - sends through nodemailer using SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ *             SMTP_USER and SMTP_PASS
+ *
+ * Every transport implements send({ from, to, subject, text, html }).
+ * The console and file transports cannot be used in production, where they
+ * would expose reset links to anyone reading the logs or disk.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+const consoleTransport = {
+  name: 'console',
+
+  async send(message) {
+    console.log(`📧 [Mail] To: ${message.to}\n   Subject: ${message.subject}\n${message.text}`);
+  },
+};
+
+const fileTransport = {
+  name: 'file',
+
+  async send(message) {
+    const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'storage/outbox');
+    await fs.mkdir(dir, { recursive: true });
+
+    const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(path.join(dir, filename), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    console.log(`📧 [Mail] Wrote "${message.subject}" for ${message.to} to ${filename}`);
+  },
+};
+
+// Lazy Singleton SMTP connection pool
+let smtpTransporter = null;
+const smtpTransport = {
+  name: 'smtp',
+
+  async send(message) {
+    if (!smtpTransporter) {
+      if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST must be set to use the smtp mail transport.');
+      }
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    }
+    await smtpTransporter.sendMail(message);
+  },
+};
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+/**
+ * Returns the configured mail transport.
+ * @returns {object} The active transport.
+ * @throws {Error} If MAIL_TRANSPORT names an unknown transport, or a
+ * development transport is selected in production.
+ */
+export const getMailTransport = () => {
+  const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  const transport = TRANSPORTS[name];
+
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}.`);
+  }
+  if (transport !== smtpTransport && process.env.NODE_ENV === 'production') {
+    throw new Error(`The ${name} mail transport cannot be used in production.`);
+  }
+
+  return transport;
+};
+
+/**
+ * Sends an email through the configured transport.
+ * @param {object} message - { to, subject, text, html? }
+ * @returns {Promise<void>}
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'Attendance System <no-reply@attendance.local>';
+  await getMailTransport().send({ from, to, subject, text, html });
+};
@@ -0,0 +1,181 @@
+/**
+ * @file mockFaceProvider.js
+ * @description In-process, deterministic face provider for development and
+ * tests (FACE_PROVIDER=mock). It needs no network or credentials and always
+ * gives the same answer for the same input.
+ *
+ * Images are interpreted as follows:
+ * - Bytes that decode to a JSON object are "scripted" faces, e.g.
+ *   { "identity": "alice", "smile": true, "yaw": -30, "similarity": 97 }.
+ *   Supported keys: faces (count, default 1), identity, confidence, brightness,
+ *   sharpness, eyesOpen, smile, sunglasses, occluded, yaw, pitch, similarity.
+ * - Any other bytes are a single clear, frontal, neutral face whose identity
+ *   is derived from a hash of the bytes.
+ * Scripted frames of one capture should share an `identity`, otherwise the
+ * cross-frame check sees different people.
+ *
+ * When the source image is given by storage key it is not read, so the
+ * target's scripted `similarity` (default MOCK_FACE_SIMILARITY, 99) decides.
+ * Liveness sessions succeed with MOCK_LIVENESS_CONFIDENCE (default 99).
+ * Embeddings are unit vectors derived from the identity, so two images of the
+ * same identity have a cosine similarity of 1.
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_FACE = {
+  faces: 1,
+  confidence: 99.9,
+  brightness: 80,
+  sharpness: 80,
+  eyesOpen: true,
+  smile: false,
+  sunglasses: false,
+  occluded: false,
+  yaw: 0,
+  pitch: 0,
+};
+
+// In-memory state, reset on restart
+const collections = new Map(); // collectionId -> Map(faceId -> { identity, externalImageId })
+const livenessSessions = new Map(); // sessionId -> { userId, createdAt }
+let livenessCounter = 0;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const getDefaultSimilarity = () => Number(process.env.MOCK_FACE_SIMILARITY) || 99;
+const getLivenessConfidence = () => Number(process.env.MOCK_LIVENESS_CONFIDENCE) || 99;
+
+const EMBEDDING_DIMENSIONS = 128;
+
+/**
+ * Reads the scripted description of an image, or the default face.
+ * @param {Buffer} imageBytes - The image.
+ * @returns {object} Face script with an `identity`.
+ */
+const readScript = (imageBytes) => {
+  const bytes = Buffer.from(imageBytes || []);
+  try {
+    const script = JSON.parse(bytes.toString('utf8'));
+    if (script && typeof script === 'object' && !Array.isArray(script)) {
+      return { ...DEFAULT_FACE, identity: hash(bytes).slice(0, 16), ...script };
+    }
+  } catch (error) {
+    // Not a scripted image
+  }
+  return { ...DEFAULT_FACE, identity: hash(bytes).slice(0, 16) };
+};
+
+/**
+ * Builds an error named like its Rekognition counterpart.
+ * @param {string} name - Error name (e.g., 'InvalidParameterException').
+ * @param {string} message - Error message.
+ * @returns {Error} The error.
+ */
+const awsLikeError = (name, message) => Object.assign(new Error(message), { name });
+
+export const mockFaceProvider = {
+  name: 'mock',
+
+  async detectFaces(imageBytes) {
+    const script = readScript(imageBytes);
+    return Array.from({ length: script.faces }, () => ({
+      confidence: script.confidence,
+      brightness: script.brightness,
+      sharpness: script.sharpness,
+      eyesOpen: { value: Boolean(script.eyesOpen), confidence: 99 },
+      smile: { value: Boolean(script.smile), confidence: 99 },
+      pose: { pitch: script.pitch, yaw: script.yaw, roll: 0 },
+      sunglasses: { value: Boolean(script.sunglasses), confidence: 99 },
+      occluded: { value: Boolean(script.occluded), confidence: 99 },
+      boundingBox: { Width: 0.5, Height: 0.6, Left: 0.25, Top: 0.2 },
+    }));
+  },
+
+  async compareFaces({ sourceBytes, targetBytes, threshold = 80 }) {
+    const target = readScript(targetBytes);
+    if (target.faces < 1) return { matched: false, similarity: null };
+
+    let similarity = target.similarity ?? getDefaultSimilarity();
+    if (sourceBytes && target.similarity === undefined) {
+      similarity = readScript(sourceBytes).identity === target.identity ? similarity : 0;
+    }
+
+    return similarity >= threshold
+      ? { matched: true, similarity }
+      : { matched: false, similarity: null };
+  },
+
+  async indexFace(imageBytes, { collectionId, externalImageId } = {}) {
+    const script = readScript(imageBytes);
+    if (script.faces < 1) return null;
+
+    const digest = hash(`${collectionId}:${script.identity}`);
+    const faceId = [digest.slice(0, 8), digest.slice(8, 12), digest.slice(12, 16), digest.slice(16, 20), digest.slice(20, 32)].join('-');
+
+    if (!collections.has(collectionId)) collections.set(collectionId, new Map());
+    collections.get(collectionId).set(faceId, { identity: script.identity, externalImageId });
+
+    return {
+      faceId,
+      confidence: script.confidence,
+      boundingBox: { Width: 0.5, Height: 0.6, Left: 0.25, Top: 0.2 },
+      landmarks: [],
+      pose: { Pitch: script.pitch, Yaw: script.yaw, Roll: 0 },
+      quality: { Brightness: script.brightness, Sharpness: script.sharpness },
+    };
+  },
+
+  async searchFacesByImage(imageBytes, { collectionId, threshold = 80, maxFaces = 10 } = {}) {
+    const target = readScript(imageBytes);
+    if (target.faces < 1) return [];
+
+    const similarity = target.similarity ?? getDefaultSimilarity();
+    if (similarity < threshold) return [];
+
+    return [...(collections.get(collectionId) || new Map()).entries()]
+      .filter(([, face]) => face.identity === target.identity)
+      .slice(0, maxFaces)
+      .map(([faceId, face]) => ({ faceId, externalImageId: face.externalImageId, similarity }));
+  },
+
+  async deleteFaces(collectionId, faceIds) {
+    const collection = collections.get(collectionId);
+    faceIds.forEach(faceId => collection?.delete(faceId));
+  },
+
+  async extractEmbedding(imageBytes) {
+    const script = readScript(imageBytes);
+    if (script.faces < 1) return null;
+
+    // Expand the identity hash into a fixed-length vector, then normalize it
+    const values = [];
+    for (let block = 0; values.length < EMBEDDING_DIMENSIONS; block += 1) {
+      const digest = crypto.createHash('sha256').update(`${script.identity}:${block}`).digest();
+      for (const byte of digest) values.push(byte / 127.5 - 1);
+    }
+    const vector = values.slice(0, EMBEDDING_DIMENSIONS);
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return vector.map(v => v / norm);
+  },
+
+  async createLivenessSession({ userId } = {}) {
+    livenessCounter += 1;
+    const sessionId = `mock-${hash(`${userId || 'anonymous'}:${livenessCounter}`).slice(0, 24)}`;
+    livenessSessions.set(sessionId, { userId, createdAt: new Date() });
+    return sessionId;
+  },
+
+  async getLivenessSessionResults(sessionId) {
+    const session = livenessSessions.get(sessionId);
+    if (!session) {
+      throw awsLikeError('InvalidParameterException', `Unknown liveness session ${sessionId}.`);
+    }
+    return {
+      status: 'SUCCEEDED',
+      confidence: getLivenessConfidence(),
+      referenceImageBytes: Buffer.from(JSON.stringify({ identity: `user-${session.userId || 'anonymous'}` })),
+      auditImages: [],
+    };
+  },
+};
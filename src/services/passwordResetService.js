@@ -0,0 +1,139 @@
+/**
+ * @file passwordResetService.js
+ * @description Password reset by emailed, single-use, expiring tokens. The
+ * plain token only ever exists in the email; the database keeps its hash.
+ */
+
+import crypto from 'crypto';
+import { PasswordResetToken } from '../models/passwordResetTokenModel.js';
+import { User } from '../models/userModel.js';
+import { sendMail } from './mailService.js';
+import { revokeAllSessions } from './tokenService.js';
+import { recordAudit } from './auditService.js';
+
+/**
+ * Reads the reset settings from the environment.
+ * @returns {object} The active configuration.
+ */
+const getConfig = () => ({
+  TTL_MINUTES: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+  // Minimum time between two reset emails for the same account
+  RESEND_INTERVAL_MS: 60 * 1000,
+  // Where reset links point (the token is appended as ?token=...)
+  RESET_URLS: {
+    student: process.env.STUDENT_RESET_PASSWORD_URL || 'attendanceapp://reset-password',
+    staff: process.env.TEACHER_RESET_PASSWORD_URL || 'http://localhost:5173/reset-password',
+  },
+});
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issues a reset token for a user and emails the link. Earlier unused tokens
+ * are invalidated. Requests within a minute of the last one are ignored so
+ * the endpoint cannot be used to flood an inbox.
+ *
+ * @param {object} user - The User document.
+ * @param {object} options
+ * @param {string} options.audience - 'student' (mobile app link) or 'staff' (website link).
+ * @param {string} [options.ip] - Requesting IP address, for the audit trail.
+ * @returns {Promise<boolean>} True if an email was sent.
+ */
+export const requestPasswordReset = async (user, { audience, ip }) => {
+  const { TTL_MINUTES, RESEND_INTERVAL_MS, RESET_URLS } = getConfig();
+
+  const recent = await PasswordResetToken.exists({
+    userId: user._id,
+    createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_MS) },
+  });
+  if (recent) return false;
+
+  await PasswordResetToken.updateMany({ userId: user._id, usedAt: null }, { usedAt: new Date() });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TTL_MINUTES * 60 * 1000),
+    requestedIp: ip,
+  });
+
+  const resetUrl = `${RESET_URLS[audience] || RESET_URLS.staff}?token=${token}`;
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hello ${user.fullName},`,
+        '',
+        `Use the link below to choose a new password. It expires in ${TTL_MINUTES} minutes and can be used once.`,
+        '',
+        resetUrl,
+        '',
+        'If you did not ask to reset your password, you can ignore this email.',
+      ].join('\n'),
+    });
+  } catch (error) {
+    // Logged, not thrown: a failure must not tell the caller the account exists
+    console.error(`Could not send password reset email to user ${user._id}:`, error);
+    return false;
+  }
+
+  await recordAudit('PASSWORD_RESET_REQUESTED', {
+    actorId: user._id,
+    targetType: 'User',
+    targetId: user._id,
+    ip,
+  });
+
+  return true;
+};
+
+/**
+ * Sets a new password using a reset token. The token is claimed atomically,
+ * so it works exactly once. All existing sessions of the user are ended.
+ *
+ * @param {string} token - The token from the reset link.
+ * @param {string} newPassword - The new password.
+ * @param {object} options
+ * @param {Array<string>} options.roles - Roles allowed to reset through this endpoint.
+ * @returns {Promise<object>} { success: true, user } or { success: false, reason, message }.
+ */
+export const resetPasswordWithToken = async (token, newPassword, { roles }) => {
+  if (!token || typeof token !== 'string') {
+    return { success: false, reason: 'TOKEN_REQUIRED', message: 'Reset token is required.' };
+  }
+  if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+    return { success: false, reason: 'WEAK_PASSWORD', message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters long.` };
+  }
+
+  const invalid = { success: false, reason: 'INVALID_OR_EXPIRED_TOKEN', message: 'This reset link is invalid or has expired. Please request a new one.' };
+
+  const tokenHash = hashToken(token);
+  const record = await PasswordResetToken.findOne({ tokenHash, usedAt: null, expiresAt: { $gt: new Date() } });
+  if (!record) return invalid;
+
+  const user = await User.findById(record.userId);
+  if (!user || !roles.includes(user.role)) return invalid;
+
+  const claimed = await PasswordResetToken.findOneAndUpdate(
+    { _id: record._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+  if (!claimed) return invalid;
+
+  user.password = newPassword; // Hashed by the pre-save hook
+  await user.save();
+  await revokeAllSessions(user._id, 'password_change');
+
+  await recordAudit('PASSWORD_RESET_COMPLETED', {
+    actorId: user._id,
+    targetType: 'User',
+    targetId: user._id,
+    details: { tokenId: record._id },
+  });
+
+  return { success: true, user };
+};
@@ -0,0 +1,146 @@
+/**
+ * @file permissionService.js
+ * @description Role and permission model. Every user holds the permissions
+ * of their account role (User.role) plus those of any RoleAssignment made
+ * by an admin. Each grant carries a scope:
+ *
+ *   global      - everywhere
+ *   department  - classes whose Class.department matches
+ *   class       - one class
+ *   own_classes - classes the user teaches, as primary teacher or through a
+ *                 ClassTeacher assignment (account role 'teacher')
+ *   self        - the user's own records (account role 'student')
+ *
+ * Permissions are 'resource:action' strings; '*' grants all of them.
+ * Which classes a grant covers is resolved by classAccessService.
+ */
+
+import { RoleAssignment } from '../models/roleAssignmentModel.js';
+
+/**
+ * Every permission the system checks.
+ */
+export const PERMISSIONS = [
+  'attendance:submit',  // mark one's own attendance (student app)
+  'attendance:take',    // run QR sessions, mark manual attendance
+  'attendance:view',    // view class attendance records
+  'attendance:edit',    // change or void attendance records
+  'class:view',
+  'class:manage',       // create and edit classes and enrollments
+  'schedule:manage',
+  'students:view',
+  'students:manage',    // create, edit and delete student accounts
+  'devices:reset',
+  'face:review',        // approve face changes, resolve duplicate faces
+  'anomalies:review',
+  'reports:view',
+  'audit:view',
+  'staff:manage',       // teacher accounts and role assignments
+];
+
+/**
+ * Role definitions. Account roles are granted implicitly with a fixed
+ * scope; assignable roles take the scope of their RoleAssignment.
+ */
+export const ROLES = {
+  admin: {
+    label: 'Administrator',
+    assignable: false,
+    scope: 'global',
+    permissions: ['*'],
+  },
+  teacher: {
+    label: 'Teacher',
+    assignable: false,
+    scope: 'own_classes',
+    permissions: [
+      'attendance:take', 'attendance:view', 'attendance:edit', 'class:view', 'class:manage',
+      'schedule:manage', 'students:view', 'devices:reset', 'face:review', 'anomalies:review', 'reports:view',
+    ],
+  },
+  student: {
+    label: 'Student',
+    assignable: false,
+    scope: 'self',
+    permissions: ['attendance:submit'],
+  },
+  hod: {
+    label: 'Head of Department',
+    assignable: true,
+    permissions: [
+      'attendance:view', 'attendance:edit', 'class:view', 'class:manage', 'schedule:manage', 'students:view',
+      'devices:reset', 'face:review', 'anomalies:review', 'reports:view', 'audit:view',
+    ],
+  },
+  department_coordinator: {
+    label: 'Department Coordinator',
+    assignable: true,
+    permissions: ['attendance:view', 'class:view', 'class:manage', 'schedule:manage', 'students:view', 'reports:view'],
+  },
+  lab_assistant: {
+    label: 'Lab Assistant',
+    assignable: true,
+    permissions: ['attendance:take', 'attendance:view', 'class:view', 'students:view'],
+  },
+  auditor: {
+    label: 'Auditor (read-only)',
+    assignable: true,
+    permissions: ['attendance:view', 'class:view', 'students:view', 'reports:view', 'audit:view'],
+  },
+};
+
+/**
+ * Lists the grants a user holds: their account role plus role assignments.
+ *
+ * @param {object} user - The User (req.user).
+ * @returns {Promise<Array<object>>} Grants as { role, permissions, scope, department, classId }.
+ */
+export const getUserGrants = async (user) => {
+  const grants = [];
+  const accountRole = ROLES[user.role];
+  if (accountRole) {
+    grants.push({ role: user.role, permissions: accountRole.permissions, scope: accountRole.scope });
+  }
+
+  const assignments = await RoleAssignment.find({ userId: user._id }).lean();
+  for (const assignment of assignments) {
+    const definition = ROLES[assignment.role];
+    if (!definition || !definition.assignable) continue;
+
+    grants.push({
+      role: assignment.role,
+      permissions: definition.permissions,
+      scope: assignment.scope,
+      department: assignment.department,
+      classId: assignment.classId,
+    });
+  }
+  return grants;
+};
+
+/**
+ * Picks the grants that include a permission.
+ * @param {Array<object>} grants - Grants from getUserGrants.
+ * @param {string} permission - e.g., 'attendance:edit'.
+ * @returns {Array<object>} The matching grants.
+ */
+export const grantsWithPermission = (grants, permission) =>
+  grants.filter(grant => grant.permissions.includes('*') || grant.permissions.includes(permission));
+
+/**
+ * Checks whether a user holds a permission anywhere, or with
+ * `{ global: true }` only through a global grant. Checks against a
+ * particular class go through classAccessService.canAccessClass.
+ *
+ * @param {object} user - The User (req.user).
+ * @param {string} permission - e.g., 'attendance:edit'.
+ * @param {object} [target] - { global: true } to require a global grant.
+ * @param {Array<object>} [grants] - Grants already loaded for the user.
+ * @returns {Promise<boolean>} True if allowed.
+ */
+export const hasPermission = async (user, permission, target = {}, grants = null) => {
+  const held = grantsWithPermission(grants || await getUserGrants(user), permission);
+  if (held.length === 0) return false;
+  if (target.global) return held.some(grant => grant.scope === 'global');
+  return true;
+};
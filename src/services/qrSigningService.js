@@ -0,0 +1,152 @@
+/**
+ * @file qrSigningService.js
+ * @description Signs and verifies compact QR payloads with Ed25519 so the
+ * student app can check a scanned code offline against published public keys,
+ * and the backend can trust the payload without a token lookup.
+ *
+ * Compact format: `<base64url(JSON claims)>.<base64url(signature)>`
+ * Claims: { v, kid, sid (sessionId), cid (classId), tok, iat, exp } — times in epoch seconds.
+ *
+ * Keys come from QR_SIGNING_KEYS, a JSON array of { kid, privateKey (PKCS#8 PEM) }.
+ * The first entry signs new payloads; every entry is kept for verification,
+ * so a key is rotated by prepending a new one and dropping the old one once
+ * the sessions it signed have expired. A key pair can be generated with:
+ *   node -e "console.log(require('crypto').generateKeyPairSync('ed25519').privateKey.export({type:'pkcs8',format:'pem'}))"
+ */
+
+import crypto from 'crypto';
+
+const PAYLOAD_VERSION = 1;
+// Allowed clock difference when checking 'iat' / 'exp'
+const CLOCK_SKEW_SECONDS = 30;
+
+// Lazy keyring: [{ kid, privateKey: KeyObject, publicKey: KeyObject }]
+let keyring = null;
+
+/**
+ * Loads the signing keys from the environment on first use.
+ * Without configured keys an ephemeral key is generated so development keeps
+ * working, but payloads will not verify after a restart.
+ * @returns {Array<object>} The loaded keyring, active key first.
+ */
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  if (process.env.QR_SIGNING_KEYS) {
+    let entries;
+    try {
+      entries = JSON.parse(process.env.QR_SIGNING_KEYS);
+    } catch (error) {
+      throw new Error('QR_SIGNING_KEYS must be a JSON array of { kid, privateKey }.');
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('QR_SIGNING_KEYS must contain at least one key.');
+    }
+    keyring = entries.map(({ kid, privateKey }) => {
+      if (!kid || !privateKey) {
+        throw new Error('Each QR signing key needs a kid and a privateKey.');
+      }
+      const key = crypto.createPrivateKey(privateKey.replace(/\\n/g, '\n'));
+      if (key.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`QR signing key "${kid}" is not an Ed25519 key.`);
+      }
+      return { kid, privateKey: key, publicKey: crypto.createPublicKey(key) };
+    });
+  } else {
+    console.warn('⚠️ [QR] QR_SIGNING_KEYS not set; using an ephemeral signing key.');
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    keyring = [{ kid: `ephemeral-${crypto.randomBytes(4).toString('hex')}`, privateKey, publicKey }];
+  }
+
+  return keyring;
+};
+
+const toEpochSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Signs the claims for a QR code.
+ * @param {object} params
+ * @param {string} params.sessionId - The QRCodeSession.sessionId.
+ * @param {string} params.classId - The class the session belongs to.
+ * @param {string} params.token - The current rotating token.
+ * @param {Date} params.expiresAt - When the session stops accepting attendance.
+ * @param {Date} [params.issuedAt] - Issue time (defaults to now).
+ * @returns {string} The compact signed payload to encode in the QR code.
+ */
+export const signQRPayload = ({ sessionId, classId, token, expiresAt, issuedAt = new Date() }) => {
+  const [activeKey] = getKeyring();
+  const claims = {
+    v: PAYLOAD_VERSION,
+    kid: activeKey.kid,
+    sid: sessionId,
+    cid: classId.toString(),
+    tok: token,
+    iat: toEpochSeconds(issuedAt),
+    exp: toEpochSeconds(expiresAt),
+  };
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(body), activeKey.privateKey).toString('base64url');
+  return `${body}.${signature}`;
+};
+
+/**
+ * Verifies a compact signed payload.
+ * @param {string} compact - The string read from the QR code.
+ * @param {object} [options]
+ * @param {Date} [options.at] - Point in time to check validity at (defaults to now).
+ * @returns {object} { valid: true, claims } or { valid: false, reason, message }.
+ */
+export const verifyQRPayload = (compact, { at = new Date() } = {}) => {
+  if (typeof compact !== 'string' || compact.split('.').length !== 2) {
+    return { valid: false, reason: 'QR_PAYLOAD_MALFORMED', message: 'QR code is not a valid attendance code.' };
+  }
+
+  const [body, signature] = compact.split('.');
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'QR_PAYLOAD_MALFORMED', message: 'QR code is not a valid attendance code.' };
+  }
+
+  if (typeof claims !== 'object' || claims === null ||
+      claims.v !== PAYLOAD_VERSION || !claims.sid || !claims.cid || !claims.tok) {
+    return { valid: false, reason: 'QR_PAYLOAD_MALFORMED', message: 'QR code is not a valid attendance code.' };
+  }
+
+  const key = getKeyring().find(entry => entry.kid === claims.kid);
+  if (!key) {
+    return { valid: false, reason: 'QR_UNKNOWN_KEY', message: 'QR code was signed with an unknown key.' };
+  }
+
+  const signatureValid = crypto.verify(
+    null,
+    Buffer.from(body),
+    key.publicKey,
+    Buffer.from(signature, 'base64url')
+  );
+  if (!signatureValid) {
+    return { valid: false, reason: 'QR_SIGNATURE_INVALID', message: 'QR code signature is invalid.' };
+  }
+
+  const now = toEpochSeconds(at);
+  if (claims.iat > now + CLOCK_SKEW_SECONDS) {
+    return { valid: false, reason: 'QR_PAYLOAD_NOT_YET_VALID', message: 'QR code is not valid yet.' };
+  }
+  if (claims.exp < now - CLOCK_SKEW_SECONDS) {
+    return { valid: false, reason: 'QR_PAYLOAD_EXPIRED', message: 'This attendance session has ended.' };
+  }
+
+  return { valid: true, claims };
+};
+
+/**
+ * Lists the public verification keys as JWKs, for offline checks in the app.
+ * @returns {Array<object>} JWKs with 'kid', 'alg' and 'use' set.
+ */
+export const getPublicKeys = () => getKeyring().map(({ kid, publicKey }) => ({
+  ...publicKey.export({ format: 'jwk' }),
+  kid,
+  alg: 'EdDSA',
+  use: 'sig',
+}));
@@ -0,0 +1,296 @@
+/**
+ * @file rollCallService.js
+ * @description Bulk manual attendance. A teacher submits the full roster of a
+ * session, identified by a ScheduleInstance or by class and exact start time,
+ * e.g., from a paper roll call during a network outage. The roster is diffed
+ * against the attendance already recorded for that session and applied in
+ * one MongoDB transaction (which needs a replica set, as on Atlas), with a
+ * single audit entry and an AttendanceRevision per record changed. If the
+ * session's records change between the preview and the transaction, nothing
+ * is applied.
+ *
+ * Creating records needs 'attendance:take' on the class; changing records
+ * that already exist also needs 'attendance:edit'.
+ */
+
+import mongoose from 'mongoose';
+import { Attendance } from '../models/attendanceModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { ScheduleInstance } from '../models/recurringScheduleModel.js';
+import {
+  ATTENDED_FILTER,
+  resolveScheduledStart,
+  findApprovedLeave,
+  findCoveringLeave,
+  manualStatusUpdate,
+} from './attendanceStatusService.js';
+import { applyAttendanceChange } from './attendanceRevisionService.js';
+import { canAccessClass } from './classAccessService.js';
+import { recordAudit } from './auditService.js';
+
+/**
+ * @const {Array<string>} ROLL_CALL_STATUSES
+ * @description Statuses a roll call may record. Absent students on approved
+ * leave are recorded as 'excused'.
+ */
+export const ROLL_CALL_STATUSES = ['present', 'late', 'absent'];
+
+const SESSION_CHANGED = {
+  success: false,
+  reason: 'SESSION_CHANGED',
+  message: 'Attendance for this session changed while the roll call was being recorded; nothing was changed. Review the preview and submit again.',
+};
+
+/**
+ * Resolves the session a roll call is for and the filter matching its
+ * existing attendance records.
+ * @param {object} target - { scheduleId } or { classId, date } where `date` is the session's start time.
+ * @returns {Promise<object>} { success: true, session } or { success: false, reason, message }.
+ */
+const resolveRollCallSession = async ({ scheduleId, classId, date }) => {
+  if (scheduleId) {
+    if (!mongoose.Types.ObjectId.isValid(scheduleId)) {
+      return { success: false, reason: 'SCHEDULE_NOT_FOUND', message: 'Scheduled session not found.' };
+    }
+    const instance = await ScheduleInstance.findById(scheduleId).select('classId scheduledDate startTime attendanceSessionId').lean();
+    if (!instance) {
+      return { success: false, reason: 'SCHEDULE_NOT_FOUND', message: 'Scheduled session not found.' };
+    }
+
+    const recordFilter = instance.attendanceSessionId
+      ? { $or: [{ scheduleId: instance._id }, { sessionId: instance.attendanceSessionId }] }
+      : { scheduleId: instance._id };
+    return {
+      success: true,
+      session: {
+        classId: instance.classId,
+        scheduleId: instance._id,
+        sessionId: instance.attendanceSessionId || null,
+        timestamp: await resolveScheduledStart(instance._id, instance.scheduledDate) || instance.scheduledDate,
+        recordFilter,
+      },
+    };
+  }
+
+  if (classId && date) {
+    const timestamp = new Date(date);
+    if (isNaN(timestamp)) {
+      return { success: false, reason: 'INVALID_DATE', message: 'Invalid session date.' };
+    }
+
+    // Without a ScheduleInstance the session is its exact start time, so other
+    // lectures of the class on the same day are left alone
+    return {
+      success: true,
+      session: {
+        classId,
+        scheduleId: null,
+        sessionId: null,
+        timestamp,
+        recordFilter: { scheduleId: null, sessionId: null, timestamp },
+      },
+    };
+  }
+
+  return { success: false, reason: 'SESSION_REQUIRED', message: 'A schedule ID, or a class ID and session start time, is required.' };
+};
+
+/**
+ * Reads the session's existing records for the roster and diffs them
+ * against it. Voided records are reported but left alone.
+ * @param {object} session - From resolveRollCallSession.
+ * @param {Array<object>} roster - The validated roster.
+ * @param {object} [transaction] - MongoDB session to read in.
+ * @returns {Promise<Array<object>>} One row per roster entry: { studentId, attendanceId, from, to, leaveId, change }.
+ */
+const diffRollCall = async (session, roster, transaction = null) => {
+  const studentIds = roster.map(entry => entry.studentId);
+  const existing = await Attendance.find({
+    classId: session.classId,
+    studentId: { $in: studentIds },
+    ...session.recordFilter,
+  }).session(transaction);
+  const existingByStudent = new Map(existing.map(record => [record.studentId.toString(), record]));
+  const leaves = await findApprovedLeave(studentIds, session.timestamp, session.timestamp);
+
+  return roster.map(({ studentId, status }) => {
+    const leave = status === 'absent' ? findCoveringLeave(leaves, studentId, session.timestamp, session.classId) : null;
+    const to = leave ? 'excused' : status;
+    const record = existingByStudent.get(studentId.toString());
+    const from = record ? record.status || 'present' : null;
+    return {
+      studentId,
+      attendanceId: record?._id || null,
+      from,
+      to,
+      leaveId: leave?._id || null,
+      change: !record ? 'create' : record.voidedAt ? 'voided' : from === to ? 'unchanged' : 'update',
+    };
+  });
+};
+
+/**
+ * Whether two diffs of the same roster would make the same changes.
+ * @returns {boolean} True if every row matches.
+ */
+const sameDiff = (a, b) =>
+  a.every((row, index) =>
+    row.change === b[index].change &&
+    row.to === b[index].to &&
+    String(row.attendanceId) === String(b[index].attendanceId)
+  );
+
+/**
+ * Diffs a roll call against recorded attendance and, unless previewing,
+ * applies it in one transaction.
+ *
+ * @param {object} actor - The acting User (req.user).
+ * @param {object} input
+ * @param {string} [input.scheduleId] - The ScheduleInstance ID.
+ * @param {string} [input.classId] - The class ID (with `date`, when there is no ScheduleInstance).
+ * @param {string} [input.date] - The session's exact start time (with `classId`).
+ * @param {Array<object>} input.roster - [{ studentId, status }] with statuses from ROLL_CALL_STATUSES.
+ * @param {string} [input.notes] - Stored on every record written.
+ * @param {boolean} [input.preview] - True to return the diff without applying it.
+ * @param {object} [req] - Express request, for permission grants and the audit trail.
+ * @returns {Promise<object>} { success: true, session, diff, summary, applied } or { success: false, reason, message, invalid? }.
+ */
+export const applyRollCall = async (actor, { scheduleId, classId, date, roster, notes, preview = false }, req = null) => {
+  if (!Array.isArray(roster) || roster.length === 0) {
+    return { success: false, reason: 'ROSTER_REQUIRED', message: 'A roster of students and statuses is required.' };
+  }
+
+  const resolved = await resolveRollCallSession({ scheduleId, classId, date });
+  if (!resolved.success) return resolved;
+  const { session } = resolved;
+
+  const access = await canAccessClass(actor, session.classId, 'attendance:take', req?.permissionGrants);
+  if (!access.success) return access;
+
+  // Validate the whole roster before touching anything
+  const enrolledIds = new Set(
+    (await ClassEnrollment.find({ classId: session.classId }).distinct('studentId')).map(id => id.toString())
+  );
+  const seen = new Set();
+  const invalid = [];
+  for (const entry of roster) {
+    const studentId = entry?.studentId?.toString();
+    let error = null;
+    if (!studentId || !enrolledIds.has(studentId)) error = 'Student is not enrolled in this class';
+    else if (seen.has(studentId)) error = 'Student is listed more than once';
+    else if (!ROLL_CALL_STATUSES.includes(entry.status)) error = `Status must be one of: ${ROLL_CALL_STATUSES.join(', ')}`;
+    if (error) invalid.push({ studentId: entry?.studentId ?? null, error });
+    if (studentId) seen.add(studentId);
+  }
+  if (invalid.length > 0) {
+    return { success: false, reason: 'INVALID_ROSTER', message: 'The roster has invalid entries; nothing was recorded.', invalid };
+  }
+
+  const diff = await diffRollCall(session, roster);
+
+  const summary = {
+    created: diff.filter(row => row.change === 'create').length,
+    updated: diff.filter(row => row.change === 'update').length,
+    unchanged: diff.filter(row => row.change === 'unchanged').length,
+    voided: diff.filter(row => row.change === 'voided').length,
+    unlisted: [...enrolledIds].filter(id => !seen.has(id)),
+  };
+
+  if (summary.updated > 0) {
+    const editAccess = await canAccessClass(actor, session.classId, 'attendance:edit', req?.permissionGrants);
+    if (!editAccess.success) {
+      return {
+        success: false,
+        reason: 'EDIT_NOT_ALLOWED',
+        message: 'This roll call changes existing attendance records, which you are not allowed to edit.',
+      };
+    }
+  }
+
+  const sessionInfo = {
+    classId: session.classId,
+    scheduleId: session.scheduleId,
+    sessionId: session.sessionId,
+    timestamp: session.timestamp,
+  };
+  if (preview || summary.created + summary.updated === 0) {
+    return { success: true, session: sessionInfo, diff, summary, applied: false };
+  }
+
+  const note = notes || 'Roll call entered manually by teacher';
+  let changed = false;
+  try {
+    await mongoose.connection.transaction(async (transaction) => {
+      // Re-read inside the transaction: a submission that arrived since the
+      // diff above must not be duplicated or overwritten unseen
+      changed = !sameDiff(diff, await diffRollCall(session, roster, transaction));
+      if (changed) return;
+
+      const created = diff.filter(row => row.change === 'create');
+      if (created.length > 0) {
+        const inserted = await Attendance.insertMany(created.map(row => ({
+          studentId: row.studentId,
+          classId: session.classId,
+          scheduleId: session.scheduleId,
+          sessionId: session.sessionId,
+          ...manualStatusUpdate(row.to, { notes: note, leaveId: row.leaveId }).$set,
+          timestamp: session.timestamp,
+        })), { session: transaction });
+        inserted.forEach((record, index) => { created[index].attendanceId = record._id; });
+      }
+
+      const updated = diff.filter(row => row.change === 'update');
+      const records = await Attendance.find({ _id: { $in: updated.map(row => row.attendanceId) } }).session(transaction);
+      const recordsById = new Map(records.map(record => [record._id.toString(), record]));
+      for (const row of updated) {
+        const revised = await applyAttendanceChange(
+          recordsById.get(row.attendanceId.toString()),
+          manualStatusUpdate(row.to, { notes: note, leaveId: row.leaveId }),
+          { action: 'roll_call', reason: note, editedBy: actor._id, filter: { voidedAt: null }, transaction }
+        );
+        if (!revised) {
+          changed = true;
+          throw new Error('Attendance changed during roll call');
+        }
+      }
+
+      if (session.scheduleId) {
+        const attendedCount = await Attendance.countDocuments({
+          classId: session.classId,
+          ...session.recordFilter,
+          ...ATTENDED_FILTER,
+        }).session(transaction);
+        await ScheduleInstance.updateOne(
+          { _id: session.scheduleId },
+          { attendanceMarked: true, attendanceCount: attendedCount },
+          { session: transaction }
+        );
+      }
+    });
+  } catch (error) {
+    // A record changed, or created for the same QR session, by a concurrent submission
+    if (changed || error.code === 11000) return SESSION_CHANGED;
+    throw error;
+  }
+  if (changed) return SESSION_CHANGED;
+
+  await recordAudit('ATTENDANCE_BULK_MANUAL_ENTRY', {
+    actorId: actor._id,
+    targetType: session.scheduleId ? 'ScheduleInstance' : 'Class',
+    targetId: session.scheduleId || session.classId,
+    details: {
+      classId: session.classId,
+      sessionTimestamp: session.timestamp,
+      created: summary.created,
+      updated: summary.updated,
+      unchanged: summary.unchanged,
+      changes: diff
+        .filter(row => row.change === 'create' || row.change === 'update')
+        .map(({ studentId, attendanceId, from, to }) => ({ studentId, attendanceId, from, to })),
+    },
+    req,
+  });
+
+  console.log(`📋 [RollCall] Class ${session.classId}: ${summary.created} created, ${summary.updated} updated by ${actor._id}`);
+  return { success: true, session: sessionInfo, diff, summary, applied: true };
+};
@@ -0,0 +1,139 @@
+/**
+ * @file storageService.js
+ * @description Selects the object store from STORAGE_DRIVER ('s3' by
+ * default, or 'local' for the filesystem) and provides the face-image helpers
+ * used by the controllers. Every driver implements:
+ *
+ *   put(key, body, { contentType, metadata }) -> key
+ *   get(key) -> Buffer, or null if the object does not exist
+ *   delete(key)
+ *   getSignedUrl(key, { expiresIn }) -> time-limited URL for reading the object
+ *   toS3Object(key) -> { Bucket, Name } Rekognition can read directly, or null
+ *
+ * User.faceImageS3Key holds a storage key whichever driver is active.
+ */
+
+import crypto from 'crypto';
+import { s3StorageDriver } from '../AWS/s3StorageDriver.js';
+import { localStorageDriver } from './localStorageDriver.js';
+
+const DRIVERS = {
+  s3: s3StorageDriver,
+  local: localStorageDriver,
+};
+
+/**
+ * Returns the configured storage driver.
+ * @returns {object} The active driver.
+ * @throws {Error} If STORAGE_DRIVER names an unknown driver.
+ */
+export const getStorage = () => {
+  const name = (process.env.STORAGE_DRIVER || 's3').toLowerCase();
+  const driver = DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(DRIVERS).join(', ')}.`);
+  }
+  return driver;
+};
+
+/**
+ * Stores a face image and returns its storage key.
+ * @param {Buffer} imageBuffer - The image bytes.
+ * @param {string} filename - Name from generateFaceImageFilename.
+ * @param {string} [contentType] - MIME type of the image.
+ * @returns {Promise<string>} The storage key.
+ */
+export const uploadFaceImage = async (imageBuffer, filename, contentType = 'image/jpeg') => {
+  const key = `face-images/${Date.now()}-${filename}`;
+  return getStorage().put(key, imageBuffer, {
+    contentType,
+    metadata: { purpose: 'face-recognition' }
+  });
+};
+
+/**
+ * Deletes a stored face image.
+ * @param {string} key - The storage key.
+ */
+export const deleteFaceImage = async (key) => getStorage().delete(key);
+
+/**
+ * Reads a stored face image.
+ * @param {string} key - The storage key.
+ * @returns {Promise<Buffer|null>} The image bytes, or null if missing.
+ */
+export const getFaceImage = async (key) => getStorage().get(key);
+
+/**
+ * Creates a short-lived URL for viewing a stored face image.
+ * @param {string} key - The storage key.
+ * @param {number} [expiresIn] - Lifetime in seconds (default 300).
+ * @returns {Promise<string|null>} The URL, or null when there is no key.
+ */
+export const getFaceImageUrl = async (key, expiresIn = 300) => {
+  if (!key) return null;
+  return getStorage().getSignedUrl(key, { expiresIn });
+};
+
+/**
+ * Stores a supporting document under a folder and returns its storage key.
+ * @param {string} folder - Key prefix, e.g., 'leave-attachments'.
+ * @param {Buffer} fileBuffer - The file bytes.
+ * @param {string} filename - Original filename (used for the extension).
+ * @param {string} contentType - MIME type of the file.
+ * @param {string} purpose - Stored as object metadata.
+ * @returns {Promise<string>} The storage key.
+ */
+const uploadDocument = async (folder, fileBuffer, filename, contentType, purpose) => {
+  const extension = (filename || '').split('.').pop() || 'jpg';
+  const key = `${folder}/${Date.now()}-${crypto.randomUUID()}.${extension}`;
+  return getStorage().put(key, fileBuffer, { contentType, metadata: { purpose } });
+};
+
+/**
+ * Stores a file supporting an attendance correction request.
+ * @param {Buffer} fileBuffer - The file bytes.
+ * @param {string} filename - Original filename.
+ * @param {string} [contentType] - MIME type of the file.
+ * @returns {Promise<string>} The storage key.
+ */
+export const uploadEvidenceFile = async (fileBuffer, filename, contentType = 'image/jpeg') =>
+  uploadDocument('attendance-evidence', fileBuffer, filename, contentType, 'attendance-correction');
+
+/**
+ * Stores a file attached to a leave application (e.g., a medical certificate).
+ * @param {Buffer} fileBuffer - The file bytes.
+ * @param {string} filename - Original filename.
+ * @param {string} [contentType] - MIME type of the file.
+ * @returns {Promise<string>} The storage key.
+ */
+export const uploadLeaveAttachment = async (fileBuffer, filename, contentType = 'application/pdf') =>
+  uploadDocument('leave-attachments', fileBuffer, filename, contentType, 'leave-application');
+
+/**
+ * Deletes a stored document (evidence file or leave attachment).
+ * @param {string} key - The storage key.
+ */
+export const deleteStoredFile = async (key) => getStorage().delete(key);
+
+/**
+ * Creates a short-lived URL for viewing a stored document.
+ * @param {string} key - The storage key.
+ * @param {number} [expiresIn] - Lifetime in seconds (default 300).
+ * @returns {Promise<string|null>} The URL, or null when there is no key.
+ */
+export const getStoredFileUrl = async (key, expiresIn = 300) => {
+  if (!key) return null;
+  return getStorage().getSignedUrl(key, { expiresIn });
+};
+
+/**
+ * Builds a unique filename for a user's face image.
+ * @param {string} userId - User ID (or another identifier such as enrollment number).
+ * @param {string} [extension] - File extension.
+ * @returns {string} The filename.
+ */
+export const generateFaceImageFilename = (userId, extension = 'jpg') => {
+  const timestamp = Date.now();
+  return `user-${userId}-face-${timestamp}.${extension}`;
+};
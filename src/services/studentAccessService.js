@@ -0,0 +1,39 @@
+/**
+ * @file studentAccessService.js
+ * @description Decides which students a staff member may act on: those
+ * enrolled in a class the staff member may act on with the permission in
+ * question (see classAccessService). Admins may act on every student.
+ */
+
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { getAccessibleClassIds } from './classAccessService.js';
+
+/**
+ * Checks whether a user may act on a student.
+ *
+ * @param {object} user - The acting User (req.user).
+ * @param {string} studentId - The student's user ID.
+ * @param {string} permission - The permission needed, e.g., 'face:review'.
+ * @returns {Promise<boolean>} True if allowed.
+ */
+export const canAccessStudent = async (user, studentId, permission) => {
+  const classIds = await getAccessibleClassIds(user, permission);
+  if (classIds === null) return true;
+  if (classIds.length === 0) return false;
+
+  return Boolean(await ClassEnrollment.exists({ studentId, classId: { $in: classIds } }));
+};
+
+/**
+ * Lists the students a user may act on.
+ *
+ * @param {object} user - The acting User (req.user).
+ * @param {string} permission - The permission needed, e.g., 'face:review'.
+ * @returns {Promise<Array|null>} Student IDs, or null for no restriction (admins).
+ */
+export const getAccessibleStudentIds = async (user, permission) => {
+  const classIds = await getAccessibleClassIds(user, permission);
+  if (classIds === null) return null;
+
+  return ClassEnrollment.find({ classId: { $in: classIds } }).distinct('studentId');
+};
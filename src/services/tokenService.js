@@ -0,0 +1,183 @@
+/**
+ * @file tokenService.js
+ * @description Issues short-lived JWT access tokens and rotating, server-side
+ * refresh tokens, and revokes them on logout or password change.
+ *
+ * Access tokens carry the user's `tokenVersion` (`tv` claim); bumping it on
+ * the User invalidates every outstanding access token at once.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { RefreshToken } from '../models/refreshTokenModel.js';
+import { User } from '../models/userModel.js';
+
+/**
+ * Reads the token settings from the environment.
+ * @returns {object} The active configuration.
+ */
+const getConfig = () => ({
+  JWT_SECRET: process.env.JWT_SECRET,
+  // jsonwebtoken duration string (e.g., '15m', '1h')
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  REFRESH_TOKEN_TTL_DAYS: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Returns the JWT signing secret.
+ * @returns {string} The secret.
+ * @throws {Error} If JWT_SECRET is not set.
+ */
+const getJwtSecret = () => {
+  const { JWT_SECRET } = getConfig();
+  if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set.');
+  }
+  return JWT_SECRET;
+};
+
+/**
+ * Checks the authentication configuration at startup.
+ * @throws {Error} If JWT_SECRET is missing, or too short in production.
+ */
+export const assertAuthConfig = () => {
+  const secret = getJwtSecret();
+  if (process.env.NODE_ENV === 'production' && secret.length < 32) {
+    throw new Error('JWT_SECRET must be at least 32 characters in production.');
+  }
+};
+
+/**
+ * Verifies an access token.
+ * @param {string} token - The bearer token.
+ * @returns {object} The decoded claims ({ id, tv }).
+ * @throws {Error} If the token is invalid or expired.
+ */
+export const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+/**
+ * Signs an access token for a user.
+ * @param {object} user - The User.
+ * @returns {string} The access token.
+ */
+const signAccessToken = (user) =>
+  jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, getJwtSecret(), { expiresIn: getConfig().ACCESS_TOKEN_TTL });
+
+/**
+ * Creates a refresh token record and returns the plain token.
+ * @param {object} user - The User.
+ * @param {object} meta - { familyId, ip, userAgent }
+ * @returns {Promise<string>} The refresh token.
+ */
+const createRefreshToken = async (user, { familyId, ip, userAgent }) => {
+  const { REFRESH_TOKEN_TTL_DAYS } = getConfig();
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    familyId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ip,
+    userAgent,
+  });
+  return token;
+};
+
+/**
+ * Issues an access token and a new refresh token family for a login.
+ *
+ * @param {object} user - The User document.
+ * @param {object} [meta] - { ip, userAgent } of the client.
+ * @returns {Promise<object>} { accessToken, refreshToken, expiresIn }
+ */
+export const issueAuthTokens = async (user, { ip, userAgent } = {}) => {
+  const accessToken = signAccessToken(user);
+  const refreshToken = await createRefreshToken(user, { familyId: crypto.randomUUID(), ip, userAgent });
+
+  return { accessToken, refreshToken, expiresIn: getConfig().ACCESS_TOKEN_TTL };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token. The
+ * used token is revoked; presenting it again revokes the whole family, since
+ * that means it was copied. A token of a user whose role the endpoint does
+ * not serve is refused before anything is revoked.
+ *
+ * @param {string} refreshToken - The refresh token from the client.
+ * @param {object} options
+ * @param {Array<string>} options.roles - Roles allowed to refresh through this endpoint.
+ * @param {string} [options.ip] - IP address of the client.
+ * @param {string} [options.userAgent] - User agent of the client.
+ * @returns {Promise<object>} { success: true, user, accessToken, refreshToken, expiresIn } or { success: false, reason, message }.
+ */
+export const rotateRefreshToken = async (refreshToken, { roles, ip, userAgent }) => {
+  const invalid = { success: false, reason: 'INVALID_REFRESH_TOKEN', message: 'Session expired. Please log in again.' };
+  if (!refreshToken || typeof refreshToken !== 'string') return invalid;
+
+  const tokenHash = hashToken(refreshToken);
+  const owner = await RefreshToken.findOne({ tokenHash }).select('userId').lean();
+  if (!owner) return invalid;
+  const user = await User.findById(owner.userId);
+  if (!user || !roles.includes(user.role)) return invalid;
+
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: 'rotated' }
+  );
+
+  if (!record) {
+    const reused = await RefreshToken.findOne({ tokenHash, revokedReason: 'rotated' });
+    if (reused) {
+      await RefreshToken.updateMany(
+        { familyId: reused.familyId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+      );
+      console.warn(`🔐 [Auth] Refresh token reuse detected for user ${reused.userId}; session family revoked`);
+    }
+    return invalid;
+  }
+
+  const accessToken = signAccessToken(user);
+  const nextRefreshToken = await createRefreshToken(user, { familyId: record.familyId, ip, userAgent });
+
+  return { success: true, user, accessToken, refreshToken: nextRefreshToken, expiresIn: getConfig().ACCESS_TOKEN_TTL };
+};
+
+/**
+ * Revokes the session a refresh token belongs to (logout on one device).
+ *
+ * @param {string} refreshToken - The refresh token from the client.
+ * @param {string} userId - The logged-in user's ID; other users' tokens are ignored.
+ * @returns {Promise<boolean>} True if a session was revoked.
+ */
+export const revokeRefreshToken = async (refreshToken, userId) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return false;
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), userId });
+  if (!record) return false;
+
+  const result = await RefreshToken.updateMany(
+    { familyId: record.familyId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Ends every session of a user: revokes all refresh tokens and invalidates
+ * all access tokens by bumping the user's tokenVersion.
+ *
+ * @param {string} userId - The user's ID.
+ * @param {string} reason - 'logout_all' or 'password_change'.
+ * @returns {Promise<object>} The updated User.
+ */
+export const revokeAllSessions = async (userId, reason) => {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
+};
@@ -1,11 +1,36 @@
+import mongoose from 'mongoose';
 import { Attendance } from '../../models/attendanceModel.js';
 import { QRCodeSession } from '../../models/qrCodeSessionModel.js';
 import { ClassEnrollment } from '../../models/classEnrollmentModel.js';
 import { User } from '../../models/userModel.js';
+import { Class } from '../../models/classModel.js';
+import { FaceLivenessSession } from '../../models/faceLivenessSessionModel.js';
 import { ScheduleInstance } from '../../models/recurringScheduleModel.js';
+import { AttendanceRevision } from '../../models/attendanceRevisionModel.js';
 import {
   verifyLivenessWithChallenges,
 } from '../../AWS/faceComparisonService.js';
+import {
+  createLivenessSession,
+  getLivenessSessionResults,
+  verifyLivenessAndCompare,
+} from '../../AWS/faceLivenessService.js';
+import { checkGeofence, toGeofenceRecord } from '../../services/geofenceService.js';
+import { verifyQRPayload } from '../../services/qrSigningService.js';
+import { scheduleAnomalyCheck } from '../../services/anomalyService.js';
+import {
+  SYSTEM_ABSENCE_FILTER,
+  countByStatus,
+  determineArrivalStatus,
+  summarizeStatusCounts,
+} from '../../services/attendanceStatusService.js';
+import { applyAttendanceChange } from '../../services/attendanceRevisionService.js';
+import {
+  bindChallengeFrames,
+  consumeChallengeSession,
+  issueChallengeSession,
+  releaseChallengeSession,
+} from '../../services/livenessChallengeService.js';
 
 /**
  * @desc    Submit attendance after frontend completes liveness check (Step 2)
@@ -181,10 +206,266 @@ import {
 // };
 
 
+// --- Offline Sync ---
+
+// Maximum number of offline records accepted in one sync request
+const MAX_SYNC_BATCH = 20;
+// Allowed device clock drift when comparing capture times (ms)
+const CAPTURE_CLOCK_SKEW_MS = 60 * 1000;
+// How long after a session closes its offline records may still be synced
+const getOfflineSyncMaxAgeMs = () => (Number(process.env.OFFLINE_SYNC_MAX_AGE_HOURS) || 72) * 60 * 60 * 1000;
+
+/**
+ * Converts base64 challenge images from the app into buffers.
+ * @param {Array<object>} challengeImages - Array of { challengeType, image (base64) }.
+ * @returns {Array<object>} Array of { challengeType, imageBytes }.
+ */
+const decodeChallengeImages = (challengeImages) => challengeImages.map(({ challengeType, image }) => {
+  // Remove data URL prefix if present
+  const base64Data = image.replace(/^data:image\/\w+;base64,/, '');
+  const imageBytes = Buffer.from(base64Data, 'base64');
+  return { challengeType, imageBytes };
+});
+
+/**
+ * Resolves the QR session a student scanned, from the signed payload or the
+ * legacy sessionId + qrToken pair, and checks that it is active, belongs to
+ * the class, and that the token is current (or within the grace window).
+ *
+ * @param {object} scan - { qrPayload?, sessionId?, qrToken?, classId }
+ * @returns {Promise<object>} { qrSession, tokenStatus } or { error: { reason, message } }
+ */
+const resolveScannedSession = async ({ qrPayload, sessionId, qrToken, classId }) => {
+  const fail = (reason, message) => ({ error: { reason, message } });
+
+  if (qrPayload) {
+    const verification = verifyQRPayload(qrPayload);
+    if (!verification.valid) {
+      return fail(verification.reason, verification.message);
+    }
+    sessionId = verification.claims.sid;
+    qrToken = verification.claims.tok;
+  }
+  if (!sessionId || !qrToken) {
+    return fail('QR_TOKEN_REQUIRED', 'Please scan the QR code shown by your teacher.');
+  }
+
+  const qrSession = await QRCodeSession.findOne({
+    sessionId,
+    isActive: true,
+    sessionExpiresAt: { $gt: new Date() }
+  });
+  if (!qrSession) {
+    return fail('SESSION_NOT_ACTIVE', 'No active attendance session. QR code may have expired.');
+  }
+  if (qrSession.classId.toString() !== classId.toString()) {
+    return fail('SESSION_CLASS_MISMATCH', 'This QR code is for a different class.');
+  }
+
+  // Accept the current token, or a rotated-out one within the grace window
+  const tokenStatus = qrSession.matchToken(qrToken);
+  if (tokenStatus === 'stale') {
+    return fail('QR_TOKEN_EXPIRED', 'This QR code has expired. Please scan the code currently on screen.');
+  }
+  if (tokenStatus === 'unknown') {
+    return fail('QR_TOKEN_INVALID', 'Invalid QR code. Please scan the code currently on screen.');
+  }
+
+  return { qrSession, tokenStatus };
+};
+
+/**
+ * Reads the submitting device's identifier: the bound device verified by
+ * requireBoundDevice, else the X-Device-Id header (or `deviceId` in the body)
+ * when device binding is off.
+ * @param {object} req - Express request object.
+ * @returns {string|undefined} The device ID.
+ */
+const getDeviceId = (req) => req.device?.deviceId || req.get('X-Device-Id') || req.body?.deviceId || undefined;
+
+/**
+ * Picks the verification metrics persisted on an Attendance record.
+ * @param {object} verificationResult - Successful result from the face verification service.
+ * @returns {object} Attendance fields describing how the student was verified.
+ */
+const toVerificationRecord = ({ livenessScore, similarity, similarityThreshold, challengeTypes, method }) => ({
+  livenessConfidence: livenessScore,
+  faceSimilarity: similarity,
+  similarityThreshold,
+  challengeTypes,
+  verificationMethod: method,
+});
+
+/**
+ * Re-verifies one offline capture the same way a live submission is checked:
+ * signed QR payload, session window, enrollment, geofence, an offline
+ * challenge session valid at capture time, and face match.
+ * Nothing the client asserts about the outcome (liveness, class, embedding) is trusted.
+ *
+ * @param {object} record - { clientRecordId, qrPayload, capturedAt, studentCoordinates, deviceId, challengeSessionId, challengeImages }
+ * @param {object} student - The student's User document.
+ * @returns {Promise<object>} { status: 'success' | 'skipped' | 'rejected', reason?, message?, attendance? }
+ */
+const verifyOfflineRecord = async (record, student) => {
+  const reject = (reason, message) => ({ status: 'rejected', reason, message });
+  const { qrPayload, capturedAt, studentCoordinates, deviceId, challengeSessionId, challengeImages } = record;
+
+  if (!qrPayload) {
+    return reject('QR_PAYLOAD_REQUIRED', 'Offline records must include the signed QR payload.');
+  }
+  const captureTime = new Date(capturedAt);
+  if (!capturedAt || Number.isNaN(captureTime.getTime())) {
+    return reject('CAPTURE_TIME_REQUIRED', 'Offline records must include the capture time.');
+  }
+  if (captureTime.getTime() > Date.now() + CAPTURE_CLOCK_SKEW_MS) {
+    return reject('CAPTURE_TIME_IN_FUTURE', 'Capture time is in the future.');
+  }
+  if (!Array.isArray(challengeImages) || challengeImages.length < 2) {
+    return reject('FACE_IMAGES_REQUIRED', 'At least 2 captured face images are required.');
+  }
+
+  // 1. The QR payload must be authentic and valid at capture time
+  const verification = verifyQRPayload(qrPayload, { at: captureTime });
+  if (!verification.valid) {
+    return reject(verification.reason, verification.message);
+  }
+  const { sid, cid, tok, iat } = verification.claims;
+  if (captureTime.getTime() < iat * 1000 - CAPTURE_CLOCK_SKEW_MS) {
+    return reject('CAPTURED_BEFORE_QR_ISSUED', 'Capture time is earlier than the scanned QR code.');
+  }
+
+  // 2. The session must exist and have been open at capture time
+  const qrSession = await QRCodeSession.findOne({ sessionId: sid });
+  if (!qrSession || qrSession.classId.toString() !== cid) {
+    return reject('SESSION_NOT_FOUND', 'The attendance session for this record no longer exists.');
+  }
+  // The scanned token must still have been on screen (or in its grace window)
+  // when the capture was taken, so a forwarded QR photo cannot be replayed later
+  if (captureTime.getTime() > qrSession.tokenValidUntil(tok, new Date(iat * 1000)).getTime() + CAPTURE_CLOCK_SKEW_MS) {
+    return reject('QR_TOKEN_EXPIRED', 'The scanned QR code had already expired at capture time.');
+  }
+  const sessionEnd = Math.min(
+    qrSession.sessionExpiresAt.getTime(),
+    qrSession.sessionEndedAt ? qrSession.sessionEndedAt.getTime() : Infinity
+  );
+  if (captureTime.getTime() < qrSession.createdAt.getTime() - CAPTURE_CLOCK_SKEW_MS ||
+      captureTime.getTime() > sessionEnd + CAPTURE_CLOCK_SKEW_MS) {
+    return reject('OUTSIDE_SESSION_WINDOW', 'Capture time is outside the attendance session.');
+  }
+  if (Date.now() - sessionEnd > getOfflineSyncMaxAgeMs()) {
+    return reject('SYNC_WINDOW_CLOSED', 'This record was synced too long after the session ended.');
+  }
+
+  // 3. The student must be enrolled in the session's class
+  const enrollment = await ClassEnrollment.findOne({ studentId: student._id, classId: qrSession.classId });
+  if (!enrollment) {
+    return reject('NOT_ENROLLED', 'You are not enrolled in this class.');
+  }
+
+  // 4. Duplicate check (e.g., a retried sync). Only an absence recorded when
+  // the session closed, and not changed since, is replaced once the capture verifies.
+  const existing = await Attendance.findOne({ studentId: student._id, sessionId: qrSession._id });
+  if (existing && !(await Attendance.exists({ _id: existing._id, ...SYSTEM_ABSENCE_FILTER }))) {
+    return { status: 'skipped', message: 'Already exists.', attendance: existing };
+  }
+
+  // 5. Geofence against the session's fence
+  const geofenceResult = await checkGeofence(qrSession, studentCoordinates);
+  if (!geofenceResult.passed && geofenceResult.enforced) {
+    return reject(geofenceResult.reason, geofenceResult.message);
+  }
+
+  // 6. Liveness challenges and face match on the captured images
+  if (!student.faceImageS3Key) {
+    return reject('NO_PROFILE_IMAGE', 'No profile photo registered.');
+  }
+  const classData = await Class.findById(qrSession.classId).select('livenessPolicy');
+  if (classData && !classData.allowsVerification('challenge_compare')) {
+    return reject('LIVENESS_POLICY_MISMATCH', 'This class requires the hosted liveness check, which needs a connection.');
+  }
+  const challengeSession = await consumeChallengeSession(student._id, challengeSessionId, {
+    mode: 'offline',
+    at: captureTime,
+  });
+  if (!challengeSession.success) {
+    return reject(challengeSession.reason, challengeSession.message);
+  }
+  const binding = bindChallengeFrames(challengeSession.session, challengeImages);
+  if (!binding.success) {
+    return reject(binding.reason, binding.message);
+  }
+  // A verification that errors out leaves the challenges usable for the retry
+  let verificationResult;
+  try {
+    verificationResult = await verifyLivenessWithChallenges(
+      decodeChallengeImages(binding.frames),
+      student.faceImageS3Key
+    );
+  } catch (error) {
+    await releaseChallengeSession(challengeSession.session);
+    throw error;
+  }
+  if (!verificationResult.success) {
+    return reject(verificationResult.reason, verificationResult.message);
+  }
+
+  const { status, lateByMinutes } = await determineArrivalStatus(qrSession.scheduleId, captureTime);
+  const verified = {
+    studentCoordinates,
+    deviceId,
+    geofence: toGeofenceRecord(geofenceResult),
+    status,
+    lateByMinutes,
+    livenessPassed: true,
+    ...toVerificationRecord(verificationResult),
+    timestamp: captureTime,
+    synced: true,
+    notes: 'Synced from offline data',
+  };
+
+  let attendance;
+  if (existing) {
+    const replaced = await applyAttendanceChange(existing, { $set: verified }, {
+      action: 'sync',
+      reason: 'Synced from offline data',
+      editedBy: student._id,
+      filter: SYSTEM_ABSENCE_FILTER,
+    });
+    if (!replaced) {
+      return { status: 'skipped', message: 'Already exists.', attendance: existing };
+    }
+    attendance = replaced.record;
+  } else {
+    attendance = await Attendance.create({
+      studentId: student._id,
+      sessionId: qrSession._id,
+      classId: qrSession.classId,
+      scheduleId: qrSession.scheduleId,
+      ...verified,
+    });
+  }
+  scheduleAnomalyCheck(attendance);
+
+  return { status: 'success', attendance };
+};
+
 /**
- * @desc    Sync multiple offline attendance records
+ * @desc    Sync offline attendance captures. Each record is re-verified on the
+ *          server; results are reported per record.
  * @route   POST /api/student/attendance/sync
  * @access  Private (Student)
+ *
+ * Expected Body:
+ * {
+ *   "attendances": [{
+ *     "clientRecordId": "local-uuid",          // Echoed back to match results
+ *     "qrPayload": "eyJ2Ijox...Q.3kX...",      // Signed string from the scanned QR code
+ *     "capturedAt": "2025-11-20T09:05:12Z",
+ *     "studentCoordinates": { "latitude": 18.123, "longitude": 73.456, "accuracy": 12 },
+ *     "challengeSessionId": "c0ffee...",       // From GET /liveness/challenges?mode=offline
+ *     "challengeImages": [{ "challengeType": "neutral", "image": "base64..." }, ...]
+ *   }]
+ * }
  */
 export const syncAttendance = async (req, res) => {
   try {
@@ -194,33 +475,36 @@ export const syncAttendance = async (req, res) => {
     if (!Array.isArray(attendances) || attendances.length === 0) {
       return res.status(400).json({ message: 'No attendance records to sync.' });
     }
+    if (attendances.length > MAX_SYNC_BATCH) {
+      return res.status(400).json({ message: `At most ${MAX_SYNC_BATCH} records can be synced at once.` });
+    }
+
+    const student = await User.findById(studentId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found.' });
+    }
 
     const syncResults = [];
     for (const record of attendances) {
-      const { sessionId, classId, scheduleId, studentCoordinates, livenessPassed, faceEmbedding, timestamp } = record;
-      
-      const existing = await Attendance.findOne({ studentId, sessionId });
-
-      if (existing) {
-        syncResults.push({ sessionId, status: 'skipped', message: 'Already exists.' });
-        continue;
+      const { clientRecordId } = record;
+      try {
+        const result = await verifyOfflineRecord({ ...record, deviceId: getDeviceId(req) }, student);
+        syncResults.push({
+          clientRecordId,
+          status: result.status,
+          reason: result.reason,
+          message: result.message,
+          attendanceId: result.attendance?._id,
+        });
+      } catch (recordError) {
+        console.error(`Sync error for record ${clientRecordId}:`, recordError);
+        syncResults.push({
+          clientRecordId,
+          status: 'rejected',
+          reason: 'VERIFICATION_ERROR',
+          message: 'Could not verify this record. Please retry.',
+        });
       }
-
-      const newRecord = new Attendance({
-        studentId,
-        sessionId,
-        classId,
-        scheduleId,
-        studentCoordinates,
-        livenessPassed,
-        faceEmbedding,
-        timestamp: new Date(timestamp),
-        synced: true,
-        notes: " Synced from offline data",
-      });
-
-      await newRecord.save();
-      syncResults.push({ sessionId, status: 'success' });
     }
 
     res.status(200).json({
@@ -344,28 +628,20 @@ export const getMyAttendanceSummary = async (req, res) => {
 
     const heldSessionIds = await Attendance.distinct('sessionId', {
       classId: { $in: classIds },
+      sessionId: { $ne: null },
     })
     const totalHeldSessions = heldSessionIds.length;
 
-    // 3. Find total attended sessions (Numerator)
-    const totalAttendedSessions = await Attendance.countDocuments({
-      studentId,
+    // 3. Count the student's records by status (present/late/excused/absent)
+    const statusCounts = await countByStatus({
+      studentId: req.user._id,
       classId: { $in: classIds }
     });
 
-    // 4. Calculate percentage
-    const percentage = (totalHeldSessions === 0)
-      ? 100 // If no sessions held, attendance is 100%
-      : (totalAttendedSessions / totalHeldSessions) * 100;
-
+    // 4. Calculate percentage (excused sessions are not counted against the student)
     res.status(200).json({
       message: "Overall summary fetched successfully",
-      summary: {
-        totalHeldSessions,
-        totalAttendedSessions,
-        totalMissedSessions: totalHeldSessions - totalAttendedSessions,
-        percentage: parseFloat(percentage.toFixed(2))
-      }
+      summary: summarizeStatusCounts(statusCounts, totalHeldSessions)
     });
 
   } catch (error) {
@@ -395,28 +671,22 @@ export const getMyClassAttendanceSummary = async (req, res) => {
     // });
     const heldSessionIds = await Attendance.distinct('sessionId', {
       classId: classId,
+      sessionId: { $ne: null },
     });
     const totalHeldSessions = heldSessionIds.length;
 
-    // 2. Find total attended sessions for this class (Numerator)
-    const totalAttendedSessions = await Attendance.countDocuments({
-      studentId,
-      classId: classId
+    // 2. Count the student's records for this class by status
+    const statusCounts = await countByStatus({
+      studentId: req.user._id,
+      classId: new mongoose.Types.ObjectId(classId)
     });
 
     // 3. Calculate percentage
-    const percentage = (totalHeldSessions === 0)
-      ? 100
-      : (totalAttendedSessions / totalHeldSessions) * 100;
-
     res.status(200).json({
       message: "Class summary fetched successfully",
       summary: {
         classId,
-        totalHeldSessions,
-        totalAttendedSessions,
-        totalMissedSessions: totalHeldSessions - totalAttendedSessions,
-        percentage: parseFloat(percentage.toFixed(2))
+        ...summarizeStatusCounts(statusCounts, totalHeldSessions)
       }
     });
 
@@ -454,15 +724,15 @@ export const getMyMissedClasses = async (req, res) => {
       .select('scheduledDate classId attendanceSessionId')
       .lean();
 
-    // 3. Get all attendance records for this student
+    // 3. Get all attended (or excused) records for this student
     // We get the `sessionId` which links to `ScheduleInstance.attendanceSessionId`
-    const attendedRecords = await Attendance.find({ studentId })
+    const attendedRecords = await Attendance.find({ studentId, status: { $ne: 'absent' }, voidedAt: null })
       .select('sessionId')
       .lean();
 
     // Create a Set for fast lookup
     const attendedSessionIds = new Set(
-      attendedRecords.map(rec => rec.sessionId.toString())
+      attendedRecords.filter(rec => rec.sessionId).map(rec => rec.sessionId.toString())
     );
 
     // 4. Filter held sessions to find the missed ones
@@ -542,7 +812,9 @@ export const getAttendanceByClass = async (req, res) => {
     const stats = {
       totalEnrolled: enrolledStudents.length,
       present: transformedRecords.filter(r => r.status === 'present').length,
-      absent: enrolledStudents.length - transformedRecords.filter(r => r.status === 'present').length, // Simplistic calculation
+      late: transformedRecords.filter(r => r.status === 'late').length,
+      excused: transformedRecords.filter(r => r.status === 'excused').length,
+      absent: transformedRecords.filter(r => r.status === 'absent').length,
     };
 
     res.json({
@@ -583,26 +855,81 @@ export const getStudentAttendance = async (req, res) => {
   }
 };
 
-// Update an attendance record (e.g., mark as absent)
-export const updateAttendance = async (req, res) => {
+// What a student sees of a revision: the change and why, not device or face-match details
+const STUDENT_REVISION_FIELDS = 'attendanceId classId version action changes reason editedBy createdAt snapshot.status snapshot.timestamp';
+
+/**
+ * @desc    Get the changes teachers have made to the student's attendance,
+ *          including voided records (newest first, paginated)
+ * @route   GET /api/student/attendance/revisions?classId=...
+ * @access  Private (Student)
+ */
+export const getMyAttendanceRevisions = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
 
-    if (!['present', 'absent', 'late'].includes(status)) {
-      return res.status(400).json({ message: 'Invalid status.' });
+    const query = { studentId: req.user._id };
+    if (req.query.classId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.classId)) {
+        return res.status(400).json({ message: 'Invalid class ID' });
+      }
+      query.classId = req.query.classId;
     }
 
-    const updatedRecord = await Attendance.findByIdAndUpdate(id, { status }, { new: true });
+    const [revisions, total] = await Promise.all([
+      AttendanceRevision.find(query)
+        .select(STUDENT_REVISION_FIELDS)
+        .populate('classId', 'subjectName subjectCode')
+        .populate('editedBy', 'fullName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AttendanceRevision.countDocuments(query)
+    ]);
 
-    if (!updatedRecord) {
-      return res.status(404).json({ message: 'Record not found.' });
+    res.status(200).json({
+      revisions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRecords: total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching attendance revisions:', error);
+    res.status(500).json({ message: 'Failed to fetch attendance history' });
+  }
+};
+
+/**
+ * @desc    Get the revision history of one of the student's attendance records
+ * @route   GET /api/student/attendance/records/:id/history
+ * @access  Private (Student)
+ */
+export const getMyAttendanceRecordHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Attendance record not found' });
     }
 
-    res.json(updatedRecord);
+    const [record, revisions] = await Promise.all([
+      Attendance.findOne({ _id: id, studentId: req.user._id })
+        .select('classId status timestamp syncVersion notes voidedAt'),
+      AttendanceRevision.find({ attendanceId: id, studentId: req.user._id })
+        .select(STUDENT_REVISION_FIELDS)
+        .populate('editedBy', 'fullName')
+        .sort({ version: 1, createdAt: 1 })
+    ]);
+    if (!record && revisions.length === 0) {
+      return res.status(404).json({ message: 'Attendance record not found' });
+    }
+
+    res.status(200).json({ record, voided: Boolean(record?.voidedAt), revisions });
   } catch (error) {
-    console.error('Error updating attendance:', error);
-    res.status(500).json({ message: error.message });
+    console.error('Error fetching attendance record history:', error);
+    res.status(500).json({ message: 'Failed to fetch attendance history' });
   }
 };
 
@@ -730,31 +1057,32 @@ export const getFullAttendanceReport = async (req, res) => {
 };
 
 /**
- * @desc    Get random liveness challenges for the student
+ * @desc    Issue a liveness challenge session for the student. The returned
+ *          challengeSessionId must accompany the captured images, which are
+ *          bound to these challenges in order. Use ?mode=offline to fetch a
+ *          longer-lived set ahead of time for offline capture.
  * @route   GET /api/student/attendance/liveness/challenges
  * @access  Private (Student)
  */
 export const getLivenessChallenges = async (req, res) => {
   try {
-    // Define all possible challenges
-    const allChallenges = [
-      { type: 'neutral', instruction: 'Look straight at the camera', icon: 'face-man' },
-      { type: 'smile', instruction: 'Smile at the camera', icon: 'emoticon-happy' },
-      { type: 'turn_left', instruction: 'Turn your head slightly left', icon: 'arrow-left' },
-      { type: 'turn_right', instruction: 'Turn your head slightly right', icon: 'arrow-right' },
-      { type: 'eyes_open', instruction: 'Open your eyes wide', icon: 'eye' },
-    ];
-
-    // Shuffle and select 3 random challenges (always include neutral first)
-    const shuffled = allChallenges.slice(1).sort(() => Math.random() - 0.5);
-    const selectedChallenges = [
-      allChallenges[0], // Always start with neutral
-      ...shuffled.slice(0, 2) // Add 2 random challenges
-    ];
+    const mode = req.query.mode === 'offline' ? 'offline' : 'online';
+
+    const result = await issueChallengeSession(req.user.id, { mode });
+    if (!result.success) {
+      return res.status(429).json({ 
+        success: false, 
+        reason: result.reason,
+        message: result.message 
+      });
+    }
 
     res.status(200).json({
       success: true,
-      challenges: selectedChallenges,
+      challengeSessionId: result.session.nonce,
+      challenges: result.challenges,
+      mode,
+      expiresAt: result.session.expiresAt,
       message: 'Complete these challenges to verify your identity'
     });
   } catch (error) {
@@ -773,9 +1101,14 @@ export const getLivenessChallenges = async (req, res) => {
  * 
  * Expected Body:
  * {
+ *   "qrPayload": "eyJ2Ijox...Q.3kX...",       // Signed string from the scanned QR code
+ *   // or, for older app versions:
+ *   "sessionId": "3f0c1a9e-...",              // From the scanned QR payload
+ *   "qrToken": "9b1f...e2",                   // Rotating token from the scanned QR payload
  *   "classId": "64f1a2b3c4d5e6f7g8h9i0j1",
- *   "studentCoordinates": { "latitude": 18.123, "longitude": 73.456 },
- *   "challengeImages": [
+ *   "studentCoordinates": { "latitude": 18.123, "longitude": 73.456, "accuracy": 12 },
+ *   "challengeSessionId": "c0ffee...",         // From GET /liveness/challenges
+ *   "challengeImages": [                        // One per issued challenge, in order
  *     { "challengeType": "neutral", "image": "base64..." },
  *     { "challengeType": "smile", "image": "base64..." },
  *     { "challengeType": "turn_left", "image": "base64..." }
@@ -786,10 +1119,13 @@ export const submitAttendanceWithFaceVerification = async (req, res) => {
   console.log('🔄 [Attendance] Starting enhanced face verification');
   try {
     const { 
+      qrPayload,
       classId, 
       studentCoordinates,
+      challengeSessionId,
       challengeImages // Array of { challengeType, image (base64) }
     } = req.body;
+    const { sessionId, qrToken } = req.body;
     
     const studentId = req.user.id;
 
@@ -813,23 +1149,39 @@ export const submitAttendanceWithFaceVerification = async (req, res) => {
       });
     }
 
-    // --- 2. Verify QR Session is Active ---
-    console.log('🔍 [Attendance] Verifying QR session for class:', classId);
+    // --- 2. Verify the Scanned QR Session, Token and Class Policy ---
+    console.log('🔍 [Attendance] Verifying scanned QR session');
     
-    const qrSession = await QRCodeSession.findOne({
-      classId,
-      isActive: true,
-      sessionExpiresAt: { $gt: new Date() }
-    });
+    const scan = await resolveScannedSession({ qrPayload, sessionId, qrToken, classId });
+    if (scan.error) {
+      console.log(`❌ [Attendance] Scan rejected: ${scan.error.reason}`);
+      return res.status(400).json({ 
+        success: false, 
+        reason: scan.error.reason,
+        message: scan.error.message 
+      });
+    }
+    const { qrSession, tokenStatus } = scan;
 
-    if (!qrSession) {
-      console.log('❌ [Attendance] No active QR session found');
+    const classData = await Class.findById(qrSession.classId).select('livenessPolicy');
+    if (classData && !classData.allowsVerification('challenge_compare')) {
       return res.status(400).json({ 
         success: false, 
-        message: 'No active attendance session. QR code may have expired.' 
+        reason: 'LIVENESS_POLICY_MISMATCH',
+        message: 'This class requires the hosted liveness check.' 
+      });
+    }
+
+    const enrollment = await ClassEnrollment.findOne({ studentId, classId: qrSession.classId });
+    if (!enrollment) {
+      console.log('❌ [Attendance] Student not enrolled in class');
+      return res.status(403).json({
+        success: false,
+        reason: 'NOT_ENROLLED',
+        message: 'You are not enrolled in this class.'
       });
     }
-    console.log('✅ [Attendance] QR session verified:', qrSession.sessionId);
+    console.log(`✅ [Attendance] QR session verified: ${qrSession.sessionId} (token: ${tokenStatus})`);
     
     // --- 3. Check for Duplicate Attendance ---
     const existingAttendance = await Attendance.findOne({ 
@@ -846,7 +1198,22 @@ export const submitAttendanceWithFaceVerification = async (req, res) => {
     }
     console.log('✅ [Attendance] No duplicate found');
 
-    // --- 4. Get Student Profile with Face Image ---
+    // --- 4. Geofence Check (before the expensive face verification) ---
+    const geofenceResult = await checkGeofence(qrSession, studentCoordinates);
+
+    if (!geofenceResult.passed && geofenceResult.enforced) {
+      console.log(`❌ [Attendance] Geofence check failed: ${geofenceResult.reason}`);
+      return res.status(403).json({
+        success: false,
+        reason: geofenceResult.reason,
+        distanceMeters: geofenceResult.distanceMeters,
+        radiusMeters: geofenceResult.radiusMeters,
+        message: geofenceResult.message
+      });
+    }
+    console.log(`📍 [Attendance] Geofence: ${geofenceResult.status}${geofenceResult.reason ? ` (${geofenceResult.reason})` : ''}`);
+
+    // --- 5. Get Student Profile with Face Image ---
     const student = await User.findById(studentId);
     
     if (!student) {
@@ -864,17 +1231,31 @@ export const submitAttendanceWithFaceVerification = async (req, res) => {
     }
     console.log(`👤 [Attendance] Student found: ${student.fullName}`);
     
-    // --- 5. Convert base64 images to buffers and verify ---
-    console.log(`🔐 [Attendance] Processing ${challengeImages.length} challenge images`);
+    // --- 6. Bind the images to the issued challenges and convert them to buffers ---
+    const challengeSession = await consumeChallengeSession(studentId, challengeSessionId);
+    if (!challengeSession.success) {
+      console.log(`❌ [Attendance] Challenge session rejected: ${challengeSession.reason}`);
+      return res.status(400).json({ 
+        success: false,
+        reason: challengeSession.reason,
+        message: challengeSession.message
+      });
+    }
+
+    const binding = bindChallengeFrames(challengeSession.session, challengeImages);
+    if (!binding.success) {
+      return res.status(400).json({ 
+        success: false,
+        reason: binding.reason,
+        message: binding.message
+      });
+    }
+
+    console.log(`🔐 [Attendance] Processing ${binding.frames.length} challenge images`);
     
-    const processedChallenges = challengeImages.map(({ challengeType, image }) => {
-      // Remove data URL prefix if present
-      const base64Data = image.replace(/^data:image\/\w+;base64,/, '');
-      const imageBytes = Buffer.from(base64Data, 'base64');
-      return { challengeType, imageBytes };
-    });
+    const processedChallenges = decodeChallengeImages(binding.frames);
 
-    // --- 6. Verify Liveness with Challenges ---
+    // --- 7. Verify Liveness with Challenges ---
     const verificationResult = await verifyLivenessWithChallenges(
       processedChallenges,
       student.faceImageS3Key
@@ -908,36 +1289,46 @@ export const submitAttendanceWithFaceVerification = async (req, res) => {
     console.log(`   Liveness Score: ${verificationResult.livenessScore}%`);
     console.log(`   Face Similarity: ${verificationResult.similarity}%`);
 
-    // --- 7. Save Attendance Record ---
+    // --- 8. Save Attendance Record ---
     console.log('💾 [Attendance] Saving attendance record');
     
+    const timestamp = new Date();
+    const { status, lateByMinutes } = await determineArrivalStatus(qrSession.scheduleId, timestamp);
+
     const attendanceRecord = new Attendance({
       studentId,
       classId,
       sessionId: qrSession._id,
       scheduleId: qrSession.scheduleId,
       studentCoordinates,
-      status: 'present',
+      deviceId: getDeviceId(req),
+      geofence: toGeofenceRecord(geofenceResult),
+      status,
+      lateByMinutes,
       livenessPassed: true,
-      livenessConfidence: verificationResult.livenessScore,
-      faceSimilarity: verificationResult.similarity,
-      timestamp: new Date(),
+      ...toVerificationRecord(verificationResult),
+      timestamp,
       manualEntry: false,
     });
 
     await attendanceRecord.save();
     console.log('✅ [Attendance] Attendance saved successfully');
+    scheduleAnomalyCheck(attendanceRecord);
 
-    // --- 8. Return Success Response ---
+    // --- 9. Return Success Response ---
     res.status(201).json({
       success: true,
-      message: 'Attendance marked successfully!',
+      message: status === 'late' ? `Attendance marked late (${lateByMinutes} min after start).` : 'Attendance marked successfully!',
       data: {
         attendanceId: attendanceRecord._id,
         classId,
+        status,
+        lateByMinutes,
         timestamp: attendanceRecord.timestamp,
         livenessScore: verificationResult.livenessScore,
-        faceSimilarity: verificationResult.similarity
+        faceSimilarity: verificationResult.similarity,
+        challengeTypes: verificationResult.challengeTypes,
+        geofence: toGeofenceRecord(geofenceResult)
       }
     });
 
@@ -950,4 +1341,316 @@ export const submitAttendanceWithFaceVerification = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+/**
+ * @desc    Start a hosted Face Liveness session for the scanned QR session.
+ *          The client runs the liveness check with the returned
+ *          livenessSessionId, then submits it to POST /liveness/submit.
+ * @route   POST /api/student/attendance/liveness/session
+ * @access  Private (Student)
+ * 
+ * Expected Body:
+ * {
+ *   "qrPayload": "eyJ2Ijox...Q.3kX...",       // Signed string from the scanned QR code
+ *   // or "sessionId" + "qrToken" for older app versions
+ *   "classId": "64f1a2b3c4d5e6f7g8h9i0j1"
+ * }
+ */
+export const startFaceLivenessSession = async (req, res) => {
+  try {
+    const { qrPayload, sessionId, qrToken, classId } = req.body;
+    const studentId = req.user.id;
+
+    if (!classId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Class ID is required.' 
+      });
+    }
+
+    const scan = await resolveScannedSession({ qrPayload, sessionId, qrToken, classId });
+    if (scan.error) {
+      return res.status(400).json({ 
+        success: false, 
+        reason: scan.error.reason,
+        message: scan.error.message 
+      });
+    }
+    const { qrSession } = scan;
+
+    const classData = await Class.findById(qrSession.classId).select('livenessPolicy');
+    if (classData && !classData.allowsVerification('face_liveness')) {
+      return res.status(400).json({ 
+        success: false, 
+        reason: 'LIVENESS_POLICY_MISMATCH',
+        message: 'This class uses in-app liveness challenges.' 
+      });
+    }
+
+    const enrollment = await ClassEnrollment.findOne({ studentId, classId: qrSession.classId });
+    if (!enrollment) {
+      return res.status(403).json({ 
+        success: false, 
+        reason: 'NOT_ENROLLED',
+        message: 'You are not enrolled in this class.' 
+      });
+    }
+
+    const existingAttendance = await Attendance.findOne({ studentId, sessionId: qrSession._id });
+    if (existingAttendance) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Attendance already marked for this session.' 
+      });
+    }
+
+    const providerSessionId = await createLivenessSession(studentId);
+    const livenessSession = await FaceLivenessSession.create({
+      studentId,
+      classId: qrSession.classId,
+      qrSessionId: qrSession._id,
+      providerSessionId,
+      // Hosted liveness sessions expire on the provider side after a few minutes
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+    });
+
+    res.status(201).json({
+      success: true,
+      livenessSessionId: providerSessionId,
+      expiresAt: livenessSession.expiresAt,
+      message: 'Liveness session started. Complete the face check to continue.'
+    });
+  } catch (error) {
+    console.error('❌ [Liveness] Error starting session:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to start liveness session.' 
+    });
+  }
+};
+
+/**
+ * @desc    Get the result of the student's hosted Face Liveness session
+ * @route   GET /api/student/attendance/liveness/session/:livenessSessionId
+ * @access  Private (Student)
+ */
+export const getFaceLivenessSessionResult = async (req, res) => {
+  try {
+    const { livenessSessionId } = req.params;
+
+    const livenessSession = await FaceLivenessSession.findOne({
+      providerSessionId: livenessSessionId,
+      studentId: req.user.id
+    });
+    if (!livenessSession) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Liveness session not found.' 
+      });
+    }
+
+    const result = await getLivenessSessionResults(livenessSessionId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        livenessSessionId,
+        status: result.status,
+        confidence: result.confidence,
+        isLive: result.isLive,
+        used: Boolean(livenessSession.usedAt),
+        expiresAt: livenessSession.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('❌ [Liveness] Error fetching session result:', error);
+    if (error.name === 'InvalidParameterException' || error.name === 'SessionNotFoundException') {
+      return res.status(400).json({ 
+        success: false, 
+        reason: 'INVALID_SESSION',
+        message: 'Invalid or expired liveness session.' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch liveness session result.' 
+    });
+  }
+};
+
+/**
+ * @desc    Mark attendance from a completed hosted Face Liveness session
+ * @route   POST /api/student/attendance/liveness/submit
+ * @access  Private (Student)
+ * 
+ * Expected Body:
+ * {
+ *   "livenessSessionId": "5f8a...",           // From POST /liveness/session
+ *   "studentCoordinates": { "latitude": 18.123, "longitude": 73.456, "accuracy": 12 }
+ * }
+ */
+export const submitAttendanceWithFaceLiveness = async (req, res) => {
+  console.log('🔄 [Attendance] Starting hosted liveness verification');
+  try {
+    const { livenessSessionId, studentCoordinates } = req.body;
+    const studentId = req.user.id;
+
+    // --- 1. Input Validation ---
+    if (!livenessSessionId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Liveness session ID is required.' 
+      });
+    }
+    if (!studentCoordinates?.latitude || !studentCoordinates?.longitude) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Student coordinates are required.' 
+      });
+    }
+
+    // --- 2. Load the Liveness Session and the QR Session it was started for ---
+    const livenessSession = await FaceLivenessSession.findOne({
+      providerSessionId: livenessSessionId,
+      studentId
+    });
+    if (!livenessSession) {
+      return res.status(404).json({ 
+        success: false, 
+        reason: 'INVALID_SESSION',
+        message: 'Liveness session not found.' 
+      });
+    }
+    if (livenessSession.usedAt) {
+      return res.status(400).json({ 
+        success: false, 
+        reason: 'LIVENESS_SESSION_USED',
+        message: 'This liveness session was already used. Please start a new one.' 
+      });
+    }
+    if (livenessSession.expiresAt <= new Date()) {
+      return res.status(400).json({ 
+        success: false, 
+        reason: 'LIVENESS_SESSION_EXPIRED',
+        message: 'Liveness session expired. Please scan the QR code again.' 
+      });
+    }
+
+    const qrSession = await QRCodeSession.findOne({
+      _id: livenessSession.qrSessionId,
+      isActive: true,
+      sessionExpiresAt: { $gt: new Date() }
+    });
+    if (!qrSession) {
+      return res.status(400).json({ 
+        success: false, 
+        reason: 'SESSION_NOT_ACTIVE',
+        message: 'The attendance session has ended.' 
+      });
+    }
+
+    // --- 3. Check for Duplicate Attendance ---
+    const existingAttendance = await Attendance.findOne({ studentId, sessionId: qrSession._id });
+    if (existingAttendance) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Attendance already marked for this session.' 
+      });
+    }
+
+    // --- 4. Geofence Check ---
+    const geofenceResult = await checkGeofence(qrSession, studentCoordinates);
+    if (!geofenceResult.passed && geofenceResult.enforced) {
+      console.log(`❌ [Attendance] Geofence check failed: ${geofenceResult.reason}`);
+      return res.status(403).json({
+        success: false,
+        reason: geofenceResult.reason,
+        distanceMeters: geofenceResult.distanceMeters,
+        radiusMeters: geofenceResult.radiusMeters,
+        message: geofenceResult.message
+      });
+    }
+
+    // --- 5. Get Student Profile with Face Image ---
+    const student = await User.findById(studentId);
+    if (!student?.faceImageS3Key) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No profile photo registered. Please upload your face photo first.' 
+      });
+    }
+
+    // --- 6. Claim the Liveness Session (one attendance record per session) ---
+    const claimed = await FaceLivenessSession.findOneAndUpdate(
+      { _id: livenessSession._id, usedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ 
+        success: false, 
+        reason: 'LIVENESS_SESSION_USED',
+        message: 'This liveness session was already used. Please start a new one.' 
+      });
+    }
+
+    // --- 7. Verify Liveness Result and Compare with the Profile Photo ---
+    const verificationResult = await verifyLivenessAndCompare(livenessSessionId, student.faceImageS3Key);
+    if (!verificationResult.success) {
+      console.log(`❌ [Attendance] Hosted liveness failed: ${verificationResult.reason}`);
+      return res.status(400).json({ 
+        success: false,
+        reason: verificationResult.reason,
+        message: verificationResult.message
+      });
+    }
+
+    console.log(`✅ [Attendance] Identity Verified! Liveness: ${verificationResult.livenessScore}%, Similarity: ${verificationResult.similarity}%`);
+
+    // --- 8. Save Attendance Record ---
+    const timestamp = new Date();
+    const { status, lateByMinutes } = await determineArrivalStatus(qrSession.scheduleId, timestamp);
+
+    const attendanceRecord = new Attendance({
+      studentId,
+      classId: qrSession.classId,
+      sessionId: qrSession._id,
+      scheduleId: qrSession.scheduleId,
+      studentCoordinates,
+      deviceId: getDeviceId(req),
+      geofence: toGeofenceRecord(geofenceResult),
+      status,
+      lateByMinutes,
+      livenessPassed: true,
+      ...toVerificationRecord(verificationResult),
+      timestamp,
+      manualEntry: false,
+    });
+
+    await attendanceRecord.save();
+    console.log('✅ [Attendance] Attendance saved successfully');
+    scheduleAnomalyCheck(attendanceRecord);
+
+    res.status(201).json({
+      success: true,
+      message: status === 'late' ? `Attendance marked late (${lateByMinutes} min after start).` : 'Attendance marked successfully!',
+      data: {
+        attendanceId: attendanceRecord._id,
+        classId: qrSession.classId,
+        status,
+        lateByMinutes,
+        timestamp: attendanceRecord.timestamp,
+        livenessScore: verificationResult.livenessScore,
+        faceSimilarity: verificationResult.similarity,
+        geofence: toGeofenceRecord(geofenceResult)
+      }
+    });
+  } catch (error) {
+    console.error('❌ [Attendance] Error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'An unexpected error occurred. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,12 +1,13 @@
 import { User } from '../../models/userModel.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import { uploadFaceImage, generateFaceImageFilename } from '../../AWS/s3Service.js';
-
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'fallback_secret', { expiresIn: '30d' });
-};
+import { uploadFaceImage, deleteFaceImage, generateFaceImageFilename } from '../../services/storageService.js';
+import { enrollFace } from '../../AWS/faceEmbeddingService.js';
+import { checkEnrollmentImageQuality } from '../../AWS/faceComparisonService.js';
+import { bindDevice } from '../../services/deviceBindingService.js';
+import { requestPasswordReset, resetPasswordWithToken } from '../../services/passwordResetService.js';
+import { checkForDuplicateFaces, flagDuplicateFaces } from '../../services/duplicateFaceService.js';
+import { issueAuthTokens, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } from '../../services/tokenService.js';
+import { recordAudit } from '../../services/auditService.js';
 
 // Register (works students)
 export const register = async (req, res) => {
@@ -80,44 +81,53 @@ export const register = async (req, res) => {
       division // --- ADDED: Division is now saved
     };
 
-    // Handle face image upload if provided
+    // Handle face image upload if provided (multipart file, or base64 from the mobile app)
     let faceImageS3Key = null;
+    let faceImageBuffer = null;
+    let faceImageContentType = 'image/jpeg';
 
     if (req.files && req.files.faceImage) {
+      faceImageBuffer = req.files.faceImage[0].buffer;
+      faceImageContentType = req.files.faceImage[0].mimetype;
+    } else if (req.body.faceImageBase64) {
+      const base64Data = req.body.faceImageBase64.replace(/^data:image\/[a-z]+;base64,/, '');
+      faceImageBuffer = Buffer.from(base64Data, 'base64');
+    }
+
+    if (faceImageBuffer) {
+      // Reject photos that would make later face verification unreliable
+      const quality = await checkEnrollmentImageQuality(faceImageBuffer);
+      if (!quality.success) {
+        return res.status(400).json({
+          message: quality.message,
+          error: quality.reason,
+          quality: quality.quality
+        });
+      }
+
       try {
         console.log('Processing face image upload...');
-        const faceImageFile = req.files.faceImage[0];
         const filename = generateFaceImageFilename(fullName);
-        
-        // Upload to S3
-        faceImageS3Key = await uploadFaceImage(
-          faceImageFile.buffer, 
-          filename, 
-          faceImageFile.mimetype
-        );
-        
+        faceImageS3Key = await uploadFaceImage(faceImageBuffer, filename, faceImageContentType);
         userData.faceImageS3Key = faceImageS3Key;
       } catch (faceError) {
         console.error('Error processing face image:', faceError);
-        // Continue with registration even if face processing fails
+        // Continue with registration even if the upload fails
         console.log('Continuing registration without face data...');
+        faceImageBuffer = null;
       }
-    } else if (req.body.faceImageBase64) {
-      try {
-        // Handle base64 image from mobile app
-        const base64Data = req.body.faceImageBase64.replace(/^data:image\/[a-z]+;base64,/, '');
-        const imageBuffer = Buffer.from(base64Data, 'base64');
-        const filename = generateFaceImageFilename(fullName);
-        
-        // Upload to S3
-        console.log('Attempting S3 upload...');
-        faceImageS3Key = await uploadFaceImage(imageBuffer, filename, 'image/jpeg');
-        
-        userData.faceImageS3Key = faceImageS3Key;
-      } catch (faceError) {
-        console.error('Error processing base64 face image:', faceError);
-        // Continue with registration even if face processing fails
-        console.log('Continuing registration without face data...');
+    }
+
+    // Refuse or flag a face that already belongs to another student
+    let duplicateCheck = { matches: [], blocked: false };
+    if (faceImageBuffer) {
+      duplicateCheck = await checkForDuplicateFaces(faceImageBuffer);
+      if (duplicateCheck.blocked) {
+        await deleteFaceImage(faceImageS3Key);
+        return res.status(409).json({
+          message: 'This face is already registered to another student account. Please contact your administrator.',
+          error: 'DUPLICATE_FACE'
+        });
       }
     }
 
@@ -126,9 +136,26 @@ export const register = async (req, res) => {
 
     console.log('User created successfully:', user._id);
 
+    if (duplicateCheck.matches.length > 0) {
+      await flagDuplicateFaces(user._id, duplicateCheck.matches, 'register');
+    }
+
+    // Enroll the face for identify-by-face matching
+    if (faceImageBuffer) {
+      try {
+        await enrollFace(user, faceImageBuffer);
+      } catch (enrollError) {
+        console.error('Error enrolling face:', enrollError);
+        console.log('Continuing registration without face enrollment...');
+      }
+    }
+
     if (user) {
+      const tokens = await issueAuthTokens(user, { ip: req.ip, userAgent: req.get('User-Agent') });
       res.status(201).json({
-        token: generateToken(user._id),
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
         user: {
           _id: user._id,
           fullName: user.fullName || user.name,
@@ -152,10 +179,12 @@ export const register = async (req, res) => {
 };
 
 // Unified Login (works students)
+// Students send { deviceId, devicePublicKey, devicePlatform } to bind the
+// device that will sign their attendance submissions.
 export const login = async (req, res) => {
   console.log('Login request received:', { email: req.body.email, enrollmentNo: req.body.enrollmentNo, hasPassword: !!req.body.password });
   try {
-    const { email, enrollmentNo, password } = req.body;
+    const { email, enrollmentNo, password, deviceId, devicePublicKey, devicePlatform } = req.body;
 
     // Build query - support login with either email or enrollmentNo
     let query = {};
@@ -171,9 +200,39 @@ export const login = async (req, res) => {
     const user = await User.findOne(query);
 
     if (user && (await user.matchPassword(password))) {
+      // Bind (or refresh) the student's device; refuse logins from devices beyond the cap
+      let device = null;
+      if (user.role === 'student' && deviceId) {
+        const binding = await bindDevice(user._id, {
+          deviceId,
+          publicKey: devicePublicKey,
+          platform: devicePlatform
+        });
+        if (!binding.success) {
+          await recordAudit('USER_LOGIN_FAILED', {
+            targetType: 'User',
+            targetId: user._id,
+            details: { identifier: email || enrollmentNo, reason: binding.reason, deviceId },
+            req,
+          });
+          return res.status(403).json({ message: binding.message, error: binding.reason });
+        }
+        device = { deviceId: binding.device.deviceId, boundAt: binding.device.createdAt };
+      }
+
       console.log('Login successful for user:', user.enrollmentNo || user.email);
+      await recordAudit('USER_LOGIN', {
+        actorId: user._id,
+        targetType: 'User',
+        targetId: user._id,
+        details: { deviceId: device?.deviceId || null },
+        req,
+      });
+      const tokens = await issueAuthTokens(user, { ip: req.ip, userAgent: req.get('User-Agent') });
       res.json({
-        token: generateToken(user._id),
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
         user: {
           _id: user._id,
           fullName: user.fullName || user.name,
@@ -184,10 +243,17 @@ export const login = async (req, res) => {
           semester: user.semester,
           division: user.division,
           hasFaceImage: !!user.faceImageS3Key
-        }
+        },
+        device
       });
     } else {
       console.log('Sending 401 Invalid credentials response');
+      await recordAudit('USER_LOGIN_FAILED', {
+        targetType: user ? 'User' : null,
+        targetId: user?._id || null,
+        details: { identifier: email || enrollmentNo, reason: user ? 'WRONG_PASSWORD' : 'UNKNOWN_ACCOUNT' },
+        req,
+      });
       res.status(401).json({ message: 'Invalid credentials' });
     }
   } catch (error) {
@@ -196,6 +262,7 @@ export const login = async (req, res) => {
 };
 
 // Forgot Password
+// Always answers the same way so the endpoint does not reveal which accounts exist.
 export const forgotPassword = async (req, res) => {
   try {
     const { email, enrollmentNo } = req.body;
@@ -212,19 +279,81 @@ export const forgotPassword = async (req, res) => {
       query.enrollmentNo = enrollmentNo;
     }
 
-    const user = await User.findOne(query);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const user = await User.findOne({ ...query, role: 'student' });
+    if (user) {
+      await requestPasswordReset(user, { audience: 'student', ip: req.ip });
     }
 
-    // For now, just return a success message
-    // In a real implementation, you would send an email with a reset link
     res.json({ 
-      message: 'Password reset instructions have been sent to your email address',
-      userFound: true,
-      email: user.email
+      message: 'If an account matches, password reset instructions have been sent to its email address.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Could not process the request. Please try again later.' });
+  }
+};
+
+// Reset Password (with the token from the emailed link)
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const result = await resetPasswordWithToken(token, password, { roles: ['student'] });
+    if (!result.success) {
+      return res.status(400).json({ message: result.message, error: result.reason });
+    }
+
+    res.json({ message: 'Password has been reset. You can now log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Refresh Session
+// Exchanges a refresh token for a new access token and refresh token.
+export const refreshToken = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, {
+      roles: ['student'],
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    if (!result.success) {
+      return res.status(401).json({ message: result.message, error: result.reason });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
     });
   } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Logout (this device)
+// The access token stays valid until it expires; the app discards it.
+export const logout = async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken, req.user._id);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
     res.status(500).json({ message: error.message });
   }
-};
\ No newline at end of file
+};
+
+// Logout All Devices
+export const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id, 'logout_all');
+    console.log(`🔐 [Auth] User ${req.user._id} logged out of all devices`);
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -1,6 +1,8 @@
 import { Class } from '../../models/classModel.js';
 import { ClassEnrollment } from '../../models/classEnrollmentModel.js';
 import { User } from '../../models/userModel.js';
+import { canAccessClass, getTaughtClassIds } from '../../services/classAccessService.js';
+import { recordAudit } from '../../services/auditService.js';
 
 // Get all classes
 export const getAllClasses = async (req, res) => {
@@ -20,8 +22,8 @@ export const getAllClasses = async (req, res) => {
       
       classes = enrollments.map(enrollment => enrollment.classId);
     } else if (userRole === 'teacher') {
-      // For teachers, return classes they teach
-      classes = await Class.find({ teacherId: userId });
+      // For teachers, return classes they teach (primary or co-teacher)
+      classes = await Class.find({ _id: { $in: await getTaughtClassIds(userId) } });
     } else {
       // For admins, return all classes
       classes = await Class.find();
@@ -204,7 +206,7 @@ export const getClassById = async (req, res) => {
       if (!enrollment) {
         return res.status(403).json({ message: 'You are not enrolled in this class' });
       }
-    } else if (userRole === 'teacher' && classRecord.teacherId.toString() !== userId) {
+    } else if (!(await canAccessClass(req.user, id, 'class:view')).success) {
       return res.status(403).json({ message: 'You do not have access to this class' });
     }
 
@@ -268,6 +270,14 @@ export const enrollInClass = async (req, res) => {
 
     // Create enrollment
     const enrollment = await ClassEnrollment.create({ classId, studentId });
+
+    await recordAudit('ENROLLMENT_ADDED', {
+      actorId: req.user._id,
+      targetType: 'ClassEnrollment',
+      targetId: enrollment._id,
+      after: enrollment,
+      req,
+    });
     
     // Populate the enrollment for response
     const populatedEnrollment = await ClassEnrollment.findById(enrollment._id)
@@ -352,6 +362,14 @@ export const unenrollFromClass = async (req, res) => {
     // 5. Delete the enrollment
     await enrollment.deleteOne();
 
+    await recordAudit('ENROLLMENT_REMOVED', {
+      actorId: req.user._id,
+      targetType: 'ClassEnrollment',
+      targetId: enrollment._id,
+      before: enrollment,
+      req,
+    });
+
     res.status(200).json({
       success: true,
       message: 'Successfully unenrolled from class.'
@@ -388,7 +406,7 @@ export const getAvailableStudentsForClass = async (req, res) => {
       });
     }
 
-    // Verify the class exists and belongs to the teacher
+    // Verify the class exists and the teacher teaches it
     const classData = await Class.findById(classId);
     if (!classData) {
       return res.status(404).json({ 
@@ -397,7 +415,7 @@ export const getAvailableStudentsForClass = async (req, res) => {
       });
     }
 
-    if (classData.teacherId.toString() !== req.user.id) {
+    if (!(await canAccessClass(req.user, classId, 'class:view')).success) {
       return res.status(403).json({ 
         success: false,
         message: 'You do not have access to this class' 
@@ -477,7 +495,7 @@ export const teacherEnrollStudent = async (req, res) => {
       });
     }
 
-    // Verify the class exists and belongs to the teacher
+    // Verify the class exists and the teacher teaches it
     const classData = await Class.findById(classId);
     if (!classData) {
       return res.status(404).json({ 
@@ -486,7 +504,7 @@ export const teacherEnrollStudent = async (req, res) => {
       });
     }
 
-    if (classData.teacherId.toString() !== req.user.id) {
+    if (!(await canAccessClass(req.user, classId, 'class:manage')).success) {
       return res.status(403).json({ 
         success: false,
         message: 'You do not have access to this class' 
@@ -513,6 +531,14 @@ export const teacherEnrollStudent = async (req, res) => {
 
     // Create enrollment
     const enrollment = await ClassEnrollment.create({ classId, studentId });
+
+    await recordAudit('ENROLLMENT_ADDED', {
+      actorId: req.user._id,
+      targetType: 'ClassEnrollment',
+      targetId: enrollment._id,
+      after: enrollment,
+      req,
+    });
     
     // Populate the enrollment for response
     const populatedEnrollment = await ClassEnrollment.findById(enrollment._id)
@@ -592,7 +618,7 @@ export const teacherBatchEnrollStudents = async (req, res) => {
       });
     }
 
-    // Verify the class exists and belongs to the teacher
+    // Verify the class exists and the teacher teaches it
     const classData = await Class.findById(classId);
     if (!classData) {
       return res.status(404).json({ 
@@ -601,7 +627,7 @@ export const teacherBatchEnrollStudents = async (req, res) => {
       });
     }
 
-    if (classData.teacherId.toString() !== req.user.id) {
+    if (!(await canAccessClass(req.user, classId, 'class:manage')).success) {
       return res.status(403).json({ 
         success: false,
         message: 'You do not have access to this class' 
@@ -644,6 +670,16 @@ export const teacherBatchEnrollStudents = async (req, res) => {
     }));
 
     const enrollments = await ClassEnrollment.insertMany(enrollmentData);
+    for (const enrollment of enrollments) {
+      await recordAudit('ENROLLMENT_ADDED', {
+        actorId: req.user._id,
+        targetType: 'ClassEnrollment',
+        targetId: enrollment._id,
+        after: enrollment,
+        details: { bulk: true },
+        req,
+      });
+    }
     
     // Populate enrollments for response
     const populatedEnrollments = await ClassEnrollment.find({ 
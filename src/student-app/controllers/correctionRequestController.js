@@ -0,0 +1,100 @@
+import { AttendanceCorrectionRequest } from '../../models/attendanceCorrectionRequestModel.js';
+import { uploadEvidenceFile, deleteStoredFile } from '../../services/storageService.js';
+import { fileCorrectionRequest, cancelCorrectionRequest } from '../../services/attendanceCorrectionService.js';
+
+const FILE_ERROR_STATUS = {
+  REASON_REQUIRED: 400,
+  SESSION_REQUIRED: 400,
+  SESSION_NOT_FOUND: 404,
+  NOT_ENROLLED: 403,
+  SESSION_NOT_STARTED: 400,
+  CORRECTION_WINDOW_CLOSED: 400,
+  ALREADY_ATTENDED: 409,
+  RECORD_VOIDED: 409,
+  CORRECTION_PENDING: 409,
+};
+
+const CANCEL_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  ALREADY_REVIEWED: 409,
+};
+
+/**
+ * @desc    Ask for attendance to be corrected for a session the student attended
+ *          but could not mark (multipart: sessionId or scheduleId, reason, optional 'evidence' image)
+ * @route   POST /api/student/attendance/corrections
+ * @access  Private (Student)
+ */
+export const createCorrectionRequest = async (req, res) => {
+  try {
+    const { sessionId, scheduleId, reason } = req.body;
+
+    let evidenceKey = null;
+    const evidence = req.files?.evidence?.[0];
+    if (evidence) {
+      evidenceKey = await uploadEvidenceFile(evidence.buffer, evidence.originalname, evidence.mimetype);
+    }
+
+    const result = await fileCorrectionRequest(req.user, { sessionId, scheduleId, reason, evidenceKey });
+    if (!result.success) {
+      if (evidenceKey) await deleteStoredFile(evidenceKey);
+      return res.status(FILE_ERROR_STATUS[result.reason] || 400).json({
+        message: result.message,
+        error: result.reason
+      });
+    }
+
+    res.status(201).json({
+      message: 'Correction request submitted. Your teacher will review it.',
+      status: 'pending',
+      request: result.request
+    });
+  } catch (error) {
+    console.error('Error creating correction request:', error);
+    res.status(500).json({ message: 'Failed to submit correction request' });
+  }
+};
+
+/**
+ * @desc    List the student's own correction requests
+ * @route   GET /api/student/attendance/corrections?status=pending
+ * @access  Private (Student)
+ */
+export const getMyCorrectionRequests = async (req, res) => {
+  try {
+    const query = { studentId: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const requests = await AttendanceCorrectionRequest.find(query)
+      .populate('classId', 'subjectCode subjectName classYear division')
+      .populate('reviewedBy', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ requests, total: requests.length });
+  } catch (error) {
+    console.error('Error fetching correction requests:', error);
+    res.status(500).json({ message: 'Failed to fetch correction requests' });
+  }
+};
+
+/**
+ * @desc    Withdraw a pending correction request
+ * @route   DELETE /api/student/attendance/corrections/:id
+ * @access  Private (Student)
+ */
+export const cancelMyCorrectionRequest = async (req, res) => {
+  try {
+    const result = await cancelCorrectionRequest(req.params.id, req.user);
+    if (!result.success) {
+      return res.status(CANCEL_ERROR_STATUS[result.reason] || 400).json({
+        message: result.message,
+        error: result.reason
+      });
+    }
+
+    res.status(200).json({ message: 'Correction request cancelled.', request: result.request });
+  } catch (error) {
+    console.error('Error cancelling correction request:', error);
+    res.status(500).json({ message: 'Failed to cancel correction request' });
+  }
+};
@@ -0,0 +1,96 @@
+import { LeaveApplication } from '../../models/leaveApplicationModel.js';
+import { uploadLeaveAttachment, deleteStoredFile } from '../../services/storageService.js';
+import { submitLeaveApplication, cancelLeaveApplication } from '../../services/leaveService.js';
+
+const APPLY_ERROR_STATUS = {
+  INVALID_LEAVE_TYPE: 400,
+  REASON_REQUIRED: 400,
+  INVALID_DATES: 400,
+  LEAVE_TOO_LONG: 400,
+  LEAVE_TOO_OLD: 400,
+  LEAVE_OVERLAPS: 409,
+};
+
+const CANCEL_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  ALREADY_REVIEWED: 409,
+};
+
+/**
+ * @desc    Apply for leave (multipart: leaveType, startDate, endDate, reason,
+ *          up to three 'attachments' images or PDFs)
+ * @route   POST /api/student/leave
+ * @access  Private (Student)
+ */
+export const applyForLeave = async (req, res) => {
+  try {
+    const { leaveType, startDate, endDate, reason } = req.body;
+
+    const attachments = [];
+    for (const file of req.files?.attachments || []) {
+      const key = await uploadLeaveAttachment(file.buffer, file.originalname, file.mimetype);
+      attachments.push({ key, filename: file.originalname, contentType: file.mimetype });
+    }
+
+    const result = await submitLeaveApplication(req.user, { leaveType, startDate, endDate, reason, attachments });
+    if (!result.success) {
+      for (const attachment of attachments) await deleteStoredFile(attachment.key);
+      return res.status(APPLY_ERROR_STATUS[result.reason] || 400).json({
+        message: result.message,
+        error: result.reason
+      });
+    }
+
+    res.status(201).json({
+      message: 'Leave application submitted. Your class teacher will review it.',
+      status: 'pending',
+      leave: result.leave
+    });
+  } catch (error) {
+    console.error('Error applying for leave:', error);
+    res.status(500).json({ message: 'Failed to submit leave application' });
+  }
+};
+
+/**
+ * @desc    List the student's own leave applications
+ * @route   GET /api/student/leave?status=approved
+ * @access  Private (Student)
+ */
+export const getMyLeaveApplications = async (req, res) => {
+  try {
+    const query = { studentId: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const leaves = await LeaveApplication.find(query)
+      .populate('reviewedBy', 'fullName')
+      .sort({ startDate: -1 });
+
+    res.status(200).json({ leaves, total: leaves.length });
+  } catch (error) {
+    console.error('Error fetching leave applications:', error);
+    res.status(500).json({ message: 'Failed to fetch leave applications' });
+  }
+};
+
+/**
+ * @desc    Withdraw a pending leave application
+ * @route   DELETE /api/student/leave/:id
+ * @access  Private (Student)
+ */
+export const cancelMyLeaveApplication = async (req, res) => {
+  try {
+    const result = await cancelLeaveApplication(req.params.id, req.user);
+    if (!result.success) {
+      return res.status(CANCEL_ERROR_STATUS[result.reason] || 400).json({
+        message: result.message,
+        error: result.reason
+      });
+    }
+
+    res.status(200).json({ message: 'Leave application cancelled.', leave: result.leave });
+  } catch (error) {
+    console.error('Error cancelling leave application:', error);
+    res.status(500).json({ message: 'Failed to cancel leave application' });
+  }
+};
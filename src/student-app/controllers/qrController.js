@@ -1,26 +1,55 @@
 import { QRCodeSession } from '../../models/qrCodeSessionModel.js';
 import { ClassEnrollment } from '../../models/classEnrollmentModel.js';
+import { verifyQRPayload, getPublicKeys } from '../../services/qrSigningService.js';
 
-// Validate QR Code Token
+/**
+ * @desc    Validate a scanned QR code. Accepts the signed `payload` string
+ *          (preferred) or, for older app versions, the raw rotating `token`.
+ * @route   POST /api/student/qr/validate
+ * @access  Private (Student)
+ */
 export const validateQRCode = async (req, res) => {
   try {
-    const { token } = req.body;
+    const { payload } = req.body;
+    let { token } = req.body;
     
-    if (!token) {
-      return res.status(400).json({ message: 'QR token is required' });
+    if (!token && !payload) {
+      return res.status(400).json({ message: 'QR payload or token is required' });
     }
 
-    console.log('Validating QR token:', token);
     console.log('QR validation request body:', req.body);
 
-    // Find active QR session with matching token
-    const session = await QRCodeSession.findOne({
-      currentToken: token,
-      isActive: true,
-      sessionExpiresAt: { $gt: new Date() }
-    }).populate('classId');
+    let session;
+    if (payload) {
+      // Signed payload: trust the claims once the signature checks out,
+      // then load the session by its unique ID
+      const verification = verifyQRPayload(payload);
+      if (!verification.valid) {
+        console.log('Rejected QR payload:', verification.reason);
+        return res.status(400).json({
+          valid: false,
+          reason: verification.reason,
+          message: verification.message
+        });
+      }
+      token = verification.claims.tok;
+      session = await QRCodeSession.findOne({
+        sessionId: verification.claims.sid,
+        isActive: true,
+        sessionExpiresAt: { $gt: new Date() }
+      }).populate('classId');
+    } else {
+      // Legacy unsigned token (current or recently rotated)
+      session = await QRCodeSession.findOne({
+        $or: [{ currentToken: token }, { 'previousTokens.token': token }],
+        isActive: true,
+        sessionExpiresAt: { $gt: new Date() }
+      }).populate('classId');
+    }
 
-    if (!session) {
+    console.log('Validating QR token:', token);
+
+    if (!session || !['current', 'grace'].includes(session.matchToken(token))) {
       console.log('Invalid or expired QR token:', token);
       console.log('Current time:', new Date());
       
@@ -142,4 +171,19 @@ export const getActiveSessions = async (req, res) => {
     console.error('Error fetching active sessions:', error);
     res.status(500).json({ message: 'Failed to fetch active sessions.' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get the public keys used to sign QR payloads, as JWKs, so the app
+ *          can verify scanned codes while offline.
+ * @route   GET /api/student/qr/keys
+ * @access  Private (Student)
+ */
+export const getQRSigningKeys = async (req, res) => {
+  try {
+    res.status(200).json({ keys: getPublicKeys() });
+  } catch (error) {
+    console.error('Error fetching QR signing keys:', error);
+    res.status(500).json({ message: 'Failed to fetch QR signing keys.' });
+  }
+};
@@ -4,7 +4,15 @@ import {
   uploadFaceImage as uploadToS3,
   deleteFaceImage as deleteFromS3,
   generateFaceImageFilename
-} from '../../AWS/s3Service.js';
+} from '../../services/storageService.js';
+import { enrollFace } from '../../AWS/faceEmbeddingService.js';
+import { checkEnrollmentImageQuality } from '../../AWS/faceComparisonService.js';
+import { FaceChangeRequest } from '../../models/faceChangeRequestModel.js';
+import { StudentDevice } from '../../models/studentDeviceModel.js';
+import { requestFaceChange } from '../../services/faceChangeService.js';
+import { checkForDuplicateFaces, flagDuplicateFaces } from '../../services/duplicateFaceService.js';
+import { issueAuthTokens, revokeAllSessions } from '../../services/tokenService.js';
+import { recordAudit } from '../../services/auditService.js';
 
 // Get User Profile
 export const getProfile = async (req, res) => {
@@ -25,6 +33,7 @@ export const getProfile = async (req, res) => {
       semester: user.semester,
       division: user.division,
       hasFaceImage: !!user.faceImageS3Key,
+      hasPendingFaceChange: !!(await FaceChangeRequest.exists({ studentId: user._id, status: 'pending' })),
       createdAt: user.createdAt
     });
   } catch (error) {
@@ -84,6 +93,7 @@ export const updateProfile = async (req, res) => {
 };
 
 // Change Password
+// Ends every other session and returns fresh tokens for this one.
 export const changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
@@ -110,14 +120,24 @@ export const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    const updatedUser = await revokeAllSessions(user._id, 'password_change');
+    const tokens = await issueAuthTokens(updatedUser, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    res.json({
+      message: 'Password changed successfully',
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
 /**
- * @desc    Update the student's registered face image
+ * @desc    Upload a new face image. The first photo is used right away; a
+ *          replacement waits for admin or class teacher approval, and the
+ *          current photo stays active until then.
  * @route   PUT /api/users/profile/face
  * @access  Private (Student)
  */
@@ -134,39 +154,143 @@ export const updateFaceImage = async (req, res) => {
     const imageBuffer = file.buffer;
     const contentType = file.mimetype;
 
-    // 2. Generate a unique filename for S3
-    const filename = generateFaceImageFilename(studentId, contentType.split('/')[1] || 'jpg');
+    const user = await User.findById(studentId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-    // 3. Upload the new image to S3 using the service
-    console.log(`Uploading new face image for user ${studentId} to S3...`);
-    const newS3Key = await uploadToS3(imageBuffer, filename, contentType);
+    // 2. Reject photos that would make later face verification unreliable
+    const quality = await checkEnrollmentImageQuality(imageBuffer);
+    if (!quality.success) {
+      return res.status(400).json({
+        message: quality.message,
+        error: quality.reason,
+        quality: quality.quality
+      });
+    }
 
-    // 4. Update the user's record in the database
-    // Note: We are not deleting the old S3 object here, which might orphan it.
-    // A robust solution would involve also deleting the old user.faceImageS3Key from S3.
-    const user = await User.findById(studentId);
-    if (user.faceImageS3Key) {
-        console.warn(`Orphaned S3 key: ${user.faceImageS3Key}. Consider implementing S3 delete logic.`);
+    // Refuse or flag a face that already belongs to another student
+    const duplicateCheck = await checkForDuplicateFaces(imageBuffer, { excludeUserId: user._id });
+    if (duplicateCheck.blocked) {
+      return res.status(409).json({
+        message: 'This face is already registered to another student account. Please contact your administrator.',
+        error: 'DUPLICATE_FACE'
+      });
     }
 
-    const oldKey = user.faceImageS3Key;
+    // 3. Generate a unique filename and upload the new image
+    const filename = generateFaceImageFilename(studentId, contentType.split('/')[1] || 'jpg');
+    console.log(`Uploading new face image for user ${studentId}...`);
+    const newS3Key = await uploadToS3(imageBuffer, filename, contentType);
 
-    user.faceImageS3Key = newS3Key;
-    await user.save();
+    // 4. First photo: nothing to protect yet, so enroll it directly
+    if (!user.faceImageS3Key) {
+      user.faceImageS3Key = newS3Key;
+      await user.save();
 
-    if (oldKey) {
-      // Delete the old face image from S3
-      console.log(`Deleting old face image from S3: ${oldKey}`);
-      await deleteFromS3(oldKey);
+      await recordAudit('FACE_IMAGE_CHANGED', {
+        actorId: user._id,
+        targetType: 'User',
+        targetId: user._id,
+        before: { faceImageS3Key: null },
+        after: { faceImageS3Key: newS3Key },
+        details: { source: 'first_photo' },
+        req,
+      });
+
+      if (duplicateCheck.matches.length > 0) {
+        await flagDuplicateFaces(user._id, duplicateCheck.matches, 'register');
+      }
+
+      try {
+        await enrollFace(user, imageBuffer);
+      } catch (enrollError) {
+        console.error('Error enrolling new face image:', enrollError);
+      }
+
+      return res.status(200).json({
+        message: 'Face image uploaded successfully.',
+        status: 'approved'
+      });
     }
 
-    res.status(200).json({
-      message: 'Face image updated successfully.',
-      faceImageS3Key: newS3Key
+    // 5. Replacement: hold it for review
+    const result = await requestFaceChange(user, newS3Key);
+    if (!result.success) {
+      await deleteFromS3(newS3Key);
+      return res.status(result.reason === 'FACE_CHANGE_RATE_LIMITED' ? 429 : 409).json({
+        message: result.message,
+        error: result.reason
+      });
+    }
+    if (duplicateCheck.matches.length > 0) {
+      await flagDuplicateFaces(user._id, duplicateCheck.matches, 'face_change');
+    }
+
+    res.status(202).json({
+      message: 'Face image submitted. Your current photo stays active until an admin or your class teacher approves the change.',
+      status: 'pending',
+      requestId: result.request._id
     });
 
   } catch (error) {
     console.error('Error updating face image:', error);
     res.status(500).json({ message: `Failed to update face image: ${error.message}` });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get the student's latest face change request
+ * @route   GET /api/users/profile/face/request
+ * @access  Private (Student)
+ */
+export const getFaceChangeRequest = async (req, res) => {
+  try {
+    const request = await FaceChangeRequest.findOne({ studentId: req.user.id })
+      .sort({ createdAt: -1 })
+      .select('status reviewNote reviewedAt createdAt');
+
+    res.json({ request });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * @desc    Withdraw the student's pending face change request
+ * @route   DELETE /api/users/profile/face/request
+ * @access  Private (Student)
+ */
+export const cancelFaceChangeRequest = async (req, res) => {
+  try {
+    const request = await FaceChangeRequest.findOneAndUpdate(
+      { studentId: req.user.id, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!request) {
+      return res.status(404).json({ message: 'No pending face change request.' });
+    }
+
+    await deleteFromS3(request.newImageKey);
+    res.json({ message: 'Face change request cancelled.' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * @desc    List the devices bound to the student's account
+ * @route   GET /api/users/devices
+ * @access  Private (Student)
+ */
+export const getMyDevices = async (req, res) => {
+  try {
+    const devices = await StudentDevice.find({ studentId: req.user.id, status: 'active' })
+      .select('deviceId platform lastSeenAt createdAt');
+
+    res.json({ devices });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
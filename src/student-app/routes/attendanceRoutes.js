@@ -5,20 +5,39 @@ import {
     getMyAttendanceRecordsByClass,
     getMyAttendanceSummary,
     getMyClassAttendanceSummary,
+    getMyAttendanceRevisions,
+    getMyAttendanceRecordHistory,
     getLivenessChallenges,
     submitAttendanceWithFaceVerification,
+    startFaceLivenessSession,
+    getFaceLivenessSessionResult,
+    submitAttendanceWithFaceLiveness,
 } from '../controllers/attendanceController.js';
+import {
+    createCorrectionRequest,
+    getMyCorrectionRequests,
+    cancelMyCorrectionRequest,
+} from '../controllers/correctionRequestController.js';
 
-import { protect } from '../../middleware/authMiddleware.js';
+import { protect, authorize } from '../../middleware/authMiddleware.js';
+import { requireBoundDevice } from '../../middleware/deviceMiddleware.js';
+import { uploadEvidence, handleMulterError } from '../../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /api/student/attendance/liveness/challenges
- * @desc    Get random liveness challenges for enhanced face verification
+ * @desc    Issue a single-use liveness challenge session (?mode=offline for offline capture)
+ * @access  Private (Student)
+ */
+router.get('/liveness/challenges', protect, authorize('attendance:submit'), getLivenessChallenges);
+
+/**
+ * @route   GET /api/student/attendance/liveness/session/:livenessSessionId
+ * @desc    Get the result of a hosted Face Liveness session
  * @access  Private (Student)
  */
-router.get('/liveness/challenges', protect, getLivenessChallenges);
+router.get('/liveness/session/:livenessSessionId', protect, authorize('attendance:submit'), getFaceLivenessSessionResult);
 
 // --- POST Routes (Submitting Data) ---
 
@@ -35,17 +54,52 @@ router.get('/liveness/challenges', protect, getLivenessChallenges);
  * @desc    Submit attendance with enhanced liveness verification (multiple face images)
  * @access  Private (Student)
  */
-router.post('/verify', protect, submitAttendanceWithFaceVerification);
+router.post('/verify', protect, authorize('attendance:submit'), requireBoundDevice, submitAttendanceWithFaceVerification);
+
+/**
+ * @route   POST /api/student/attendance/liveness/session
+ * @desc    Start a hosted Face Liveness session for a scanned QR session
+ * @access  Private (Student)
+ */
+router.post('/liveness/session', protect, authorize('attendance:submit'), requireBoundDevice, startFaceLivenessSession);
+
+/**
+ * @route   POST /api/student/attendance/liveness/submit
+ * @desc    Submit attendance from a completed hosted Face Liveness session
+ * @access  Private (Student)
+ */
+router.post('/liveness/submit', protect, authorize('attendance:submit'), requireBoundDevice, submitAttendanceWithFaceLiveness);
 
 /**
  * @route   POST /api/student/attendance/sync
  * @desc    Sync offline attendance records from the client
  * @access  Private (Student)
  */
-router.post('/sync', protect, syncAttendance);
+router.post('/sync', protect, authorize('attendance:submit'), requireBoundDevice, syncAttendance);
+
+/**
+ * @route   POST /api/student/attendance/corrections
+ * @desc    Ask the teacher to correct attendance for a session the student attended but could not mark
+ * @access  Private (Student)
+ */
+router.post('/corrections', protect, authorize('attendance:submit'), uploadEvidence, handleMulterError, createCorrectionRequest);
+
+/**
+ * @route   DELETE /api/student/attendance/corrections/:id
+ * @desc    Withdraw a pending correction request
+ * @access  Private (Student)
+ */
+router.delete('/corrections/:id', protect, authorize('attendance:submit'), cancelMyCorrectionRequest);
 
 // --- GET Routes (Fetching Data) ---
 
+/**
+ * @route   GET /api/student/attendance/corrections
+ * @desc    Get the student's correction requests and their review status
+ * @access  Private (Student)
+ */
+router.get('/corrections', protect, getMyCorrectionRequests);
+
 /**
  * @route   GET /api/student/attendance/records
  * @desc    Get all attendance records for the logged-in student (paginated)
@@ -60,6 +114,20 @@ router.get('/records', protect, getMyAttendanceRecords);
  */
 router.get('/records/class/:classId', protect, getMyAttendanceRecordsByClass);
 
+/**
+ * @route   GET /api/student/attendance/records/:id/history
+ * @desc    Get how a teacher changed or voided one of the student's records, and why
+ * @access  Private (Student)
+ */
+router.get('/records/:id/history', protect, getMyAttendanceRecordHistory);
+
+/**
+ * @route   GET /api/student/attendance/revisions
+ * @desc    Get all teacher changes to the student's attendance, including voided records
+ * @access  Private (Student)
+ */
+router.get('/revisions', protect, getMyAttendanceRevisions);
+
 /**
  * @route   GET /api/student/attendance/summary
  * @desc    Get attendance summary (e.g., 85% total) for all enrolled classes
@@ -1,6 +1,7 @@
 import express from 'express';
-import { register, login, forgotPassword } from '../controllers/authController.js';
+import { register, login, forgotPassword, resetPassword, refreshToken, logout, logoutAll } from '../controllers/authController.js';
 import { uploadFaceImage, handleMulterError } from '../../middleware/uploadMiddleware.js';
+import { protect } from '../../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -8,5 +9,11 @@ const router = express.Router();
 router.post('/register', uploadFaceImage, handleMulterError, register);
 router.post('/login', login);
 router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/refresh', refreshToken);
+
+// Protected routes
+router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+    applyForLeave,
+    getMyLeaveApplications,
+    cancelMyLeaveApplication,
+} from '../controllers/leaveController.js';
+import { protect, authorize } from '../../middleware/authMiddleware.js';
+import { uploadLeaveAttachments, handleMulterError } from '../../middleware/uploadMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/student/leave
+ * @desc    Apply for leave (medical, duty/event or personal) over a date range
+ * @access  Private (Student)
+ */
+router.post('/', protect, authorize('attendance:submit'), uploadLeaveAttachments, handleMulterError, applyForLeave);
+
+/**
+ * @route   GET /api/student/leave
+ * @desc    Get the student's leave applications and their review status
+ * @access  Private (Student)
+ */
+router.get('/', protect, getMyLeaveApplications);
+
+/**
+ * @route   DELETE /api/student/leave/:id
+ * @desc    Withdraw a pending leave application
+ * @access  Private (Student)
+ */
+router.delete('/:id', protect, authorize('attendance:submit'), cancelMyLeaveApplication);
+
+export default router;
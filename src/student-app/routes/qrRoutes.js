@@ -3,6 +3,7 @@ import {
     validateQRCode,
     getSessionStatus,
     getActiveSessions, 
+    getQRSigningKeys,
 } from '../controllers/qrController.js';
 import { protect } from '../../middleware/authMiddleware.js';
 
@@ -31,4 +32,11 @@ router.get('/session/status/:classId', protect, getSessionStatus);
  */
 router.get('/session/active', protect, getActiveSessions);
 
+/**
+ * @route   GET /api/qr/keys
+ * @desc    Get the public keys for verifying signed QR payloads offline
+ * @access  Private (Student)
+ */
+router.get('/keys', protect, getQRSigningKeys);
+
 export default router;
\ No newline at end of file
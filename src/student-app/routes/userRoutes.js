@@ -4,6 +4,9 @@ import {
     updateProfile, 
     changePassword,
     updateFaceImage,
+    getFaceChangeRequest,
+    cancelFaceChangeRequest,
+    getMyDevices,
 } from '../controllers/userController.js';
 import { protect } from '../../middleware/authMiddleware.js';
 import {uploadFaceImage, handleMulterError } from '../../middleware/uploadMiddleware.js';
@@ -16,5 +19,8 @@ router.put('/profile', protect, updateProfile);
 router.put('/change-password', protect, changePassword);
 
 router.put('/profile/face', protect, uploadFaceImage, handleMulterError, updateFaceImage);
+router.get('/profile/face/request', protect, getFaceChangeRequest);
+router.delete('/profile/face/request', protect, cancelFaceChangeRequest);
+router.get('/devices', protect, getMyDevices);
 
 export default router;
\ No newline at end of file
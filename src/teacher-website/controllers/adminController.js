@@ -4,7 +4,13 @@ import { ClassEnrollment } from '../../models/classEnrollmentModel.js';
 import { Schedule } from '../../models/scheduleModel.js';
 import { RecurringSchedule } from '../../models/recurringScheduleModel.js';
 import { Attendance } from '../../models/attendanceModel.js';
-import { uploadFaceImage, generateFaceImageFilename } from '../../AWS/s3Service.js';
+import { uploadFaceImage, generateFaceImageFilename, getFaceImageUrl } from '../../services/storageService.js';
+import { ATTENDED_FILTER, findApprovedLeave, findCoveringLeave } from '../../services/attendanceStatusService.js';
+import { enrollFace, removeFaceEnrollment } from '../../AWS/faceEmbeddingService.js';
+import { checkEnrollmentImageQuality } from '../../AWS/faceComparisonService.js';
+import { checkForDuplicateFaces, flagDuplicateFaces } from '../../services/duplicateFaceService.js';
+import { recordAudit } from '../../services/auditService.js';
+import { revokeAllSessions } from '../../services/tokenService.js';
 
 // ========================= DASHBOARD & STATISTICS =========================
 
@@ -34,7 +40,8 @@ export const getDashboardStats = async (req, res) => {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     const todayAttendance = await Attendance.countDocuments({ 
-      date: { $gte: today } 
+      timestamp: { $gte: today },
+      ...ATTENDED_FILTER
     });
 
     res.json({
@@ -160,10 +167,10 @@ export const getStudentById = async (req, res) => {
       .lean();
 
     // Get attendance records
-    const attendanceRecords = await Attendance.find({ studentId: id })
+    const attendanceRecords = await Attendance.find({ studentId: id, voidedAt: null })
       .populate('classId', 'subjectName subjectCode')
       .populate('scheduleId')
-      .sort({ date: -1 })
+      .sort({ timestamp: -1 })
       .limit(50)
       .lean();
 
@@ -171,13 +178,15 @@ export const getStudentById = async (req, res) => {
       total: attendanceRecords.length,
       present: attendanceRecords.filter(a => a.status === 'present').length,
       absent: attendanceRecords.filter(a => a.status === 'absent').length,
-      late: attendanceRecords.filter(a => a.status === 'late').length
+      late: attendanceRecords.filter(a => a.status === 'late').length,
+      excused: attendanceRecords.filter(a => a.status === 'excused').length
     };
 
     res.json({
       success: true,
       student: {
         ...student,
+        faceImageUrl: await getFaceImageUrl(student.faceImageS3Key),
         enrolledClasses: enrollments.map(e => e.classId),
         attendanceStats,
         recentAttendance: attendanceRecords.slice(0, 10)
@@ -232,13 +241,36 @@ export const createStudent = async (req, res) => {
       });
     }
 
+    // Reject poor photos, then refuse or flag a face that already belongs to another student
+    let duplicateCheck = { matches: [], blocked: false };
+    if (req.files && req.files.faceImage) {
+      const quality = await checkEnrollmentImageQuality(req.files.faceImage[0].buffer);
+      if (!quality.success) {
+        return res.status(400).json({ 
+          success: false, 
+          error: quality.reason,
+          message: quality.message,
+          quality: quality.quality
+        });
+      }
+
+      duplicateCheck = await checkForDuplicateFaces(req.files.faceImage[0].buffer);
+      if (duplicateCheck.blocked) {
+        return res.status(409).json({ 
+          success: false, 
+          error: 'DUPLICATE_FACE',
+          message: 'This face is already registered to another student',
+          matches: duplicateCheck.matches
+        });
+      }
+    }
+
     // Handle face image upload if provided
     let faceImageS3Key = null;
     if (req.files && req.files.faceImage) {
       const faceImageFile = req.files.faceImage[0];
-      const s3Key = generateFaceImageFilename(enrollmentNo);
-      const uploadResult = await uploadFaceImage(faceImageFile.buffer, s3Key);
-      faceImageS3Key = uploadResult.key;
+      const filename = generateFaceImageFilename(enrollmentNo);
+      faceImageS3Key = await uploadFaceImage(faceImageFile.buffer, filename, faceImageFile.mimetype);
     }
 
     // Create student
@@ -254,6 +286,19 @@ export const createStudent = async (req, res) => {
       faceImageS3Key
     });
 
+    if (duplicateCheck.matches.length > 0) {
+      await flagDuplicateFaces(student._id, duplicateCheck.matches, 'admin_create');
+    }
+
+    // Enroll the face for identify-by-face matching
+    if (req.files && req.files.faceImage) {
+      try {
+        await enrollFace(student, req.files.faceImage[0].buffer);
+      } catch (enrollError) {
+        console.error('Error enrolling student face:', enrollError);
+      }
+    }
+
     res.status(201).json({
       success: true,
       message: 'Student created successfully',
@@ -299,6 +344,7 @@ export const updateStudent = async (req, res) => {
         message: 'Student not found' 
       });
     }
+    const before = student.toObject();
 
     // Check email uniqueness if changed
     if (email && email !== student.email) {
@@ -331,15 +377,58 @@ export const updateStudent = async (req, res) => {
     if (division) student.division = division;
     if (password) student.password = password; // Will be hashed by pre-save hook
 
-    // Handle face image upload if provided
+    // Handle face image upload if provided: reject poor photos, then refuse or
+    // flag a face that already belongs to another student
     if (req.files && req.files.faceImage) {
       const faceImageFile = req.files.faceImage[0];
-      const s3Key = generateFaceImageFilename(student.enrollmentNo);
-      const uploadResult = await uploadFaceImage(faceImageFile.buffer, s3Key);
-      student.faceImageS3Key = uploadResult.key;
+      const quality = await checkEnrollmentImageQuality(faceImageFile.buffer);
+      if (!quality.success) {
+        return res.status(400).json({ 
+          success: false, 
+          error: quality.reason,
+          message: quality.message,
+          quality: quality.quality
+        });
+      }
+
+      const duplicateCheck = await checkForDuplicateFaces(faceImageFile.buffer, { excludeUserId: student._id });
+      if (duplicateCheck.blocked) {
+        return res.status(409).json({ 
+          success: false, 
+          error: 'DUPLICATE_FACE',
+          message: 'This face is already registered to another student',
+          matches: duplicateCheck.matches
+        });
+      }
+      if (duplicateCheck.matches.length > 0) {
+        await flagDuplicateFaces(student._id, duplicateCheck.matches, 'admin_update');
+      }
+
+      const filename = generateFaceImageFilename(student.enrollmentNo);
+      student.faceImageS3Key = await uploadFaceImage(faceImageFile.buffer, filename, faceImageFile.mimetype);
     }
 
     await student.save();
+    // A new password ends the student's existing sessions
+    if (password) await revokeAllSessions(student._id, 'password_change');
+
+    // Re-enroll the face so identify-by-face uses the new photo
+    if (req.files && req.files.faceImage) {
+      try {
+        await enrollFace(student, req.files.faceImage[0].buffer);
+      } catch (enrollError) {
+        console.error('Error enrolling student face:', enrollError);
+      }
+      await recordAudit('FACE_IMAGE_CHANGED', {
+        actorId: req.user._id,
+        targetType: 'User',
+        targetId: student._id,
+        before,
+        after: student,
+        details: { source: 'admin_update' },
+        req,
+      });
+    }
 
     res.json({
       success: true,
@@ -381,10 +470,19 @@ export const deleteStudent = async (req, res) => {
     // Delete related records
     await ClassEnrollment.deleteMany({ studentId: id });
     await Attendance.deleteMany({ studentId: id });
+    await removeFaceEnrollment(student);
 
     // Delete student
     await User.deleteOne({ _id: id });
 
+    await recordAudit('STUDENT_DELETED', {
+      actorId: req.user._id,
+      targetType: 'User',
+      targetId: student._id,
+      before: student,
+      req,
+    });
+
     res.json({
       success: true,
       message: 'Student deleted successfully'
@@ -590,6 +688,8 @@ export const updateTeacher = async (req, res) => {
     if (password) teacher.password = password; // Will be hashed by pre-save hook
 
     await teacher.save();
+    // A new password ends the teacher's existing sessions
+    if (password) await revokeAllSessions(teacher._id, 'password_change');
 
     res.json({
       success: true,
@@ -640,6 +740,14 @@ export const deleteTeacher = async (req, res) => {
     // Delete teacher
     await User.deleteOne({ _id: id });
 
+    await recordAudit('TEACHER_DELETED', {
+      actorId: req.user._id,
+      targetType: 'User',
+      targetId: teacher._id,
+      before: teacher,
+      req,
+    });
+
     res.json({
       success: true,
       message: 'Teacher deleted successfully'
@@ -705,6 +813,14 @@ export const enrollStudent = async (req, res) => {
       classId
     });
 
+    await recordAudit('ENROLLMENT_ADDED', {
+      actorId: req.user._id,
+      targetType: 'ClassEnrollment',
+      targetId: enrollment._id,
+      after: enrollment,
+      req,
+    });
+
     res.status(201).json({
       success: true,
       message: 'Student enrolled successfully',
@@ -774,7 +890,15 @@ export const bulkEnrollStudents = async (req, res) => {
       }
 
       // Create enrollment
-      await ClassEnrollment.create({ studentId, classId });
+      const enrollment = await ClassEnrollment.create({ studentId, classId });
+      await recordAudit('ENROLLMENT_ADDED', {
+        actorId: req.user._id,
+        targetType: 'ClassEnrollment',
+        targetId: enrollment._id,
+        after: enrollment,
+        details: { bulk: true },
+        req,
+      });
       results.enrolled.push(studentId);
     }
 
@@ -823,6 +947,14 @@ export const unenrollStudent = async (req, res) => {
       });
     }
 
+    await recordAudit('ENROLLMENT_REMOVED', {
+      actorId: req.user._id,
+      targetType: 'ClassEnrollment',
+      targetId: enrollment._id,
+      before: enrollment,
+      req,
+    });
+
     res.json({
       success: true,
       message: 'Student unenrolled successfully'
@@ -1114,6 +1246,14 @@ export const deleteSchedule = async (req, res) => {
       });
     }
 
+    await recordAudit('SCHEDULE_DELETED', {
+      actorId: req.user._id,
+      targetType: 'Schedule',
+      targetId: schedule._id,
+      before: schedule,
+      req,
+    });
+
     res.json({
       success: true,
       message: 'Schedule deleted successfully'
@@ -1187,6 +1327,10 @@ export const bulkDeleteStudents = async (req, res) => {
     // Delete related records
     await ClassEnrollment.deleteMany({ studentId: { $in: studentIds } });
     await Attendance.deleteMany({ studentId: { $in: studentIds } });
+    const students = await User.find({ _id: { $in: studentIds }, role: 'student' }).lean();
+    for (const student of students) {
+      await removeFaceEnrollment(student);
+    }
 
     // Delete students
     const result = await User.deleteMany({ 
@@ -1194,6 +1338,17 @@ export const bulkDeleteStudents = async (req, res) => {
       role: 'student' 
     });
 
+    for (const student of students) {
+      await recordAudit('STUDENT_DELETED', {
+        actorId: req.user._id,
+        targetType: 'User',
+        targetId: student._id,
+        before: student,
+        details: { bulk: true },
+        req,
+      });
+    }
+
     res.json({
       success: true,
       message: `${result.deletedCount} students deleted successfully`,
@@ -1443,7 +1598,7 @@ export const getAttendanceRecords = async (req, res) => {
     }
 
     // Build query for attendance records
-    const attendanceQuery = { classId };
+    const attendanceQuery = { classId, voidedAt: null };
     if (from || to) {
       attendanceQuery.timestamp = {};
       if (from) attendanceQuery.timestamp.$gte = new Date(from);
@@ -1474,11 +1629,16 @@ export const getAttendanceRecords = async (req, res) => {
         dateMap.set(date, {
           date,
           time,
-          presentStudents: new Set()
+          at: record.timestamp,
+          studentStatuses: new Map()
         });
       }
       
-      dateMap.get(date).presentStudents.add(studentId);
+      // Keep the best status when a student has several sessions on one day
+      const statuses = dateMap.get(date).studentStatuses;
+      if (!statuses.has(studentId) || statuses.get(studentId) === 'absent') {
+        statuses.set(studentId, record.status || 'present');
+      }
     }
 
     // If no attendance records found, return empty
@@ -1497,16 +1657,27 @@ export const getAttendanceRecords = async (req, res) => {
       enrolledStudents.map(e => [e.studentId?._id?.toString(), e])
     );
 
+    // Students without a record on a day they were on approved leave are excused, not absent
+    const sessionTimes = [...dateMap.values()].map(sessionData => sessionData.at).filter(Boolean);
+    const leaves = sessionTimes.length > 0
+      ? await findApprovedLeave(
+          enrolledStudents.map(e => e.studentId?._id).filter(Boolean),
+          new Date(Math.min(...sessionTimes)),
+          new Date(Math.max(...sessionTimes))
+        )
+      : [];
+
     for (const [date, sessionData] of dateMap.entries()) {
       for (const enrollment of enrolledStudents) {
         const studentId = enrollment.studentId?._id?.toString();
-        const isPresent = sessionData.presentStudents.has(studentId);
+        const onLeave = studentId && sessionData.at && findCoveringLeave(leaves, studentId, sessionData.at, classId);
+        const status = sessionData.studentStatuses.get(studentId) || (onLeave ? 'excused' : 'absent');
         
         records.push({
           _id: `${date}_${studentId}`,
           date,
           time: sessionData.time,
-          status: isPresent ? 'present' : 'absent',
+          status,
           studentId: enrollment.studentId?._id || null,
           studentName: enrollment.studentId?.fullName || 'N/A',
           enrollmentNo: enrollment.studentId?.enrollmentNo || 'N/A'
@@ -1676,6 +1847,14 @@ export const deleteRecurringSchedule = async (req, res) => {
       });
     }
 
+    await recordAudit('RECURRING_SCHEDULE_DELETED', {
+      actorId: req.user._id,
+      targetType: 'RecurringSchedule',
+      targetId: deletedSchedule._id,
+      before: deletedSchedule,
+      req,
+    });
+
     res.json({
       success: true,
       message: 'Recurring schedule deleted successfully',
@@ -0,0 +1,166 @@
+import { AttendanceAnomaly } from '../../models/attendanceAnomalyModel.js';
+import { QRCodeSession } from '../../models/qrCodeSessionModel.js';
+import { ANOMALY_RULES, resolveAnomaly, scanAttendanceAnomalies } from '../../services/anomalyService.js';
+import { canAccessClass } from '../../services/classAccessService.js';
+
+const RESOLVE_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  ALREADY_RESOLVED: 409,
+};
+
+/**
+ * @desc    Get the anomalies raised for a QR session of one of the teacher's classes
+ * @route   GET /api/teacher/attendance/qr/:sessionId/anomalies
+ * @access  Private (Teacher)
+ */
+export const getSessionAnomalies = async (req, res) => {
+  try {
+    const session = await QRCodeSession.findOne({ sessionId: req.params.sessionId });
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'QR session not found' 
+      });
+    }
+
+    const access = await canAccessClass(req.user, session.classId, 'anomalies:review', req.permissionGrants);
+    if (!access.success) {
+      return res.status(403).json({ 
+        success: false, 
+        message: access.message 
+      });
+    }
+
+    const anomalies = await AttendanceAnomaly.find({ sessionId: session._id })
+      .populate('studentId', 'fullName enrollmentNo')
+      .populate('relatedStudentIds', 'fullName enrollmentNo')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: anomalies,
+      total: anomalies.length
+    });
+  } catch (error) {
+    console.error('Get Session Anomalies Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to get session anomalies',
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * @desc    List anomalies across all classes
+ * @route   GET /api/admin/anomalies?status=open&rule=SHARED_DEVICE&severity=high&classId=...&startDate=...&endDate=...
+ * @access  Private (Admin)
+ */
+export const getAnomalies = async (req, res) => {
+  try {
+    const { status = 'open', rule, severity, classId, studentId, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (rule) query.rule = rule;
+    if (severity) query.severity = severity;
+    if (classId) query.classId = classId;
+    if (studentId) query.studentId = studentId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [anomalies, total] = await Promise.all([
+      AttendanceAnomaly.find(query)
+        .populate('studentId', 'fullName enrollmentNo')
+        .populate('relatedStudentIds', 'fullName enrollmentNo')
+        .populate('classId', 'subjectCode subjectName classYear division')
+        .populate('reviewedBy', 'fullName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AttendanceAnomaly.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        anomalies,
+        rules: ANOMALY_RULES,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching anomalies:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch anomalies' });
+  }
+};
+
+/**
+ * @desc    Resolve an anomaly as confirmed proxy attendance or a false alarm
+ * @route   POST /api/admin/anomalies/:id/resolve
+ * @access  Private (Admin)
+ * 
+ * Expected Body: { "resolution": "confirmed" | "dismissed", "note": "..." }
+ */
+export const resolveAttendanceAnomaly = async (req, res) => {
+  try {
+    const { resolution, note } = req.body;
+
+    const result = await resolveAnomaly(req.params.id, req.user, { resolution, note });
+    if (!result.success) {
+      return res.status(RESOLVE_ERROR_STATUS[result.reason] || 400).json({
+        success: false,
+        reason: result.reason,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: resolution === 'confirmed' ? 'Anomaly confirmed' : 'Anomaly dismissed',
+      data: result.anomaly
+    });
+  } catch (error) {
+    console.error('Error resolving anomaly:', error);
+    res.status(500).json({ success: false, message: 'Failed to resolve anomaly' });
+  }
+};
+
+/**
+ * @desc    Re-run the anomaly rules over existing attendance in a date range
+ * @route   POST /api/admin/anomalies/scan
+ * @access  Private (Admin)
+ * 
+ * Expected Body: { "startDate": "2025-11-01", "endDate": "2025-11-30", "classId": "..." }
+ */
+export const scanAnomalies = async (req, res) => {
+  try {
+    const { startDate, endDate, classId } = req.body;
+    if (!startDate || !endDate) {
+      return res.status(400).json({ success: false, message: 'startDate and endDate are required' });
+    }
+
+    const filter = { timestamp: { $gte: new Date(startDate), $lte: new Date(endDate) } };
+    if (classId) filter.classId = classId;
+
+    const result = await scanAttendanceAnomalies(filter);
+
+    res.status(200).json({
+      success: true,
+      message: `Scanned ${result.scanned} records, ${result.flagged} anomalies raised or refreshed`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error scanning anomalies:', error);
+    res.status(500).json({ success: false, message: 'Failed to scan attendance for anomalies' });
+  }
+};
@@ -1,8 +1,77 @@
 import { Attendance } from '../../models/attendanceModel.js';
 import { QRCodeSession } from '../../models/qrCodeSessionModel.js';
-import { Class } from '../../models/classModel.js';
 import { ClassEnrollment } from '../../models/classEnrollmentModel.js';
 import crypto from 'crypto';
+import { signQRPayload } from '../../services/qrSigningService.js';
+import { parseGeofenceSettings } from '../../services/geofenceService.js';
+import { identifyFace } from '../../AWS/faceEmbeddingService.js';
+import { User } from '../../models/userModel.js';
+import {
+  ATTENDED_FILTER,
+  countByStatus,
+  manualStatusUpdate,
+  materializeAbsences
+} from '../../services/attendanceStatusService.js';
+import { canAccessClass, getAccessibleClassIds, getTaughtClassIds } from '../../services/classAccessService.js';
+import { recordAudit } from '../../services/auditService.js';
+import { applyRollCall } from '../../services/rollCallService.js';
+import {
+  applyAttendanceChange,
+  editAttendance,
+  voidAttendance,
+  getRevisionHistory
+} from '../../services/attendanceRevisionService.js';
+
+// Statuses a teacher may set when marking attendance manually
+const MANUAL_STATUSES = ['present', 'late', 'excused'];
+
+const ROLL_CALL_ERROR_STATUS = {
+  ROSTER_REQUIRED: 400,
+  SESSION_REQUIRED: 400,
+  INVALID_DATE: 400,
+  INVALID_ROSTER: 400,
+  SCHEDULE_NOT_FOUND: 404,
+  INVALID_CLASS_ID: 400,
+  CLASS_NOT_FOUND: 404,
+  CLASS_ACCESS_DENIED: 403,
+  EDIT_NOT_ALLOWED: 403,
+  SESSION_CHANGED: 409,
+};
+
+const REVISION_ERROR_STATUS = {
+  INVALID_STATUS: 400,
+  REASON_REQUIRED: 400,
+  NO_CHANGE: 400,
+  NOT_FOUND: 404,
+  INVALID_CLASS_ID: 400,
+  CLASS_NOT_FOUND: 404,
+  CLASS_ACCESS_DENIED: 403,
+  VERSION_CONFLICT: 409,
+  ALREADY_VOIDED: 409,
+};
+
+// Record a QR session being stopped in the audit trail
+const auditSessionEnded = (session, req, reason) =>
+  recordAudit('QR_SESSION_ENDED', {
+    actorId: req.user._id,
+    targetType: 'QRCodeSession',
+    targetId: session._id,
+    details: { sessionId: session.sessionId, classId: session.classId, reason },
+    req,
+  });
+
+// Close every active session matching the filter and record absentees
+const closeQRSessions = async (filter, req, reason) => {
+  const sessions = await QRCodeSession.find({ ...filter, isActive: true });
+  for (const session of sessions) {
+    session.isActive = false;
+    session.sessionEndedAt = new Date();
+    await session.save();
+    await materializeAbsences(session);
+    await auditSessionEnded(session, req, reason);
+  }
+  return sessions;
+};
 
 // Manual Attendance Marking
 export const markManualAttendance = async (req, res) => {
@@ -10,8 +79,7 @@ export const markManualAttendance = async (req, res) => {
     console.log('Manual attendance request received:', req.body);
     console.log('User from token:', req.user);
     
-    const { studentIds, classId, scheduleId, notes } = req.body;
-    const teacherId = req.user.id;
+    const { studentIds, classId, scheduleId, notes, status = 'present' } = req.body;
 
     // Validate required fields
     if (!studentIds || !Array.isArray(studentIds) || studentIds.length === 0 || !classId) {
@@ -21,21 +89,16 @@ export const markManualAttendance = async (req, res) => {
         message: 'Student IDs array and Class ID are required' 
       });
     }
-
-    // Verify the class belongs to the teacher
-    const classData = await Class.findById(classId);
-    console.log('Class data found:', classData ? 'Yes' : 'No');
-    console.log('Class teacher ID:', classData?.teacherId);
-    console.log('Request teacher ID:', teacherId);
-    
-    if (!classData || classData.teacherId.toString() !== teacherId) {
-      console.log('Class verification failed');
-      return res.status(403).json({ 
+    if (!MANUAL_STATUSES.includes(status)) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'You can only mark attendance for your own classes' 
+        message: `Status must be one of: ${MANUAL_STATUSES.join(', ')}` 
       });
     }
 
+    // Class access (primary teacher, ClassTeacher co-teachers, scoped roles,
+    // admins) is checked by authorize() on the route
+
     // Check for today's date range
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -72,6 +135,41 @@ export const markManualAttendance = async (req, res) => {
           timestamp: { $gte: today, $lt: tomorrow }
         });
 
+        // An absence recorded when the session closed can be overridden (unless voided)
+        if (existingAttendance && existingAttendance.status === 'absent' && !existingAttendance.voidedAt) {
+          const note = notes || 'Manual attendance entry by teacher';
+          const overridden = await applyAttendanceChange(existingAttendance, manualStatusUpdate(status, { notes: note }), {
+            action: 'manual',
+            reason: note,
+            editedBy: req.user._id,
+            filter: { status: 'absent', voidedAt: null },
+          });
+          if (!overridden) {
+            errors.push({
+              studentId,
+              error: 'Attendance for this student changed meanwhile; reload and try again'
+            });
+            continue;
+          }
+
+          await recordAudit('ATTENDANCE_MANUAL_ENTRY', {
+            actorId: req.user._id,
+            targetType: 'Attendance',
+            targetId: existingAttendance._id,
+            before: existingAttendance,
+            after: overridden.record,
+            details: { studentId, classId, overriddenAbsence: true },
+            req,
+          });
+
+          results.push({
+            studentId,
+            attendanceId: existingAttendance._id,
+            success: true
+          });
+          continue;
+        }
+
         if (existingAttendance) {
           console.log('Attendance already exists for student:', studentId);
           errors.push({
@@ -88,14 +186,23 @@ export const markManualAttendance = async (req, res) => {
           classId,
           scheduleId: scheduleId || null,
           sessionId: null, // No QR session for manual entries
+          status,
+          verificationMethod: 'manual',
           manualEntry: true,
           livenessPassed: true, // Manual entries are considered verified
-          faceEmbedding: [], // No face embedding for manual entries
           timestamp: new Date(),
           notes: notes || 'Manual attendance entry by teacher'
         });
 
         console.log('Attendance record created:', attendanceRecord._id);
+        await recordAudit('ATTENDANCE_MANUAL_ENTRY', {
+          actorId: req.user._id,
+          targetType: 'Attendance',
+          targetId: attendanceRecord._id,
+          after: attendanceRecord,
+          details: { studentId, classId },
+          req,
+        });
         results.push({
           studentId,
           attendanceId: attendanceRecord._id,
@@ -145,6 +252,156 @@ export const markManualAttendance = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Record a whole session's roll call at once (e.g., from paper during a
+ *          network outage). Returns the diff against existing records; with
+ *          "preview": true nothing is written.
+ * @route   POST /api/teacher/attendance/manual/bulk
+ * @access  Private (attendance:take; attendance:edit to change existing records)
+ *
+ * Expected Body: { "scheduleId": "...", "roster": [{ "studentId": "...", "status": "present" }, ...] }
+ *            or: { "classId": "...", "date": "2025-10-20T09:00", "roster": [...], "notes": "Paper roll call" }
+ *                (without a schedule, "date" is the session's exact start time)
+ */
+export const markBulkManualAttendance = async (req, res) => {
+  try {
+    const { scheduleId, classId, date, roster, notes, preview } = req.body;
+
+    const result = await applyRollCall(req.user, {
+      scheduleId,
+      classId,
+      date,
+      roster,
+      notes,
+      preview: preview === true || preview === 'true'
+    }, req);
+
+    if (!result.success) {
+      return res.status(ROLL_CALL_ERROR_STATUS[result.reason] || 400).json({
+        success: false,
+        reason: result.reason,
+        message: result.message,
+        invalid: result.invalid
+      });
+    }
+
+    const { summary } = result;
+    const counts = `${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged`;
+    res.status(result.applied ? 201 : 200).json({
+      success: true,
+      message: result.applied
+        ? `Roll call recorded: ${counts}`
+        : summary.created + summary.updated > 0 ? `Preview: ${counts}` : 'Roll call matches the recorded attendance; nothing changed',
+      data: {
+        applied: result.applied,
+        session: result.session,
+        summary,
+        diff: result.diff
+      }
+    });
+  } catch (error) {
+    console.error('Bulk Manual Attendance Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to record roll call; no attendance was changed',
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * @desc    Change the status of a recorded attendance (reason required)
+ * @route   PUT /api/teacher/attendance/records/:id
+ * @access  Private (attendance:edit)
+ *
+ * Expected Body: { "status": "present", "reason": "Was at the lab bench, missed the scan", "version": 2, "notes": "..." }
+ */
+export const editAttendanceRecord = async (req, res) => {
+  try {
+    const { status, notes, reason, version } = req.body;
+
+    const result = await editAttendance(req.user, req.params.id, { status, notes, reason, version }, req);
+    if (!result.success) {
+      return res.status(REVISION_ERROR_STATUS[result.reason] || 400).json({
+        success: false,
+        reason: result.reason,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Attendance updated to ${result.record.status}`,
+      data: { record: result.record, revision: result.revision }
+    });
+  } catch (error) {
+    console.error('Edit Attendance Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update attendance', error: error.message });
+  }
+};
+
+/**
+ * @desc    Void a recorded attendance (reason required). The record is kept
+ *          but no longer counts, so the session counts as missed
+ * @route   DELETE /api/teacher/attendance/records/:id
+ * @access  Private (attendance:edit)
+ *
+ * Expected Body: { "reason": "Marked by another student's phone", "version": 1 }
+ */
+export const voidAttendanceRecord = async (req, res) => {
+  try {
+    const { reason, version } = req.body || {};
+
+    const result = await voidAttendance(req.user, req.params.id, { reason, version }, req);
+    if (!result.success) {
+      return res.status(REVISION_ERROR_STATUS[result.reason] || 400).json({
+        success: false,
+        reason: result.reason,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance record voided',
+      data: { record: result.record, revision: result.revision }
+    });
+  } catch (error) {
+    console.error('Void Attendance Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to void attendance', error: error.message });
+  }
+};
+
+/**
+ * @desc    Get the revision history of an attendance record (also after it was voided)
+ * @route   GET /api/teacher/attendance/records/:id/history
+ * @access  Private (attendance:view)
+ */
+export const getAttendanceRecordHistory = async (req, res) => {
+  try {
+    const result = await getRevisionHistory(req.user, req.params.id, req);
+    if (!result.success) {
+      return res.status(REVISION_ERROR_STATUS[result.reason] || 400).json({
+        success: false,
+        reason: result.reason,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        record: result.record,
+        voided: Boolean(result.record?.voidedAt),
+        revisions: result.revisions
+      }
+    });
+  } catch (error) {
+    console.error('Attendance History Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch attendance history', error: error.message });
+  }
+};
+
 // Generate a new token for dynamic QR
 const generateNewToken = () => {
   return crypto.randomBytes(16).toString('hex');
@@ -153,25 +410,24 @@ const generateNewToken = () => {
 // QR Code Session Management with Dynamic QR
 export const generateQRSession = async (req, res) => {
   try {
-    const { classId, duration = 10 } = req.body;
+    const { classId, duration = 10, coordinates, geofenceSource, geofenceRadius } = req.body;
     const teacherId = req.user.id;
     
     console.log(`Generating QR session for class ${classId}, duration: ${duration} minutes`);
     
-    // Verify the class belongs to the teacher
-    const classData = await Class.findById(classId);
-    if (!classData || classData.teacherId.toString() !== teacherId) {
-      return res.status(403).json({ 
+    // Loaded and access-checked by authorize() on the route
+    const classData = req.classData;
+
+    const geofenceSettings = parseGeofenceSettings({ source: geofenceSource, radius: geofenceRadius });
+    if (!geofenceSettings.success) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'You can only generate QR codes for your own classes' 
+        message: geofenceSettings.message 
       });
     }
 
     // Terminate any existing active sessions for this class
-    await QRCodeSession.updateMany(
-      { classId, isActive: true },
-      { isActive: false, sessionEndedAt: new Date() }
-    );
+    await closeQRSessions({ classId }, req, 'replaced');
 
     // Create QR session
     const qrSessionData = {
@@ -193,6 +449,7 @@ export const generateQRSession = async (req, res) => {
         division: classData.division,
         timestamp: new Date()
       },
+      geofence: geofenceSettings.geofence,
       isActive: true,
       createdAt: new Date()
     };
@@ -201,26 +458,52 @@ export const generateQRSession = async (req, res) => {
     qrSessionData.qrPayload.sessionId = qrSessionData.sessionId;
     qrSessionData.qrPayload.token = qrSessionData.currentToken;
 
+    // Teacher's live position, used as the geofence centre when available
+    if (coordinates?.latitude !== undefined && coordinates?.longitude !== undefined) {
+      qrSessionData.qrPayload.coordinates = {
+        latitude: Number(coordinates.latitude),
+        longitude: Number(coordinates.longitude)
+      };
+    }
+
     // Add schedule ID if provided
     if (req.body.scheduleId) {
       qrSessionData.scheduleId = req.body.scheduleId;
     }
 
+    // Signed payload the student app can verify offline
+    qrSessionData.signedPayload = signQRPayload({
+      sessionId: qrSessionData.sessionId,
+      classId,
+      token: qrSessionData.currentToken,
+      issuedAt: qrSessionData.qrPayload.timestamp,
+      expiresAt: qrSessionData.sessionExpiresAt
+    });
+
     const qrSession = await QRCodeSession.create(qrSessionData);
 
     console.log('QR session created:', qrSession.sessionId);
+    await recordAudit('QR_SESSION_STARTED', {
+      actorId: req.user._id,
+      targetType: 'QRCodeSession',
+      targetId: qrSession._id,
+      details: { sessionId: qrSession.sessionId, classId, durationMinutes: duration },
+      req,
+    });
 
     res.status(201).json({
       success: true,
       message: 'QR session generated successfully',
       sessionId: qrSession.sessionId,
       qrPayload: qrSession.qrPayload,
+      signedPayload: qrSession.signedPayload,
       expiresAt: qrSession.sessionExpiresAt,
       sessionExpiresAt: qrSession.sessionExpiresAt,
       duration: duration,
       data: {
         sessionId: qrSession.sessionId,
         qrPayload: qrSession.qrPayload,
+        signedPayload: qrSession.signedPayload,
         expiresAt: qrSession.sessionExpiresAt,
         sessionExpiresAt: qrSession.sessionExpiresAt,
         duration: duration
@@ -240,15 +523,13 @@ export const generateQRSession = async (req, res) => {
 // Refresh QR Token (for dynamic QR)
 export const refreshQRToken = async (req, res) => {
   try {
-    const { sessionId } = req.body;
-    const teacherId = req.user.id;
+    const { sessionId, coordinates } = req.body;
 
     console.log('Refreshing QR token for session:', sessionId);
 
     // Find the active session
     const session = await QRCodeSession.findOne({
       sessionId,
-      teacherId, // Ensure teacher owns this session
       isActive: true,
       sessionExpiresAt: { $gt: new Date() }
     });
@@ -256,17 +537,39 @@ export const refreshQRToken = async (req, res) => {
     if (!session) {
       return res.status(404).json({ 
         success: false, 
-        message: 'QR session not found, expired, or access denied' 
+        message: 'QR session not found or expired' 
+      });
+    }
+
+    // Any teacher of the class (not only the one who started it) may keep the QR fresh
+    const access = await canAccessClass(req.user, session.classId, 'attendance:take', req.permissionGrants);
+    if (!access.success) {
+      return res.status(403).json({ 
+        success: false, 
+        message: access.message 
       });
     }
 
     // Generate new token
     const newToken = generateNewToken();
     
-    // Update the session with new token
-    session.currentToken = newToken;
-    session.qrPayload.token = newToken;
-    session.tokenRefreshedAt = new Date();
+    // Rotate the token; the previous one stays valid for a short grace window
+    session.rotateToken(newToken);
+    session.signedPayload = signQRPayload({
+      sessionId: session.sessionId,
+      classId: session.classId,
+      token: newToken,
+      issuedAt: session.tokenGeneratedAt,
+      expiresAt: session.sessionExpiresAt
+    });
+
+    // Keep the geofence centre in sync if the teacher's position is re-sent
+    if (coordinates?.latitude !== undefined && coordinates?.longitude !== undefined) {
+      session.qrPayload.coordinates = {
+        latitude: Number(coordinates.latitude),
+        longitude: Number(coordinates.longitude)
+      };
+    }
     
     await session.save();
 
@@ -278,11 +581,13 @@ export const refreshQRToken = async (req, res) => {
       sessionId: session.sessionId,
       newToken: newToken,
       qrPayload: session.qrPayload,
+      signedPayload: session.signedPayload,
       expiresAt: session.sessionExpiresAt,
       data: {
         sessionId: session.sessionId,
         newToken: newToken,
         qrPayload: session.qrPayload,
+        signedPayload: session.signedPayload,
         expiresAt: session.sessionExpiresAt
       }
     });
@@ -301,20 +606,23 @@ export const refreshQRToken = async (req, res) => {
 export const terminateQRSession = async (req, res) => {
   try {
     const { sessionId } = req.body;
-    const teacherId = req.user.id;
 
     console.log('Terminating QR session:', sessionId);
 
-    const session = await QRCodeSession.findOne({
-      sessionId,
-      teacherId, // Ensure teacher owns this session
-      isActive: true
-    });
-
+    const session = await QRCodeSession.findOne({ sessionId, isActive: true });
     if (!session) {
       return res.status(404).json({ 
         success: false, 
-        message: 'QR session not found or access denied' 
+        message: 'QR session not found' 
+      });
+    }
+
+    // Any teacher of the class (not only the one who started it) may stop the session
+    const access = await canAccessClass(req.user, session.classId, 'attendance:take', req.permissionGrants);
+    if (!access.success) {
+      return res.status(403).json({ 
+        success: false, 
+        message: access.message 
       });
     }
 
@@ -323,6 +631,10 @@ export const terminateQRSession = async (req, res) => {
     session.sessionEndedAt = new Date();
     await session.save();
 
+    // Record everyone who did not mark attendance as absent
+    await materializeAbsences(session);
+    await auditSessionEnded(session, req, 'terminated');
+
     console.log('QR session terminated:', sessionId);
 
     res.status(200).json({
@@ -344,13 +656,13 @@ export const terminateQRSession = async (req, res) => {
   }
 };
 
-// Get Active QR Sessions for Teacher
+// Get Active QR Sessions of the classes the teacher may take attendance for
 export const getActiveQRSessions = async (req, res) => {
   try {
-    const teacherId = req.user.id;
+    const classIds = await getAccessibleClassIds(req.user, 'attendance:take', req.permissionGrants);
 
     const activeSessions = await QRCodeSession.find({
-      teacherId,
+      ...(classIds ? { classId: { $in: classIds } } : {}),
       isActive: true,
       sessionExpiresAt: { $gt: new Date() }
     })
@@ -374,26 +686,25 @@ export const getActiveQRSessions = async (req, res) => {
   }
 };
 
-// Terminate All QR Sessions for Teacher
+// Terminate All QR Sessions of the classes the teacher may take attendance for
 export const terminateAllQRSessions = async (req, res) => {
   try {
-    const teacherId = req.user.id;
+    // A global grant would cover every live session in the institution; limit
+    // those users to the sessions they started and the classes they teach
+    const classIds = await getAccessibleClassIds(req.user, 'attendance:take', req.permissionGrants);
+    const filter = classIds
+      ? { classId: { $in: classIds } }
+      : { $or: [{ teacherId: req.user._id }, { classId: { $in: await getTaughtClassIds(req.user._id) } }] };
 
-    const result = await QRCodeSession.updateMany(
-      { teacherId, isActive: true },
-      { 
-        isActive: false, 
-        sessionEndedAt: new Date() 
-      }
-    );
+    const terminated = await closeQRSessions(filter, req, 'terminated_all');
 
-    console.log(`Terminated ${result.modifiedCount} QR sessions for teacher ${teacherId}`);
+    console.log(`Terminated ${terminated.length} QR sessions for user ${req.user._id}`);
 
     res.status(200).json({
       success: true,
-      message: `Terminated ${result.modifiedCount} active QR sessions`,
+      message: `Terminated ${terminated.length} active QR sessions`,
       data: {
-        terminatedCount: result.modifiedCount
+        terminatedCount: terminated.length
       }
     });
 
@@ -407,21 +718,78 @@ export const terminateAllQRSessions = async (req, res) => {
   }
 };
 
-// Get students for a class (for manual attendance)
-export const getStudentsForClass = async (req, res) => {
+// Identify which enrolled student is at the camera
+export const identifyStudentByFace = async (req, res) => {
   try {
-    const { classId } = req.params;
-    const teacherId = req.user.id;
+    const { classId, image } = req.body;
 
-    // Verify the class belongs to the teacher
-    const classData = await Class.findById(classId);
-    if (!classData || classData.teacherId.toString() !== teacherId) {
-      return res.status(403).json({ 
+    if (!classId || !image) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Class ID and image are required' 
+      });
+    }
+
+    // Class access is checked by authorize() on the route
+
+    // Only students enrolled in this class can be matched
+    const enrolledStudentIds = await ClassEnrollment.distinct('studentId', { classId });
+    if (enrolledStudentIds.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No students enrolled in this class' 
+      });
+    }
+
+    const imageBytes = Buffer.from(image.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+    const matches = await identifyFace(imageBytes, { candidateUserIds: enrolledStudentIds });
+
+    if (matches.length === 0) {
+      return res.status(404).json({ 
         success: false, 
-        message: 'You can only access students from your own classes' 
+        message: 'No enrolled student matched this face' 
       });
     }
 
+    const students = await User.find({ _id: { $in: matches.map(m => m.userId) } })
+      .select('fullName enrollmentNo email')
+      .lean();
+    const studentsById = new Map(students.map(s => [s._id.toString(), s]));
+
+    const candidates = matches
+      .filter(match => studentsById.has(match.userId))
+      .map(match => ({
+        ...studentsById.get(match.userId),
+        similarity: match.similarity
+      }));
+
+    console.log(`Identified student ${candidates[0]?.enrollmentNo} (${candidates[0]?.similarity}%) in class ${classId}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        student: candidates[0] || null,
+        candidates
+      }
+    });
+
+  } catch (error) {
+    console.error('Identify Student Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to identify student',
+      error: error.message 
+    });
+  }
+};
+
+// Get students for a class (for manual attendance)
+export const getStudentsForClass = async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    // Class access is checked by authorize() on the route
+
     // Get enrolled students from ClassEnrollment
     const enrollments = await ClassEnrollment.find({ classId })
       .populate('studentId', 'name email enrollmentNo fullName')
@@ -459,17 +827,9 @@ export const getStudentsForClass = async (req, res) => {
 export const getAttendanceByClass = async (req, res) => {
   try {
     const { classId } = req.params;
-    const teacherId = req.user.id;
-    const { startDate, endDate, page = 1, limit = 50 } = req.query;
+    const { startDate, endDate, status, maxSimilarity, page = 1, limit = 50 } = req.query;
 
-    // Verify the class belongs to the teacher
-    const classData = await Class.findById(classId);
-    if (!classData || classData.teacherId.toString() !== teacherId) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'You can only access attendance for your own classes' 
-      });
-    }
+    // Class access is checked by authorize() on the route
 
     // Build query
     const query = { classId };
@@ -479,6 +839,13 @@ export const getAttendanceByClass = async (req, res) => {
       if (startDate) query.timestamp.$gte = new Date(startDate);
       if (endDate) query.timestamp.$lte = new Date(endDate);
     }
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+    // Audit borderline face matches (e.g., ?maxSimilarity=90)
+    if (maxSimilarity !== undefined && Number.isFinite(Number(maxSimilarity))) {
+      query.faceSimilarity = { $lte: Number(maxSimilarity) };
+    }
 
     // Get attendance records with pagination
     const attendance = await Attendance.find(query)
@@ -526,23 +893,24 @@ export const getAttendanceStats = async (req, res) => {
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
 
-    // Get teacher's classes
-    const teacherClasses = await Class.find({ teacherId });
-    const classIds = teacherClasses.map(c => c._id);
+    // Get teacher's classes, including those co-taught through ClassTeacher
+    const classIds = await getTaughtClassIds(teacherId);
 
-    // Get today's attendance count
+    // Get today's attendance count (present or late)
     const todayAttendance = await Attendance.countDocuments({
       classId: { $in: classIds },
-      timestamp: { $gte: today, $lt: tomorrow }
+      timestamp: { $gte: today, $lt: tomorrow },
+      ...ATTENDED_FILTER
     });
 
-    // Get this week's attendance count
+    // Get this week's records broken down by status
     const weekStart = new Date(today);
     weekStart.setDate(today.getDate() - today.getDay());
-    const thisWeekAttendance = await Attendance.countDocuments({
+    const thisWeekByStatus = await countByStatus({
       classId: { $in: classIds },
       timestamp: { $gte: weekStart, $lt: tomorrow }
     });
+    const thisWeekAttendance = (thisWeekByStatus.present || 0) + (thisWeekByStatus.late || 0);
 
     // Get recent attendance records (last 10)
     const recentAttendance = await Attendance.find({
@@ -558,9 +926,10 @@ export const getAttendanceStats = async (req, res) => {
       classId: { $in: classIds }
     });
 
-    // Calculate attendance rate (this week)
-    const attendanceRate = totalEnrolledStudents > 0 
-      ? Math.round((thisWeekAttendance / (totalEnrolledStudents * 7)) * 100) 
+    // Calculate attendance rate (this week): attended out of all non-excused records
+    const countableThisWeek = thisWeekAttendance + (thisWeekByStatus.absent || 0);
+    const attendanceRate = countableThisWeek > 0 
+      ? Math.round((thisWeekAttendance / countableThisWeek) * 100) 
       : 0;
 
     res.status(200).json({
@@ -568,10 +937,16 @@ export const getAttendanceStats = async (req, res) => {
       data: {
         todayAttendance,
         thisWeekAttendance,
+        thisWeekByStatus: {
+          present: thisWeekByStatus.present || 0,
+          late: thisWeekByStatus.late || 0,
+          excused: thisWeekByStatus.excused || 0,
+          absent: thisWeekByStatus.absent || 0
+        },
         totalEnrolledStudents,
         attendanceRate: Math.min(attendanceRate, 100), // Cap at 100%
         recentAttendance,
-        totalClasses: teacherClasses.length
+        totalClasses: classIds.length
       }
     });
 
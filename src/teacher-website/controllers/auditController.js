@@ -0,0 +1,121 @@
+import { AuditLog } from '../../models/auditLogModel.js';
+import { buildAuditQuery, recordAudit } from '../../services/auditService.js';
+
+const CSV_COLUMNS = ['createdAt', 'action', 'actorId', 'actorName', 'actorRole', 'targetType', 'targetId', 'ip', 'changes', 'details'];
+
+// Quote a value for a CSV cell
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Flatten an audit entry into export columns
+const toExportRow = (entry) => ({
+  createdAt: entry.createdAt?.toISOString(),
+  action: entry.action,
+  actorId: entry.userId?._id || null,
+  actorName: entry.userId?.fullName || null,
+  actorRole: entry.userId?.role || null,
+  targetType: entry.targetType,
+  targetId: entry.targetId,
+  ip: entry.ip,
+  changes: entry.changes,
+  details: entry.details,
+});
+
+/**
+ * @desc    Search the audit trail
+ * @route   GET /api/admin/audit-logs?actor=...&action=USER_LOGIN,USER_LOGIN_FAILED&targetType=Attendance&targetId=...&startDate=...&endDate=...
+ * @access  Private (audit:view)
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filter = buildAuditQuery(req.query);
+    if (!filter.success) {
+      return res.status(400).json({ success: false, message: filter.message });
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter.query)
+        .populate('userId', 'fullName email role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter.query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch audit logs' });
+  }
+};
+
+/**
+ * @desc    Export the audit trail as CSV or JSON (same filters as GET /audit-logs)
+ * @route   GET /api/admin/audit-logs/export?format=csv&actor=...&action=...&startDate=...&endDate=...
+ * @access  Private (audit:view)
+ */
+export const exportAuditLogs = async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, message: "Format must be 'csv' or 'json'" });
+    }
+
+    const filter = buildAuditQuery(req.query);
+    if (!filter.success) {
+      return res.status(400).json({ success: false, message: filter.message });
+    }
+
+    const cursor = AuditLog.find(filter.query)
+      .populate('userId', 'fullName role')
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    // Stream row by row so large exports are never held in memory
+    let count = 0;
+    if (format === 'csv') {
+      res.write(`${CSV_COLUMNS.join(',')}\n`);
+      for await (const entry of cursor) {
+        const row = toExportRow(entry);
+        res.write(`${CSV_COLUMNS.map(column => csvCell(row[column])).join(',')}\n`);
+        count++;
+      }
+    } else {
+      res.write('[');
+      for await (const entry of cursor) {
+        res.write(`${count > 0 ? ',' : ''}\n${JSON.stringify(toExportRow(entry))}`);
+        count++;
+      }
+      res.write('\n]\n');
+    }
+    res.end();
+
+    await recordAudit('AUDIT_LOG_EXPORTED', { actorId: req.user._id, details: { format, count, filters: req.query }, req });
+    console.log(`📜 [Audit] ${count} entries exported as ${format} by ${req.user._id}`);
+  } catch (error) {
+    console.error('Error exporting audit logs:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, message: 'Failed to export audit logs' });
+  }
+};
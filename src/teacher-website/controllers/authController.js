@@ -1,11 +1,8 @@
 import { User } from '../../models/userModel.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'fallback_secret', { expiresIn: '30d' });
-};
+import { requestPasswordReset, resetPasswordWithToken } from '../../services/passwordResetService.js';
+import { issueAuthTokens, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } from '../../services/tokenService.js';
+import { recordAudit } from '../../services/auditService.js';
 
 // Register Teacher
 export const registerTeacher = async (req, res) => {
@@ -49,13 +46,16 @@ export const registerTeacher = async (req, res) => {
     console.log('Teacher created successfully:', user._id);
 
     if (user) {
+      const tokens = await issueAuthTokens(user, { ip: req.ip, userAgent: req.get('User-Agent') });
       res.status(201).json({
         _id: user._id,
         name: user.fullName,
         fullName: user.fullName,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id)
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       });
     } else {
       console.log('Failed to create teacher');
@@ -76,15 +76,25 @@ export const loginTeacher = async (req, res) => {
     const user = await User.findOne({ email, role: 'teacher' });
 
     if (user && (await bcrypt.compare(password, user.password))) {
+      await recordAudit('USER_LOGIN', { actorId: user._id, targetType: 'User', targetId: user._id, req });
+      const tokens = await issueAuthTokens(user, { ip: req.ip, userAgent: req.get('User-Agent') });
       res.json({
         _id: user._id,
         name: user.fullName,
         fullName: user.fullName,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id)
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       });
     } else {
+      await recordAudit('USER_LOGIN_FAILED', {
+        targetType: user ? 'User' : null,
+        targetId: user?._id || null,
+        details: { identifier: email, reason: user ? 'WRONG_PASSWORD' : 'UNKNOWN_ACCOUNT' },
+        req,
+      });
       res.status(401).json({ message: 'Invalid email or password' });
     }
   } catch (error) {
@@ -135,3 +145,90 @@ export const updateTeacherProfile = async (req, res) => {
     res.status(500).json({ message: error.message });
   }
 };
+
+// Forgot Password (Teacher/Admin)
+// Always answers the same way so the endpoint does not reveal which accounts exist.
+export const forgotTeacherPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email, role: { $in: ['teacher', 'admin'] } });
+    if (user) {
+      await requestPasswordReset(user, { audience: 'staff', ip: req.ip });
+    }
+
+    res.json({
+      message: 'If an account matches, password reset instructions have been sent to its email address.'
+    });
+  } catch (error) {
+    console.error('Teacher forgot password error:', error);
+    res.status(500).json({ message: 'Could not process the request. Please try again later.' });
+  }
+};
+
+// Reset Password (Teacher/Admin, with the token from the emailed link)
+export const resetTeacherPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const result = await resetPasswordWithToken(token, password, { roles: ['teacher', 'admin'] });
+    if (!result.success) {
+      return res.status(400).json({ message: result.message, error: result.reason });
+    }
+
+    res.json({ message: 'Password has been reset. You can now log in with your new password.' });
+  } catch (error) {
+    console.error('Teacher reset password error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Refresh Session (Teacher/Admin)
+export const refreshTeacherToken = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, {
+      roles: ['teacher', 'admin'],
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    if (!result.success) {
+      return res.status(401).json({ message: result.message, error: result.reason });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+  } catch (error) {
+    console.error('Teacher refresh token error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Logout (Teacher/Admin, this browser)
+export const logoutTeacher = async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken, req.user._id);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Teacher logout error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Logout All Devices (Teacher/Admin)
+export const logoutAllTeacher = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id, 'logout_all');
+    console.log(`🔐 [Auth] User ${req.user._id} logged out of all devices`);
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Teacher logout all error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
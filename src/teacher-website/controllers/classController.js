@@ -1,6 +1,21 @@
 import { Class } from '../../models/classModel.js';
 import { ClassEnrollment } from '../../models/classEnrollmentModel.js';
 import { User } from '../../models/userModel.js';
+import { canAccessClass, getAccessibleClassIds } from '../../services/classAccessService.js';
+import { recordAudit } from '../../services/auditService.js';
+import { hasPermission } from '../../services/permissionService.js';
+
+const CLASS_ACCESS_ERROR_STATUS = {
+  INVALID_CLASS_ID: 400,
+  CLASS_NOT_FOUND: 404,
+  CLASS_ACCESS_DENIED: 403,
+};
+
+// Fields anyone who may manage the class can change
+const CLASS_UPDATABLE_FIELDS = ['classNumber', 'subjectCode', 'subjectName', 'classYear', 'semester', 'division', 'livenessPolicy'];
+
+// Ownership and department scope; changing them needs a global grant
+const CLASS_OWNERSHIP_FIELDS = ['teacherId', 'department'];
 
 // Basic CRUD for Classes
 export const createClass = async (req, res) => {
@@ -32,8 +47,10 @@ export const createClass = async (req, res) => {
 };
 export const getAllClasses = async (req, res) => {
   try {
-    // Only return classes for the logged-in teacher
-    const classes = await Class.find({ teacherId: req.user.id });
+    // Only return classes the user may view: taught (primary or co-teacher),
+    // covered by a role assignment, or all of them for admins
+    const classIds = await getAccessibleClassIds(req.user, 'class:view', req.permissionGrants);
+    const classes = await Class.find(classIds === null ? {} : { _id: { $in: classIds } });
     
     // Add student count to each class
     const classesWithCounts = await Promise.all(
@@ -55,17 +72,8 @@ export const getAllClasses = async (req, res) => {
 };
 export const getClassById = async (req, res) => {
   try {
-    // Only allow access to classes owned by the logged-in teacher
-    const singleClass = await Class.findOne({ 
-      _id: req.params.id, 
-      teacherId: req.user.id 
-    });
-    
-    if (!singleClass) {
-      return res.status(404).json({ message: 'Class not found or access denied' });
-    }
-    
-    res.status(200).json(singleClass);
+    // Loaded and access-checked by authorize() on the route
+    res.status(200).json(req.classData);
   } catch (error) { 
     console.error('Get class by ID error:', error);
     res.status(500).json({ message: error.message });
@@ -74,15 +82,34 @@ export const getClassById = async (req, res) => {
 
 export const updateClass = async (req, res) => {
   try {
-    // Only allow updates to classes owned by the logged-in teacher
-    const updatedClass = await Class.findOneAndUpdate(
-      { _id: req.params.id, teacherId: req.user.id },
-      req.body,
+    // Class access is checked by authorize() on the route. Co-teachers and
+    // department roles may edit the class but not reassign or move it.
+    const isGlobal = await hasPermission(req.user, 'class:manage', { global: true }, req.permissionGrants);
+    const fields = isGlobal ? [...CLASS_UPDATABLE_FIELDS, ...CLASS_OWNERSHIP_FIELDS] : CLASS_UPDATABLE_FIELDS;
+
+    const update = {};
+    for (const field of fields) {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    }
+
+    if (update.teacherId) {
+      const teacher = await User.findOne({ _id: update.teacherId, role: { $in: ['teacher', 'admin'] } }).select('fullName');
+      if (!teacher) {
+        return res.status(400).json({ message: 'Teacher not found' });
+      }
+      update.teacherName = teacher.fullName;
+    } else if (update.teacherId === null) {
+      update.teacherName = null;
+    }
+
+    const updatedClass = await Class.findByIdAndUpdate(
+      req.params.id,
+      update,
       { new: true, runValidators: true }
     );
     
     if (!updatedClass) {
-      return res.status(404).json({ message: 'Class not found or access denied' });
+      return res.status(404).json({ message: 'Class not found' });
     }
     
     console.log('Class updated successfully:', updatedClass._id);
@@ -95,14 +122,11 @@ export const updateClass = async (req, res) => {
 
 export const deleteClass = async (req, res) => {
   try {
-    // Only allow deletion of classes owned by the logged-in teacher
-    const classToDelete = await Class.findOne({ 
-      _id: req.params.id, 
-      teacherId: req.user.id 
-    });
-    
-    if (!classToDelete) {
-      return res.status(404).json({ message: 'Class not found or access denied' });
+    // Deleting removes the class for every co-teacher, so only its primary
+    // teacher or a global class manager may do it
+    const isOwner = req.classData.teacherId?.toString() === req.user._id.toString();
+    if (!isOwner && !(await hasPermission(req.user, 'class:manage', { global: true }, req.permissionGrants))) {
+      return res.status(403).json({ message: 'Only the class teacher or an administrator can delete this class' });
     }
 
     // Import Schedule and other models if needed for cascading deletes
@@ -118,6 +142,14 @@ export const deleteClass = async (req, res) => {
 
     // Delete the class
     const deletedClass = await Class.findByIdAndDelete(req.params.id);
+
+    await recordAudit('CLASS_DELETED', {
+      actorId: req.user._id,
+      targetType: 'Class',
+      targetId: deletedClass._id,
+      before: deletedClass,
+      req,
+    });
     
     console.log('Class deleted successfully:', deletedClass._id);
     res.status(200).json({ 
@@ -139,14 +171,12 @@ export const enrollStudent = async (req, res) => {
   try {
     const { classId } = req.params;
     const { studentId } = req.body;
-    const teacherId = req.user.id;
 
-    // Verify the class belongs to the teacher
-    const classData = await Class.findById(classId);
-    if (!classData || classData.teacherId.toString() !== teacherId) {
-      return res.status(403).json({ 
+    const access = await canAccessClass(req.user, classId, 'class:manage');
+    if (!access.success) {
+      return res.status(CLASS_ACCESS_ERROR_STATUS[access.reason] || 403).json({ 
         success: false, 
-        message: 'You can only enroll students in your own classes' 
+        message: access.reason === 'CLASS_ACCESS_DENIED' ? 'You can only enroll students in your own classes' : access.message 
       });
     }
 
@@ -170,6 +200,14 @@ export const enrollStudent = async (req, res) => {
 
     // Create enrollment
     const enrollment = await ClassEnrollment.create({ classId, studentId });
+
+    await recordAudit('ENROLLMENT_ADDED', {
+      actorId: req.user._id,
+      targetType: 'ClassEnrollment',
+      targetId: enrollment._id,
+      after: enrollment,
+      req,
+    });
     
     // Populate the enrollment for response
     const populatedEnrollment = await ClassEnrollment.findById(enrollment._id)
@@ -197,14 +235,12 @@ export const enrollStudentByEnrollmentNo = async (req, res) => {
   try {
     const { classId } = req.params;
     const { enrollmentNo } = req.body;
-    const teacherId = req.user.id;
 
-    // Verify the class belongs to the teacher
-    const classData = await Class.findById(classId);
-    if (!classData || classData.teacherId.toString() !== teacherId) {
-      return res.status(403).json({ 
+    const access = await canAccessClass(req.user, classId, 'class:manage');
+    if (!access.success) {
+      return res.status(CLASS_ACCESS_ERROR_STATUS[access.reason] || 403).json({ 
         success: false, 
-        message: 'You can only enroll students in your own classes' 
+        message: access.reason === 'CLASS_ACCESS_DENIED' ? 'You can only enroll students in your own classes' : access.message 
       });
     }
 
@@ -228,6 +264,14 @@ export const enrollStudentByEnrollmentNo = async (req, res) => {
 
     // Create enrollment
     const enrollment = await ClassEnrollment.create({ classId, studentId: student._id });
+
+    await recordAudit('ENROLLMENT_ADDED', {
+      actorId: req.user._id,
+      targetType: 'ClassEnrollment',
+      targetId: enrollment._id,
+      after: enrollment,
+      req,
+    });
     
     // Populate the enrollment for response
     const populatedEnrollment = await ClassEnrollment.findById(enrollment._id)
@@ -254,14 +298,12 @@ export const enrollStudentByEnrollmentNo = async (req, res) => {
 export const getEnrolledStudents = async (req, res) => {
   try {
     const { classId } = req.params;
-    const teacherId = req.user.id;
 
-    // Verify the class belongs to the teacher
-    const classData = await Class.findById(classId);
-    if (!classData || classData.teacherId.toString() !== teacherId) {
-      return res.status(403).json({ 
+    const access = await canAccessClass(req.user, classId, 'class:view');
+    if (!access.success) {
+      return res.status(CLASS_ACCESS_ERROR_STATUS[access.reason] || 403).json({ 
         success: false, 
-        message: 'You can only access students from your own classes' 
+        message: access.reason === 'CLASS_ACCESS_DENIED' ? 'You can only access students from your own classes' : access.message 
       });
     }
 
@@ -299,14 +341,12 @@ export const getEnrolledStudents = async (req, res) => {
 export const removeStudentFromClass = async (req, res) => {
   try {
     const { classId, studentId } = req.params;
-    const teacherId = req.user.id;
 
-    // Verify the class belongs to the teacher
-    const classData = await Class.findById(classId);
-    if (!classData || classData.teacherId.toString() !== teacherId) {
-      return res.status(403).json({ 
+    const access = await canAccessClass(req.user, classId, 'class:manage');
+    if (!access.success) {
+      return res.status(CLASS_ACCESS_ERROR_STATUS[access.reason] || 403).json({ 
         success: false, 
-        message: 'You can only remove students from your own classes' 
+        message: access.reason === 'CLASS_ACCESS_DENIED' ? 'You can only remove students from your own classes' : access.message 
       });
     }
 
@@ -319,6 +359,14 @@ export const removeStudentFromClass = async (req, res) => {
       });
     }
 
+    await recordAudit('ENROLLMENT_REMOVED', {
+      actorId: req.user._id,
+      targetType: 'ClassEnrollment',
+      targetId: enrollment._id,
+      before: enrollment,
+      req,
+    });
+
     res.status(200).json({
       success: true,
       message: 'Student removed from class successfully'
@@ -0,0 +1,154 @@
+import { AttendanceCorrectionRequest } from '../../models/attendanceCorrectionRequestModel.js';
+import { Attendance } from '../../models/attendanceModel.js';
+import { getStoredFileUrl } from '../../services/storageService.js';
+import { reviewCorrectionRequest } from '../../services/attendanceCorrectionService.js';
+import { canAccessClass, getAccessibleClassIds } from '../../services/classAccessService.js';
+
+const REVIEW_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  FORBIDDEN: 403,
+  ALREADY_ATTENDED: 409,
+  RECORD_VOIDED: 409,
+  ALREADY_REVIEWED: 409,
+};
+
+/**
+ * @desc    List correction requests for the classes the reviewer may edit
+ *          attendance in (all for admins)
+ * @route   GET /api/teacher/correction-requests?status=pending&classId=...
+ * @access  Private (attendance:edit)
+ */
+export const getCorrectionRequests = async (req, res) => {
+  try {
+    const { status = 'pending', classId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+
+    const classIds = await getAccessibleClassIds(req.user, 'attendance:edit', req.permissionGrants);
+    if (classId) {
+      if (classIds && !classIds.some(id => id.toString() === classId)) {
+        return res.status(403).json({ success: false, message: 'You do not have access to this class' });
+      }
+      query.classId = classId;
+    } else if (classIds) {
+      query.classId = { $in: classIds };
+    }
+
+    const [requests, total] = await Promise.all([
+      AttendanceCorrectionRequest.find(query)
+        .populate('studentId', 'fullName enrollmentNo classYear division')
+        .populate('classId', 'subjectCode subjectName classYear division')
+        .populate('reviewedBy', 'fullName role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AttendanceCorrectionRequest.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching correction requests:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch correction requests' });
+  }
+};
+
+/**
+ * @desc    Get one request with a short-lived evidence URL and the student's
+ *          current record for the session
+ * @route   GET /api/teacher/correction-requests/:id
+ * @access  Private (attendance:edit)
+ */
+export const getCorrectionRequestById = async (req, res) => {
+  try {
+    const request = await AttendanceCorrectionRequest.findById(req.params.id)
+      .populate('studentId', 'fullName enrollmentNo classYear division')
+      .populate('classId', 'subjectCode subjectName classYear division')
+      .populate('reviewedBy', 'fullName role');
+
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Correction request not found' });
+    }
+
+    const access = await canAccessClass(req.user, request.classId._id, 'attendance:edit', req.permissionGrants);
+    if (!access.success) {
+      return res.status(403).json({ success: false, message: 'You cannot review corrections for this class' });
+    }
+
+    const sessionFilter = request.sessionId ? { sessionId: request.sessionId } : { scheduleId: request.scheduleId };
+    const currentRecord = await Attendance.findOne({ studentId: request.studentId._id, ...sessionFilter })
+      .select('status verificationMethod manualEntry timestamp notes');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...request.toObject(),
+        evidenceUrl: await getStoredFileUrl(request.evidenceKey),
+        currentRecord
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching correction request:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch correction request' });
+  }
+};
+
+/**
+ * Builds a handler that approves or rejects a request.
+ * @param {boolean} approve - True for approval.
+ * @returns {function} Express handler.
+ */
+const decideCorrection = (approve) => async (req, res) => {
+  try {
+    const result = await reviewCorrectionRequest(req.params.id, req.user, {
+      approve,
+      note: req.body?.note
+    }, req);
+
+    if (!result.success) {
+      return res.status(REVIEW_ERROR_STATUS[result.reason] || 400).json({
+        success: false,
+        reason: result.reason,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: approve ? 'Correction approved and attendance recorded' : 'Correction rejected',
+      data: {
+        request: result.request,
+        attendance: result.attendance
+      }
+    });
+  } catch (error) {
+    console.error('Error reviewing correction request:', error);
+    res.status(500).json({ success: false, message: 'Failed to review correction request' });
+  }
+};
+
+/**
+ * @desc    Approve a correction: the student is recorded present for the session
+ * @route   POST /api/teacher/correction-requests/:id/approve
+ * @access  Private (attendance:edit)
+ */
+export const approveCorrectionRequest = decideCorrection(true);
+
+/**
+ * @desc    Reject a correction: the student's record is left as it is
+ * @route   POST /api/teacher/correction-requests/:id/reject
+ * @access  Private (attendance:edit)
+ */
+export const rejectCorrectionRequest = decideCorrection(false);
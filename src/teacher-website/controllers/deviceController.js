@@ -0,0 +1,80 @@
+import { User } from '../../models/userModel.js';
+import { StudentDevice } from '../../models/studentDeviceModel.js';
+import { resetStudentDevices } from '../../services/deviceBindingService.js';
+import { canAccessStudent } from '../../services/studentAccessService.js';
+
+/**
+ * Loads the student named in the route after checking the caller may act on them.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {string} permission - The permission needed, e.g., 'devices:reset'.
+ * @returns {Promise<object|null>} The student, or null once an error response was sent.
+ */
+const findAccessibleStudent = async (req, res, permission) => {
+  const { studentId } = req.params;
+
+  const student = await User.findOne({ _id: studentId, role: 'student' }).select('fullName enrollmentNo');
+  if (!student) {
+    res.status(404).json({ success: false, message: 'Student not found' });
+    return null;
+  }
+  if (!(await canAccessStudent(req.user, studentId, permission))) {
+    res.status(403).json({ success: false, message: 'You can only manage students enrolled in your classes' });
+    return null;
+  }
+  return student;
+};
+
+/**
+ * @desc    List a student's bound and revoked devices
+ * @route   GET /api/teacher/students/:studentId/devices
+ * @route   GET /api/admin/students/:studentId/devices
+ * @access  Private (Teacher/Admin)
+ */
+export const getStudentDevices = async (req, res) => {
+  try {
+    const student = await findAccessibleStudent(req, res, 'students:view');
+    if (!student) return;
+
+    const devices = await StudentDevice.find({ studentId: student._id })
+      .select('-publicKey')
+      .populate('revokedBy', 'fullName role')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { student, devices }
+    });
+  } catch (error) {
+    console.error('Error fetching student devices:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch student devices' });
+  }
+};
+
+/**
+ * @desc    Reset a student's device binding so they can register a new phone
+ * @route   POST /api/teacher/students/:studentId/devices/reset
+ * @route   POST /api/admin/students/:studentId/devices/reset
+ * @access  Private (Teacher/Admin)
+ * 
+ * Expected Body: { "reason": "Lost phone" }
+ */
+export const resetStudentDevice = async (req, res) => {
+  try {
+    const student = await findAccessibleStudent(req, res, 'devices:reset');
+    if (!student) return;
+
+    const revoked = await resetStudentDevices(student._id, req.user, { reason: req.body?.reason });
+
+    res.status(200).json({
+      success: true,
+      message: revoked > 0
+        ? `Reset ${revoked} device(s). The student can now log in on a new device.`
+        : 'The student has no bound devices.',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Error resetting student devices:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset student devices' });
+  }
+};
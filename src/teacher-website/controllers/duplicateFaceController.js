@@ -0,0 +1,115 @@
+import { DuplicateFaceFlag } from '../../models/duplicateFaceFlagModel.js';
+import { getFaceImageUrl } from '../../services/storageService.js';
+import { resolveDuplicateFlag } from '../../services/duplicateFaceService.js';
+
+const RESOLVE_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  ALREADY_RESOLVED: 409,
+};
+
+/**
+ * @desc    List suspected duplicate identities (review queue)
+ * @route   GET /api/admin/duplicate-faces?status=open
+ * @access  Private (Admin)
+ */
+export const getDuplicateFaceFlags = async (req, res) => {
+  try {
+    const { status = 'open' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = { status };
+
+    const [flags, total] = await Promise.all([
+      DuplicateFaceFlag.find(query)
+        .populate('studentId', 'fullName enrollmentNo email classYear division')
+        .populate('matchedStudentId', 'fullName enrollmentNo email classYear division')
+        .populate('reviewedBy', 'fullName')
+        .sort({ similarity: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DuplicateFaceFlag.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        flags,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching duplicate face flags:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch duplicate face flags' });
+  }
+};
+
+/**
+ * @desc    Get one flag with short-lived URLs for both students' photos
+ * @route   GET /api/admin/duplicate-faces/:id
+ * @access  Private (Admin)
+ */
+export const getDuplicateFaceFlagById = async (req, res) => {
+  try {
+    const flag = await DuplicateFaceFlag.findById(req.params.id)
+      .populate('studentId', 'fullName enrollmentNo email classYear division faceImageS3Key')
+      .populate('matchedStudentId', 'fullName enrollmentNo email classYear division faceImageS3Key')
+      .populate('reviewedBy', 'fullName');
+
+    if (!flag) {
+      return res.status(404).json({ success: false, message: 'Duplicate face flag not found' });
+    }
+
+    const { faceImageS3Key: studentImageKey, ...student } = flag.studentId?.toObject() || {};
+    const { faceImageS3Key: matchedImageKey, ...matchedStudent } = flag.matchedStudentId?.toObject() || {};
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...flag.toObject(),
+        studentId: student,
+        matchedStudentId: matchedStudent,
+        studentImageUrl: await getFaceImageUrl(studentImageKey),
+        matchedStudentImageUrl: await getFaceImageUrl(matchedImageKey)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching duplicate face flag:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch duplicate face flag' });
+  }
+};
+
+/**
+ * @desc    Resolve a flag as a confirmed duplicate or a false match
+ * @route   POST /api/admin/duplicate-faces/:id/resolve
+ * @access  Private (Admin)
+ * 
+ * Expected Body: { "resolution": "confirmed" | "dismissed", "note": "..." }
+ */
+export const resolveDuplicateFaceFlag = async (req, res) => {
+  try {
+    const { resolution, note } = req.body;
+
+    const result = await resolveDuplicateFlag(req.params.id, req.user, { resolution, note });
+    if (!result.success) {
+      return res.status(RESOLVE_ERROR_STATUS[result.reason] || 400).json({
+        success: false,
+        reason: result.reason,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: resolution === 'confirmed' ? 'Duplicate identity confirmed' : 'Flag dismissed',
+      data: result.flag
+    });
+  } catch (error) {
+    console.error('Error resolving duplicate face flag:', error);
+    res.status(500).json({ success: false, message: 'Failed to resolve duplicate face flag' });
+  }
+};
@@ -0,0 +1,141 @@
+import { FaceChangeRequest } from '../../models/faceChangeRequestModel.js';
+import { DuplicateFaceFlag } from '../../models/duplicateFaceFlagModel.js';
+import { getFaceImageUrl } from '../../services/storageService.js';
+import { reviewFaceChange } from '../../services/faceChangeService.js';
+import { canAccessStudent, getAccessibleStudentIds } from '../../services/studentAccessService.js';
+
+const REVIEW_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  FORBIDDEN: 403,
+  ALREADY_REVIEWED: 409,
+};
+
+/**
+ * @desc    List face change requests the reviewer may decide on
+ *          (all for admins, students in their classes for teachers)
+ * @route   GET /api/teacher/face-change-requests?status=pending
+ * @access  Private (Teacher/Admin)
+ */
+export const getFaceChangeRequests = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = { status };
+    const studentIds = await getAccessibleStudentIds(req.user, 'face:review');
+    if (studentIds) query.studentId = { $in: studentIds };
+
+    const [requests, total] = await Promise.all([
+      FaceChangeRequest.find(query)
+        .populate('studentId', 'fullName enrollmentNo classYear division')
+        .populate('reviewedBy', 'fullName role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FaceChangeRequest.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching face change requests:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch face change requests' });
+  }
+};
+
+/**
+ * @desc    Get one request with short-lived URLs for the current and the
+ *          proposed photo, for side-by-side comparison
+ * @route   GET /api/teacher/face-change-requests/:id
+ * @access  Private (Teacher/Admin)
+ */
+export const getFaceChangeRequestById = async (req, res) => {
+  try {
+    const request = await FaceChangeRequest.findById(req.params.id)
+      .populate('studentId', 'fullName enrollmentNo classYear division faceImageS3Key')
+      .populate('reviewedBy', 'fullName role');
+
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Face change request not found' });
+    }
+    if (!(await canAccessStudent(req.user, request.studentId._id, 'face:review'))) {
+      return res.status(403).json({ success: false, message: 'You cannot review face changes for this student' });
+    }
+
+    const { faceImageS3Key, ...student } = request.studentId.toObject();
+    const isPending = request.status === 'pending';
+
+    // Other students the new photo matched, so the reviewer can spot a swap
+    const duplicateFlags = await DuplicateFaceFlag.find({ studentId: student._id, status: 'open' })
+      .populate('matchedStudentId', 'fullName enrollmentNo');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...request.toObject(),
+        studentId: student,
+        currentImageUrl: await getFaceImageUrl(isPending ? faceImageS3Key : request.previousImageKey),
+        newImageUrl: isPending ? await getFaceImageUrl(request.newImageKey) : null,
+        duplicateFlags
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching face change request:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch face change request' });
+  }
+};
+
+/**
+ * Builds a handler that approves or rejects a request.
+ * @param {boolean} approve - True for approval.
+ * @returns {function} Express handler.
+ */
+const decideFaceChange = (approve) => async (req, res) => {
+  try {
+    const result = await reviewFaceChange(req.params.id, req.user, {
+      approve,
+      note: req.body?.note
+    });
+
+    if (!result.success) {
+      return res.status(REVIEW_ERROR_STATUS[result.reason] || 400).json({
+        success: false,
+        reason: result.reason,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: approve ? 'Face change approved' : 'Face change rejected',
+      data: result.request
+    });
+  } catch (error) {
+    console.error('Error reviewing face change request:', error);
+    res.status(500).json({ success: false, message: 'Failed to review face change request' });
+  }
+};
+
+/**
+ * @desc    Approve a face change: the new photo becomes active
+ * @route   POST /api/teacher/face-change-requests/:id/approve
+ * @access  Private (Teacher/Admin)
+ */
+export const approveFaceChangeRequest = decideFaceChange(true);
+
+/**
+ * @desc    Reject a face change: the current photo stays active
+ * @route   POST /api/teacher/face-change-requests/:id/reject
+ * @access  Private (Teacher/Admin)
+ */
+export const rejectFaceChangeRequest = decideFaceChange(false);
@@ -0,0 +1,144 @@
+import { LeaveApplication } from '../../models/leaveApplicationModel.js';
+import { getStoredFileUrl } from '../../services/storageService.js';
+import { reviewLeaveApplication } from '../../services/leaveService.js';
+import { canAccessStudent, getAccessibleStudentIds } from '../../services/studentAccessService.js';
+
+const REVIEW_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  FORBIDDEN: 403,
+  ALREADY_REVIEWED: 409,
+};
+
+/**
+ * @desc    List leave applications the reviewer may decide on
+ *          (all for admins, students in their classes for teachers)
+ * @route   GET /api/teacher/leave-applications?status=pending&leaveType=medical&studentId=...
+ * @access  Private (attendance:edit)
+ */
+export const getLeaveApplications = async (req, res) => {
+  try {
+    const { status = 'pending', leaveType, studentId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (leaveType) query.leaveType = leaveType;
+
+    const studentIds = await getAccessibleStudentIds(req.user, 'attendance:edit');
+    if (studentId) {
+      if (studentIds && !studentIds.some(id => id.toString() === studentId)) {
+        return res.status(403).json({ success: false, message: 'You cannot review leave for this student' });
+      }
+      query.studentId = studentId;
+    } else if (studentIds) {
+      query.studentId = { $in: studentIds };
+    }
+
+    const [leaves, total] = await Promise.all([
+      LeaveApplication.find(query)
+        .populate('studentId', 'fullName enrollmentNo classYear division')
+        .populate('reviewedBy', 'fullName role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LeaveApplication.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        leaves,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching leave applications:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch leave applications' });
+  }
+};
+
+/**
+ * @desc    Get one application with short-lived URLs for its attachments
+ * @route   GET /api/teacher/leave-applications/:id
+ * @access  Private (attendance:edit)
+ */
+export const getLeaveApplicationById = async (req, res) => {
+  try {
+    const leave = await LeaveApplication.findById(req.params.id)
+      .populate('studentId', 'fullName enrollmentNo classYear division')
+      .populate('reviewedBy', 'fullName role');
+
+    if (!leave) {
+      return res.status(404).json({ success: false, message: 'Leave application not found' });
+    }
+    if (!(await canAccessStudent(req.user, leave.studentId._id, 'attendance:edit'))) {
+      return res.status(403).json({ success: false, message: 'You cannot review leave for this student' });
+    }
+
+    const attachments = await Promise.all(leave.attachments.map(async attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      url: await getStoredFileUrl(attachment.key)
+    })));
+
+    res.status(200).json({
+      success: true,
+      data: { ...leave.toObject(), attachments }
+    });
+  } catch (error) {
+    console.error('Error fetching leave application:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch leave application' });
+  }
+};
+
+/**
+ * Builds a handler that approves or rejects an application.
+ * @param {boolean} approve - True for approval.
+ * @returns {function} Express handler.
+ */
+const decideLeave = (approve) => async (req, res) => {
+  try {
+    const result = await reviewLeaveApplication(req.params.id, req.user, {
+      approve,
+      note: req.body?.note
+    }, req);
+
+    if (!result.success) {
+      return res.status(REVIEW_ERROR_STATUS[result.reason] || 400).json({
+        success: false,
+        reason: result.reason,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: approve
+        ? `Leave approved; ${result.leave.excusedCount} recorded absence(s) excused`
+        : 'Leave rejected',
+      data: result.leave
+    });
+  } catch (error) {
+    console.error('Error reviewing leave application:', error);
+    res.status(500).json({ success: false, message: 'Failed to review leave application' });
+  }
+};
+
+/**
+ * @desc    Approve leave: the student's sessions in the period are excused
+ * @route   POST /api/teacher/leave-applications/:id/approve
+ * @access  Private (attendance:edit)
+ */
+export const approveLeaveApplication = decideLeave(true);
+
+/**
+ * @desc    Reject leave: absences in the period stand
+ * @route   POST /api/teacher/leave-applications/:id/reject
+ * @access  Private (attendance:edit)
+ */
+export const rejectLeaveApplication = decideLeave(false);
@@ -1,5 +1,5 @@
 import { RecurringSchedule, ScheduleOverride, ScheduleInstance } from '../../models/recurringScheduleModel.js';
-import { Class } from '../../models/classModel.js';
+import { canAccessClass } from '../../services/classAccessService.js';
 
 // Create a recurring schedule for the semester
 export const createRecurringSchedule = async (req, res) => {
@@ -23,9 +23,9 @@ export const createRecurringSchedule = async (req, res) => {
 
     const teacherId = req.user.id;
 
-    // Verify class belongs to teacher
-    const classData = await Class.findOne({ _id: classId, teacherId });
-    if (!classData) {
+    // Verify the teacher teaches the class (primary or co-teacher)
+    const access = await canAccessClass(req.user, classId, 'schedule:manage', req.permissionGrants);
+    if (!access.success) {
       return res.status(403).json({
         success: false,
         message: 'You can only create schedules for your own classes'
@@ -56,7 +56,7 @@ export const createRecurringSchedule = async (req, res) => {
     const recurringSchedule = await RecurringSchedule.create({
       classId,
       teacherId,
-      title: title || `${classData.subjectCode} - ${classData.subjectName}`,
+      title: title || `${access.classData.subjectCode} - ${access.classData.subjectName}`,
       sessionType,
       dayOfWeek,
       startTime,
@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import { RoleAssignment } from '../../models/roleAssignmentModel.js';
+import { Class } from '../../models/classModel.js';
+import { User } from '../../models/userModel.js';
+import { ROLES, PERMISSIONS, getUserGrants } from '../../services/permissionService.js';
+import { recordAudit } from '../../services/auditService.js';
+
+/**
+ * @desc    List the permission catalog and role definitions
+ * @route   GET /api/admin/roles
+ * @access  Private (staff:manage)
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const roles = Object.entries(ROLES).map(([name, role]) => ({ name, ...role }));
+    res.status(200).json({ success: true, data: { roles, permissions: PERMISSIONS } });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch roles' });
+  }
+};
+
+/**
+ * @desc    List role assignments
+ * @route   GET /api/admin/role-assignments?userId=&role=&department=
+ * @access  Private (staff:manage)
+ */
+export const getRoleAssignments = async (req, res) => {
+  try {
+    const { userId, role, department } = req.query;
+
+    const query = {};
+    if (userId) query.userId = userId;
+    if (role) query.role = role;
+    if (department) query.department = department;
+
+    const assignments = await RoleAssignment.find(query)
+      .populate('userId', 'fullName email role')
+      .populate('classId', 'classNumber subjectCode subjectName department')
+      .populate('assignedBy', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ success: true, data: { assignments } });
+  } catch (error) {
+    console.error('Error fetching role assignments:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch role assignments' });
+  }
+};
+
+/**
+ * @desc    Assign a role to a staff member
+ * @route   POST /api/admin/role-assignments
+ * @access  Private (staff:manage)
+ *
+ * Expected Body: { "userId": "...", "role": "hod", "scope": "department", "department": "Computer Engineering" }
+ *            or: { "userId": "...", "role": "lab_assistant", "scope": "class", "classId": "..." }
+ */
+export const assignRole = async (req, res) => {
+  try {
+    const { userId, role, scope, department, classId, note } = req.body;
+
+    if (!ROLES[role]?.assignable) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${Object.keys(ROLES).filter(name => ROLES[name].assignable).join(', ')}`
+      });
+    }
+    if (!['global', 'department', 'class'].includes(scope)) {
+      return res.status(400).json({ success: false, message: "Scope must be 'global', 'department' or 'class'" });
+    }
+    if (scope === 'department' && !department) {
+      return res.status(400).json({ success: false, message: 'Department is required for a department-scoped role' });
+    }
+    if (scope === 'class' && !mongoose.Types.ObjectId.isValid(classId)) {
+      return res.status(400).json({ success: false, message: 'A valid class ID is required for a class-scoped role' });
+    }
+
+    const user = await User.findById(userId).select('fullName role');
+    if (!user || user.role === 'student') {
+      return res.status(400).json({ success: false, message: 'Roles can only be assigned to staff accounts' });
+    }
+    if (scope === 'class' && !(await Class.exists({ _id: classId }))) {
+      return res.status(404).json({ success: false, message: 'Class not found' });
+    }
+
+    const assignment = await RoleAssignment.create({
+      userId,
+      role,
+      scope,
+      department: scope === 'department' ? department : undefined,
+      classId: scope === 'class' ? classId : undefined,
+      assignedBy: req.user._id,
+      note: note || null
+    });
+
+    await recordAudit('ROLE_ASSIGNED', {
+      actorId: req.user._id,
+      targetType: 'RoleAssignment',
+      targetId: assignment._id,
+      after: assignment,
+      req,
+    });
+
+    console.log(`🛡️ [Roles] ${role} (${scope}) assigned to ${user.fullName} by ${req.user._id}`);
+    res.status(201).json({ success: true, message: 'Role assigned', data: assignment });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'This role is already assigned for that scope' });
+    }
+    console.error('Error assigning role:', error);
+    res.status(500).json({ success: false, message: 'Failed to assign role' });
+  }
+};
+
+/**
+ * @desc    Remove a role assignment
+ * @route   DELETE /api/admin/role-assignments/:id
+ * @access  Private (staff:manage)
+ */
+export const revokeRoleAssignment = async (req, res) => {
+  try {
+    const assignment = await RoleAssignment.findByIdAndDelete(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ success: false, message: 'Role assignment not found' });
+    }
+
+    await recordAudit('ROLE_REVOKED', {
+      actorId: req.user._id,
+      targetType: 'RoleAssignment',
+      targetId: assignment._id,
+      before: assignment,
+      req,
+    });
+
+    res.status(200).json({ success: true, message: 'Role assignment removed' });
+  } catch (error) {
+    console.error('Error revoking role assignment:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove role assignment' });
+  }
+};
+
+/**
+ * @desc    Get the logged-in user's roles and permissions (for showing or hiding UI)
+ * @route   GET /api/teacher/auth/permissions
+ * @access  Private
+ */
+export const getMyPermissions = async (req, res) => {
+  try {
+    const grants = await getUserGrants(req.user);
+    res.status(200).json({ success: true, data: { grants } });
+  } catch (error) {
+    console.error('Error fetching permissions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch permissions' });
+  }
+};
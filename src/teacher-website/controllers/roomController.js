@@ -1,6 +1,12 @@
 import { Room } from '../../models/roomModel.js';
 import { Schedule } from '../../models/scheduleModel.js';
 
+// Build a GeoJSON point from request latitude/longitude (returns undefined if not provided)
+const toRoomLocation = (latitude, longitude) => {
+  if (latitude === undefined || longitude === undefined) return undefined;
+  return { type: 'Point', coordinates: [Number(longitude), Number(latitude)] };
+};
+
 // Get all rooms
 export const getRooms = async (req, res) => {
   try {
@@ -19,7 +25,7 @@ export const getRooms = async (req, res) => {
 // Create a new room
 export const createRoom = async (req, res) => {
   try {
-    const { roomNumber, type } = req.body;
+    const { roomNumber, type, latitude, longitude, geofenceRadiusMeters } = req.body;
 
     if (!roomNumber || !type) {
       return res.status(400).json({ message: 'Room number and type are required' });
@@ -34,6 +40,8 @@ export const createRoom = async (req, res) => {
     const room = new Room({
       roomNumber,
       type,
+      location: toRoomLocation(latitude, longitude),
+      geofenceRadiusMeters,
       createdBy: req.user?.id
     });
 
@@ -57,7 +65,7 @@ export const createRoom = async (req, res) => {
 export const updateRoom = async (req, res) => {
   try {
     const { id } = req.params;
-    const { roomNumber, type } = req.body;
+    const { roomNumber, type, latitude, longitude, geofenceRadiusMeters } = req.body;
 
     const room = await Room.findById(id);
     if (!room || !room.isActive) {
@@ -79,6 +87,9 @@ export const updateRoom = async (req, res) => {
     // Update the room
     if (roomNumber) room.roomNumber = roomNumber;
     if (type) room.type = type;
+    const location = toRoomLocation(latitude, longitude);
+    if (location) room.location = location;
+    if (geofenceRadiusMeters !== undefined) room.geofenceRadiusMeters = geofenceRadiusMeters;
 
     await room.save();
 
@@ -1,4 +1,5 @@
 import { Schedule } from '../../models/scheduleModel.js';
+import { canAccessClass } from '../../services/classAccessService.js';
 
 // Get teacher's weekly schedule
 export const getTeacherSchedule = async (req, res) => {
@@ -78,6 +79,19 @@ export const createBulkSchedules = async (req, res) => {
     const { schedules } = req.body;
     const teacherId = req.user.id;
 
+    if (!Array.isArray(schedules) || schedules.length === 0) {
+      return res.status(400).json({ message: 'Schedules array is required' });
+    }
+
+    // Every class in the batch must be one the teacher may schedule
+    const classIds = [...new Set(schedules.map(schedule => String(schedule.classId)))];
+    for (const classId of classIds) {
+      const access = await canAccessClass(req.user, classId, 'schedule:manage', req.permissionGrants);
+      if (!access.success) {
+        return res.status(403).json({ message: `${access.message} (${classId})` });
+      }
+    }
+
     // Add teacherId to each schedule
     const schedulesWithTeacher = schedules.map(schedule => ({
       ...schedule,
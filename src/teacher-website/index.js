@@ -7,6 +7,10 @@ export { default as scheduleRoutes } from './routes/scheduleRoutes.js';
 export { default as recurringScheduleRoutes } from './routes/recurringScheduleRoutes.js';
 export { default as timeSlotRoutes } from './routes/timeSlotRoutes.js';
 export { default as roomRoutes } from './routes/roomRoutes.js';
+export { default as faceChangeRoutes } from './routes/faceChangeRoutes.js';
+export { default as studentRoutes } from './routes/studentRoutes.js';
+export { default as correctionRequestRoutes } from './routes/correctionRequestRoutes.js';
+export { default as leaveRoutes } from './routes/leaveRoutes.js';
 
 // Teacher & Admin controllers exports
 export * as adminController from './controllers/adminController.js';
@@ -16,4 +20,12 @@ export * as attendanceController from './controllers/attendanceController.js';
 export * as scheduleController from './controllers/scheduleController.js';
 export * as recurringScheduleController from './controllers/recurringScheduleController.js';
 export * as timeSlotController from './controllers/timeSlotController.js';
-export * as roomController from './controllers/roomController.js';
\ No newline at end of file
+export * as roomController from './controllers/roomController.js';
+export * as faceChangeController from './controllers/faceChangeController.js';
+export * as duplicateFaceController from './controllers/duplicateFaceController.js';
+export * as anomalyController from './controllers/anomalyController.js';
+export * as deviceController from './controllers/deviceController.js';
+export * as roleController from './controllers/roleController.js';
+export * as auditController from './controllers/auditController.js';
+export * as correctionRequestController from './controllers/correctionRequestController.js';
+export * as leaveController from './controllers/leaveController.js';
\ No newline at end of file
@@ -1,7 +1,13 @@
 import express from 'express';
-import { protect, admin } from '../../middleware/authMiddleware.js';
+import { protect, authorize } from '../../middleware/authMiddleware.js';
 import multer from 'multer';
 import * as adminController from '../controllers/adminController.js';
+import * as faceChangeController from '../controllers/faceChangeController.js';
+import * as duplicateFaceController from '../controllers/duplicateFaceController.js';
+import * as anomalyController from '../controllers/anomalyController.js';
+import * as deviceController from '../controllers/deviceController.js';
+import * as roleController from '../controllers/roleController.js';
+import * as auditController from '../controllers/auditController.js';
 
 const router = express.Router();
 
@@ -14,54 +20,87 @@ const upload = multer({
   }
 });
 
-// All routes require authentication and admin role
-router.use(protect, admin);
+// All routes require authentication. Institution-wide endpoints need a global
+// grant of their permission (admins, global auditors); class endpoints also
+// accept a grant covering that class (e.g., an HOD for its department).
+router.use(protect);
+
+const requireGlobal = (permission) => authorize(permission, { global: true });
+const classFromParams = (param) => ({ classId: req => req.params[param] });
 
 // ========================= DASHBOARD =========================
-router.get('/dashboard/stats', adminController.getDashboardStats);
+router.get('/dashboard/stats', requireGlobal('reports:view'), adminController.getDashboardStats);
 
 // ========================= STUDENT MANAGEMENT =========================
-router.get('/students', adminController.getAllStudents);
-router.get('/students/pending', adminController.getPendingStudents);
-router.get('/students/:id', adminController.getStudentById);
-router.post('/students', upload.fields([{ name: 'faceImage', maxCount: 1 }]), adminController.createStudent);
-router.put('/students/:id', upload.fields([{ name: 'faceImage', maxCount: 1 }]), adminController.updateStudent);
-router.delete('/students/:id', adminController.deleteStudent);
-router.post('/students/bulk-delete', adminController.bulkDeleteStudents);
+router.get('/students', requireGlobal('students:view'), adminController.getAllStudents);
+router.get('/students/pending', requireGlobal('students:view'), adminController.getPendingStudents);
+router.get('/students/:id', requireGlobal('students:view'), adminController.getStudentById);
+router.post('/students', requireGlobal('students:manage'), upload.fields([{ name: 'faceImage', maxCount: 1 }]), adminController.createStudent);
+router.put('/students/:id', requireGlobal('students:manage'), upload.fields([{ name: 'faceImage', maxCount: 1 }]), adminController.updateStudent);
+router.delete('/students/:id', requireGlobal('students:manage'), adminController.deleteStudent);
+router.post('/students/bulk-delete', requireGlobal('students:manage'), adminController.bulkDeleteStudents);
+router.get('/students/:studentId/devices', requireGlobal('students:view'), deviceController.getStudentDevices);
+router.post('/students/:studentId/devices/reset', requireGlobal('devices:reset'), deviceController.resetStudentDevice);
+
+// ========================= FACE CHANGE REVIEW =========================
+router.get('/face-change-requests', requireGlobal('face:review'), faceChangeController.getFaceChangeRequests);
+router.get('/face-change-requests/:id', requireGlobal('face:review'), faceChangeController.getFaceChangeRequestById);
+router.post('/face-change-requests/:id/approve', requireGlobal('face:review'), faceChangeController.approveFaceChangeRequest);
+router.post('/face-change-requests/:id/reject', requireGlobal('face:review'), faceChangeController.rejectFaceChangeRequest);
+
+// ========================= DUPLICATE FACE REVIEW =========================
+router.get('/duplicate-faces', requireGlobal('face:review'), duplicateFaceController.getDuplicateFaceFlags);
+router.get('/duplicate-faces/:id', requireGlobal('face:review'), duplicateFaceController.getDuplicateFaceFlagById);
+router.post('/duplicate-faces/:id/resolve', requireGlobal('face:review'), duplicateFaceController.resolveDuplicateFaceFlag);
+
+// ========================= ATTENDANCE ANOMALIES =========================
+router.get('/anomalies', requireGlobal('anomalies:review'), anomalyController.getAnomalies);
+router.post('/anomalies/scan', requireGlobal('anomalies:review'), anomalyController.scanAnomalies);
+router.post('/anomalies/:id/resolve', requireGlobal('anomalies:review'), anomalyController.resolveAttendanceAnomaly);
 
 // ========================= TEACHER MANAGEMENT =========================
-router.get('/teachers', adminController.getAllTeachers);
-router.get('/teachers/:teacherId/classes', adminController.getTeacherClasses);
-router.get('/teachers/:teacherId/schedules', adminController.getTeacherSchedules);
-router.get('/teachers/:id', adminController.getTeacherById);
-router.post('/teachers', adminController.createTeacher);
-router.put('/teachers/:id', adminController.updateTeacher);
-router.delete('/teachers/:id', adminController.deleteTeacher);
+router.get('/teachers', requireGlobal('staff:manage'), adminController.getAllTeachers);
+router.get('/teachers/:teacherId/classes', requireGlobal('staff:manage'), adminController.getTeacherClasses);
+router.get('/teachers/:teacherId/schedules', requireGlobal('staff:manage'), adminController.getTeacherSchedules);
+router.get('/teachers/:id', requireGlobal('staff:manage'), adminController.getTeacherById);
+router.post('/teachers', requireGlobal('staff:manage'), adminController.createTeacher);
+router.put('/teachers/:id', requireGlobal('staff:manage'), adminController.updateTeacher);
+router.delete('/teachers/:id', requireGlobal('staff:manage'), adminController.deleteTeacher);
+
+// ========================= ROLES & PERMISSIONS =========================
+router.get('/roles', requireGlobal('staff:manage'), roleController.getRoles);
+router.get('/role-assignments', requireGlobal('staff:manage'), roleController.getRoleAssignments);
+router.post('/role-assignments', requireGlobal('staff:manage'), roleController.assignRole);
+router.delete('/role-assignments/:id', requireGlobal('staff:manage'), roleController.revokeRoleAssignment);
+
+// ========================= AUDIT TRAIL =========================
+router.get('/audit-logs', requireGlobal('audit:view'), auditController.getAuditLogs);
+router.get('/audit-logs/export', requireGlobal('audit:view'), auditController.exportAuditLogs);
 
 // ========================= CLASS MANAGEMENT =========================
-router.get('/classes', adminController.getAllClasses);
-router.get('/classes/:id', adminController.getClassById);
-router.post('/classes', adminController.createClass);
+router.get('/classes', requireGlobal('class:view'), adminController.getAllClasses);
+router.get('/classes/:id', authorize('class:view', classFromParams('id')), adminController.getClassById);
+router.post('/classes', requireGlobal('class:manage'), adminController.createClass);
 
 // ========================= ATTENDANCE MANAGEMENT =========================
-router.get('/attendance/class/:classId', adminController.getAttendanceRecords);
+router.get('/attendance/class/:classId', authorize('attendance:view', classFromParams('classId')), adminController.getAttendanceRecords);
 
 // ========================= ENROLLMENT MANAGEMENT =========================
-router.post('/enrollments', adminController.enrollStudent);
-router.post('/enrollments/bulk', adminController.bulkEnrollStudents);
-router.delete('/enrollments', adminController.unenrollStudent);
-router.get('/enrollments/class/:classId', adminController.getClassEnrollments);
-router.get('/enrollments/student/:studentId', adminController.getStudentEnrollments);
+router.post('/enrollments', requireGlobal('class:manage'), adminController.enrollStudent);
+router.post('/enrollments/bulk', requireGlobal('class:manage'), adminController.bulkEnrollStudents);
+router.delete('/enrollments', requireGlobal('class:manage'), adminController.unenrollStudent);
+router.get('/enrollments/class/:classId', authorize('class:view', classFromParams('classId')), adminController.getClassEnrollments);
+router.get('/enrollments/student/:studentId', requireGlobal('students:view'), adminController.getStudentEnrollments);
 
 // ========================= SCHEDULE MANAGEMENT =========================
-router.get('/schedules', adminController.getAllSchedules);
-router.post('/schedules', adminController.createSchedule);
-router.put('/schedules/:id', adminController.updateSchedule);
-router.delete('/schedules/:id', adminController.deleteSchedule);
+router.get('/schedules', requireGlobal('schedule:manage'), adminController.getAllSchedules);
+router.post('/schedules', requireGlobal('schedule:manage'), adminController.createSchedule);
+router.put('/schedules/:id', requireGlobal('schedule:manage'), adminController.updateSchedule);
+router.delete('/schedules/:id', requireGlobal('schedule:manage'), adminController.deleteSchedule);
 
 // ========================= RECURRING SCHEDULE MANAGEMENT =========================
-router.get('/recurring-schedules', adminController.getAllRecurringSchedules);
-router.post('/recurring-schedules', adminController.createRecurringSchedule);
-router.delete('/recurring-schedules/:id', adminController.deleteRecurringSchedule);
+router.get('/recurring-schedules', requireGlobal('schedule:manage'), adminController.getAllRecurringSchedules);
+router.post('/recurring-schedules', requireGlobal('schedule:manage'), adminController.createRecurringSchedule);
+router.delete('/recurring-schedules/:id', requireGlobal('schedule:manage'), adminController.deleteRecurringSchedule);
 
 export default router;
@@ -1,35 +1,54 @@
 import express from 'express';
 import { 
   markManualAttendance,
+  markBulkManualAttendance,
+  editAttendanceRecord,
+  voidAttendanceRecord,
+  getAttendanceRecordHistory,
   generateQRSession,
   refreshQRToken,
   terminateQRSession,
   getActiveQRSessions,
   terminateAllQRSessions,
   getStudentsForClass,
+  identifyStudentByFace,
   getAttendanceByClass,
   getAttendanceStats
 } from '../controllers/attendanceController.js';
-import { protect } from '../../middleware/authMiddleware.js';
+import { getSessionAnomalies } from '../controllers/anomalyController.js';
+import { protect, authorize } from '../../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // All routes are protected (teacher must be logged in)
 router.use(protect);
 
+const classFromBody = { classId: req => req.body.classId };
+const classFromParams = { classId: req => req.params.classId };
+
 // Manual attendance routes
-router.post('/manual', markManualAttendance);
-router.get('/class/:classId/students', getStudentsForClass);
-router.get('/class/:classId', getAttendanceByClass);
+router.post('/manual', authorize('attendance:take', classFromBody), markManualAttendance);
+// Class access is checked per roll call (the class may come from the ScheduleInstance)
+router.post('/manual/bulk', authorize('attendance:take'), markBulkManualAttendance);
+// Edit or void a record (reason required); class access is checked against the record's class
+router.put('/records/:id', authorize('attendance:edit'), editAttendanceRecord);
+router.delete('/records/:id', authorize('attendance:edit'), voidAttendanceRecord);
+router.get('/records/:id/history', authorize('attendance:view'), getAttendanceRecordHistory);
+router.get('/class/:classId/students', authorize('attendance:view', classFromParams), getStudentsForClass);
+router.get('/class/:classId', authorize('attendance:view', classFromParams), getAttendanceByClass);
+
+// Identify-by-face (find which enrolled student is at the camera)
+router.post('/identify', authorize('attendance:take', classFromBody), identifyStudentByFace);
 
 // QR Session management routes
-router.post('/qr/generate', generateQRSession);
-router.post('/qr/refresh', refreshQRToken);
-router.post('/qr/terminate', terminateQRSession);
-router.post('/qr/terminate-all', terminateAllQRSessions);
-router.get('/qr/active', getActiveQRSessions);
+router.post('/qr/generate', authorize('attendance:take', classFromBody), generateQRSession);
+router.post('/qr/refresh', authorize('attendance:take'), refreshQRToken);
+router.post('/qr/terminate', authorize('attendance:take'), terminateQRSession);
+router.post('/qr/terminate-all', authorize('attendance:take'), terminateAllQRSessions);
+router.get('/qr/active', authorize('attendance:take'), getActiveQRSessions);
+router.get('/qr/:sessionId/anomalies', authorize('anomalies:review'), getSessionAnomalies);
 
 // Attendance statistics
-router.get('/stats', getAttendanceStats);
+router.get('/stats', authorize('reports:view'), getAttendanceStats);
 
 export default router;
@@ -1,5 +1,16 @@
 import express from 'express';
-import { registerTeacher, loginTeacher, getTeacherProfile, updateTeacherProfile } from '../controllers/authController.js';
+import {
+  registerTeacher,
+  loginTeacher,
+  getTeacherProfile,
+  updateTeacherProfile,
+  forgotTeacherPassword,
+  resetTeacherPassword,
+  refreshTeacherToken,
+  logoutTeacher,
+  logoutAllTeacher
+} from '../controllers/authController.js';
+import { getMyPermissions } from '../controllers/roleController.js';
 import { protect } from '../../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -7,9 +18,15 @@ const router = express.Router();
 // Public routes
 router.post('/register', registerTeacher);
 router.post('/login', loginTeacher);
+router.post('/forgot-password', forgotTeacherPassword);
+router.post('/reset-password', resetTeacherPassword);
+router.post('/refresh', refreshTeacherToken);
 
 // Protected routes
 router.get('/profile', protect, getTeacherProfile);
 router.put('/profile', protect, updateTeacherProfile);
+router.get('/permissions', protect, getMyPermissions);
+router.post('/logout', protect, logoutTeacher);
+router.post('/logout-all', protect, logoutAllTeacher);
 
 export default router;
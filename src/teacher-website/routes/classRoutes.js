@@ -6,18 +6,20 @@ import {
   updateClass, 
   deleteClass 
 } from '../controllers/classController.js';
-import { protect } from '../../middleware/authMiddleware.js';
+import { protect, authorize } from '../../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // All routes are protected (teacher must be logged in)
 router.use(protect);
 
+const classFromParams = { classId: req => req.params.id };
+
 // Class management routes
-router.post('/', createClass);
-router.get('/', getAllClasses);
-router.get('/:id', getClassById);
-router.put('/:id', updateClass);
-router.delete('/:id', deleteClass);
+router.post('/', authorize('class:manage'), createClass);
+router.get('/', authorize('class:view'), getAllClasses);
+router.get('/:id', authorize('class:view', classFromParams), getClassById);
+router.put('/:id', authorize('class:manage', classFromParams), updateClass);
+router.delete('/:id', authorize('class:manage', classFromParams), deleteClass);
 
 export default router;
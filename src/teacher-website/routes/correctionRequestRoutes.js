@@ -0,0 +1,20 @@
+import express from 'express';
+import { protect, authorize } from '../../middleware/authMiddleware.js';
+import {
+  getCorrectionRequests,
+  getCorrectionRequestById,
+  approveCorrectionRequest,
+  rejectCorrectionRequest
+} from '../controllers/correctionRequestController.js';
+
+const router = express.Router();
+
+// All routes require attendance edit permission; teachers only see their own classes
+router.use(protect, authorize('attendance:edit'));
+
+router.get('/', getCorrectionRequests);
+router.get('/:id', getCorrectionRequestById);
+router.post('/:id/approve', approveCorrectionRequest);
+router.post('/:id/reject', rejectCorrectionRequest);
+
+export default router;
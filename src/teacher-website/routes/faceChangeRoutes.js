@@ -0,0 +1,20 @@
+import express from 'express';
+import { protect, authorize } from '../../middleware/authMiddleware.js';
+import {
+  getFaceChangeRequests,
+  getFaceChangeRequestById,
+  approveFaceChangeRequest,
+  rejectFaceChangeRequest
+} from '../controllers/faceChangeController.js';
+
+const router = express.Router();
+
+// All routes require face review permission; teachers only see their own students
+router.use(protect, authorize('face:review'));
+
+router.get('/', getFaceChangeRequests);
+router.get('/:id', getFaceChangeRequestById);
+router.post('/:id/approve', approveFaceChangeRequest);
+router.post('/:id/reject', rejectFaceChangeRequest);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { protect, authorize } from '../../middleware/authMiddleware.js';
+import {
+  getLeaveApplications,
+  getLeaveApplicationById,
+  approveLeaveApplication,
+  rejectLeaveApplication
+} from '../controllers/leaveController.js';
+
+const router = express.Router();
+
+// All routes require attendance edit permission; teachers only see their own students
+router.use(protect, authorize('attendance:edit'));
+
+router.get('/', getLeaveApplications);
+router.get('/:id', getLeaveApplicationById);
+router.post('/:id/approve', approveLeaveApplication);
+router.post('/:id/reject', rejectLeaveApplication);
+
+export default router;
@@ -8,13 +8,13 @@ import {
   updateRecurringSchedule,
   deleteRecurringSchedule
 } from '../controllers/recurringScheduleController.js';
-import { protect, teacher } from '../../middleware/authMiddleware.js';
+import { protect, authorize } from '../../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// Protect all routes and ensure only teachers can access
+// Protect all routes and require permission to manage schedules
 router.use(protect);
-router.use(teacher);
+router.use(authorize('schedule:manage'));
 
 // Recurring Schedule Routes
 router.route('/')
@@ -12,26 +12,30 @@ import {
   mergeSchedules,
   splitSchedule
 } from '../controllers/scheduleController.js';
-import { protect, teacher } from '../../middleware/authMiddleware.js';
+import { protect, authorize } from '../../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Protect all routes
 router.use(protect);
 
+const canView = authorize('class:view');
+const canManage = authorize('schedule:manage');
+const canManageClass = authorize('schedule:manage', { classId: req => req.body.classId });
+
 // Special routes
-router.route('/weekly').get(teacher, getTeacherSchedule);
-router.route('/today').get(teacher, getTodaySchedule);
-router.route('/bulk').post(teacher, createBulkSchedules);
-router.route('/check-conflict').post(teacher, checkScheduleConflict);
-router.route('/merge').post(teacher, mergeSchedules);
-router.route('/split/:scheduleId').post(teacher, splitSchedule);
+router.route('/weekly').get(canView, getTeacherSchedule);
+router.route('/today').get(canView, getTodaySchedule);
+router.route('/bulk').post(canManage, createBulkSchedules);
+router.route('/check-conflict').post(canManage, checkScheduleConflict);
+router.route('/merge').post(canManage, mergeSchedules);
+router.route('/split/:scheduleId').post(canManage, splitSchedule);
 
 // CRUD routes
-router.route('/').post(teacher, createSchedule).get(teacher, getAllSchedules);
+router.route('/').post(canManageClass, createSchedule).get(canView, getAllSchedules);
 router.route('/:id')
-  .get(teacher, getScheduleById)
-  .put(teacher, updateSchedule)
-  .delete(teacher, deleteSchedule);
+  .get(canView, getScheduleById)
+  .put(canManage, updateSchedule)
+  .delete(canManage, deleteSchedule);
 
 export default router;
\ No newline at end of file
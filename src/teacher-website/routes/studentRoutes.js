@@ -0,0 +1,14 @@
+import express from 'express';
+import { protect, authorize } from '../../middleware/authMiddleware.js';
+import { getStudentDevices, resetStudentDevice } from '../controllers/deviceController.js';
+
+const router = express.Router();
+
+// All routes require a logged-in user; teachers only manage their own students
+router.use(protect);
+
+// Device binding
+router.get('/:studentId/devices', authorize('students:view'), getStudentDevices);
+router.post('/:studentId/devices/reset', authorize('devices:reset'), resetStudentDevice);
+
+export default router;